@@ -10,6 +10,9 @@ dotenv.config();
 
 // Import config and validate environment
 import { validateEnvironment } from './utils/config.js';
+import { getClusterName } from './utils/cluster.js';
+import { isSandboxMode } from './utils/sandbox.js';
+import { getDependencyHealth } from './utils/circuitBreakers.js';
 
 // Validate environment before starting
 validateEnvironment();
@@ -18,6 +21,12 @@ validateEnvironment();
 import uploadRoutes from './routes/upload.js';
 import contentRoutes from './routes/content.js';
 import paymentRoutes from './routes/payment.js';
+import creatorRoutes from './routes/creator.js';
+import bundleRoutes from './routes/bundles.js';
+import subscriptionRoutes from './routes/subscriptions.js';
+import proxyRoutes from './routes/proxy.js';
+import creditRoutes from './routes/credits.js';
+import adminRoutes from './routes/admin.js';
 
 // Import middleware
 import { sanitizeRequest } from './middleware/validation.js';
@@ -55,16 +64,11 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-PAYMENT', 'X-Payment-Proof', 'X-Credit-Token', 'X-Session-Secret'],
+  exposedHeaders: ['X-PAYMENT-RESPONSE', 'X-Access-Token', 'X-API-Calls-Remaining', 'X-Credit-Balance']
 }));
 
-app.use(express.json({ limit: '1mb' })); // Limit JSON payload size
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
-
-// Sanitize all incoming requests
-app.use(sanitizeRequest);
-
 // Rate limiting
 const limiter = rateLimit({
   windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000,
@@ -74,6 +78,26 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Proxied API calls are only limited while they fail: unpaid calls, 402s and rejected X-PAYMENT
+// attempts still cost database, facilitator and RPC work, but paid calls don't count
+const proxyLimiter = rateLimit({
+  windowMs: (process.env.RATE_LIMIT_WINDOW || 15) * 60 * 1000,
+  max: process.env.PROXY_RATE_LIMIT_MAX || 100,
+  skipSuccessfulRequests: true,
+  message: 'Too many unpaid requests from this IP, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Proxied APIs get the raw request body to forward as-is
+app.use('/api/proxy', proxyLimiter, express.raw({ type: () => true, limit: '1mb' }), proxyRoutes);
+
+app.use(express.json({ limit: '1mb' })); // Limit JSON payload size
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Sanitize all incoming requests
+app.use(sanitizeRequest);
+
 app.use('/api/', limiter);
 
 // Request logging
@@ -88,17 +112,25 @@ app.get('/health', async (req, res) => {
     // Check database connection
     await pool.query('SELECT 1');
 
+    // An open breaker means payments can't be verified right now, but the API is still up
+    const dependencies = getDependencyHealth();
+    const degraded = Object.values(dependencies).some(breaker => breaker.state !== 'CLOSED');
+
     res.json({
-      status: 'healthy',
+      status: degraded ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       uptime: process.uptime(),
       database: 'connected',
+      cluster: getClusterName(),
+      sandbox: isSandboxMode(),
+      dependencies,
       version: '1.0.0'
     });
   } catch (error) {
     res.status(503).json({
       status: 'unhealthy',
-      error: error.message
+      error: error.message,
+      dependencies: getDependencyHealth()
     });
   }
 });
@@ -107,6 +139,11 @@ app.get('/health', async (req, res) => {
 app.use('/api/upload', uploadRoutes);
 app.use('/api/content', contentRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/creator', creatorRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/credits', creditRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -117,7 +154,13 @@ app.get('/', (req, res) => {
       health: 'GET /health',
       upload: 'POST /api/upload',
       content: 'GET /api/content/:id',
-      payment: 'POST /api/payment'
+      payment: 'POST /api/payment',
+      creator: 'POST /api/creator/login',
+      bundles: 'POST /api/bundles',
+      subscriptions: 'GET /api/subscriptions/:creatorWallet',
+      proxy: 'ALL /api/proxy/:id/*',
+      credits: 'GET /api/credits/balance',
+      admin: 'GET /api/admin/rpc'
     }
   });
 });
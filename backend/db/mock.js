@@ -8,7 +8,67 @@ import { v4 as uuidv4 } from 'uuid';
 // In-memory storage
 const storage = {
   content: new Map(),
-  payments: new Map()
+  payments: new Map(),
+  recipients: [],
+  sessions: new Map(),
+  sessionEvents: [],
+  discounts: new Map(),
+  bundleItems: [],
+  subscriptions: new Map(),
+  quotes: new Map(),
+  creditAccounts: new Map(),
+  creditLedger: [],
+  creditWithdrawals: new Map(),
+  webhooks: new Map(),
+  webhookDeliveries: new Map(),
+  transactionClaims: new Map()
+};
+
+/**
+ * Join a payment session with the payment policies of its content
+ */
+const withContentPolicies = (session) => {
+  const content = storage.content.get(session.content_id) || {};
+  return {
+    ...session,
+    price_usdc: content.price_usdc,
+    underpayment_tolerance_units: content.underpayment_tolerance_units,
+    overpayment_policy: content.overpayment_policy,
+    asset_prices: content.asset_prices,
+    transfer_fee_payer: content.transfer_fee_payer,
+    price_schedule: content.price_schedule || null,
+    content_created_at: content.created_at
+  };
+};
+
+/**
+ * Shares of payments a wallet received, like the payment history query
+ * Payments without recipient rows belong entirely to the content's creator.
+ */
+const paymentSharesFor = (wallet, cluster, sandbox) => {
+  const shares = [];
+
+  for (const p of storage.payments.values()) {
+    const content = storage.content.get(p.content_id);
+    if (p.cluster !== cluster || p.sandbox !== sandbox) continue;
+
+    const recipients = storage.recipients.filter(r => r.payment_id === p.id);
+    const share = recipients.length > 0
+      ? recipients.find(r => r.wallet === wallet)
+      : content?.creator_wallet === wallet && { role: 'creator', amount: p.amount_usdc };
+
+    if (share) {
+      shares.push({
+        ...p,
+        content_type: content?.content_type,
+        original_filename: content?.original_filename,
+        role: share.role,
+        amount_received: share.amount
+      });
+    }
+  }
+
+  return shares;
 };
 
 /**
@@ -17,10 +77,683 @@ const storage = {
 export const query = async (text, params = []) => {
   console.log('📝 Mock DB Query:', text.substring(0, 100));
 
+  // Transaction signature claims (payments and credit deposits)
+  if (text.includes('INSERT INTO transaction_claims')) {
+    const [signature, use] = params;
+
+    if (!storage.transactionClaims.has(signature)) {
+      storage.transactionClaims.set(signature, use);
+    }
+
+    return { rows: [{ claimed_as: storage.transactionClaims.get(signature) }], rowCount: 1 };
+  }
+
+  if (text.includes('FROM transaction_claims')) {
+    const use = storage.transactionClaims.get(params[0]);
+    return { rows: use ? [{ claimed_as: use }] : [], rowCount: use ? 1 : 0 };
+  }
+
+  // Credit balance upsert (deposits and refunds)
+  if (text.includes('INSERT INTO credit_accounts')) {
+    const [wallet, cluster, sandbox, units] = params;
+    const key = `${wallet}:${cluster}:${sandbox}`;
+    const account = storage.creditAccounts.get(key) ||
+      { wallet, cluster, sandbox, balance_units: '0', created_at: new Date() };
+
+    account.balance_units = (BigInt(account.balance_units) + BigInt(units)).toString();
+    account.updated_at = new Date();
+    storage.creditAccounts.set(key, account);
+
+    return { rows: [{ balance_units: account.balance_units }], rowCount: 1 };
+  }
+
+  // Guarded credit balance debit
+  if (text.includes('UPDATE credit_accounts')) {
+    const [wallet, cluster, sandbox, units, overdraw, held = '0'] = params;
+    const account = storage.creditAccounts.get(`${wallet}:${cluster}:${sandbox}`);
+
+    if (!account || (!overdraw && BigInt(account.balance_units) - BigInt(held) < BigInt(units))) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    account.balance_units = (BigInt(account.balance_units) - BigInt(units)).toString();
+    account.updated_at = new Date();
+
+    return { rows: [{ balance_units: account.balance_units }], rowCount: 1 };
+  }
+
+  if (text.includes('FROM credit_accounts')) {
+    const account = storage.creditAccounts.get(`${params[0]}:${params[1]}:${params[2]}`);
+    return { rows: account ? [{ ...account }] : [], rowCount: account ? 1 : 0 };
+  }
+
+  if (text.includes('INSERT INTO credit_ledger')) {
+    const [id, wallet, cluster, sandbox, type, amount, balance, contentId, withdrawalId, signature, finality] = params;
+
+    // Emulate the unique index on deposit signatures
+    if (type === 'deposit' && storage.creditLedger.some(e => e.entry_type === 'deposit' && e.transaction_signature === signature)) {
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    }
+
+    const entry = {
+      id,
+      wallet,
+      cluster,
+      sandbox,
+      entry_type: type,
+      amount_units: amount,
+      balance_units: balance,
+      content_id: contentId,
+      payment_id: null,
+      withdrawal_id: withdrawalId,
+      transaction_signature: signature,
+      finality_status: finality,
+      finality_checked_at: null,
+      finalized_at: null,
+      created_at: new Date()
+    };
+
+    storage.creditLedger.push(entry);
+
+    return { rows: [{ ...entry }], rowCount: 1 };
+  }
+
+  // Deposit finality updates
+  if (text.includes('UPDATE credit_ledger') && text.includes('finality_')) {
+    const [id, status] = params;
+    const entry = storage.creditLedger.find(e => e.id === id && e.finality_status === 'confirmed');
+
+    if (!entry) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    entry.finality_checked_at = new Date();
+
+    if (status) {
+      entry.finality_status = status;
+      entry.finalized_at = status === 'finalized' ? new Date() : entry.finalized_at;
+    }
+
+    return { rows: [{ ...entry }], rowCount: 1 };
+  }
+
+  if (text.includes('UPDATE credit_ledger')) {
+    const entry = storage.creditLedger.find(e => e.id === params[0]);
+
+    if (entry) {
+      entry.payment_id = params[1];
+    }
+
+    return { rows: [], rowCount: entry ? 1 : 0 };
+  }
+
+  // Deposits awaiting finality, held back from withdrawals
+  if (text.includes('FROM credit_ledger') && text.includes('SUM(amount_units)')) {
+    const [wallet, cluster, sandbox] = params;
+    const held = storage.creditLedger
+      .filter(e => e.wallet === wallet && e.cluster === cluster && e.sandbox === sandbox &&
+        e.entry_type === 'deposit' && e.finality_status === 'confirmed')
+      .reduce((total, e) => total + BigInt(e.amount_units), 0n);
+
+    return { rows: [{ held_units: held.toString() }], rowCount: 1 };
+  }
+
+  if (text.includes('FROM credit_ledger') && text.includes('finality_status = \'confirmed\'')) {
+    const [cluster, sandbox, limit] = params;
+    const deposits = storage.creditLedger
+      .filter(e => e.entry_type === 'deposit' && e.finality_status === 'confirmed' &&
+        e.cluster === cluster && e.sandbox === sandbox)
+      .sort((a, b) => (a.finality_checked_at || 0) - (b.finality_checked_at || 0))
+      .slice(0, limit)
+      .map(e => ({ ...e }));
+
+    return { rows: deposits, rowCount: deposits.length };
+  }
+
+  if (text.includes('FROM credit_ledger')) {
+    if (text.includes('entry_type = \'deposit\'')) {
+      const entry = storage.creditLedger.find(e => e.entry_type === 'deposit' && e.transaction_signature === params[0]);
+      return { rows: entry ? [{ ...entry }] : [], rowCount: entry ? 1 : 0 };
+    }
+
+    const [wallet, cluster, sandbox, before, limit] = params;
+    const entries = storage.creditLedger
+      .filter(e => e.wallet === wallet && e.cluster === cluster && e.sandbox === sandbox &&
+        (!before || e.created_at < new Date(before)))
+      .reverse()
+      .slice(0, limit)
+      .map(e => ({ ...e }));
+
+    return { rows: entries, rowCount: entries.length };
+  }
+
+  if (text.includes('INSERT INTO credit_withdrawals')) {
+    const [id, wallet, cluster, sandbox, amount, destination] = params;
+    const withdrawal = {
+      id,
+      wallet,
+      cluster,
+      sandbox,
+      amount_units: amount,
+      destination_wallet: destination,
+      status: 'requested',
+      transaction_signature: null,
+      note: null,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    storage.creditWithdrawals.set(id, withdrawal);
+
+    return { rows: [{ ...withdrawal }], rowCount: 1 };
+  }
+
+  if (text.includes('UPDATE credit_withdrawals')) {
+    const [id, status, signature, note, wallet] = params;
+    const withdrawal = storage.creditWithdrawals.get(id);
+
+    if (!withdrawal || withdrawal.status !== 'requested' || (wallet && withdrawal.wallet !== wallet)) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    Object.assign(withdrawal, { status, transaction_signature: signature, note, updated_at: new Date() });
+
+    return { rows: [{ ...withdrawal }], rowCount: 1 };
+  }
+
+  if (text.includes('FROM credit_withdrawals')) {
+    const [cluster, sandbox, wallet, status] = params;
+    const withdrawals = Array.from(storage.creditWithdrawals.values())
+      .filter(w => w.cluster === cluster && w.sandbox === sandbox &&
+        (!wallet || w.wallet === wallet) && (!status || w.status === status))
+      .reverse()
+      .map(w => ({ ...w }));
+
+    return { rows: withdrawals, rowCount: withdrawals.length };
+  }
+
+  // INSERT webhook
+  if (text.includes('INSERT INTO webhooks')) {
+    const [creatorWallet, url, events, secret] = params;
+    const webhook = {
+      id: uuidv4(),
+      creator_wallet: creatorWallet,
+      url,
+      events: JSON.parse(events),
+      secret,
+      active: true,
+      created_at: new Date()
+    };
+
+    storage.webhooks.set(webhook.id, webhook);
+
+    return { rows: [{ ...webhook }], rowCount: 1 };
+  }
+
+  // Remove webhook (a creator's own, if still active)
+  if (text.includes('UPDATE webhooks')) {
+    const webhook = storage.webhooks.get(params[0]);
+
+    if (!webhook || !webhook.active || webhook.creator_wallet !== params[1]) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    webhook.active = false;
+
+    return { rows: [{ ...webhook }], rowCount: 1 };
+  }
+
+  // SELECT webhooks (by ID, or a creator's active ones)
+  if (text.includes('FROM webhooks')) {
+    const webhooks = text.includes('WHERE id =')
+      ? [storage.webhooks.get(params[0])].filter(Boolean)
+      : Array.from(storage.webhooks.values())
+        .filter(w => w.creator_wallet === params[0] && w.active)
+        .filter(w => !text.includes('AND id =') || w.id === params[1])
+        .sort((a, b) => b.created_at - a.created_at);
+
+    return { rows: webhooks.map(w => ({ ...w })), rowCount: webhooks.length };
+  }
+
+  // INSERT webhook delivery (due now)
+  if (text.includes('INSERT INTO webhook_deliveries')) {
+    const [webhookId, eventId, eventType, payload, replayOf] = params;
+    const delivery = {
+      id: uuidv4(),
+      webhook_id: webhookId,
+      event_id: eventId,
+      event_type: eventType,
+      payload: JSON.parse(payload),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date(),
+      last_status_code: null,
+      last_error: null,
+      replay_of: replayOf,
+      delivered_at: null,
+      created_at: new Date()
+    };
+
+    storage.webhookDeliveries.set(delivery.id, delivery);
+
+    return { rows: [{ ...delivery }], rowCount: 1 };
+  }
+
+  // UPDATE webhook delivery (claim a due attempt, or record its outcome)
+  if (text.includes('UPDATE webhook_deliveries')) {
+    const delivery = storage.webhookDeliveries.get(params[0]);
+
+    if (!delivery) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    if (text.includes("status = 'pending' AND next_attempt_at")) {
+      if (delivery.status !== 'pending' || delivery.next_attempt_at > new Date()) {
+        return { rows: [], rowCount: 0 };
+      }
+      delivery.next_attempt_at = params[1];
+    } else {
+      const [, status, attempts, nextAttemptAt, statusCode, error] = params;
+      Object.assign(delivery, {
+        status,
+        attempts,
+        next_attempt_at: nextAttemptAt,
+        last_status_code: statusCode,
+        last_error: error,
+        delivered_at: status === 'delivered' ? new Date() : delivery.delivered_at
+      });
+    }
+
+    return { rows: [{ ...delivery }], rowCount: 1 };
+  }
+
+  // SELECT webhook deliveries (one, a webhook's log, or the due ones)
+  if (text.includes('FROM webhook_deliveries')) {
+    const now = new Date();
+    let deliveries = Array.from(storage.webhookDeliveries.values());
+
+    if (text.includes('WHERE webhook_id =')) {
+      deliveries = deliveries
+        .filter(d => d.webhook_id === params[0])
+        .filter(d => !text.includes('AND id =') || d.id === params[1])
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, text.includes('LIMIT') ? params[1] : undefined);
+    } else {
+      deliveries = deliveries
+        .filter(d => d.status === 'pending' && d.next_attempt_at <= now)
+        .sort((a, b) => a.next_attempt_at - b.next_attempt_at)
+        .slice(0, params[0]);
+    }
+
+    return { rows: deliveries.map(d => ({ ...d })), rowCount: deliveries.length };
+  }
+
+  // Mark newly expired content notified (content.expired webhook events)
+  if (text.includes('SET expiry_notified_at')) {
+    const now = new Date();
+    const expired = Array.from(storage.content.values())
+      .filter(c => c.expires_at && new Date(c.expires_at) <= now && !c.expiry_notified_at && c.cluster === params[0])
+      .slice(0, params[1]);
+
+    expired.forEach(c => { c.expiry_notified_at = now; });
+
+    return { rows: expired.map(c => ({ ...c })), rowCount: expired.length };
+  }
+
+  // INSERT discount code (unique per creator and code)
+  if (text.includes('INSERT INTO discount_codes')) {
+    const [creatorWallet, code, type, percentBps, amountOff, maxRedemptions, contentIds, startsAt, endsAt] = params;
+
+    for (const d of storage.discounts.values()) {
+      if (d.creator_wallet === creatorWallet && d.code === code) {
+        return { rows: [], rowCount: 0 };
+      }
+    }
+
+    const discount = {
+      id: uuidv4(),
+      creator_wallet: creatorWallet,
+      code,
+      discount_type: type,
+      percent_bps: percentBps,
+      amount_off: amountOff,
+      max_redemptions: maxRedemptions,
+      redemptions: 0,
+      content_ids: JSON.parse(contentIds),
+      starts_at: startsAt,
+      ends_at: endsAt,
+      active: true,
+      created_at: new Date()
+    };
+
+    storage.discounts.set(discount.id, discount);
+
+    return { rows: [{ ...discount }], rowCount: 1 };
+  }
+
+  // SELECT discount codes (a creator's code, or all of them)
+  if (text.includes('SELECT') && text.includes('FROM discount_codes')) {
+    const discounts = Array.from(storage.discounts.values())
+      .filter(d => d.creator_wallet === params[0])
+      .filter(d => !text.includes('AND code =') || d.code === params[1])
+      .sort((a, b) => b.created_at - a.created_at);
+
+    return { rows: discounts.map(d => ({ ...d })), rowCount: discounts.length };
+  }
+
+  // UPDATE discount code (deactivate, reserve or release a redemption)
+  if (text.includes('UPDATE discount_codes')) {
+    const discount = storage.discounts.get(params[0]);
+
+    if (!discount) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    if (text.includes('SET active = false')) {
+      if (discount.creator_wallet !== params[1]) {
+        return { rows: [], rowCount: 0 };
+      }
+      discount.active = false;
+    } else if (text.includes('redemptions + 1')) {
+      if (!discount.active ||
+          (discount.max_redemptions !== null && discount.redemptions >= discount.max_redemptions)) {
+        return { rows: [], rowCount: 0 };
+      }
+      discount.redemptions += 1;
+    } else {
+      discount.redemptions = Math.max(discount.redemptions - 1, 0);
+    }
+
+    return { rows: [{ ...discount }], rowCount: 1 };
+  }
+
+  // INSERT price quote
+  if (text.includes('INSERT INTO price_quotes')) {
+    const [id, contentId, asset, mint, decimals, amount, minAmount, recipient, splits,
+      discountCodeId, discountAmount, cluster, signature, expiresAt] = params;
+
+    const quote = {
+      id,
+      content_id: contentId,
+      asset,
+      mint,
+      decimals,
+      amount,
+      min_amount: minAmount,
+      recipient_wallet: recipient,
+      splits: JSON.parse(splits),
+      discount_code_id: discountCodeId,
+      discount_amount: discountAmount,
+      cluster,
+      signature,
+      expires_at: expiresAt,
+      created_at: new Date()
+    };
+
+    storage.quotes.set(id, quote);
+
+    return { rows: [{ ...quote }], rowCount: 1 };
+  }
+
+  // SELECT price quote by ID
+  if (text.includes('FROM price_quotes')) {
+    const quote = storage.quotes.get(params[0]);
+    return { rows: quote ? [{ ...quote }] : [], rowCount: quote ? 1 : 0 };
+  }
+
+  // INSERT payment session
+  if (text.includes('INSERT INTO payment_sessions')) {
+    const id = uuidv4();
+    const [contentId, source, reference, recipient, asset, mint, decimals, amount, payerWallet, expiresAt,
+      cluster = 'mainnet-beta', splits = '[]', discountCodeId = null, discountAmount = null, minAmount = null,
+      quoteId = null, claimSecretHash = null] = params;
+
+    const session = {
+      id,
+      content_id: contentId,
+      source,
+      reference,
+      recipient_wallet: recipient,
+      asset,
+      mint,
+      decimals,
+      amount,
+      cluster,
+      splits: JSON.parse(splits),
+      discount_code_id: discountCodeId,
+      discount_amount: discountAmount,
+      min_amount: minAmount,
+      quote_id: quoteId,
+      payer_wallet: payerWallet,
+      status: 'pending',
+      status_reason: null,
+      transaction_signature: null,
+      payment_id: null,
+      claim_secret_hash: claimSecretHash,
+      expires_at: expiresAt,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    storage.sessions.set(id, session);
+
+    return { rows: [{ ...session }], rowCount: 1 };
+  }
+
+  // SELECT payment sessions (by id, by content, or open sessions for the watcher)
+  if (text.includes('SELECT') && text.includes('FROM payment_sessions')) {
+    let sessions = Array.from(storage.sessions.values());
+
+    if (text.includes('WHERE s.id =')) {
+      sessions = sessions.filter(s => s.id === params[0]);
+    } else if (text.includes('WHERE s.payment_id =')) {
+      sessions = sessions.filter(s => s.payment_id === params[0] && s.status === 'confirmed');
+    } else if (text.includes('WHERE s.quote_id =')) {
+      sessions = sessions
+        .filter(s => s.quote_id === params[0])
+        .sort((a, b) => b.created_at - a.created_at)
+        .slice(0, 1);
+    } else if (text.includes('WHERE s.content_id =')) {
+      const [contentId, sessionId, signature, payerWallet] = params;
+      sessions = sessions
+        .filter(s => s.content_id === contentId)
+        .filter(s => s.id === sessionId ||
+          (signature && s.transaction_signature === signature) ||
+          (payerWallet && s.payer_wallet === payerWallet))
+        .sort((a, b) => b.created_at - a.created_at);
+    } else {
+      const staleBefore = Date.now() - 60 * 1000;
+      sessions = sessions.filter(s => s.cluster === params[1])
+        .filter(s => s.status === 'pending' || s.status === 'confirmed' ||
+          (s.status === 'submitted' && s.updated_at.getTime() < staleBefore));
+    }
+
+    return { rows: sessions.map(withContentPolicies), rowCount: sessions.length };
+  }
+
+  // UPDATE payment session status (guarded by the current status)
+  if (text.includes('UPDATE payment_sessions')) {
+    const [id, fromStatus, toStatus, reason, signature, paymentId, payerWallet] = params;
+    const session = storage.sessions.get(id);
+
+    if (!session || session.status !== fromStatus) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    Object.assign(session, {
+      status: toStatus,
+      status_reason: reason,
+      transaction_signature: signature || session.transaction_signature,
+      payment_id: paymentId || session.payment_id,
+      payer_wallet: payerWallet || session.payer_wallet,
+      updated_at: new Date()
+    });
+
+    return { rows: [{ id }], rowCount: 1 };
+  }
+
+  // INSERT payment session event
+  if (text.includes('INSERT INTO payment_session_events')) {
+    const [sessionId, fromStatus, toStatus, reason, signature] = params;
+
+    storage.sessionEvents.push({
+      id: uuidv4(),
+      session_id: sessionId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason,
+      transaction_signature: signature,
+      created_at: new Date()
+    });
+
+    return { rows: [], rowCount: 1 };
+  }
+
+  // SELECT payment session events
+  if (text.includes('FROM payment_session_events')) {
+    const events = storage.sessionEvents.filter(e => params[0].includes(e.session_id));
+    return { rows: events, rowCount: events.length };
+  }
+
+  // UPSERT subscription: extend by a period from the current end, or from now once lapsed
+  if (text.includes('INSERT INTO subscriptions')) {
+    const [planId, creatorWallet, subscriberWallet, cluster, sandbox, period, grace] = params;
+    const key = `${planId}:${subscriberWallet}`;
+    const existing = storage.subscriptions.get(key);
+    const now = Date.now();
+
+    if (existing) {
+      const end = existing.current_period_end.getTime();
+      existing.current_period_end = new Date((end + grace * 1000 > now ? end : now) + period * 1000);
+      existing.renewals += 1;
+      existing.updated_at = new Date();
+      return { rows: [existing], rowCount: 1 };
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      plan_id: planId,
+      creator_wallet: creatorWallet,
+      subscriber_wallet: subscriberWallet,
+      cluster,
+      sandbox,
+      current_period_end: new Date(now + period * 1000),
+      renewals: 0,
+      created_at: new Date(),
+      updated_at: new Date()
+    };
+
+    storage.subscriptions.set(key, subscription);
+    return { rows: [subscription], rowCount: 1 };
+  }
+
+  // UPDATE subscription: take back a period
+  if (text.includes('UPDATE subscriptions')) {
+    const [planId, subscriberWallet, period] = params;
+    const subscription = storage.subscriptions.get(`${planId}:${subscriberWallet}`);
+
+    if (subscription) {
+      subscription.current_period_end = new Date(subscription.current_period_end.getTime() - period * 1000);
+      subscription.renewals = Math.max(subscription.renewals - 1, 0);
+      subscription.updated_at = new Date();
+    }
+
+    return { rows: subscription ? [subscription] : [], rowCount: subscription ? 1 : 0 };
+  }
+
+  // COUNT a creator's active and in-grace subscribers
+  if (text.includes('FROM subscriptions') && text.includes('COUNT')) {
+    const [creatorWallet, cluster, sandbox, grace] = params;
+    const now = Date.now();
+    let active = 0;
+    let inGrace = 0;
+
+    for (const sub of storage.subscriptions.values()) {
+      if (sub.creator_wallet !== creatorWallet || sub.cluster !== cluster || sub.sandbox !== sandbox) continue;
+      const end = sub.current_period_end.getTime();
+      if (end > now) active++;
+      else if (end + grace * 1000 > now) inGrace++;
+    }
+
+    return { rows: [{ active, in_grace: inGrace }], rowCount: 1 };
+  }
+
+  // SELECT a subscriber's subscription to a plan
+  if (text.includes('FROM subscriptions')) {
+    const subscription = storage.subscriptions.get(`${params[0]}:${params[1]}`);
+    return { rows: subscription ? [subscription] : [], rowCount: subscription ? 1 : 0 };
+  }
+
+  // SELECT a creator's subscription plan
+  if (text.includes('FROM content') && text.includes('WHERE creator_wallet =')) {
+    const [creatorWallet, type, cluster, sandbox] = params;
+    const rows = [...storage.content.values()].filter(c =>
+      c.creator_wallet === creatorWallet && c.content_type === type &&
+      c.cluster === cluster && c.sandbox === sandbox);
+    return { rows, rowCount: rows.length };
+  }
+
+  // UPDATE a subscription plan
+  if (text.includes('UPDATE content') && text.includes('SET original_filename')) {
+    const content = storage.content.get(params[7]);
+
+    if (!content) {
+      return { rows: [], rowCount: 0 };
+    }
+
+    const [filename, price, underpaymentToleranceUnits, overpaymentPolicy, assetPrices,
+      transferFeePayer, collaborators] = params;
+
+    Object.assign(content, {
+      original_filename: filename,
+      price_usdc: price,
+      underpayment_tolerance_units: underpaymentToleranceUnits,
+      overpayment_policy: overpaymentPolicy,
+      asset_prices: JSON.parse(assetPrices),
+      transfer_fee_payer: transferFeePayer,
+      collaborators: JSON.parse(collaborators)
+    });
+
+    return { rows: [content], rowCount: 1 };
+  }
+
+  // INSERT bundle item
+  if (text.includes('INSERT INTO bundle_items')) {
+    const [bundleId, contentId, position] = params;
+    storage.bundleItems.push({ bundle_id: bundleId, content_id: contentId, position });
+    return { rows: [], rowCount: 1 };
+  }
+
+  // SELECT bundle items (with their content) or check membership
+  if (text.includes('FROM bundle_items')) {
+    const items = storage.bundleItems
+      .filter(b => b.bundle_id === params[0])
+      .filter(b => !text.includes('AND content_id =') || b.content_id === params[1])
+      .sort((a, b) => a.position - b.position);
+
+    if (text.includes('JOIN content')) {
+      const rows = items.map(b => storage.content.get(b.content_id)).filter(Boolean);
+      return { rows, rowCount: rows.length };
+    }
+
+    return { rows: items.map(() => ({ '?column?': 1 })), rowCount: items.length };
+  }
+
+  // SELECT several content rows by ID
+  if (text.includes('FROM content') && text.includes('WHERE id = ANY')) {
+    const rows = params[0].map(id => storage.content.get(id)).filter(Boolean);
+    return { rows, rowCount: rows.length };
+  }
+
   // INSERT content
   if (text.includes('INSERT INTO content')) {
     const id = uuidv4();
-    const [type, path, filename, mimetype, price, wallet, expiresAt] = params;
+    const [type, path, filename, mimetype, price, wallet, expiresAt,
+      underpaymentToleranceUnits = '0', overpaymentPolicy = 'accept', assetPrices = '[]',
+      cluster = 'mainnet-beta', sandbox = false, transferFeePayer = 'buyer', collaborators = '[]',
+      pricingMode = 'fixed', suggestedPrice = null, priceSchedule = null, apiCallsPerPayment = null] = params;
 
     const content = {
       id,
@@ -31,6 +764,17 @@ export const query = async (text, params = []) => {
       price_usdc: price,
       creator_wallet: wallet,
       expires_at: expiresAt,
+      underpayment_tolerance_units: underpaymentToleranceUnits,
+      overpayment_policy: overpaymentPolicy,
+      asset_prices: JSON.parse(assetPrices),
+      cluster,
+      sandbox,
+      transfer_fee_payer: transferFeePayer,
+      collaborators: JSON.parse(collaborators),
+      pricing_mode: pricingMode,
+      suggested_price_usdc: suggestedPrice,
+      price_schedule: priceSchedule ? JSON.parse(priceSchedule) : null,
+      api_calls_per_payment: apiCallsPerPayment,
       views: 0,
       payments: 0,
       created_at: new Date()
@@ -72,31 +816,52 @@ export const query = async (text, params = []) => {
     return { rows: [], rowCount: 1 };
   }
 
-  // UPDATE payments
+  // UPDATE payments (counted up on payment, down when a dropped payment is revoked)
   if (text.includes('UPDATE content SET payments')) {
     const id = params[0];
     const content = storage.content.get(id);
 
     if (content) {
-      content.payments += 1;
+      content.payments = Math.max(content.payments + (text.includes('payments - 1') ? -1 : 1), 0);
       storage.content.set(id, content);
     }
 
-    return { rows: [], rowCount: 1 };
+    return { rows: content ? [content] : [], rowCount: content ? 1 : 0 };
   }
 
   // INSERT payment log
   if (text.includes('INSERT INTO payment_logs')) {
     const id = uuidv4();
-    const [contentId, payerWallet, amount, signature, status] = params;
+    const [contentId, payerWallet, amount, signature, status, asset = 'USDC', cluster = 'mainnet-beta',
+      sandbox = false, finality = 'confirmed'] = params;
+
+    // Emulate the unique index on transaction_signature
+    const duplicate = Array.from(storage.payments.values())
+      .some(p => p.transaction_signature === signature);
+
+    if (duplicate) {
+      if (text.includes('ON CONFLICT')) {
+        return { rows: [], rowCount: 0 };
+      }
+      const error = new Error('duplicate key value violates unique constraint');
+      error.code = '23505';
+      throw error;
+    }
 
     const payment = {
       id,
       content_id: contentId,
       payer_wallet: payerWallet,
       amount_usdc: amount,
+      asset,
+      cluster,
+      sandbox,
       transaction_signature: signature,
       payment_status: status,
+      finality_status: finality,
+      finality_checked_at: null,
+      finalized_at: null,
+      api_calls_used: 0,
       paid_at: new Date()
     };
 
@@ -108,13 +873,104 @@ export const query = async (text, params = []) => {
     };
   }
 
+  // UPDATE calls used on a proxied API payment
+  if (text.includes('UPDATE payment_logs') && text.includes('api_calls_used')) {
+    const [signature, contentId, limit] = params;
+    const payment = Array.from(storage.payments.values())
+      .find(p => p.transaction_signature === signature && p.content_id === contentId);
+
+    if (text.includes('api_calls_used + 1')) {
+      if (!payment || payment.payment_status !== 'completed' || payment.api_calls_used >= limit) {
+        return { rows: [], rowCount: 0 };
+      }
+      payment.api_calls_used += 1;
+    } else if (payment && payment.api_calls_used > 0) {
+      payment.api_calls_used -= 1;
+    }
+
+    return { rows: payment ? [payment] : [], rowCount: payment ? 1 : 0 };
+  }
+
+  // UPDATE a confirmed payment's finality (guarded by finality_status = 'confirmed')
+  if (text.includes('UPDATE payment_logs') && text.includes('finality_')) {
+    const payment = storage.payments.get(params[0]);
+
+    if (!payment || payment.finality_status !== 'confirmed') {
+      return { rows: [], rowCount: 0 };
+    }
+
+    payment.finality_checked_at = new Date();
+
+    if (params.length > 1) {
+      const [, status, revoke] = params;
+      payment.finality_status = status;
+      payment.finalized_at = status === 'finalized' ? new Date() : payment.finalized_at;
+      payment.payment_status = revoke ? 'failed' : payment.payment_status;
+    }
+
+    return { rows: [payment], rowCount: 1 };
+  }
+
+  // SELECT payments awaiting finality on a cluster, least recently checked first
+  if (text.includes('FROM payment_logs') && text.includes("finality_status = 'confirmed'")) {
+    const [limit, cluster] = params;
+    const payments = Array.from(storage.payments.values())
+      .filter(p => p.finality_status === 'confirmed' && p.cluster === cluster)
+      .sort((a, b) => (a.finality_checked_at || 0) - (b.finality_checked_at || 0))
+      .slice(0, limit);
+
+    return { rows: payments, rowCount: payments.length };
+  }
+
+  // INSERT payment recipient
+  if (text.includes('INSERT INTO payment_recipients')) {
+    const [paymentId, wallet, role, amount] = params;
+    storage.recipients.push({ id: uuidv4(), payment_id: paymentId, wallet, role, amount });
+    return { rows: [], rowCount: 1 };
+  }
+
+  // SELECT earnings per asset for a wallet
+  if (text.includes('FROM payment_logs') && text.includes('GROUP BY p.asset')) {
+    const totals = new Map();
+
+    for (const p of paymentSharesFor(params[0], params[1], params[2])) {
+      if (p.payment_status !== 'completed') continue;
+
+      const total = totals.get(p.asset) || { asset: p.asset, total_payments: 0, total_earned: 0 };
+      total.total_payments += 1;
+      total.total_earned += parseFloat(p.amount_received);
+      totals.set(p.asset, total);
+    }
+
+    return { rows: Array.from(totals.values()), rowCount: totals.size };
+  }
+
+  // SELECT payment history for a wallet
+  if (text.includes('FROM payment_logs') && text.includes('JOIN payment_recipients')) {
+    const [wallet, limit, offset, cluster, sandbox] = params;
+    const shares = paymentSharesFor(wallet, cluster, sandbox)
+      .sort((a, b) => b.paid_at - a.paid_at)
+      .slice(offset, offset + limit);
+
+    return { rows: shares, rowCount: shares.length };
+  }
+
   // SELECT payment logs
   if (text.includes('SELECT') && text.includes('FROM payment_logs')) {
     const payments = Array.from(storage.payments.values());
 
+    if (text.includes('WHERE transaction_signature =')) {
+      const filtered = payments.filter(p => p.transaction_signature === params[0]);
+      return {
+        rows: filtered,
+        rowCount: filtered.length
+      };
+    }
+
     if (text.includes('WHERE content_id =')) {
       const contentId = params[0];
-      const filtered = payments.filter(p => p.content_id === contentId);
+      const filtered = payments.filter(p => p.content_id === contentId &&
+        (!text.includes('AND transaction_signature =') || p.transaction_signature === params[1]));
 
       if (text.includes('COUNT')) {
         const total = filtered.filter(p => p.payment_status === 'completed').length;
@@ -5,34 +5,433 @@ CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
 CREATE TABLE IF NOT EXISTS content (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('file', 'text', 'link')),
+    -- Bundles sell the content listed in bundle_items at their own price; their title is original_filename.
+    -- A subscription row is a creator's subscription plan, priced per period.
+    -- An api row sells calls to the upstream base URL in content_path, which buyers never see
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('file', 'text', 'link', 'bundle', 'subscription', 'api')),
     content_path TEXT NOT NULL,
     original_filename VARCHAR(255),
     file_mimetype VARCHAR(100),
     price_usdc DECIMAL(10, 2) NOT NULL CHECK (price_usdc >= 0.01 AND price_usdc <= 100),
+    -- Pay what you want: price_usdc and asset_prices are minimums, and buyers choose any amount above them
+    pricing_mode VARCHAR(20) NOT NULL DEFAULT 'fixed' CHECK (pricing_mode IN ('fixed', 'pay_what_you_want')),
+    -- Amount offered to buyers by default in pay-what-you-want mode (USDC; other assets scale with their minimum)
+    suggested_price_usdc DECIMAL(10, 2) CHECK (suggested_price_usdc <= 100),
+    -- Time-based price changes (early-bird ranges or decay), see utils/priceSchedules.js
+    price_schedule JSONB,
+    -- Calls to a proxied API that one payment buys (1 = pay per call), see utils/proxiedApis.js
+    api_calls_per_payment INTEGER CHECK (api_calls_per_payment BETWEEN 1 AND 10000),
     creator_wallet VARCHAR(100) NOT NULL,
+    -- Shortfall (in USDC base units) the creator still accepts as full payment
+    underpayment_tolerance_units BIGINT NOT NULL DEFAULT 0 CHECK (underpayment_tolerance_units >= 0),
+    overpayment_policy VARCHAR(10) NOT NULL DEFAULT 'accept' CHECK (overpayment_policy IN ('accept', 'reject')),
+    -- Who absorbs Token-2022 transfer fees: the buyer (creator nets the full price) or the creator
+    transfer_fee_payer VARCHAR(10) NOT NULL DEFAULT 'buyer' CHECK (transfer_fee_payer IN ('buyer', 'creator')),
+    -- Revenue shares of co-authors: [{wallet, bps}] summing to 10000; empty means the creator gets everything
+    collaborators JSONB NOT NULL DEFAULT '[]',
+    -- Prices in assets other than USDC: [{ asset, mint, decimals, priceUnits, underpaymentToleranceUnits }]
+    asset_prices JSONB NOT NULL DEFAULT '[]',
+    -- Solana cluster the content is sold on; payments from other clusters never unlock it
+    cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    -- Created in sandbox mode: unlocked by simulated payments, never sold by a live server
+    sandbox BOOLEAN NOT NULL DEFAULT false,
     views INTEGER DEFAULT 0,
     payments INTEGER DEFAULT 0,
     expires_at TIMESTAMP,
+    -- When the content.expired webhook event went out (see utils/webhooks.js)
+    expiry_notified_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Content sold as part of a bundle (bundle_id is a content row of type 'bundle')
+CREATE TABLE IF NOT EXISTS bundle_items (
+    bundle_id UUID NOT NULL REFERENCES content(id) ON DELETE CASCADE,
+    content_id UUID NOT NULL REFERENCES content(id) ON DELETE CASCADE,
+    position SMALLINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (bundle_id, content_id)
+);
+
+-- Subscriptions to creators' plans; every plan payment extends current_period_end by one period
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    plan_id UUID NOT NULL REFERENCES content(id) ON DELETE CASCADE,
+    creator_wallet VARCHAR(100) NOT NULL,
+    subscriber_wallet VARCHAR(100) NOT NULL,
+    cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    sandbox BOOLEAN NOT NULL DEFAULT false,
+    current_period_end TIMESTAMP NOT NULL,
+    renewals INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (plan_id, subscriber_wallet)
+);
+
 -- Table for tracking payments
 CREATE TABLE IF NOT EXISTS payment_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     content_id UUID REFERENCES content(id) ON DELETE CASCADE,
     payer_wallet VARCHAR(100),
-    amount_usdc DECIMAL(10, 2) NOT NULL,
+    -- Amount paid, denominated in `asset` (the column predates multi-asset pricing)
+    amount_usdc DECIMAL(27, 9) NOT NULL,
+    asset VARCHAR(10) NOT NULL DEFAULT 'USDC',
+    cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    -- Recorded in sandbox mode (simulated or test payments); excluded from live revenue
+    sandbox BOOLEAN NOT NULL DEFAULT false,
     transaction_signature VARCHAR(255),
     payment_status VARCHAR(20) DEFAULT 'pending' CHECK (payment_status IN ('pending', 'completed', 'failed')),
+    -- Finality of the payment's transaction: confirmed when recorded, then finalized or dropped
+    -- (utils/finality.js). NULL for payments without a transaction (credit, simulated) and those
+    -- recorded before finality was tracked
+    finality_status VARCHAR(20) DEFAULT 'confirmed' CHECK (finality_status IN ('confirmed', 'finalized', 'dropped')),
+    finality_checked_at TIMESTAMP,
+    finalized_at TIMESTAMP,
+    -- Calls made through the proxy on this payment (proxied APIs only)
+    api_calls_used INTEGER NOT NULL DEFAULT 0 CHECK (api_calls_used >= 0),
     paid_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- What each recipient of a payment received (creator, platform treasury, collaborators)
+CREATE TABLE IF NOT EXISTS payment_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES payment_logs(id) ON DELETE CASCADE,
+    wallet VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('creator', 'platform', 'collaborator')),
+    -- Amount received, denominated in the payment's asset
+    amount DECIMAL(27, 9) NOT NULL,
+    UNIQUE (payment_id, wallet)
+);
+
+-- Creator discount codes (code is stored upper-case; redemptions counts open and paid sessions using it)
+CREATE TABLE IF NOT EXISTS discount_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    creator_wallet VARCHAR(100) NOT NULL,
+    code VARCHAR(32) NOT NULL,
+    discount_type VARCHAR(10) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    -- Percentage discounts, in basis points
+    percent_bps INTEGER CHECK (percent_bps BETWEEN 1 AND 9999),
+    -- Fixed discounts, in USD (USD stablecoin payments only)
+    amount_off DECIMAL(27, 9) CHECK (amount_off > 0),
+    max_redemptions INTEGER CHECK (max_redemptions > 0),
+    redemptions INTEGER NOT NULL DEFAULT 0,
+    -- Content IDs the code is limited to; empty applies to all the creator's content
+    content_ids JSONB NOT NULL DEFAULT '[]',
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (creator_wallet, code)
+);
+
+-- Price quotes: the terms a buyer was offered, locked until expires_at and signed by the backend
+CREATE TABLE IF NOT EXISTS price_quotes (
+    id UUID PRIMARY KEY,
+    content_id UUID REFERENCES content(id) ON DELETE CASCADE,
+    asset VARCHAR(10) NOT NULL,
+    mint VARCHAR(100),
+    decimals SMALLINT NOT NULL,
+    amount DECIMAL(27, 9) NOT NULL,
+    -- Pay-what-you-want quotes: the least that unlocks the content
+    min_amount DECIMAL(27, 9),
+    recipient_wallet VARCHAR(100) NOT NULL,
+    -- One leg per recipient: [{wallet, role, bps, amountUnits}]
+    splits JSONB NOT NULL,
+    discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(27, 9),
+    cluster VARCHAR(20) NOT NULL CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    -- HMAC of the terms (see utils/priceQuotes.js)
+    signature VARCHAR(100) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment sessions: one row per payment attempt (Solana Pay sessions are found on-chain by their reference key)
+CREATE TABLE IF NOT EXISTS payment_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    content_id UUID REFERENCES content(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL DEFAULT 'solana_pay' CHECK (source IN ('solana_pay', 'direct', 'x402')),
+    reference VARCHAR(100) UNIQUE,
+    recipient_wallet VARCHAR(100) NOT NULL,
+    asset VARCHAR(10) NOT NULL DEFAULT 'USDC',
+    mint VARCHAR(100),
+    decimals SMALLINT NOT NULL DEFAULT 6,
+    amount DECIMAL(27, 9) NOT NULL,
+    cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    -- Payment legs locked in at creation: [{wallet, role, bps, amountUnits}]; empty (older sessions) pays recipient_wallet in full
+    splits JSONB NOT NULL DEFAULT '[]',
+    -- Discount code applied, and how much it took off the price (in the session's asset)
+    discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL,
+    discount_amount DECIMAL(27, 9),
+    -- Pay-what-you-want sessions: the least that unlocks the content (amount is what the buyer chose to pay)
+    min_amount DECIMAL(27, 9),
+    -- Quote the session pays; its terms are copied above
+    quote_id UUID REFERENCES price_quotes(id) ON DELETE SET NULL,
+    payer_wallet VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'confirmed', 'finalized', 'expired', 'failed')),
+    status_reason TEXT,
+    transaction_signature VARCHAR(255),
+    payment_id UUID REFERENCES payment_logs(id) ON DELETE SET NULL,
+    -- SHA-256 of the secret the opening client claims a Solana Pay session's access token with
+    claim_secret_hash VARCHAR(64),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Payment session transitions (from_status = to_status records an attempt that didn't change state)
+CREATE TABLE IF NOT EXISTS payment_session_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID REFERENCES payment_sessions(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    transaction_signature VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Prepaid credit balances, one per buyer wallet, cluster and mode (see utils/credits.js)
+CREATE TABLE IF NOT EXISTS credit_accounts (
+    wallet VARCHAR(100) NOT NULL,
+    cluster VARCHAR(20) NOT NULL CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    sandbox BOOLEAN NOT NULL DEFAULT false,
+    -- USDC base units; negative only after a dropped deposit was reversed once it had been spent
+    balance_units BIGINT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (wallet, cluster, sandbox)
+);
+
+-- Credit withdrawal requests; the amount leaves the balance when requested and returns if cancelled or rejected
+CREATE TABLE IF NOT EXISTS credit_withdrawals (
+    id UUID PRIMARY KEY,
+    wallet VARCHAR(100) NOT NULL,
+    cluster VARCHAR(20) NOT NULL CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    sandbox BOOLEAN NOT NULL DEFAULT false,
+    amount_units BIGINT NOT NULL CHECK (amount_units > 0),
+    destination_wallet VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'completed', 'cancelled', 'rejected')),
+    -- Payout transaction (completed withdrawals)
+    transaction_signature VARCHAR(255),
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every change to a credit balance, with the balance after it
+CREATE TABLE IF NOT EXISTS credit_ledger (
+    id UUID PRIMARY KEY,
+    wallet VARCHAR(100) NOT NULL,
+    cluster VARCHAR(20) NOT NULL CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    sandbox BOOLEAN NOT NULL DEFAULT false,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('deposit', 'purchase', 'refund', 'withdrawal', 'withdrawal_refund', 'reversal')),
+    -- USDC base units; negative for purchases, withdrawals and reversals of dropped deposits
+    amount_units BIGINT NOT NULL,
+    balance_units BIGINT NOT NULL,
+    content_id UUID REFERENCES content(id) ON DELETE SET NULL,
+    -- Payment recorded for a purchase (its signature is credit_<ledger entry id>)
+    payment_id UUID REFERENCES payment_logs(id) ON DELETE SET NULL,
+    withdrawal_id UUID REFERENCES credit_withdrawals(id) ON DELETE SET NULL,
+    -- Deposit transaction (and the reversal of a dropped deposit)
+    transaction_signature VARCHAR(255),
+    -- On-chain deposits: confirmed when credited, then finalized or dropped (utils/finality.js)
+    finality_status VARCHAR(20) CHECK (finality_status IN ('confirmed', 'finalized', 'dropped')),
+    finality_checked_at TIMESTAMP,
+    finalized_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every transaction signature claimed as a payment or as a credit deposit, so one transfer is never used as both
+CREATE TABLE IF NOT EXISTS transaction_claims (
+    transaction_signature VARCHAR(255) PRIMARY KEY,
+    claimed_as VARCHAR(20) NOT NULL CHECK (claimed_as IN ('payment', 'credit_deposit')),
+    claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Claims of the payments and deposits recorded before the table existed
+INSERT INTO transaction_claims (transaction_signature, claimed_as)
+SELECT DISTINCT transaction_signature, 'payment' FROM payment_logs WHERE transaction_signature IS NOT NULL
+ON CONFLICT (transaction_signature) DO NOTHING;
+
+INSERT INTO transaction_claims (transaction_signature, claimed_as)
+SELECT transaction_signature, 'credit_deposit' FROM credit_ledger
+WHERE entry_type = 'deposit' AND transaction_signature IS NOT NULL
+ON CONFLICT (transaction_signature) DO NOTHING;
+
+-- Creator webhooks: events are POSTed to url, signed with secret (see utils/webhooks.js)
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    creator_wallet VARCHAR(100) NOT NULL,
+    url VARCHAR(2000) NOT NULL,
+    -- Event types the webhook is subscribed to
+    events JSONB NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per event sent to a webhook, retried with backoff until delivered or out of attempts
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    -- Shared by every delivery of the same event, replays included, so receivers can deduplicate
+    event_id UUID NOT NULL,
+    event_type VARCHAR(40) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    replay_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Upgrades of databases created by earlier versions of this file (CREATE TABLE IF NOT EXISTS leaves
+-- existing tables as they are). Every statement can run again, so the whole file can be re-run to upgrade.
+
+ALTER TABLE content
+    ADD COLUMN IF NOT EXISTS pricing_mode VARCHAR(20) NOT NULL DEFAULT 'fixed' CHECK (pricing_mode IN ('fixed', 'pay_what_you_want')),
+    ADD COLUMN IF NOT EXISTS suggested_price_usdc DECIMAL(10, 2) CHECK (suggested_price_usdc <= 100),
+    ADD COLUMN IF NOT EXISTS price_schedule JSONB,
+    ADD COLUMN IF NOT EXISTS api_calls_per_payment INTEGER CHECK (api_calls_per_payment BETWEEN 1 AND 10000),
+    ADD COLUMN IF NOT EXISTS underpayment_tolerance_units BIGINT NOT NULL DEFAULT 0 CHECK (underpayment_tolerance_units >= 0),
+    ADD COLUMN IF NOT EXISTS overpayment_policy VARCHAR(10) NOT NULL DEFAULT 'accept' CHECK (overpayment_policy IN ('accept', 'reject')),
+    ADD COLUMN IF NOT EXISTS transfer_fee_payer VARCHAR(10) NOT NULL DEFAULT 'buyer' CHECK (transfer_fee_payer IN ('buyer', 'creator')),
+    ADD COLUMN IF NOT EXISTS collaborators JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS asset_prices JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    ADD COLUMN IF NOT EXISTS sandbox BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE content DROP CONSTRAINT IF EXISTS content_content_type_check;
+ALTER TABLE content ADD CONSTRAINT content_content_type_check
+    CHECK (content_type IN ('file', 'text', 'link', 'bundle', 'subscription', 'api'));
+
+-- Content that expired before expiry events existed is marked notified, so no stale events go out
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_name = 'content' AND column_name = 'expiry_notified_at') THEN
+        ALTER TABLE content ADD COLUMN expiry_notified_at TIMESTAMP;
+        UPDATE content SET expiry_notified_at = expires_at WHERE expires_at <= CURRENT_TIMESTAMP;
+    END IF;
+END $$;
+
+ALTER TABLE payment_logs ALTER COLUMN amount_usdc TYPE DECIMAL(27, 9);
+ALTER TABLE payment_logs
+    ADD COLUMN IF NOT EXISTS asset VARCHAR(10) NOT NULL DEFAULT 'USDC',
+    ADD COLUMN IF NOT EXISTS cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    ADD COLUMN IF NOT EXISTS sandbox BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS finality_checked_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS api_calls_used INTEGER NOT NULL DEFAULT 0 CHECK (api_calls_used >= 0);
+
+-- Payments recorded before finality was tracked are left NULL; only new payments start out confirmed
+ALTER TABLE payment_logs
+    ADD COLUMN IF NOT EXISTS finality_status VARCHAR(20) CHECK (finality_status IN ('confirmed', 'finalized', 'dropped'));
+ALTER TABLE payment_logs ALTER COLUMN finality_status SET DEFAULT 'confirmed';
+
+-- Signatures claimed more than once before the unique index existed: the earliest payment keeps it.
+-- The later payments are kept too, marked failed and without the signature, which is recorded here
+CREATE TABLE IF NOT EXISTS duplicate_payment_signatures (
+    payment_id UUID PRIMARY KEY REFERENCES payment_logs(id) ON DELETE CASCADE,
+    transaction_signature VARCHAR(255) NOT NULL,
+    original_payment_id UUID REFERENCES payment_logs(id) ON DELETE SET NULL,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO duplicate_payment_signatures (payment_id, transaction_signature, original_payment_id)
+SELECT DISTINCT ON (duplicate.id) duplicate.id, duplicate.transaction_signature, original.id
+FROM payment_logs duplicate
+JOIN payment_logs original
+  ON original.transaction_signature = duplicate.transaction_signature
+ AND (original.paid_at, original.id) < (duplicate.paid_at, duplicate.id)
+ORDER BY duplicate.id, original.paid_at, original.id
+ON CONFLICT (payment_id) DO NOTHING;
+
+UPDATE payment_logs p
+SET payment_status = 'failed', transaction_signature = NULL, finality_status = NULL
+FROM duplicate_payment_signatures d
+WHERE d.payment_id = p.id AND p.transaction_signature IS NOT NULL;
+
+-- Payment sessions started out Solana Pay only, in USDC
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_name = 'payment_sessions' AND column_name = 'amount_usdc') THEN
+        ALTER TABLE payment_sessions RENAME COLUMN amount_usdc TO amount;
+    END IF;
+END $$;
+
+ALTER TABLE payment_sessions ALTER COLUMN amount TYPE DECIMAL(27, 9);
+ALTER TABLE payment_sessions ALTER COLUMN reference DROP NOT NULL;
+ALTER TABLE payment_sessions
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'solana_pay' CHECK (source IN ('solana_pay', 'direct', 'x402')),
+    ADD COLUMN IF NOT EXISTS asset VARCHAR(10) NOT NULL DEFAULT 'USDC',
+    ADD COLUMN IF NOT EXISTS mint VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS decimals SMALLINT NOT NULL DEFAULT 6,
+    ADD COLUMN IF NOT EXISTS cluster VARCHAR(20) NOT NULL DEFAULT 'mainnet-beta' CHECK (cluster IN ('mainnet-beta', 'devnet', 'localnet')),
+    ADD COLUMN IF NOT EXISTS splits JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS discount_code_id UUID REFERENCES discount_codes(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(27, 9),
+    ADD COLUMN IF NOT EXISTS min_amount DECIMAL(27, 9),
+    ADD COLUMN IF NOT EXISTS quote_id UUID REFERENCES price_quotes(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS status_reason TEXT,
+    ADD COLUMN IF NOT EXISTS claim_secret_hash VARCHAR(64);
+
+ALTER TABLE payment_sessions DROP CONSTRAINT IF EXISTS payment_sessions_status_check;
+ALTER TABLE payment_sessions ADD CONSTRAINT payment_sessions_status_check
+    CHECK (status IN ('pending', 'submitted', 'confirmed', 'finalized', 'expired', 'failed'));
+
+-- Credit deposits credited before their finality was tracked stay NULL
+ALTER TABLE credit_ledger
+    ADD COLUMN IF NOT EXISTS finality_status VARCHAR(20) CHECK (finality_status IN ('confirmed', 'finalized', 'dropped')),
+    ADD COLUMN IF NOT EXISTS finality_checked_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS finalized_at TIMESTAMP;
+
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_entry_type_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_entry_type_check
+    CHECK (entry_type IN ('deposit', 'purchase', 'refund', 'withdrawal', 'withdrawal_refund', 'reversal'));
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_balance_units_check;
+ALTER TABLE credit_accounts DROP CONSTRAINT IF EXISTS credit_accounts_balance_units_check;
+
+-- Replaced by idx_payment_sessions_open, which gained a leading cluster column
+DROP INDEX IF EXISTS idx_payment_sessions_pending;
+DROP INDEX IF EXISTS idx_payment_sessions_open;
+
 -- Index for faster lookups
-CREATE INDEX idx_content_id ON content(id);
-CREATE INDEX idx_content_created_at ON content(created_at DESC);
-CREATE INDEX idx_payment_content_id ON payment_logs(content_id);
+CREATE INDEX IF NOT EXISTS idx_content_id ON content(id);
+CREATE INDEX IF NOT EXISTS idx_content_created_at ON content(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_content_id ON payment_logs(content_id);
+
+-- Replay guard: each on-chain signature can be claimed once, for one content ID
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_signature_unique ON payment_logs(transaction_signature);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_items_content ON bundle_items(content_id);
+
+-- One subscription plan per creator, cluster and mode
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_subscription_plan ON content(creator_wallet, cluster, sandbox)
+    WHERE content_type = 'subscription';
+CREATE INDEX IF NOT EXISTS idx_subscriptions_creator ON subscriptions(creator_wallet, current_period_end);
+
+CREATE INDEX IF NOT EXISTS idx_payment_recipients_wallet ON payment_recipients(wallet);
+CREATE INDEX IF NOT EXISTS idx_payment_logs_unfinalized ON payment_logs(cluster, finality_checked_at) WHERE finality_status = 'confirmed';
+
+CREATE INDEX IF NOT EXISTS idx_payment_sessions_open ON payment_sessions(cluster, updated_at) WHERE status IN ('pending', 'submitted', 'confirmed');
+CREATE INDEX IF NOT EXISTS idx_payment_sessions_content ON payment_sessions(content_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_sessions_signature ON payment_sessions(transaction_signature);
+CREATE INDEX IF NOT EXISTS idx_payment_sessions_quote ON payment_sessions(quote_id);
+CREATE INDEX IF NOT EXISTS idx_price_quotes_content ON price_quotes(content_id);
+CREATE INDEX IF NOT EXISTS idx_payment_session_events_session ON payment_session_events(session_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_deposit_signature ON credit_ledger(transaction_signature) WHERE entry_type = 'deposit';
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_unfinalized ON credit_ledger(cluster, sandbox, finality_checked_at)
+    WHERE entry_type = 'deposit' AND finality_status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_wallet ON credit_ledger(wallet, cluster, sandbox, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_withdrawals_status ON credit_withdrawals(cluster, sandbox, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_content_unnotified_expiry ON content(expires_at) WHERE expiry_notified_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_webhooks_creator ON webhooks(creator_wallet) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
 
 -- Trigger to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -43,5 +442,6 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+DROP TRIGGER IF EXISTS update_content_updated_at ON content;
 CREATE TRIGGER update_content_updated_at BEFORE UPDATE ON content
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
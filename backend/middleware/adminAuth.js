@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+/**
+ * Admin Authentication Middleware
+ * Requires the ADMIN_API_KEY as a Bearer token. Admin endpoints are disabled
+ * (403) when no key is configured.
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(403).json({
+      error: 'Admin API disabled',
+      message: 'Set ADMIN_API_KEY to use admin endpoints'
+    });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(adminKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      error: 'Admin key required',
+      message: 'Send the admin API key as a Bearer token'
+    });
+  }
+
+  next();
+};
+
+export default requireAdmin;
@@ -0,0 +1,33 @@
+import { getTokenCreator } from '../utils/creatorAuth.js';
+
+/**
+ * Creator Authentication Middleware
+ * Requires a creator token (see POST /api/creator/login) as a Bearer token
+ * and exposes the creator's wallet as req.creatorWallet.
+ */
+export const requireCreator = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const wallet = token ? getTokenCreator(token) : null;
+
+  if (!wallet) {
+    return res.status(401).json({
+      error: 'Creator login required',
+      message: 'Sign in with your creator wallet and send the token as a Bearer token'
+    });
+  }
+
+  req.creatorWallet = wallet;
+  next();
+};
+
+/**
+ * Validate a creator's request body as coming from the logged-in creator
+ * Use after requireCreator and before validateUploadRequest (or another validator needing creatorWallet).
+ */
+export const asCreatorUpload = (req, res, next) => {
+  req.body.creatorWallet = req.creatorWallet;
+  next();
+};
+
+export default requireCreator;
@@ -0,0 +1,24 @@
+import { getTokenCreditHolder } from '../utils/credits.js';
+
+/**
+ * Credit Authentication Middleware
+ * Requires a credit token (see POST /api/credits/login) as a Bearer token
+ * and exposes the buyer's wallet as req.creditWallet.
+ */
+export const requireCreditHolder = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const wallet = token ? getTokenCreditHolder(token) : null;
+
+  if (!wallet) {
+    return res.status(401).json({
+      error: 'Credit login required',
+      message: 'Sign in with your wallet and send the credit token as a Bearer token'
+    });
+  }
+
+  req.creditWallet = wallet;
+  next();
+};
+
+export default requireCreditHolder;
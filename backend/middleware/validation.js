@@ -1,6 +1,13 @@
 import { PublicKey } from '@solana/web3.js';
 import validator from 'validator';
 import DOMPurify from 'isomorphic-dompurify';
+import { parseAssetPrices } from '../utils/assets.js';
+import { parseCollaborators } from '../utils/splits.js';
+import { PRICING_MODES } from '../utils/pricing.js';
+import { parsePriceSchedule } from '../utils/priceSchedules.js';
+import { API_CONTENT_TYPE, parseApiUpstream, parseCallsPerPayment } from '../utils/proxiedApis.js';
+import { isSandboxMode, isSandboxSignature } from '../utils/sandbox.js';
+import { isCreditDepositWallet } from '../utils/credits.js';
 
 /**
  * Input Validation Middleware
@@ -66,10 +73,41 @@ export const isValidExpiration = (expiresIn) => {
  * Validate content type
  */
 export const isValidContentType = (type) => {
-  const validTypes = ['file', 'text', 'link'];
+  const validTypes = ['file', 'text', 'link', API_CONTENT_TYPE];
   return validTypes.includes(type);
 };
 
+/**
+ * Validate pricing mode
+ */
+export const isValidPricingMode = (mode) => {
+  return PRICING_MODES.includes(mode);
+};
+
+/**
+ * Validate overpayment policy
+ */
+export const isValidOverpaymentPolicy = (policy) => {
+  return ['accept', 'reject'].includes(policy);
+};
+
+/**
+ * Validate who absorbs Token-2022 transfer fees
+ */
+export const isValidTransferFeePayer = (payer) => {
+  return ['buyer', 'creator'].includes(payer);
+};
+
+/**
+ * Validate underpayment tolerance (USDC, up to 6 decimals, less than the price)
+ */
+export const isValidUnderpaymentTolerance = (tolerance, price) => {
+  const toleranceNum = parseFloat(tolerance);
+  return /^\d+(\.\d{1,6})?$/.test(String(tolerance)) &&
+         toleranceNum >= 0 &&
+         toleranceNum < parseFloat(price);
+};
+
 /**
  * Sanitize text input with enhanced XSS protection
  */
@@ -128,7 +166,7 @@ export const sanitizeUrl = (url) => {
  * Middleware: Validate content ID parameter
  */
 export const validateContentId = (req, res, next) => {
-  const { id } = req.params;
+  const id = req.params.id || req.params.contentId || req.body?.contentId;
 
   if (!id || !isValidUUID(id)) {
     return res.status(400).json({
@@ -140,6 +178,38 @@ export const validateContentId = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware: Validate payment session ID parameter
+ */
+export const validateSessionId = (req, res, next) => {
+  const { sessionId } = req.params;
+
+  if (!sessionId || !isValidUUID(sessionId)) {
+    return res.status(400).json({
+      error: 'Invalid session ID',
+      message: 'Session ID must be a valid UUID'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware: Validate price quote ID parameter
+ */
+export const validateQuoteId = (req, res, next) => {
+  const { quoteId } = req.params;
+
+  if (!quoteId || !isValidUUID(quoteId)) {
+    return res.status(400).json({
+      error: 'Invalid quote ID',
+      message: 'Quote ID must be a valid UUID'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware: Validate upload request
  */
@@ -162,11 +232,19 @@ export const validateUploadRequest = (req, res, next) => {
     });
   }
 
+  // The credit deposit wallet only takes deposits, so no sale is ever paid to it
+  if (isCreditDepositWallet(creatorWallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Creator wallet can\'t be the credit deposit wallet'
+    });
+  }
+
   // Validate content type
   if (contentType && !isValidContentType(contentType)) {
     return res.status(400).json({
       error: 'Invalid content type',
-      message: 'Content type must be file, text, or link'
+      message: 'Content type must be file, text, link, or api'
     });
   }
 
@@ -178,6 +256,93 @@ export const validateUploadRequest = (req, res, next) => {
     });
   }
 
+  // Validate pay-what-you-want pricing; price is then the minimum
+  if (req.body.pricingMode && !isValidPricingMode(req.body.pricingMode)) {
+    return res.status(400).json({
+      error: 'Invalid pricing mode',
+      message: 'Pricing mode must be fixed or pay_what_you_want'
+    });
+  }
+
+  if (req.body.suggestedPrice !== undefined && req.body.suggestedPrice !== '') {
+    if (req.body.pricingMode !== 'pay_what_you_want') {
+      return res.status(400).json({
+        error: 'Invalid suggested price',
+        message: 'A suggested price only applies to pay-what-you-want content'
+      });
+    }
+
+    if (!isValidPrice(req.body.suggestedPrice) || parseFloat(req.body.suggestedPrice) < parseFloat(price)) {
+      return res.status(400).json({
+        error: 'Invalid suggested price',
+        message: 'Suggested price must be at least the minimum price and at most $100'
+      });
+    }
+  }
+
+  // Validate payment policies
+  if (req.body.overpaymentPolicy && !isValidOverpaymentPolicy(req.body.overpaymentPolicy)) {
+    return res.status(400).json({
+      error: 'Invalid overpayment policy',
+      message: 'Overpayment policy must be accept or reject'
+    });
+  }
+
+  if (req.body.transferFeePayer && !isValidTransferFeePayer(req.body.transferFeePayer)) {
+    return res.status(400).json({
+      error: 'Invalid transfer fee payer',
+      message: 'Transfer fee payer must be buyer or creator'
+    });
+  }
+
+  if (req.body.underpaymentTolerance !== undefined &&
+      !isValidUnderpaymentTolerance(req.body.underpaymentTolerance, price)) {
+    return res.status(400).json({
+      error: 'Invalid underpayment tolerance',
+      message: 'Underpayment tolerance must be a USDC amount below the price'
+    });
+  }
+
+  // Validate additional asset prices
+  if (req.body.acceptedAssets !== undefined) {
+    try {
+      parseAssetPrices(req.body.acceptedAssets);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid accepted assets',
+        message: error.message
+      });
+    }
+  }
+
+  // Validate collaborator revenue shares
+  if (req.body.collaborators !== undefined) {
+    try {
+      const collaborators = parseCollaborators(req.body.collaborators, req.body.creatorWallet);
+
+      if (collaborators.some(({ wallet }) => isCreditDepositWallet(wallet))) {
+        throw new Error('A collaborator can\'t be the credit deposit wallet');
+      }
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid collaborators',
+        message: error.message
+      });
+    }
+  }
+
+  // Validate time-based price changes
+  if (req.body.priceSchedule !== undefined) {
+    try {
+      parsePriceSchedule(req.body.priceSchedule, price);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid price schedule',
+        message: error.message
+      });
+    }
+  }
+
   // Sanitize text content if provided
   if (req.body.textContent) {
     req.body.textContent = sanitizeText(req.body.textContent);
@@ -200,6 +365,36 @@ export const validateUploadRequest = (req, res, next) => {
     }
   }
 
+  // Validate the upstream of a proxied API and how many calls a payment buys
+  if (req.body.apiUrl) {
+    try {
+      req.body.apiUrl = parseApiUpstream(req.body.apiUrl);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid API URL',
+        message: error.message
+      });
+    }
+  }
+
+  if (req.body.callsPerPayment !== undefined) {
+    if (!req.body.apiUrl) {
+      return res.status(400).json({
+        error: 'Invalid calls per payment',
+        message: 'Calls per payment only apply to proxied APIs'
+      });
+    }
+
+    try {
+      parseCallsPerPayment(req.body.callsPerPayment);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid calls per payment',
+        message: error.message
+      });
+    }
+  }
+
   next();
 };
 
@@ -225,9 +420,10 @@ export const validatePaymentRequest = (req, res, next) => {
     });
   }
 
-  // Validate signature format (base58 string, 87-88 characters for Solana)
-  const signatureRegex = /^[1-9A-HJ-NP-Za-km-z]{87,88}$|^sim_/;
-  if (!signatureRegex.test(transactionSignature)) {
+  // Validate signature format (base58 string, 87-88 characters for Solana; sim_ in sandbox mode)
+  const signatureRegex = /^[1-9A-HJ-NP-Za-km-z]{87,88}$/;
+  const isSimulated = isSandboxMode() && isSandboxSignature(transactionSignature);
+  if (!isSimulated && !signatureRegex.test(transactionSignature)) {
     return res.status(400).json({
       error: 'Invalid transaction signature format',
       message: 'Transaction signature must be a valid Solana signature'
@@ -244,6 +440,22 @@ export const validatePaymentRequest = (req, res, next) => {
     }
   }
 
+  // Validate payment session if provided
+  if (req.body.sessionId && !isValidUUID(req.body.sessionId)) {
+    return res.status(400).json({
+      error: 'Invalid session ID',
+      message: 'Session ID must be a valid UUID'
+    });
+  }
+
+  // Validate price quote if provided
+  if (req.body.quoteId && !isValidUUID(req.body.quoteId)) {
+    return res.status(400).json({
+      error: 'Invalid quote ID',
+      message: 'Quote ID must be a valid UUID'
+    });
+  }
+
   next();
 };
 
@@ -286,6 +498,8 @@ export const sanitizeRequest = (req, res, next) => {
 
 export default {
   validateContentId,
+  validateSessionId,
+  validateQuoteId,
   validateUploadRequest,
   validatePaymentRequest,
   validateWalletAddress,
@@ -293,6 +507,10 @@ export default {
   isValidUUID,
   isValidSolanaAddress,
   isValidPrice,
+  isValidPricingMode,
+  isValidOverpaymentPolicy,
+  isValidTransferFeePayer,
+  isValidUnderpaymentTolerance,
   sanitizeText,
   sanitizeUrl
 };
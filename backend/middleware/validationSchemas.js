@@ -270,20 +270,24 @@ export const schemas = {
 
 /**
  * Validation middleware factory
+ * Takes one of the schemas above, or a plain object of { body, params, query, file, files } schemas
  */
 export const validate = (schema) => {
+  const joiSchema = Joi.isSchema(schema) ? schema : Joi.object(schema);
+  const parts = Object.keys(joiSchema.describe().keys || {});
+
   return (req, res, next) => {
     // Build validation object
     const validationObject = {};
 
-    if (schema.body) validationObject.body = req.body;
-    if (schema.params) validationObject.params = req.params;
-    if (schema.query) validationObject.query = req.query;
-    if (schema.file && req.file) validationObject.file = req.file;
-    if (schema.files && req.files) validationObject.files = req.files;
+    if (parts.includes('body')) validationObject.body = req.body;
+    if (parts.includes('params')) validationObject.params = req.params;
+    if (parts.includes('query')) validationObject.query = req.query;
+    if (parts.includes('file') && req.file) validationObject.file = req.file;
+    if (parts.includes('files') && req.files) validationObject.files = req.files;
 
     // Perform validation
-    const { error, value } = Joi.object(schema).validate(validationObject, {
+    const { error, value } = joiSchema.validate(validationObject, {
       abortEarly: false,
       stripUnknown: true,
       convert: true
@@ -1,86 +1,343 @@
-import axios from 'axios';
+import { VersionedTransaction } from '@solana/web3.js';
 import { query } from '../db/index.js';
-import { verifyAccessToken } from '../utils/jwt.js';
+import { generateAccessToken, verifyAccessToken } from '../utils/jwt.js';
+import { toBaseUnits, fromBaseUnits, quoteTokenTransfer, verifySolanaTransaction } from '../utils/solana.js';
+import { NATIVE_SOL_MINT, getTokenPrograms, getAcceptedAssets, findAcceptedAsset } from '../utils/assets.js';
+import { getCluster, getClusterName, isCurrentCluster, clusterMismatchError } from '../utils/cluster.js';
+import { isCurrentMode, sandboxMismatchError } from '../utils/sandbox.js';
+import { ACCESS_GRANT_TTL, recordPayment, isOriginalClaim, isPaymentRevoked } from '../utils/payments.js';
+import {
+  createPaymentSession,
+  getPaymentSession,
+  transitionSession,
+  canTransition,
+  expectedPayment
+} from '../utils/paymentSessions.js';
+import { getPaymentLegs, getSessionLegs } from '../utils/splits.js';
+import { isBundleItem } from '../utils/bundles.js';
+import { getSubscriptionGrant, isSubscriptionAccess, hasSubscriptionAccess } from '../utils/subscriptions.js';
+import { resolvePrice, getSuggestedUnits } from '../utils/pricing.js';
+import { applyPriceSchedule } from '../utils/priceSchedules.js';
+import { API_CONTENT_TYPE, getApiCallsRemaining } from '../utils/proxiedApis.js';
+import { getFacilitator } from '../utils/facilitator.js';
+import { sendServiceUnavailable } from '../utils/circuitBreakers.js';
+import { ServiceUnavailableError } from '../utils/errorHandler.js';
+import { CREDIT_ASSET, getTokenCreditHolder, getCreditBalance, payWithCredit } from '../utils/credits.js';
 
 /**
  * x402 Payment Middleware
  * Implements HTTP 402 Payment Required standard with x402 protocol
+ *
+ * Spec flow:
+ *   1. Client requests a resource without payment -> 402 with `accepts` array
+ *   2. Client retries with `X-PAYMENT` header (base64 JSON payment payload)
+ *   3. Server verifies and settles through the facilitator (see utils/facilitator.js)
+ *   4. Server responds with the resource and an `X-PAYMENT-RESPONSE` header
  */
 
-// x402 facilitator configuration
-const FACILITATOR_URL = process.env.X402_FACILITATOR_URL || 'https://api.payai.network/x402';
+// x402 protocol version implemented by this middleware
+export const X402_VERSION = 1;
+
+// How long a signed payment payload stays valid for the facilitator
+const MAX_TIMEOUT_SECONDS = 60;
 
 /**
- * Verify x402 payment proof
- * @param {string} paymentProof - Payment proof from x402 header
- * @param {string} contentId - Content ID being accessed
- * @param {number} expectedAmount - Expected payment amount in USDC
- * @returns {Promise<boolean>} - True if payment is valid
+ * Get the facilitator fee payer for Solana transactions
+ * Solana clients need it to build a transaction the facilitator can co-sign
+ * @returns {Promise<string|null>} - Fee payer address or null if unavailable
  */
-export const verifyX402Payment = async (paymentProof, contentId, expectedAmount) => {
+const getFacilitatorFeePayer = async () => {
   try {
-    // Call facilitator to verify payment
-    const response = await axios.post(`${FACILITATOR_URL}/verify`, {
-      proof: paymentProof,
-      contentId: contentId,
-      expectedAmount: expectedAmount
-    }, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
+    return await getFacilitator().getFeePayer(getCluster().x402Network);
+  } catch (error) {
+    console.error('❌ Failed to fetch facilitator fee payer:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Amount a buyer must transfer to one recipient for an accepted asset
+ * When the buyer absorbs Token-2022 transfer fees this is the amount grossed up by the fee.
+ * @param {Object} content - Content row (transfer_fee_payer)
+ * @param {Object} accepted - Accepted asset (see getAcceptedAssets)
+ * @param {string} amountUnits - Amount the recipient is owed, in base units
+ * @returns {Promise<bigint>} - Amount in base units
+ */
+const getTransferAmount = async (content, accepted, amountUnits) => {
+  if (!accepted.mint) {
+    return BigInt(amountUnits);
+  }
+
+  try {
+    const quote = await quoteTokenTransfer({
+      price: amountUnits,
+      mint: accepted.mint,
+      tokenProgram: accepted.tokenProgram,
+      transferFeePayer: content.transfer_fee_payer || 'buyer'
     });
+    return quote.sendUnits;
+  } catch (error) {
+    console.error(`⚠️  Failed to fetch ${accepted.asset} transfer fee, quoting the price:`, error.message);
+    return BigInt(amountUnits);
+  }
+};
 
-    if (response.data.verified) {
-      console.log('✅ Payment verified:', {
-        contentId,
-        amount: expectedAmount,
-        signature: response.data.signature
-      });
+/**
+ * How long a quote in a 402 response stays valid
+ * Never past the content's next scheduled price change, so a quote keeps its price for as long
+ * as it is valid.
+ * @param {Object} content - Content row priced by applyPriceSchedule
+ * @returns {number} - Seconds
+ */
+const getQuoteTimeout = (content) => {
+  if (!content.price_changes_at) {
+    return MAX_TIMEOUT_SECONDS;
+  }
+
+  const remaining = Math.ceil((content.price_changes_at.getTime() - Date.now()) / 1000);
+  return Math.max(1, Math.min(MAX_TIMEOUT_SECONDS, remaining));
+};
+
+/**
+ * Build the x402 payment requirements for one accepted asset
+ * Split payments (platform fee, collaborators) list every transfer in `extra.splits`;
+ * the client must pay each of them in the same transaction.
+ * Pay-what-you-want content describes its range in `extra.payWhatYouWant`.
+ */
+const buildAssetRequirements = async (content, accepted, price, resource, feePayer) => {
+  const legs = getPaymentLegs(content, price.priceUnits);
+  const splits = [];
 
-      // Log payment in database
-      await logPayment(contentId, response.data);
+  for (const leg of legs) {
+    splits.push({
+      payTo: leg.wallet,
+      role: leg.role,
+      amount: (await getTransferAmount(content, accepted, leg.amountUnits)).toString()
+    });
+  }
 
-      return true;
+  return {
+    scheme: 'exact',
+    network: getCluster().x402Network,
+    maxAmountRequired: splits.reduce((total, split) => total + BigInt(split.amount), 0n).toString(),
+    resource,
+    description: `PayWall402 content ${content.id}`,
+    mimeType: 'application/octet-stream',
+    payTo: splits[0].payTo,
+    maxTimeoutSeconds: getQuoteTimeout(content),
+    asset: accepted.mint || NATIVE_SOL_MINT,
+    outputSchema: {},
+    extra: {
+      contentId: content.id,
+      symbol: accepted.asset,
+      decimals: accepted.decimals,
+      ...(splits.length > 1 && { splits }),
+      ...(feePayer && { feePayer }),
+      ...(price.minUnits && {
+        payWhatYouWant: {
+          minAmount: price.minUnits,
+          suggestedAmount: getSuggestedUnits(content, accepted)
+        }
+      })
     }
+  };
+};
 
-    return false;
+/**
+ * Build x402 payment requirements for a content item, one per accepted asset
+ * Pay-what-you-want content is quoted at the suggested amount, or at the amount the buyer
+ * chose; assets whose minimum that amount doesn't reach are left out.
+ * @param {Object} content - Content row priced by applyPriceSchedule (id, price_usdc, pricing_mode,
+ *   creator_wallet, asset_prices, transfer_fee_payer)
+ * @param {string} resource - Absolute URL of the protected resource
+ * @param {string} [amount] - Amount the buyer chose (pay-what-you-want content only)
+ * @returns {Promise<Object[]>} - PaymentRequirements as defined by the x402 spec, USDC first
+ */
+export const buildPaymentRequirements = async (content, resource, amount) => {
+  const feePayer = await getFacilitatorFeePayer();
+  const priced = getAcceptedAssets(content)
+    .map(accepted => ({ accepted, price: resolvePrice(content, accepted, amount) }))
+    .filter(({ price }) => !price.error);
+
+  return Promise.all(priced.map(({ accepted, price }) =>
+    buildAssetRequirements(content, accepted, price, resource, feePayer)
+  ));
+};
+
+/**
+ * Work out which asset a Solana x402 payment transfers
+ * Looks for an SPL TransferChecked (which names its mint) or a System Program transfer.
+ * @param {Object} paymentPayload - Decoded X-PAYMENT payload
+ * @returns {string|null} - Mint address (NATIVE_SOL_MINT for SOL), or null if it can't be told
+ */
+const detectPaymentAsset = (paymentPayload) => {
+  try {
+    const tx = VersionedTransaction.deserialize(
+      Buffer.from(paymentPayload.payload.transaction, 'base64')
+    );
+    const keys = tx.message.staticAccountKeys.map(key => key.toBase58());
+    const tokenPrograms = new Set(getTokenPrograms());
+
+    for (const ix of tx.message.compiledInstructions) {
+      const programId = keys[ix.programIdIndex];
+
+      // SPL TransferChecked: accounts are [source, mint, destination, owner]
+      if (tokenPrograms.has(programId) && ix.data[0] === 12 && keys[ix.accountKeyIndexes[1]]) {
+        return keys[ix.accountKeyIndexes[1]];
+      }
+
+      // System Program Transfer (instruction index 2, little-endian u32)
+      if (programId === '11111111111111111111111111111111' && ix.data[0] === 2) {
+        return NATIVE_SOL_MINT;
+      }
+    }
   } catch (error) {
-    console.error('❌ Payment verification failed:', error.message);
-    return false;
+    // Not a transaction we can decode; fall back to the default requirements
   }
+
+  return null;
 };
 
 /**
- * Log payment to database
+ * Pick the payment requirements an X-PAYMENT payload is paying against
+ * @param {Object[]} accepts - Requirements offered in the 402 response
+ * @param {Object} paymentPayload - Decoded X-PAYMENT payload
+ * @returns {Object|null} - Matching requirements, or null if the scheme/network isn't offered
  */
-const logPayment = async (contentId, paymentData) => {
+export const selectPaymentRequirements = (accepts, paymentPayload) => {
+  const candidates = accepts.filter(r =>
+    r.scheme === paymentPayload.scheme && r.network === paymentPayload.network
+  );
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const asset = detectPaymentAsset(paymentPayload);
+  return candidates.find(r => r.asset === asset) || candidates[0];
+};
+
+/**
+ * Decode the X-PAYMENT header
+ * @param {string} header - Base64 encoded JSON payment payload
+ * @returns {Object|null} - Decoded payment payload or null if malformed
+ */
+export const decodePaymentHeader = (header) => {
   try {
-    await query(
-      `INSERT INTO payment_logs (content_id, payer_wallet, amount_usdc, transaction_signature, payment_status)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [
-        contentId,
-        paymentData.payerWallet || 'unknown',
-        paymentData.amount,
-        paymentData.signature,
-        'completed'
-      ]
-    );
+    const payload = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
 
-    // Update content payment counter
-    await query(
-      `UPDATE content SET payments = payments + 1 WHERE id = $1`,
-      [contentId]
-    );
+    if (!payload || typeof payload !== 'object' || !payload.payload) {
+      return null;
+    }
+
+    return payload;
   } catch (error) {
-    console.error('❌ Failed to log payment:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Encode a settlement result for the X-PAYMENT-RESPONSE header
+ * @param {Object} settlement - Settlement response from the facilitator
+ * @returns {string} - Base64 encoded JSON
+ */
+export const encodePaymentResponse = (settlement) => {
+  return Buffer.from(JSON.stringify(settlement)).toString('base64');
+};
+
+/**
+ * Verify and settle an x402 payment through the facilitator
+ * @param {Object} paymentPayload - Decoded X-PAYMENT payload
+ * @param {Object} paymentRequirements - Requirements the payment must satisfy
+ * @returns {Promise<{success: boolean, error?: string, settlement?: object,
+ *   unavailable?: ServiceUnavailableError}>} - unavailable is set when the facilitator (or its RPC) couldn't be reached
+ */
+export const verifyX402Payment = async (paymentPayload, paymentRequirements) => {
+  const facilitator = getFacilitator();
+
+  try {
+    const verification = await facilitator.verify(paymentPayload, paymentRequirements);
+
+    if (!verification.isValid) {
+      return {
+        success: false,
+        error: verification.invalidReason || 'Payment verification failed'
+      };
+    }
+
+    const settlement = await facilitator.settle(paymentPayload, paymentRequirements);
+
+    if (!settlement.success) {
+      return {
+        success: false,
+        error: settlement.errorReason || 'Payment settlement failed'
+      };
+    }
+
+    console.log('✅ Payment settled:', {
+      contentId: paymentRequirements.extra.contentId,
+      asset: paymentRequirements.extra.symbol,
+      amount: paymentRequirements.maxAmountRequired,
+      signature: settlement.transaction,
+      facilitator: facilitator.name
+    });
+
+    return {
+      success: true,
+      settlement: {
+        success: true,
+        transaction: settlement.transaction,
+        network: settlement.network || paymentRequirements.network,
+        payer: settlement.payer || verification.payer
+      }
+    };
+  } catch (error) {
+    console.error('❌ Payment verification failed:', error.message);
+    return {
+      success: false,
+      error: 'Facilitator unavailable',
+      unavailable: error instanceof ServiceUnavailableError ? error : undefined
+    };
+  }
+};
+
+/**
+ * Move an x402 payment session on, unless it has already moved past that point
+ * @param {Object} session - Session row
+ * @param {string} toStatus - Target status
+ * @param {Object} details - See transitionSession
+ * @returns {Promise<Object|null>} - Updated session, or null if another request or the watcher handled it
+ */
+const moveSession = async (session, toStatus, details) => {
+  if (!canTransition(session.status, toStatus)) {
+    return null;
   }
+
+  return transitionSession(session, toStatus, details);
+};
+
+/**
+ * Send a spec-compliant 402 response
+ */
+export const sendPaymentRequired = (res, accepts, error = 'X-PAYMENT header is required') => {
+  return res.status(402).json({
+    x402Version: X402_VERSION,
+    error,
+    accepts
+  });
 };
 
 /**
  * x402 Payment Gate Middleware
- * Returns 402 with payment instructions if no valid payment proof provided
+ * Accepts either a previously issued access token (X-Payment-Proof header or
+ * ?payment= query) or a standard x402 X-PAYMENT header. Returns 402 with the
+ * `accepts` payment requirements otherwise. An access token for a bundle is
+ * accepted for every item in the bundle, and a subscription token for all of
+ * the creator's content. Buyers of pay-what-you-want content choose their amount
+ * with the `amount` query parameter. A proxied API's token is accepted while its
+ * payment has calls left (the proxy counts them, see utils/proxiedApis.js).
+ * Buyers with prepaid credit send their credit token as X-Credit-Token instead
+ * of a payment; the price is taken off their balance (see utils/credits.js).
  */
 export const x402PaymentGate = async (req, res, next) => {
   const contentId = req.params.id;
@@ -88,7 +345,10 @@ export const x402PaymentGate = async (req, res, next) => {
   try {
     // Get content details
     const result = await query(
-      'SELECT id, price_usdc, creator_wallet, expires_at FROM content WHERE id = $1',
+      `SELECT id, content_type, price_usdc, pricing_mode, suggested_price_usdc, price_schedule, creator_wallet,
+              expires_at, underpayment_tolerance_units, asset_prices, transfer_fee_payer, collaborators, cluster,
+              sandbox, api_calls_per_payment, created_at
+       FROM content WHERE id = $1`,
       [contentId]
     );
 
@@ -96,66 +356,269 @@ export const x402PaymentGate = async (req, res, next) => {
       return res.status(404).json({ error: 'Content not found' });
     }
 
-    const content = result.rows[0];
+    // Quote the price the schedule sets right now
+    const content = applyPriceSchedule(result.rows[0]);
 
     // Check if content has expired
     if (content.expires_at && new Date(content.expires_at) < new Date()) {
       return res.status(410).json({ error: 'Content has expired' });
     }
 
-    // Check for x402 payment proof in headers or query
-    const paymentProof = req.headers['x-payment-proof'] || req.query.payment;
+    // Content can only be paid for (and unlocked) on the cluster it was created on
+    if (!isCurrentCluster(content.cluster)) {
+      return res.status(409).json(clusterMismatchError(content.cluster));
+    }
+
+    if (!isCurrentMode(content.sandbox)) {
+      return res.status(409).json(sandboxMismatchError(content.sandbox));
+    }
+
+    // Access token issued by /api/payment/verify or a previous x402 settlement
+    const accessToken = req.headers['x-payment-proof'] || req.query.payment;
+    let paymentRequiredError;
 
-    if (paymentProof) {
-      // First try to verify as JWT token (new method)
-      const tokenPayload = verifyAccessToken(paymentProof);
+    if (accessToken) {
+      let tokenPayload = verifyAccessToken(accessToken);
 
-      if (tokenPayload && tokenPayload.contentId === contentId && tokenPayload.type === 'payment') {
-        // Valid JWT token, allow access
-        console.log('✅ Access granted via JWT token');
+      // Access bought with a payment that was dropped before finalizing is revoked
+      if (tokenPayload?.type === 'payment' && await isPaymentRevoked(tokenPayload.signature)) {
+        tokenPayload = null;
+        paymentRequiredError = 'Access revoked: the payment transaction was never finalized';
+      }
+
+      // A proxied API's token is only good while its payment has calls left
+      if (content.content_type === API_CONTENT_TYPE) {
+        if (tokenPayload && tokenPayload.type === 'payment' && isCurrentCluster(tokenPayload.cluster) &&
+            tokenPayload.contentId === contentId) {
+          if (await getApiCallsRemaining(content, tokenPayload.signature) > 0) {
+            console.log('✅ Access granted via JWT token');
+            req.content = content;
+            req.payment = tokenPayload;
+            req.accessToken = accessToken;
+            return next();
+          }
+
+          paymentRequiredError = 'All calls paid for with this access token have been used';
+        }
+      } else if (tokenPayload && tokenPayload.type === 'payment' && isCurrentCluster(tokenPayload.cluster) &&
+          (tokenPayload.contentId === contentId || await isBundleItem(tokenPayload.contentId, contentId))) {
+        // Valid JWT token for this content or a bundle containing it, allow access
+        console.log(tokenPayload.contentId === contentId
+          ? '✅ Access granted via JWT token'
+          : '✅ Access granted via bundle JWT token');
         req.content = content;
         req.payment = tokenPayload;
+        req.accessToken = accessToken;
         return next();
       }
 
-      // Fallback: try legacy x402 verification
-      const isValid = await verifyX402Payment(
-        paymentProof,
-        contentId,
-        parseFloat(content.price_usdc)
-      );
-
-      if (isValid) {
-        // Payment verified, allow access
+      if (tokenPayload && isSubscriptionAccess(tokenPayload, content) && await hasSubscriptionAccess(tokenPayload)) {
+        console.log('✅ Access granted via subscription token');
         req.content = content;
+        req.payment = tokenPayload;
+        req.accessToken = accessToken;
         return next();
       }
     }
 
-    // No payment or invalid payment - return 402 Payment Required
-    return res.status(402).json({
-      error: 'Payment Required',
-      message: 'This content requires payment to access',
-      payment: {
-        amount: parseFloat(content.price_usdc),
-        currency: 'USDC',
-        network: 'solana',
-        recipient: content.creator_wallet,
-        facilitator: FACILITATOR_URL,
-        contentId: contentId,
-        instructions: {
-          method: 'x402',
-          endpoint: `${FACILITATOR_URL}/pay`,
-          headers: {
-            'X-Payment-Amount': content.price_usdc,
-            'X-Payment-Currency': 'USDC',
-            'X-Payment-Network': 'solana',
-            'X-Content-Id': contentId
-          }
-        }
+    const resource = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const chosenAmount = req.query.amount;
+    const accepts = await buildPaymentRequirements(content, resource, chosenAmount);
+
+    if (accepts.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: resolvePrice(content, getAcceptedAssets(content)[0], chosenAmount).error
+      });
+    }
+
+    const paymentHeader = req.headers['x-payment'];
+    const creditToken = req.headers['x-credit-token'];
+
+    // Pay from prepaid credit, without an on-chain transaction
+    if (!paymentHeader && creditToken) {
+      const creditWallet = getTokenCreditHolder(creditToken);
+
+      if (!creditWallet) {
+        return res.status(401).json({
+          error: 'Invalid credit token',
+          message: 'Sign in to your credit balance again'
+        });
       }
+
+      // Credit is held in USDC, so it only pays for content that can be paid in USDC at this amount
+      const accepted = findAcceptedAsset(content, CREDIT_ASSET);
+      const creditPrice = accepted ? resolvePrice(content, accepted, chosenAmount) : null;
+
+      if (!creditPrice || creditPrice.error) {
+        return sendPaymentRequired(res, accepts,
+          `This content doesn't accept credit${creditPrice ? ` (${creditPrice.error})` : ''}; pay on-chain instead`);
+      }
+
+      const credit = await payWithCredit(content, creditWallet, creditPrice);
+
+      if (!credit) {
+        return sendPaymentRequired(res, accepts, 'Insufficient credit balance');
+      }
+
+      const { payment } = credit;
+      const grant = await getSubscriptionGrant(contentId, creditWallet);
+      const token = grant ? grant.accessToken : generateAccessToken({
+        contentId,
+        signature: payment.transaction_signature,
+        payerWallet: creditWallet,
+        cluster: getClusterName(),
+        type: 'payment'
+      }, ACCESS_GRANT_TTL);
+
+      console.log('✅ Payment made from credit:', { contentId, wallet: creditWallet, amount: payment.amount_usdc });
+
+      res.set('X-Access-Token', token);
+      res.set('X-Credit-Balance', fromBaseUnits(await getCreditBalance(creditWallet)));
+
+      req.content = content;
+      req.payment = {
+        contentId,
+        signature: payment.transaction_signature,
+        payerWallet: creditWallet,
+        type: 'payment'
+      };
+      req.accessToken = token;
+      return next();
+    }
+
+    if (!paymentHeader) {
+      return sendPaymentRequired(res, accepts, paymentRequiredError);
+    }
+
+    const paymentPayload = decodePaymentHeader(paymentHeader);
+
+    if (!paymentPayload) {
+      return sendPaymentRequired(res, accepts, 'Malformed X-PAYMENT header');
+    }
+
+    const paymentRequirements = selectPaymentRequirements(accepts, paymentPayload);
+
+    if (!paymentRequirements) {
+      return sendPaymentRequired(res, accepts, 'Unsupported payment scheme or network');
+    }
+
+    const { symbol, decimals } = paymentRequirements.extra;
+
+    // Persist the attempt so its outcome shows up in the payment status lifecycle
+    const session = await createPaymentSession(content, {
+      source: 'x402',
+      asset: symbol,
+      price: resolvePrice(content, findAcceptedAsset(content, symbol), chosenAmount)
     });
+
+    const verification = await verifyX402Payment(paymentPayload, paymentRequirements);
+
+    if (!verification.success) {
+      await transitionSession(session, 'failed', { reason: verification.error });
+
+      if (verification.unavailable) {
+        return sendServiceUnavailable(res, verification.unavailable);
+      }
+
+      return sendPaymentRequired(res, accepts, verification.error);
+    }
+
+    const { settlement } = verification;
+
+    // Another request or the watcher may already have moved the session on; carry on from where it is
+    const submitted = await transitionSession(session, 'submitted', {
+      reason: 'Payment settled by facilitator',
+      signature: settlement.transaction,
+      payerWallet: settlement.payer
+    }) || await getPaymentSession(session.id) || session;
+
+    const legs = getSessionLegs(session);
+    let amount = fromBaseUnits(paymentRequirements.maxAmountRequired, decimals);
+    let recipients = [{ wallet: paymentRequirements.payTo, role: legs[0].role, amount }];
+
+    // The facilitator only checks the transfer to payTo, so check every leg of a split payment on-chain
+
+    if (legs.length > 1) {
+      const splitCheck = await verifySolanaTransaction(settlement.transaction, {
+        ...expectedPayment(submitted),
+        payer: settlement.payer
+      });
+
+      if (!splitCheck.verified) {
+        // The facilitator already settled the transfer to payTo, so the creator hears about it
+        await moveSession(submitted, 'failed', {
+          reason: `Split payment incomplete: ${splitCheck.error}`,
+          signature: settlement.transaction,
+          notify: true
+        });
+        return sendPaymentRequired(res, accepts, `Split payment incomplete: ${splitCheck.error}`);
+      }
+
+      amount = splitCheck.details.amount;
+      recipients = splitCheck.details.recipients.map((received, index) => ({
+        wallet: received.recipient,
+        role: legs[index].role,
+        amount: received.amount
+      }));
+    }
+
+    // Log payment, claiming the settled signature for this content only
+    const { recorded, payment } = await recordPayment({
+      contentId,
+      payerWallet: settlement.payer,
+      amount,
+      asset: symbol,
+      signature: settlement.transaction,
+      recipients
+    });
+
+    if (!recorded && !isOriginalClaim(payment, contentId, settlement.payer)) {
+      await moveSession(submitted, 'failed', {
+        reason: 'Transaction signature already used',
+        signature: settlement.transaction
+      });
+      return res.status(409).json({
+        error: 'Transaction signature already used',
+        message: 'This transaction has already been claimed as payment and cannot be reused'
+      });
+    }
+
+    // The finality watcher moves the session on to finalized
+    await moveSession(submitted, 'confirmed', {
+      reason: 'Settlement recorded',
+      signature: settlement.transaction,
+      paymentId: payment.id
+    });
+
+    // Issue an access token so the buyer can come back without paying again;
+    // paying for a subscription plan grants the subscription instead
+    const grant = await getSubscriptionGrant(contentId, payment.payer_wallet);
+    const token = grant ? grant.accessToken : generateAccessToken({
+      contentId,
+      signature: settlement.transaction,
+      payerWallet: settlement.payer || 'unknown',
+      cluster: getClusterName(),
+      type: 'payment'
+    }, ACCESS_GRANT_TTL);
+
+    res.set('X-PAYMENT-RESPONSE', encodePaymentResponse(settlement));
+    res.set('X-Access-Token', token);
+
+    req.content = content;
+    req.payment = {
+      contentId,
+      signature: settlement.transaction,
+      payerWallet: settlement.payer,
+      type: 'payment'
+    };
+    req.accessToken = token;
+    return next();
   } catch (error) {
+    if (error instanceof ServiceUnavailableError) {
+      return sendServiceUnavailable(res, error);
+    }
+
     console.error('❌ x402 middleware error:', error);
     return res.status(500).json({ error: 'Payment processing error' });
   }
@@ -163,19 +626,30 @@ export const x402PaymentGate = async (req, res, next) => {
 
 /**
  * Generate x402 payment link
+ * A page where buyers without an x402 client can pay, hosted by the facilitator. The hosted
+ * page pays a single recipient, so a split payment (platform fee or collaborators) links to
+ * the content's own paywall page instead, which sends one transfer per recipient.
+ * @param {Object} content - Content, bundle or plan row (id, creator_wallet, collaborators)
+ * @param {number} amount - Price in USDC
+ * @returns {Promise<string>}
  */
-export const generatePaymentLink = (contentId, amount, creatorWallet) => {
-  const paymentData = {
-    amount: amount,
+export const generatePaymentLink = async (content, amount) => {
+  const legs = getPaymentLegs(content, toBaseUnits(amount));
+
+  if (legs.length > 1) {
+    return `${process.env.FRONTEND_URL}/${content.id}`;
+  }
+
+  const session = await getFacilitator().createSession({
+    contentId: content.id,
+    amount,
     currency: 'USDC',
-    network: 'solana',
-    recipient: creatorWallet,
-    contentId: contentId,
-    callbackUrl: `${process.env.FRONTEND_URL}/${contentId}/success`
-  };
+    network: getCluster().x402Network,
+    recipient: legs[0]?.wallet || content.creator_wallet,
+    callbackUrl: `${process.env.FRONTEND_URL}/${content.id}/success`
+  });
 
-  const encodedData = Buffer.from(JSON.stringify(paymentData)).toString('base64');
-  return `${FACILITATOR_URL}/pay?data=${encodedData}`;
+  return session.url;
 };
 
 export default x402PaymentGate;
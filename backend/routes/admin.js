@@ -0,0 +1,27 @@
+import express from 'express';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { getRpcEndpointStats, getCrossCheckThreshold } from '../utils/rpcPool.js';
+import { getDependencyHealth } from '../utils/circuitBreakers.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/rpc
+ * Per-endpoint RPC stats: weight, health score, breaker state, requests, errors and latency
+ */
+router.get('/rpc', (req, res) => {
+  try {
+    res.json({
+      breaker: getDependencyHealth().rpc,
+      crossCheckMinUsdc: getCrossCheckThreshold(),
+      endpoints: getRpcEndpointStats()
+    });
+  } catch (error) {
+    console.error('❌ RPC stats error:', error);
+    res.status(500).json({ error: 'Failed to fetch RPC stats' });
+  }
+});
+
+export default router;
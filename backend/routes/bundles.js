@@ -0,0 +1,181 @@
+import express from 'express';
+import { query, transaction } from '../db/index.js';
+import { generatePaymentLink } from '../middleware/x402.js';
+import { requireCreator, asCreatorUpload } from '../middleware/creatorAuth.js';
+import { validateUploadRequest, validateContentId, sanitizeText } from '../middleware/validation.js';
+import { toBaseUnits, fromBaseUnits } from '../utils/solana.js';
+import { parseAssetPrices, getAcceptedAssets, formatAcceptedAsset } from '../utils/assets.js';
+import { getClusterName } from '../utils/cluster.js';
+import { isSandboxMode } from '../utils/sandbox.js';
+import { parseCollaborators } from '../utils/splits.js';
+import { getExpirationDate } from '../utils/expiration.js';
+import { formatPricing } from '../utils/pricing.js';
+import { parsePriceSchedule, applyPriceSchedule, formatPriceSchedule } from '../utils/priceSchedules.js';
+import {
+  BUNDLE_CONTENT_TYPE,
+  parseBundleItems,
+  checkBundleItems,
+  addBundleItems,
+  getBundleItems,
+  formatBundleItem,
+  getBundleStats
+} from '../utils/bundles.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/bundles
+ * Bundle some of the creator's content and sell it at a single price
+ * Body: title, contentIds, price, and the payment options of an upload (pricingMode, suggestedPrice,
+ *   priceSchedule, acceptedAssets, underpaymentTolerance, overpaymentPolicy, transferFeePayer,
+ *   collaborators, expiresIn)
+ */
+router.post('/', requireCreator, asCreatorUpload, validateUploadRequest, async (req, res) => {
+  try {
+    const { price, expiresIn, creatorWallet } = req.body;
+    const pricingMode = req.body.pricingMode || 'fixed';
+    const suggestedPrice = pricingMode === 'pay_what_you_want' && req.body.suggestedPrice ? req.body.suggestedPrice : null;
+    const priceSchedule = parsePriceSchedule(req.body.priceSchedule, price);
+    const title = sanitizeText(req.body.title).substring(0, 255);
+
+    if (!title) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: 'Bundle title cannot be empty'
+      });
+    }
+
+    let contentIds;
+
+    try {
+      contentIds = parseBundleItems(req.body.contentIds);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid bundle items',
+        message: error.message
+      });
+    }
+
+    const problem = await checkBundleItems(contentIds, creatorWallet);
+
+    if (problem) {
+      return res.status(400).json({
+        error: 'Invalid bundle items',
+        message: problem
+      });
+    }
+
+    // The bundle and its items are stored together, so a half-built bundle is never on sale
+    const bundle = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO content (content_type, content_path, original_filename, file_mimetype,
+                              price_usdc, creator_wallet, expires_at,
+                              underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                              transfer_fee_payer, collaborators, pricing_mode, suggested_price_usdc,
+                              price_schedule)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+         RETURNING id, content_type, original_filename, price_usdc, creator_wallet, expires_at, created_at,
+                   underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                   transfer_fee_payer, collaborators, pricing_mode, suggested_price_usdc, price_schedule`,
+        [BUNDLE_CONTENT_TYPE, '', title, null, price, creatorWallet, getExpirationDate(expiresIn),
+         toBaseUnits(req.body.underpaymentTolerance || 0), req.body.overpaymentPolicy || 'accept',
+         JSON.stringify(parseAssetPrices(req.body.acceptedAssets)), getClusterName(), isSandboxMode(),
+         req.body.transferFeePayer || 'buyer', JSON.stringify(parseCollaborators(req.body.collaborators, creatorWallet)),
+         pricingMode, suggestedPrice, priceSchedule && JSON.stringify(priceSchedule)]
+      );
+
+      await addBundleItems(client, result.rows[0].id, contentIds);
+
+      return result.rows[0];
+    });
+
+    const items = await getBundleItems(bundle.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      bundle: {
+        id: bundle.id,
+        type: bundle.content_type,
+        title: bundle.original_filename,
+        price: parseFloat(bundle.price_usdc),
+        pricing: formatPricing(bundle),
+        priceSchedule: formatPriceSchedule(applyPriceSchedule(bundle)),
+        acceptedAssets: getAcceptedAssets(bundle).map(formatAcceptedAsset),
+        cluster: bundle.cluster,
+        sandbox: bundle.sandbox,
+        paymentPolicy: {
+          underpaymentTolerance: fromBaseUnits(bundle.underpayment_tolerance_units),
+          overpayment: bundle.overpayment_policy,
+          transferFeePayer: bundle.transfer_fee_payer
+        },
+        collaborators: bundle.collaborators,
+        items: items.map(formatBundleItem),
+        expiresAt: bundle.expires_at,
+        createdAt: bundle.created_at,
+        shareUrl: `${process.env.FRONTEND_URL}/${bundle.id}`,
+        paymentLink: await generatePaymentLink(bundle, parseFloat(price))
+      }
+    });
+
+    console.log('✅ Bundle created:', {
+      id: bundle.id,
+      items: contentIds.length,
+      price,
+      creator: creatorWallet
+    });
+
+  } catch (error) {
+    console.error('❌ Bundle creation error:', error);
+    res.status(500).json({
+      error: 'Bundle creation failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/bundles/:id
+ * Get a bundle with its items and stats rolled up across them
+ */
+router.get('/:id', validateContentId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      `SELECT id, content_type, original_filename, price_usdc, creator_wallet, cluster, sandbox,
+              views, payments, expires_at, created_at
+       FROM content
+       WHERE id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].content_type !== BUNDLE_CONTENT_TYPE) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const bundle = result.rows[0];
+    const items = await getBundleItems(id);
+
+    res.json({
+      id: bundle.id,
+      title: bundle.original_filename,
+      price: parseFloat(bundle.price_usdc),
+      creatorWallet: bundle.creator_wallet,
+      cluster: bundle.cluster,
+      sandbox: bundle.sandbox,
+      items: items.map(formatBundleItem),
+      stats: getBundleStats(bundle, items),
+      expiresAt: bundle.expires_at,
+      isExpired: !!bundle.expires_at && new Date(bundle.expires_at) < new Date(),
+      createdAt: bundle.created_at,
+      shareUrl: `${process.env.FRONTEND_URL}/${bundle.id}`
+    });
+
+  } catch (error) {
+    console.error('❌ Bundle info error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundle' });
+  }
+});
+
+export default router;
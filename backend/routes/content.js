@@ -3,6 +3,13 @@ import path from 'path';
 import { query } from '../db/index.js';
 import { x402PaymentGate } from '../middleware/x402.js';
 import { validateContentId } from '../middleware/validation.js';
+import { getAcceptedAssets, formatAcceptedAsset } from '../utils/assets.js';
+import { BUNDLE_CONTENT_TYPE, getBundleItems, formatBundleItem } from '../utils/bundles.js';
+import { SUBSCRIPTION_CONTENT_TYPE, getSubscription, formatSubscription } from '../utils/subscriptions.js';
+import { formatPricing, formatSuggestedPrice } from '../utils/pricing.js';
+import { applyPriceSchedule, formatPriceSchedule } from '../utils/priceSchedules.js';
+import { API_CONTENT_TYPE, getApiCallsRemaining, formatProxiedApi } from '../utils/proxiedApis.js';
+import { emitWebhookEvent } from '../utils/webhooks.js';
 
 const router = express.Router();
 
@@ -15,8 +22,9 @@ router.get('/:id/info', validateContentId, async (req, res) => {
     const { id } = req.params;
 
     const result = await query(
-      `SELECT id, content_type, original_filename, file_mimetype, price_usdc,
-              views, payments, expires_at, created_at, creator_wallet
+      `SELECT id, content_type, original_filename, file_mimetype, price_usdc, pricing_mode, suggested_price_usdc,
+              price_schedule, underpayment_tolerance_units, asset_prices, transfer_fee_payer, collaborators, cluster, sandbox,
+              api_calls_per_payment, views, payments, expires_at, created_at, creator_wallet
        FROM content
        WHERE id = $1`,
       [id]
@@ -26,7 +34,8 @@ router.get('/:id/info', validateContentId, async (req, res) => {
       return res.status(404).json({ error: 'Content not found' });
     }
 
-    const content = result.rows[0];
+    // Prices as quoted right now
+    const content = applyPriceSchedule(result.rows[0]);
 
     // Increment view counter
     await query('UPDATE content SET views = views + 1 WHERE id = $1', [id]);
@@ -34,18 +43,32 @@ router.get('/:id/info', validateContentId, async (req, res) => {
     // Check if expired
     const isExpired = content.expires_at && new Date(content.expires_at) < new Date();
 
+    const items = content.content_type === BUNDLE_CONTENT_TYPE ? await getBundleItems(id) : null;
+
     res.json({
       id: content.id,
       type: content.content_type,
       filename: content.original_filename,
       mimetype: content.file_mimetype,
       price: parseFloat(content.price_usdc),
+      pricing: formatPricing(content),
+      priceSchedule: formatPriceSchedule(content),
+      acceptedAssets: getAcceptedAssets(content).map(accepted => ({
+        ...formatAcceptedAsset(accepted),
+        ...formatSuggestedPrice(content, accepted)
+      })),
+      transferFeePayer: content.transfer_fee_payer || 'buyer',
+      collaborators: content.collaborators || [],
+      api: formatProxiedApi(content, `${req.protocol}://${req.get('host')}`),
+      cluster: content.cluster,
+      sandbox: content.sandbox,
       views: content.views + 1,
       payments: content.payments,
       expiresAt: content.expires_at,
       isExpired: isExpired,
       createdAt: content.created_at,
-      creatorWallet: content.creator_wallet
+      creatorWallet: content.creator_wallet,
+      ...(items && { items: items.map(formatBundleItem) })
     });
 
   } catch (error) {
@@ -104,6 +127,39 @@ router.get('/:id/download', validateContentId, x402PaymentGate, async (req, res)
         });
         break;
 
+      case BUNDLE_CONTENT_TYPE:
+        // List the items; the same access token unlocks each of them
+        const items = await getBundleItems(id);
+        res.json({
+          type: 'bundle',
+          title: contentData.original_filename,
+          items: items.map(item => ({
+            ...formatBundleItem(item),
+            downloadUrl: `${process.env.FRONTEND_URL}/${item.id}?payment=${req.accessToken}`
+          }))
+        });
+        break;
+
+      case SUBSCRIPTION_CONTENT_TYPE:
+        // Report the subscription; the access token unlocks all of the creator's content
+        const subscription = await getSubscription(id, req.payment.subscriberWallet || req.payment.payerWallet);
+        res.json({
+          type: 'subscription',
+          title: contentData.original_filename,
+          creatorWallet: content.creator_wallet,
+          subscription: subscription ? formatSubscription(subscription) : null
+        });
+        break;
+
+      case API_CONTENT_TYPE:
+        // Describe the proxy endpoint; calls go through /api/proxy/:id with the access token
+        res.json({
+          type: 'api',
+          ...formatProxiedApi(content, `${req.protocol}://${req.get('host')}`),
+          callsRemaining: await getApiCallsRemaining(content, req.payment.signature)
+        });
+        break;
+
       default:
         res.status(400).json({ error: 'Unknown content type' });
     }
@@ -197,6 +253,11 @@ router.delete('/:id', validateContentId, async (req, res) => {
     // Delete from database (cascade will delete payment logs)
     await query('DELETE FROM content WHERE id = $1', [id]);
 
+    await emitWebhookEvent(content.creator_wallet, 'content.deleted', {
+      contentId: id,
+      contentType: content.content_type
+    });
+
     res.json({
       success: true,
       message: 'Content deleted successfully'
@@ -0,0 +1,413 @@
+import express from 'express';
+import { isValidSolanaAddress, isValidUUID } from '../middleware/validation.js';
+import { requireCreator, asCreatorUpload } from '../middleware/creatorAuth.js';
+import { validate, schemas } from '../middleware/validationSchemas.js';
+import { loginCreator, buildLoginMessage, CREATOR_TOKEN_TTL } from '../utils/creatorAuth.js';
+import {
+  parseDiscountCode,
+  createDiscountCode,
+  listDiscountCodes,
+  deactivateDiscountCode,
+  formatDiscountCode
+} from '../utils/discounts.js';
+import {
+  MAX_WEBHOOKS_PER_CREATOR,
+  checkWebhookUrl,
+  generateWebhookSecret,
+  createWebhook,
+  listWebhooks,
+  findWebhook,
+  deactivateWebhook,
+  listDeliveries,
+  findDelivery,
+  sendTestEvent,
+  replayDelivery,
+  formatWebhook,
+  formatDelivery
+} from '../utils/webhooks.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/creator/login-message
+ * Get the message a creator signs to log in
+ * Query: wallet
+ */
+router.get('/login-message', (req, res) => {
+  const { wallet } = req.query;
+
+  if (!wallet || !isValidSolanaAddress(wallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Wallet must be a valid Solana address'
+    });
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  res.json({
+    wallet,
+    timestamp,
+    message: buildLoginMessage(wallet, timestamp)
+  });
+});
+
+/**
+ * POST /api/creator/login
+ * Exchange a signed login message for a creator token
+ * Body: wallet, timestamp, signature (base64)
+ */
+router.post('/login', (req, res) => {
+  const { wallet, timestamp, signature } = req.body;
+
+  if (!wallet || !isValidSolanaAddress(wallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Wallet must be a valid Solana address'
+    });
+  }
+
+  if (typeof signature !== 'string' || !signature) {
+    return res.status(400).json({
+      error: 'Missing signature',
+      message: 'Sign the login message with your wallet'
+    });
+  }
+
+  const login = loginCreator({ wallet, timestamp, signature });
+
+  if (login.error) {
+    return res.status(401).json({
+      error: 'Login failed',
+      message: login.error
+    });
+  }
+
+  console.log('✅ Creator logged in:', { wallet });
+
+  res.json({
+    success: true,
+    token: login.token,
+    expiresIn: CREATOR_TOKEN_TTL
+  });
+});
+
+/**
+ * GET /api/creator/discounts
+ * List the creator's discount codes
+ */
+router.get('/discounts', requireCreator, async (req, res) => {
+  try {
+    const discounts = await listDiscountCodes(req.creatorWallet);
+
+    res.json({
+      discounts: discounts.map(formatDiscountCode)
+    });
+
+  } catch (error) {
+    console.error('❌ Discount list error:', error);
+    res.status(500).json({ error: 'Failed to list discount codes' });
+  }
+});
+
+/**
+ * POST /api/creator/discounts
+ * Create a discount code
+ * Body: code, type (percentage|fixed), percentOff or amountOff (USD), maxRedemptions,
+ *   startsAt, endsAt, contentIds (all optional except code, type and the amount)
+ */
+router.post('/discounts', requireCreator, async (req, res) => {
+  try {
+    let fields;
+
+    try {
+      fields = parseDiscountCode(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid discount code',
+        message: error.message
+      });
+    }
+
+    const discount = await createDiscountCode(req.creatorWallet, fields);
+
+    if (!discount) {
+      return res.status(409).json({
+        error: 'Discount code exists',
+        message: `You already have a discount code ${fields.code}`
+      });
+    }
+
+    console.log('✅ Discount code created:', {
+      creatorWallet: req.creatorWallet,
+      code: discount.code
+    });
+
+    res.status(201).json({
+      success: true,
+      discount: formatDiscountCode(discount)
+    });
+
+  } catch (error) {
+    console.error('❌ Discount creation error:', error);
+    res.status(500).json({
+      error: 'Failed to create discount code',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/creator/discounts/:discountId
+ * Deactivate a discount code (open payment sessions keep their discount)
+ */
+router.delete('/discounts/:discountId', requireCreator, async (req, res) => {
+  try {
+    const { discountId } = req.params;
+
+    if (!isValidUUID(discountId)) {
+      return res.status(400).json({
+        error: 'Invalid discount ID',
+        message: 'Discount ID must be a valid UUID'
+      });
+    }
+
+    const discount = await deactivateDiscountCode(req.creatorWallet, discountId);
+
+    if (!discount) {
+      return res.status(404).json({ error: 'Discount code not found' });
+    }
+
+    console.log('✅ Discount code deactivated:', {
+      creatorWallet: req.creatorWallet,
+      code: discount.code
+    });
+
+    res.json({
+      success: true,
+      discount: formatDiscountCode(discount)
+    });
+
+  } catch (error) {
+    console.error('❌ Discount deactivation error:', error);
+    res.status(500).json({ error: 'Failed to deactivate discount code' });
+  }
+});
+
+/**
+ * Load the logged-in creator's webhook from :webhookId as req.webhook
+ */
+const loadWebhook = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    if (!isValidUUID(webhookId)) {
+      return res.status(400).json({
+        error: 'Invalid webhook ID',
+        message: 'Webhook ID must be a valid UUID'
+      });
+    }
+
+    req.webhook = await findWebhook(req.creatorWallet, webhookId);
+
+    if (!req.webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('❌ Webhook lookup error:', error);
+    res.status(500).json({ error: 'Failed to find webhook' });
+  }
+};
+
+/**
+ * GET /api/creator/webhooks
+ * List the creator's webhooks
+ */
+router.get('/webhooks', requireCreator, async (req, res) => {
+  try {
+    const webhooks = await listWebhooks(req.creatorWallet);
+
+    res.json({
+      webhooks: webhooks.map(formatWebhook)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook list error:', error);
+    res.status(500).json({ error: 'Failed to list webhooks' });
+  }
+});
+
+/**
+ * POST /api/creator/webhooks
+ * Register a webhook
+ * Body: url, events (payment.completed, payment.failed, content.expired, content.deleted),
+ *   secret (optional, 32-64 characters; generated if missing and only returned here)
+ */
+router.post('/webhooks', requireCreator, asCreatorUpload, validate(schemas.registerWebhook), async (req, res) => {
+  try {
+    const { url, events } = req.body;
+
+    try {
+      checkWebhookUrl(url);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid webhook URL',
+        message: error.message
+      });
+    }
+
+    const existing = await listWebhooks(req.creatorWallet);
+
+    if (existing.length >= MAX_WEBHOOKS_PER_CREATOR) {
+      return res.status(409).json({
+        error: 'Too many webhooks',
+        message: `You can have at most ${MAX_WEBHOOKS_PER_CREATOR} webhooks`
+      });
+    }
+
+    const secret = req.body.secret || generateWebhookSecret();
+    const webhook = await createWebhook(req.creatorWallet, { url, events, secret });
+
+    console.log('✅ Webhook registered:', {
+      creatorWallet: req.creatorWallet,
+      webhookId: webhook.id,
+      events: webhook.events
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: {
+        ...formatWebhook(webhook),
+        secret
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook registration error:', error);
+    res.status(500).json({
+      error: 'Failed to register webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/creator/webhooks/:webhookId
+ * Remove a webhook (pending retries are dropped; the delivery log is kept)
+ */
+router.delete('/webhooks/:webhookId', requireCreator, loadWebhook, async (req, res) => {
+  try {
+    const webhook = await deactivateWebhook(req.creatorWallet, req.webhook.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    console.log('✅ Webhook removed:', {
+      creatorWallet: req.creatorWallet,
+      webhookId: webhook.id
+    });
+
+    res.json({
+      success: true,
+      webhook: formatWebhook(webhook)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook removal error:', error);
+    res.status(500).json({ error: 'Failed to remove webhook' });
+  }
+});
+
+/**
+ * POST /api/creator/webhooks/:webhookId/test
+ * Send a webhook.test event now and report how the receiver answered
+ */
+router.post('/webhooks/:webhookId/test', requireCreator, loadWebhook, async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.webhook);
+
+    res.json({
+      success: delivery.status === 'delivered',
+      delivery: formatDelivery(delivery)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook test error:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+/**
+ * GET /api/creator/webhooks/:webhookId/deliveries
+ * Delivery log of a webhook, newest first
+ * Query: limit (default 50, at most 200)
+ */
+router.get('/webhooks/:webhookId/deliveries', requireCreator, loadWebhook, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const deliveries = await listDeliveries(req.webhook.id, { limit });
+
+    res.json({
+      webhookId: req.webhook.id,
+      deliveries: deliveries.map(formatDelivery)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook delivery log error:', error);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+/**
+ * POST /api/creator/webhooks/:webhookId/deliveries/:deliveryId/replay
+ * Send a delivered or failed event again, as a new delivery with the same event ID
+ */
+router.post('/webhooks/:webhookId/deliveries/:deliveryId/replay', requireCreator, loadWebhook, async (req, res) => {
+  try {
+    const { deliveryId } = req.params;
+
+    if (!isValidUUID(deliveryId)) {
+      return res.status(400).json({
+        error: 'Invalid delivery ID',
+        message: 'Delivery ID must be a valid UUID'
+      });
+    }
+
+    const delivery = await findDelivery(req.webhook.id, deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    if (delivery.status === 'pending') {
+      return res.status(409).json({
+        error: 'Delivery still pending',
+        message: 'The delivery is still being retried'
+      });
+    }
+
+    const replay = await replayDelivery(req.webhook, delivery);
+
+    console.log('🔄 Webhook delivery replayed:', {
+      webhookId: req.webhook.id,
+      deliveryId,
+      replayId: replay.id,
+      status: replay.status
+    });
+
+    res.json({
+      success: replay.status === 'delivered',
+      delivery: formatDelivery(replay)
+    });
+
+  } catch (error) {
+    console.error('❌ Webhook replay error:', error);
+    res.status(500).json({ error: 'Failed to replay delivery' });
+  }
+});
+
+export default router;
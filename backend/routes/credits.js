@@ -0,0 +1,467 @@
+import express from 'express';
+import { isValidSolanaAddress, isValidUUID } from '../middleware/validation.js';
+import { requireCreditHolder } from '../middleware/creditAuth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+import { toBaseUnits, fromBaseUnits, verifySolanaTransaction } from '../utils/solana.js';
+import { getClusterName, getClusterMint } from '../utils/cluster.js';
+import { isSandboxMode, isSandboxSignature } from '../utils/sandbox.js';
+import { findTransactionClaim } from '../utils/payments.js';
+import { sendServiceUnavailable } from '../utils/circuitBreakers.js';
+import { ServiceUnavailableError } from '../utils/errorHandler.js';
+import {
+  CREDIT_ASSET,
+  CREDIT_DECIMALS,
+  CREDIT_TOKEN_TTL,
+  MIN_CREDIT_DEPOSIT_UNITS,
+  WITHDRAWAL_STATUSES,
+  getCreditDepositWallet,
+  buildCreditLoginMessage,
+  loginCreditHolder,
+  parseCreditAmount,
+  getCreditBalance,
+  depositCredit,
+  getCreditStatement,
+  requestWithdrawal,
+  listWithdrawals,
+  settleWithdrawal,
+  formatCreditEntry,
+  formatWithdrawal
+} from '../utils/credits.js';
+
+const router = express.Router();
+
+/**
+ * Refuse credit requests while no deposit wallet is configured
+ */
+const requireCreditEnabled = (req, res, next) => {
+  if (!getCreditDepositWallet()) {
+    return res.status(503).json({
+      error: 'Credit unavailable',
+      message: 'Prepaid credit is not enabled on this server'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Describe a balance for API responses
+ * @param {string} wallet - Buyer wallet
+ * @param {string} units - Balance in base units
+ * @returns {Object}
+ */
+const formatBalance = (wallet, units) => ({
+  wallet,
+  asset: CREDIT_ASSET,
+  balance: parseFloat(fromBaseUnits(units, CREDIT_DECIMALS)),
+  balanceUnits: units,
+  cluster: getClusterName(),
+  sandbox: isSandboxMode()
+});
+
+router.use(requireCreditEnabled);
+
+/**
+ * GET /api/credits/login-message
+ * Get the message a buyer signs to use their credit
+ * Query: wallet
+ */
+router.get('/login-message', (req, res) => {
+  const { wallet } = req.query;
+
+  if (!wallet || !isValidSolanaAddress(wallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Wallet must be a valid Solana address'
+    });
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  res.json({
+    wallet,
+    timestamp,
+    message: buildCreditLoginMessage(wallet, timestamp)
+  });
+});
+
+/**
+ * POST /api/credits/login
+ * Exchange a signed login message for a credit token
+ * Body: wallet, timestamp, signature (base64)
+ */
+router.post('/login', (req, res) => {
+  const { wallet, timestamp, signature } = req.body;
+
+  if (!wallet || !isValidSolanaAddress(wallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Wallet must be a valid Solana address'
+    });
+  }
+
+  if (typeof signature !== 'string' || !signature) {
+    return res.status(400).json({
+      error: 'Missing signature',
+      message: 'Sign the login message with your wallet'
+    });
+  }
+
+  const login = loginCreditHolder({ wallet, timestamp, signature });
+
+  if (login.error) {
+    return res.status(401).json({
+      error: 'Login failed',
+      message: login.error
+    });
+  }
+
+  console.log('✅ Credit holder logged in:', { wallet });
+
+  res.json({
+    success: true,
+    token: login.token,
+    expiresIn: CREDIT_TOKEN_TTL
+  });
+});
+
+/**
+ * GET /api/credits/deposit-info
+ * Where and how to deposit credit
+ */
+router.get('/deposit-info', (req, res) => {
+  res.json({
+    wallet: getCreditDepositWallet(),
+    asset: CREDIT_ASSET,
+    mint: getClusterMint(CREDIT_ASSET),
+    decimals: CREDIT_DECIMALS,
+    minimumDeposit: parseFloat(fromBaseUnits(MIN_CREDIT_DEPOSIT_UNITS, CREDIT_DECIMALS)),
+    cluster: getClusterName(),
+    sandbox: isSandboxMode()
+  });
+});
+
+/**
+ * POST /api/credits/deposits
+ * Credit a USDC transfer from the buyer's wallet to the deposit wallet
+ * The amount received on-chain is credited. In sandbox mode a simulated deposit (sim_ signature)
+ * credits the `amount` given instead.
+ * Body: transactionSignature, amount (simulated deposits only)
+ */
+router.post('/deposits', requireCreditHolder, async (req, res) => {
+  try {
+    const { transactionSignature, amount } = req.body;
+    const wallet = req.creditWallet;
+
+    if (typeof transactionSignature !== 'string' || !transactionSignature) {
+      return res.status(400).json({ error: 'Transaction signature is required' });
+    }
+
+    const isSimulatedTx = isSandboxSignature(transactionSignature);
+
+    if (isSimulatedTx && !isSandboxMode()) {
+      return res.status(403).json({
+        error: 'Sandbox mode disabled',
+        message: 'Simulated deposits are only accepted when the server runs in sandbox mode'
+      });
+    }
+
+    // A transaction is credited once, and never if it was claimed as a payment
+    if (await findTransactionClaim(transactionSignature)) {
+      return res.status(409).json({
+        error: 'Transaction signature already used',
+        message: 'This transaction has already been claimed and cannot be reused'
+      });
+    }
+
+    let units;
+
+    if (isSimulatedTx) {
+      try {
+        units = parseCreditAmount(amount);
+      } catch (error) {
+        return res.status(400).json({ error: 'Invalid amount', message: error.message });
+      }
+    } else {
+      const verification = await verifySolanaTransaction(transactionSignature, {
+        recipient: getCreditDepositWallet(),
+        amount: MIN_CREDIT_DEPOSIT_UNITS,
+        payer: wallet,
+        overpaymentPolicy: 'accept'
+      });
+
+      if (!verification.verified) {
+        return res.status(400).json({
+          error: 'Deposit verification failed',
+          message: verification.error
+        });
+      }
+
+      units = toBaseUnits(verification.details.amount, CREDIT_DECIMALS);
+    }
+
+    if (BigInt(units) < BigInt(MIN_CREDIT_DEPOSIT_UNITS)) {
+      return res.status(400).json({
+        error: 'Deposit too small',
+        message: `Deposit at least ${fromBaseUnits(MIN_CREDIT_DEPOSIT_UNITS, CREDIT_DECIMALS).replace(/\.?0+$/, '')} ${CREDIT_ASSET}`
+      });
+    }
+
+    let entry;
+
+    try {
+      entry = await depositCredit(wallet, units, transactionSignature, { onChain: !isSimulatedTx });
+    } catch (error) {
+      // A concurrent deposit of the same transaction got there first
+      if (error.code !== '23505') {
+        throw error;
+      }
+    }
+
+    // Claimed as a payment or a deposit since the check above
+    if (!entry) {
+      return res.status(409).json({
+        error: 'Transaction signature already used',
+        message: 'This transaction has already been claimed and cannot be reused'
+      });
+    }
+
+    console.log('✅ Credit deposited:', { wallet, amount: fromBaseUnits(units, CREDIT_DECIMALS), signature: transactionSignature });
+
+    res.status(201).json({
+      success: true,
+      deposit: formatCreditEntry(entry),
+      ...formatBalance(wallet, String(entry.balance_units))
+    });
+
+  } catch (error) {
+    if (error instanceof ServiceUnavailableError) {
+      return sendServiceUnavailable(res, error);
+    }
+
+    console.error('❌ Credit deposit error:', error);
+    res.status(500).json({ error: 'Failed to deposit credit' });
+  }
+});
+
+/**
+ * GET /api/credits/balance
+ * Get the buyer's credit balance
+ */
+router.get('/balance', requireCreditHolder, async (req, res) => {
+  try {
+    res.json(formatBalance(req.creditWallet, await getCreditBalance(req.creditWallet)));
+  } catch (error) {
+    console.error('❌ Credit balance error:', error);
+    res.status(500).json({ error: 'Failed to get credit balance' });
+  }
+});
+
+/**
+ * GET /api/credits/statement
+ * List the buyer's deposits, purchases, refunds and withdrawals, newest first
+ * Query: limit (1-200, default 50), before (ISO timestamp, for paging)
+ */
+router.get('/statement', requireCreditHolder, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'Invalid limit', message: 'Limit must be a whole number from 1 to 200' });
+    }
+
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'Invalid date', message: 'before must be an ISO timestamp' });
+    }
+
+    const entries = await getCreditStatement(req.creditWallet, { limit, before });
+
+    res.json({
+      ...formatBalance(req.creditWallet, await getCreditBalance(req.creditWallet)),
+      entries: entries.map(formatCreditEntry)
+    });
+
+  } catch (error) {
+    console.error('❌ Credit statement error:', error);
+    res.status(500).json({ error: 'Failed to get credit statement' });
+  }
+});
+
+/**
+ * POST /api/credits/withdrawals
+ * Request a withdrawal; the amount leaves the balance until the withdrawal is settled
+ * Deposits still awaiting finality can't be withdrawn.
+ * Body: amount (USDC), destination (optional, defaults to the buyer's wallet)
+ */
+router.post('/withdrawals', requireCreditHolder, async (req, res) => {
+  try {
+    const destination = req.body.destination || req.creditWallet;
+    let units;
+
+    try {
+      units = parseCreditAmount(req.body.amount);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid amount', message: error.message });
+    }
+
+    if (!isValidSolanaAddress(destination)) {
+      return res.status(400).json({
+        error: 'Invalid destination',
+        message: 'Destination must be a valid Solana address'
+      });
+    }
+
+    const withdrawal = await requestWithdrawal(req.creditWallet, units, destination);
+
+    if (!withdrawal) {
+      return res.status(409).json({
+        error: 'Insufficient credit balance',
+        message: 'The amount is more than your credit balance, less deposits still awaiting finality'
+      });
+    }
+
+    console.log('✅ Credit withdrawal requested:', { id: withdrawal.id, wallet: req.creditWallet, amount: req.body.amount });
+
+    res.status(201).json({
+      success: true,
+      withdrawal: formatWithdrawal(withdrawal)
+    });
+
+  } catch (error) {
+    console.error('❌ Credit withdrawal error:', error);
+    res.status(500).json({ error: 'Failed to request withdrawal' });
+  }
+});
+
+/**
+ * GET /api/credits/withdrawals
+ * List the buyer's withdrawals
+ */
+router.get('/withdrawals', requireCreditHolder, async (req, res) => {
+  try {
+    const withdrawals = await listWithdrawals({ wallet: req.creditWallet });
+
+    res.json({
+      withdrawals: withdrawals.map(formatWithdrawal)
+    });
+
+  } catch (error) {
+    console.error('❌ Credit withdrawal list error:', error);
+    res.status(500).json({ error: 'Failed to list withdrawals' });
+  }
+});
+
+/**
+ * POST /api/credits/withdrawals/:id/cancel
+ * Cancel a pending withdrawal, putting the amount back on the balance
+ */
+router.post('/withdrawals/:id/cancel', requireCreditHolder, async (req, res) => {
+  try {
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid withdrawal ID' });
+    }
+
+    const withdrawal = await settleWithdrawal(req.params.id, { status: 'cancelled', wallet: req.creditWallet });
+
+    if (!withdrawal) {
+      return res.status(404).json({ error: 'Pending withdrawal not found' });
+    }
+
+    console.log('✅ Credit withdrawal cancelled:', { id: withdrawal.id });
+
+    res.json({
+      success: true,
+      withdrawal: formatWithdrawal(withdrawal)
+    });
+
+  } catch (error) {
+    console.error('❌ Credit withdrawal cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel withdrawal' });
+  }
+});
+
+/**
+ * GET /api/credits/admin/withdrawals
+ * List withdrawals for payout (admin)
+ * Query: status (optional, e.g. requested)
+ */
+router.get('/admin/withdrawals', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !WITHDRAWAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `Status must be one of: ${WITHDRAWAL_STATUSES.join(', ')}`
+      });
+    }
+
+    const withdrawals = await listWithdrawals({ status: status || null });
+
+    res.json({
+      withdrawals: withdrawals.map(formatWithdrawal)
+    });
+
+  } catch (error) {
+    console.error('❌ Admin withdrawal list error:', error);
+    res.status(500).json({ error: 'Failed to list withdrawals' });
+  }
+});
+
+/**
+ * POST /api/credits/admin/withdrawals/:id
+ * Settle a pending withdrawal (admin): completed with the payout transaction, or rejected,
+ * which puts the amount back on the buyer's balance
+ * Body: status (completed|rejected), transactionSignature (completed), note (optional)
+ */
+router.post('/admin/withdrawals/:id', requireAdmin, async (req, res) => {
+  try {
+    const { status, transactionSignature, note } = req.body;
+
+    if (!isValidUUID(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid withdrawal ID' });
+    }
+
+    if (!['completed', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'Status must be completed or rejected'
+      });
+    }
+
+    if (status === 'completed' && (typeof transactionSignature !== 'string' || !transactionSignature)) {
+      return res.status(400).json({
+        error: 'Transaction signature is required',
+        message: 'Completed withdrawals need the signature of the payout transaction'
+      });
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ error: 'Invalid note', message: 'Note must be at most 500 characters' });
+    }
+
+    const withdrawal = await settleWithdrawal(req.params.id, {
+      status,
+      signature: status === 'completed' ? transactionSignature : null,
+      note: note || null
+    });
+
+    if (!withdrawal) {
+      return res.status(404).json({ error: 'Pending withdrawal not found' });
+    }
+
+    console.log('✅ Credit withdrawal settled:', { id: withdrawal.id, status });
+
+    res.json({
+      success: true,
+      withdrawal: formatWithdrawal(withdrawal)
+    });
+
+  } catch (error) {
+    console.error('❌ Admin withdrawal settle error:', error);
+    res.status(500).json({ error: 'Failed to settle withdrawal' });
+  }
+});
+
+export default router;
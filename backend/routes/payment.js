@@ -1,26 +1,84 @@
 import express from 'express';
-import axios from 'axios';
 import { query } from '../db/index.js';
-import { verifySolanaTransaction } from '../utils/solana.js';
-import { validatePaymentRequest, validateContentId, validateWalletAddress } from '../middleware/validation.js';
+import { toBaseUnits } from '../utils/solana.js';
+import { getAcceptedAssets, findAcceptedAsset } from '../utils/assets.js';
+import {
+  validatePaymentRequest,
+  validateContentId,
+  validateSessionId,
+  validateQuoteId,
+  validateWalletAddress,
+  isValidSolanaAddress
+} from '../middleware/validation.js';
 import { generateAccessToken } from '../utils/jwt.js';
+import {
+  getClusterName,
+  getClusterLabel,
+  isCurrentCluster,
+  clusterMismatchError,
+  getExplorerUrl
+} from '../utils/cluster.js';
+import { isSandboxMode, isSandboxSignature, isCurrentMode, sandboxMismatchError } from '../utils/sandbox.js';
+import { getSessionLegs, legsToRecipients } from '../utils/splits.js';
+import { findDiscountCode, applyDiscount, reserveRedemption, releaseRedemption } from '../utils/discounts.js';
+import { getSubscriptionGrant, getSubscriberCounts } from '../utils/subscriptions.js';
+import { resolvePrice } from '../utils/pricing.js';
+import { sendServiceUnavailable } from '../utils/circuitBreakers.js';
+import { ServiceUnavailableError } from '../utils/errorHandler.js';
+import { applyPriceSchedule } from '../utils/priceSchedules.js';
+import { createPriceQuote, getPriceQuote, isQuoteExpired, formatPriceQuote } from '../utils/priceQuotes.js';
+import {
+  findPaymentBySignature,
+  recordPayment,
+  isOriginalClaim,
+  buildAccessClaimMessage,
+  isSignedAccessClaim,
+  remainingGrantSeconds
+} from '../utils/payments.js';
+import {
+  PAYMENT_SESSION_TTL,
+  PAID_SESSION_STATUSES,
+  isSessionClaimant,
+  buildTransferUri,
+  quoteSessionTransfers,
+  createPaymentSession,
+  getPaymentSession,
+  findQuoteSession,
+  findContentSessions,
+  getSessionEvents,
+  transitionSession,
+  confirmSubmittedSession,
+  checkPaymentSession
+} from '../utils/paymentSessions.js';
 
 const router = express.Router();
 
-const FACILITATOR_URL = process.env.X402_FACILITATOR_URL || 'https://api.payai.network/x402';
-
 /**
  * POST /api/payment/initiate
- * Initiate x402 payment for content
+ * Create a Solana Pay payment session for content
+ * Body: contentId, asset (default USDC), payerWallet (optional), discountCode (optional),
+ *   amount (optional, pay-what-you-want content only; defaults to the suggested amount)
+ * A discount code is locked into the session: the buyer pays, and is verified against, the discounted amount.
+ * A pay-what-you-want session asks for the buyer's amount, and is paid by anything at or above the minimum.
+ * The terms are recorded as a signed price quote; /verify checks the payment against it.
  */
 router.post('/initiate', validateContentId, async (req, res) => {
   try {
     const contentId = req.body.contentId || req.params.id;
-    const { payerWallet } = req.body;
+    const { payerWallet, asset = 'USDC', discountCode, amount } = req.body;
+
+    if (payerWallet && !isValidSolanaAddress(payerWallet)) {
+      return res.status(400).json({
+        error: 'Invalid payer wallet',
+        message: 'Payer wallet must be a valid Solana address'
+      });
+    }
 
     // Get content details
     const result = await query(
-      `SELECT id, price_usdc, creator_wallet, expires_at
+      `SELECT id, price_usdc, pricing_mode, suggested_price_usdc, price_schedule, creator_wallet, expires_at,
+              underpayment_tolerance_units, overpayment_policy, asset_prices, transfer_fee_payer, collaborators,
+              cluster, sandbox, created_at
        FROM content
        WHERE id = $1`,
       [contentId]
@@ -30,72 +88,142 @@ router.post('/initiate', validateContentId, async (req, res) => {
       return res.status(404).json({ error: 'Content not found' });
     }
 
-    const content = result.rows[0];
+    // Quote the price the schedule sets right now; the session locks it until it expires
+    const content = applyPriceSchedule(result.rows[0]);
 
     // Check expiration
     if (content.expires_at && new Date(content.expires_at) < new Date()) {
       return res.status(410).json({ error: 'Content has expired' });
     }
 
-    // Create payment request with facilitator
-    const paymentRequest = {
-      amount: parseFloat(content.price_usdc),
-      currency: 'USDC',
-      network: 'solana',
-      recipient: content.creator_wallet,
-      contentId: contentId,
-      payerWallet: payerWallet,
-      metadata: {
-        contentId: contentId,
-        timestamp: new Date().toISOString()
-      }
-    };
+    if (!isCurrentCluster(content.cluster)) {
+      return res.status(409).json(clusterMismatchError(content.cluster));
+    }
 
-    try {
-      // Call x402 facilitator to create payment session
-      const facilitatorResponse = await axios.post(
-        `${FACILITATOR_URL}/create-payment`,
-        paymentRequest,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          timeout: 10000
-        }
-      );
+    if (!isCurrentMode(content.sandbox)) {
+      return res.status(409).json(sandboxMismatchError(content.sandbox));
+    }
 
-      res.json({
-        success: true,
-        payment: {
-          sessionId: facilitatorResponse.data.sessionId,
-          paymentUrl: facilitatorResponse.data.paymentUrl,
-          amount: parseFloat(content.price_usdc),
-          currency: 'USDC',
-          recipient: content.creator_wallet,
-          expiresIn: 900 // 15 minutes
-        }
+    const accepted = findAcceptedAsset(content, asset);
+
+    if (!accepted) {
+      return res.status(400).json({
+        error: 'Asset not accepted',
+        message: `This content accepts ${getAcceptedAssets(content).map(a => a.asset).join(', ')}`
       });
+    }
 
-    } catch (facilitatorError) {
-      console.error('❌ Facilitator error:', facilitatorError.message);
-
-      // Fallback: return manual payment instructions
-      res.json({
-        success: true,
-        payment: {
-          method: 'manual',
-          amount: parseFloat(content.price_usdc),
-          currency: 'USDC',
-          network: 'solana',
-          recipient: content.creator_wallet,
-          contentId: contentId,
-          instructions: 'Send USDC on Solana to the recipient address',
-          facilitatorUrl: FACILITATOR_URL
-        }
+    const price = resolvePrice(content, accepted, amount);
+
+    if (price.error) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: price.error
       });
     }
 
+    let discount = null;
+
+    if (discountCode) {
+      const code = await findDiscountCode(content.creator_wallet, discountCode);
+
+      if (!code) {
+        return res.status(404).json({
+          error: 'Discount code not found',
+          message: 'This discount code does not exist'
+        });
+      }
+
+      const applied = applyDiscount(code, content, accepted);
+
+      if (applied.error) {
+        return res.status(400).json({
+          error: 'Discount code not applicable',
+          message: applied.error
+        });
+      }
+
+      if (!await reserveRedemption(code.id)) {
+        return res.status(409).json({
+          error: 'Discount code fully redeemed',
+          message: 'This discount code has no redemptions left'
+        });
+      }
+
+      discount = { id: code.id, code: code.code, ...applied };
+    }
+
+    let quote;
+    let session;
+
+    try {
+      quote = await createPriceQuote(content, { asset: accepted.asset, discount, price });
+      session = await createPaymentSession(content, { payerWallet, quote });
+    } catch (error) {
+      if (discount) {
+        await releaseRedemption(discount.id);
+      }
+      throw error;
+    }
+
+    // One transfer per recipient; Token-2022 transfer fees may make the buyer send more than the price
+    const transfers = await quoteSessionTransfers(session);
+    const sum = (field) => transfers.reduce((total, transfer) => total + transfer[field], 0n);
+
+    res.json({
+      success: true,
+      payment: {
+        sessionId: session.id,
+        // Send back as X-Session-Secret to collect the access token from /session/:sessionId
+        claimSecret: session.claim_secret,
+        reference: session.reference,
+        paymentUrl: buildTransferUri(session, sum('sendUnits')),
+        amount: parseFloat(session.amount),
+        amountUnits: sum('sendUnits').toString(),
+        minAmount: session.min_amount ? parseFloat(session.min_amount) : null,
+        transferFee: {
+          payer: session.transfer_fee_payer || 'buyer',
+          feeUnits: sum('feeUnits').toString(),
+          netUnits: sum('netUnits').toString()
+        },
+        recipients: transfers.map(transfer => ({
+          recipient: transfer.wallet,
+          role: transfer.role,
+          amountUnits: transfer.sendUnits.toString(),
+          netUnits: transfer.netUnits.toString()
+        })),
+        currency: session.asset,
+        mint: session.mint,
+        decimals: session.decimals,
+        tokenProgram: accepted.tokenProgram,
+        network: 'solana',
+        cluster: session.cluster,
+        recipient: session.recipient_wallet,
+        discount: discount ? {
+          code: discount.code,
+          amountOff: parseFloat(session.discount_amount),
+          amountOffUnits: discount.amountOffUnits,
+          listAmount: parseFloat(accepted.price)
+        } : null,
+        expiresAt: session.expires_at,
+        expiresIn: PAYMENT_SESSION_TTL,
+        quote: formatPriceQuote(quote)
+      }
+    });
+
+    console.log('✅ Payment session created:', {
+      sessionId: session.id,
+      quoteId: quote.id,
+      contentId,
+      reference: session.reference,
+      discountCode: discount?.code
+    });
+
   } catch (error) {
+    if (error instanceof ServiceUnavailableError) {
+      return sendServiceUnavailable(res, error);
+    }
+
     console.error('❌ Payment initiation error:', error);
     res.status(500).json({
       error: 'Failed to initiate payment',
@@ -104,13 +232,252 @@ router.post('/initiate', validateContentId, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/payment/quote/:quoteId
+ * Get a price quote with its terms and signature
+ */
+router.get('/quote/:quoteId', validateQuoteId, async (req, res) => {
+  try {
+    const quote = await getPriceQuote(req.params.quoteId);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Price quote not found' });
+    }
+
+    res.json(formatPriceQuote(quote));
+
+  } catch (error) {
+    console.error('❌ Price quote error:', error);
+    res.status(500).json({ error: 'Failed to fetch price quote' });
+  }
+});
+
+/**
+ * GET /api/payment/session/:sessionId
+ * Check a payment session, advancing it if its transaction has landed
+ * Headers: X-Session-Secret (the claimSecret from /initiate) to get the access token of a paid session
+ */
+router.get('/session/:sessionId', validateSessionId, async (req, res) => {
+  try {
+    let session = await getPaymentSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Payment session not found' });
+    }
+
+    // Sessions of another cluster are checked (and unlocked) by that cluster's backend
+    if (!isCurrentCluster(session.cluster)) {
+      return res.status(409).json(clusterMismatchError(session.cluster));
+    }
+
+    // Don't wait for the watcher if the buyer is polling
+    if (['pending', 'submitted', 'confirmed'].includes(session.status)) {
+      try {
+        ({ session } = await checkPaymentSession(session));
+      } catch (error) {
+        console.error('⚠️  Payment session lookup failed, watcher will retry:', error.message);
+      }
+    }
+
+    const response = {
+      sessionId: session.id,
+      quoteId: session.quote_id,
+      contentId: session.content_id,
+      status: session.status,
+      statusReason: session.status_reason,
+      reference: session.reference,
+      asset: session.asset,
+      amount: parseFloat(session.amount),
+      cluster: session.cluster,
+      expiresAt: session.expires_at
+    };
+
+    if (PAID_SESSION_STATUSES.includes(session.status)) {
+      const payment = await findPaymentBySignature(session.transaction_signature);
+      const remaining = payment ? remainingGrantSeconds(payment) : 0;
+      const grant = payment ? await getSubscriptionGrant(session.content_id, payment.payer_wallet) : null;
+
+      response.transactionSignature = session.transaction_signature;
+      response.explorerUrl = getExplorerUrl(session.transaction_signature);
+      response.payerWallet = session.payer_wallet;
+
+      // Anyone can learn a session ID; only the client that opened the session gets its access
+      if (!isSessionClaimant(session, req.get('X-Session-Secret'))) {
+        response.message = 'Send the claimSecret from /initiate as X-Session-Secret to get the access token';
+      } else if (grant) {
+        // Paying for a subscription plan grants the subscription
+        response.accessToken = grant.accessToken;
+        response.subscription = grant.subscription;
+        response.downloadUrl = `${process.env.FRONTEND_URL}/${session.content_id}?payment=${response.accessToken}`;
+      } else if (remaining > 0) {
+        response.accessToken = generateAccessToken({
+          contentId: session.content_id,
+          signature: session.transaction_signature,
+          payerWallet: session.payer_wallet,
+          cluster: session.cluster,
+          type: 'payment'
+        }, remaining);
+        response.downloadUrl = `${process.env.FRONTEND_URL}/${session.content_id}?payment=${response.accessToken}`;
+      }
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Payment session error:', error);
+    res.status(500).json({ error: 'Failed to check payment session' });
+  }
+});
+
+/**
+ * Check that a verify call comes from the buyer of an already recorded payment
+ * Either the payer wallet signed the access claim message (walletSignature and signedAt in the
+ * body), or the client holds the claim secret of the session the payment settled.
+ */
+const provesPaymentOwnership = async (req, payment) => {
+  const { walletSignature, signedAt } = req.body;
+
+  if (walletSignature && isSignedAccessClaim(payment, { timestamp: signedAt, signature: walletSignature })) {
+    return true;
+  }
+
+  const secret = req.get('X-Session-Secret');
+
+  if (!secret) {
+    return false;
+  }
+
+  const sessions = await findContentSessions(payment.content_id, { signature: payment.transaction_signature });
+
+  return sessions.some(session => session.transaction_signature === payment.transaction_signature &&
+    PAID_SESSION_STATUSES.includes(session.status) &&
+    isSessionClaimant(session, secret));
+};
+
+/**
+ * Respond to a verify call for a signature that was already claimed
+ * The original payer gets their existing grant back once they prove they own the payment;
+ * anyone else gets a 409.
+ */
+const respondToClaimedSignature = async (req, res, payment, contentId, payerWallet) => {
+  if (!isCurrentCluster(payment.cluster)) {
+    return res.status(409).json({ verified: false, ...clusterMismatchError(payment.cluster) });
+  }
+
+  if (!isCurrentMode(payment.sandbox)) {
+    return res.status(409).json({ verified: false, ...sandboxMismatchError(payment.sandbox) });
+  }
+
+  if (!isOriginalClaim(payment, contentId, payerWallet)) {
+    console.warn('⚠️  Rejected reused transaction signature:', {
+      signature: payment.transaction_signature,
+      claimedContentId: contentId,
+      originalContentId: payment.content_id
+    });
+
+    return res.status(409).json({
+      verified: false,
+      error: 'Transaction signature already used',
+      message: 'This transaction has already been claimed as payment and cannot be reused'
+    });
+  }
+
+  // The signature and payer wallet are public on-chain; the grant needs proof of ownership
+  if (!await provesPaymentOwnership(req, payment)) {
+    return res.status(409).json({
+      verified: false,
+      error: 'Payment already verified',
+      message: 'Sign the access claim message with the paying wallet (walletSignature, signedAt), ' +
+        'or send the claimSecret of the payment session as X-Session-Secret'
+    });
+  }
+
+  if (payment.payment_status === 'failed') {
+    return res.status(410).json({
+      verified: false,
+      error: 'Access revoked',
+      message: 'The payment transaction was never finalized'
+    });
+  }
+
+  // Paying for a subscription plan grants the subscription
+  const grant = await getSubscriptionGrant(contentId, payment.payer_wallet);
+  const remaining = remainingGrantSeconds(payment);
+
+  if (!grant && remaining === 0) {
+    return res.status(410).json({
+      verified: false,
+      error: 'Access grant expired',
+      message: 'The access granted by this payment has expired'
+    });
+  }
+
+  const accessToken = grant ? grant.accessToken : generateAccessToken({
+    contentId,
+    signature: payment.transaction_signature,
+    payerWallet: payment.payer_wallet,
+    cluster: payment.cluster,
+    type: 'payment'
+  }, remaining);
+
+  return res.json({
+    verified: true,
+    message: 'Payment already verified',
+    accessToken: accessToken,
+    downloadUrl: `${process.env.FRONTEND_URL}/${contentId}?payment=${accessToken}`,
+    paidAt: payment.paid_at,
+    ...(grant && { subscription: grant.subscription })
+  });
+};
+
+/**
+ * GET /api/payment/claim-message
+ * Get the message a buyer signs to get the grant of an already verified payment back
+ * Query: wallet, transactionSignature
+ * Sign it with the paying wallet and send walletSignature (base64) and signedAt (the timestamp)
+ * to /verify with the same transaction signature.
+ */
+router.get('/claim-message', (req, res) => {
+  const { wallet, transactionSignature } = req.query;
+
+  if (!wallet || !isValidSolanaAddress(wallet)) {
+    return res.status(400).json({
+      error: 'Invalid wallet address',
+      message: 'Wallet must be a valid Solana address'
+    });
+  }
+
+  if (!transactionSignature || typeof transactionSignature !== 'string') {
+    return res.status(400).json({
+      error: 'Invalid transaction signature',
+      message: 'Transaction signature is required'
+    });
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  res.json({
+    wallet,
+    transactionSignature,
+    timestamp,
+    message: buildAccessClaimMessage(wallet, transactionSignature, timestamp)
+  });
+});
+
 /**
  * POST /api/payment/verify
  * Verify payment completion
+ * Every attempt is persisted as a payment session: the Solana Pay session passed
+ * as sessionId, or a new 'direct' session for wallets that paid without one.
+ * A quoteId checks the payment against that quote from /initiate instead of the current
+ * price, through the session opened from it (or a new direct session if that one failed).
+ * A direct payment for pay-what-you-want content may pass the amount the buyer chose.
+ * A signature that was already verified gets its grant back only with proof of ownership:
+ * walletSignature and signedAt (see /claim-message), or the session's claimSecret as X-Session-Secret.
  */
 router.post('/verify', validatePaymentRequest, async (req, res) => {
   try {
-    const { contentId, transactionSignature, payerWallet } = req.body;
+    const { contentId, transactionSignature, payerWallet, sessionId, quoteId, asset = 'USDC', amount } = req.body;
 
     if (!contentId || !transactionSignature) {
       return res.status(400).json({
@@ -118,9 +485,39 @@ router.post('/verify', validatePaymentRequest, async (req, res) => {
       });
     }
 
-    // Get content details including creator wallet
+    // Simulated payments exist only in sandbox mode
+    const isSimulatedTx = isSandboxSignature(transactionSignature);
+
+    if (isSimulatedTx && !isSandboxMode()) {
+      return res.status(403).json({
+        verified: false,
+        error: 'Sandbox mode disabled',
+        message: 'Simulated payments are only accepted when the server runs in sandbox mode'
+      });
+    }
+
+    // Replay guard: each signature can be claimed once, for one content ID
+    const existingPayment = await findPaymentBySignature(transactionSignature);
+
+    // The original buyer asking again just gets their existing grant back
+    if (existingPayment && isOriginalClaim(existingPayment, contentId, payerWallet)) {
+      return respondToClaimedSignature(req, res, existingPayment, contentId, payerWallet);
+    }
+
+    // Real payments are bound to the wallet that signed them
+    if (!isSimulatedTx && !payerWallet) {
+      return res.status(400).json({
+        error: 'Payer wallet is required',
+        message: 'Provide the wallet that signed the payment transaction'
+      });
+    }
+
+    // Get content details including creator wallet and payment policies
     const contentResult = await query(
-      'SELECT price_usdc, creator_wallet FROM content WHERE id = $1',
+      `SELECT id, price_usdc, pricing_mode, suggested_price_usdc, price_schedule, creator_wallet,
+              underpayment_tolerance_units, overpayment_policy, asset_prices, transfer_fee_payer, collaborators,
+              cluster, sandbox, created_at
+       FROM content WHERE id = $1`,
       [contentId]
     );
 
@@ -128,112 +525,239 @@ router.post('/verify', validatePaymentRequest, async (req, res) => {
       return res.status(404).json({ error: 'Content not found' });
     }
 
-    const expectedAmount = parseFloat(contentResult.rows[0].price_usdc);
-    const creatorWallet = contentResult.rows[0].creator_wallet;
+    // Payments without a session are quoted at the price the schedule sets right now
+    const content = applyPriceSchedule(contentResult.rows[0]);
+
+    // A payment on one cluster can never unlock content sold on another
+    if (!isCurrentCluster(content.cluster)) {
+      return res.status(409).json({ verified: false, ...clusterMismatchError(content.cluster) });
+    }
 
-    // Check if this is a development/simulated transaction
-    const isSimulatedTx = transactionSignature.startsWith('sim_');
+    // Sandbox content is only unlocked in sandbox mode, and real content never by a sandbox server
+    if (!isCurrentMode(content.sandbox)) {
+      return res.status(409).json({ verified: false, ...sandboxMismatchError(content.sandbox) });
+    }
 
-    if (isSimulatedTx) {
-      // Development mode: accept simulated transactions
-      console.log('⚠️  Development mode: Accepting simulated transaction');
-
-      // Log successful payment
-      await query(
-        `INSERT INTO payment_logs (content_id, payer_wallet, amount_usdc, transaction_signature, payment_status)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [contentId, payerWallet || 'unknown', expectedAmount, transactionSignature, 'completed']
-      );
+    let session;
+    let quote = null;
 
-      // Update payment counter
-      await query(
-        'UPDATE content SET payments = payments + 1 WHERE id = $1',
-        [contentId]
-      );
+    if (quoteId) {
+      quote = await getPriceQuote(quoteId);
 
-      // Generate secure access token (JWT-like)
-      const accessToken = generateAccessToken({
-        contentId,
-        signature: transactionSignature,
-        payerWallet: payerWallet || 'unknown',
-        type: 'payment'
-      }, 7 * 24 * 60 * 60); // 7 days expiration
-
-      res.json({
-        verified: true,
-        message: 'Payment verified successfully (development mode)',
-        accessToken: accessToken,
-        downloadUrl: `${process.env.FRONTEND_URL}/${contentId}?payment=${accessToken}`
+      if (!quote || quote.content_id !== contentId) {
+        return res.status(404).json({ error: 'Price quote not found' });
+      }
+
+      if (isQuoteExpired(quote)) {
+        return res.status(410).json({
+          verified: false,
+          error: 'Price quote expired',
+          message: 'Request a new quote and try again'
+        });
+      }
+    }
+
+    // Without a session ID, a quote is paid through the session opened from it
+    const quoteSession = quote && !sessionId ? await findQuoteSession(quote.id) : null;
+
+    if (sessionId || (quoteSession && quoteSession.status !== 'failed')) {
+      session = sessionId ? await getPaymentSession(sessionId) : quoteSession;
+
+      if (!session || session.content_id !== contentId) {
+        return res.status(404).json({ error: 'Payment session not found' });
+      }
+
+      if (quote && session.quote_id !== quote.id) {
+        return res.status(400).json({
+          verified: false,
+          error: 'Quote mismatch',
+          message: 'This payment session was not opened from this quote'
+        });
+      }
+
+      if (session.status === 'pending' && new Date(session.expires_at) < new Date()) {
+        session = await transitionSession(session, 'expired', {
+          reason: 'No transaction submitted before the session expired'
+        }) || session;
+      }
+
+      if (session.status === 'expired') {
+        return res.status(410).json({
+          verified: false,
+          error: 'Payment session expired',
+          message: 'Start a new payment session and try again'
+        });
+      }
+
+      if (session.status !== 'pending') {
+        return res.status(409).json({
+          verified: false,
+          error: 'Payment session already used',
+          message: `This payment session is already ${session.status}`
+        });
+      }
+    } else if (quote) {
+      // The quote's session failed (e.g. on a wrong transaction), but its terms still hold
+      session = await createPaymentSession(content, { payerWallet, source: 'direct', quote });
+    } else {
+      const accepted = findAcceptedAsset(content, asset);
+
+      if (!accepted) {
+        return res.status(400).json({
+          error: 'Asset not accepted',
+          message: `This content accepts ${getAcceptedAssets(content).map(a => a.asset).join(', ')}`
+        });
+      }
+
+      const price = resolvePrice(content, accepted, amount);
+
+      if (price.error) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: price.error
+        });
+      }
+
+      session = await createPaymentSession(content, { payerWallet, source: 'direct', asset, price });
+    }
+
+    const submitted = await transitionSession(session, 'submitted', {
+      reason: 'Transaction submitted for verification',
+      signature: transactionSignature,
+      payerWallet
+    });
+
+    if (!submitted) {
+      return res.status(409).json({
+        verified: false,
+        error: 'Payment session already used',
+        message: 'This payment session was updated by another request'
       });
+    }
+
+    if (existingPayment) {
+      await transitionSession(submitted, 'failed', {
+        reason: 'Transaction signature already used',
+        signature: transactionSignature
+      });
+      return respondToClaimedSignature(req, res, existingPayment, contentId, payerWallet);
+    }
+
+    let verificationResult = null;
+    let payment;
 
-      console.log('✅ Payment verified (simulated):', {
+    if (isSimulatedTx) {
+      // Sandbox mode: accept simulated transactions for sandbox content
+      console.log('⚠️  Sandbox mode: Accepting simulated transaction');
+
+      const claim = await recordPayment({
         contentId,
+        payerWallet,
+        amount: submitted.amount,
+        asset: submitted.asset,
         signature: transactionSignature,
-        amount: expectedAmount
+        recipients: legsToRecipients(getSessionLegs(submitted), submitted.decimals)
       });
 
+      if (!claim.recorded) {
+        // Lost a race with a concurrent verify for the same signature
+        await transitionSession(submitted, 'failed', {
+          reason: 'Transaction signature already used',
+          signature: transactionSignature
+        });
+        return respondToClaimedSignature(req, res, claim.payment, contentId, payerWallet);
+      }
+
+      payment = claim.payment;
+
+      // Simulated transactions never reach the chain, so there is nothing to wait for
+      const confirmed = await transitionSession(submitted, 'confirmed', {
+        reason: 'Simulated transaction accepted (sandbox mode)',
+        signature: transactionSignature,
+        paymentId: payment.id
+      });
+      session = await transitionSession(confirmed, 'finalized', {
+        reason: 'Simulated transaction accepted (sandbox mode)',
+        signature: transactionSignature
+      });
     } else {
-      // Production mode: verify real Solana transaction on mainnet
+      // Production mode: verify real Solana transaction on the configured cluster
       console.log('🔍 Verifying real Solana transaction:', {
         signature: transactionSignature,
-        expectedRecipient: creatorWallet,
-        expectedAmount
+        sessionId: submitted.id,
+        expectedRecipient: submitted.recipient_wallet,
+        expectedPayer: submitted.payer_wallet,
+        expectedAsset: submitted.asset,
+        expectedAmount: toBaseUnits(submitted.amount, submitted.decimals)
       });
 
-      const verificationResult = await verifySolanaTransaction(
-        transactionSignature,
-        creatorWallet,
-        expectedAmount
-      );
+      const result = await confirmSubmittedSession(submitted);
+      verificationResult = result.verification;
+      session = result.session;
 
       if (!verificationResult.verified) {
         console.error('❌ Blockchain verification failed:', verificationResult.error);
         return res.status(402).json({
           verified: false,
+          sessionId: session.id,
+          status: session.status,
           error: verificationResult.error,
           details: verificationResult.details
         });
       }
 
-      // Transaction verified on blockchain
-      // Log successful payment
-      await query(
-        `INSERT INTO payment_logs (content_id, payer_wallet, amount_usdc, transaction_signature, payment_status)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [contentId, payerWallet || 'unknown', expectedAmount, transactionSignature, 'completed']
-      );
+      if (result.claimedBy) {
+        // Lost a race with a concurrent verify for the same signature
+        return respondToClaimedSignature(req, res, result.claimedBy, contentId, verificationResult.details.payer);
+      }
 
-      // Update payment counter
-      await query(
-        'UPDATE content SET payments = payments + 1 WHERE id = $1',
-        [contentId]
-      );
+      payment = result.payment;
+    }
 
-      // Generate secure access token (JWT-like)
-      const accessToken = generateAccessToken({
-        contentId,
-        signature: transactionSignature,
-        payerWallet: payerWallet || 'unknown',
-        type: 'payment'
-      }, 7 * 24 * 60 * 60); // 7 days expiration
-
-      res.json({
-        verified: true,
-        message: 'Payment verified successfully on Solana mainnet',
-        accessToken: accessToken,
-        downloadUrl: `${process.env.FRONTEND_URL}/${contentId}?payment=${accessToken}`,
-        blockchain: verificationResult.details
-      });
+    // Generate secure access token (JWT-like), bound to the on-chain payer;
+    // paying for a subscription plan grants the subscription instead
+    const grant = await getSubscriptionGrant(contentId, payment.payer_wallet);
+    const accessToken = grant ? grant.accessToken : generateAccessToken({
+      contentId,
+      signature: transactionSignature,
+      payerWallet: payment.payer_wallet || 'unknown',
+      cluster: getClusterName(),
+      type: 'payment'
+    }, remainingGrantSeconds(payment));
 
-      console.log('✅ Payment verified on blockchain:', {
-        contentId,
-        signature: transactionSignature,
-        amount: verificationResult.details.amount,
-        blockTime: verificationResult.details.blockTime
-      });
-    }
+    res.json({
+      verified: true,
+      message: isSimulatedTx
+        ? 'Payment verified successfully (sandbox mode)'
+        : `Payment verified successfully on Solana ${getClusterLabel()}`,
+      sessionId: session.id,
+      status: session.status,
+      cluster: getClusterName(),
+      sandbox: payment.sandbox,
+      accessToken: accessToken,
+      downloadUrl: `${process.env.FRONTEND_URL}/${contentId}?payment=${accessToken}`,
+      ...(grant && { subscription: grant.subscription }),
+      ...(verificationResult && {
+        blockchain: verificationResult.details,
+        explorerUrl: getExplorerUrl(transactionSignature)
+      })
+    });
+
+    console.log(isSimulatedTx ? '✅ Payment verified (simulated):' : '✅ Payment verified on blockchain:', {
+      contentId,
+      sessionId: session.id,
+      signature: transactionSignature,
+      asset: payment.asset,
+      amount: payment.amount_usdc,
+      ...(verificationResult && { blockTime: verificationResult.details.blockTime })
+    });
 
   } catch (error) {
+    // The session stays submitted and the watcher verifies it once RPC is back
+    if (error instanceof ServiceUnavailableError) {
+      return sendServiceUnavailable(res, error);
+    }
+
     console.error('❌ Payment verification error:', error);
     res.status(500).json({
       error: 'Failed to verify payment',
@@ -242,43 +766,92 @@ router.post('/verify', validatePaymentRequest, async (req, res) => {
   }
 });
 
+/**
+ * Format a payment session and its transitions for API responses
+ */
+const formatSessionLifecycle = (session, events) => ({
+  sessionId: session.id,
+  source: session.source,
+  status: session.status,
+  statusReason: session.status_reason,
+  asset: session.asset,
+  amount: parseFloat(session.amount),
+  cluster: session.cluster,
+  payerWallet: session.payer_wallet,
+  transactionSignature: session.transaction_signature,
+  expiresAt: session.expires_at,
+  createdAt: session.created_at,
+  updatedAt: session.updated_at,
+  transitions: events
+    .filter(e => e.session_id === session.id)
+    .map(e => ({
+      from: e.from_status,
+      to: e.to_status,
+      reason: e.reason,
+      transactionSignature: e.transaction_signature,
+      at: e.created_at
+    }))
+});
+
 /**
  * GET /api/payment/status/:contentId
- * Check payment status for content
+ * Check payment status for content, with the full lifecycle of matching payment sessions
+ * Query: signature, sessionId and/or payerWallet
  */
 router.get('/status/:contentId', validateContentId, async (req, res) => {
   try {
     const contentId = req.params.contentId || req.params.id;
-    const { signature } = req.query;
+    const { signature, sessionId, payerWallet } = req.query;
+    const filters = { signature, sessionId, payerWallet };
 
-    if (!signature || typeof signature !== 'string') {
-      return res.status(400).json({ error: 'Transaction signature required' });
+    if (Object.values(filters).some(v => v !== undefined && typeof v !== 'string')) {
+      return res.status(400).json({ error: 'Invalid query parameters' });
     }
 
-    // Check if payment exists in logs
-    const result = await query(
-      `SELECT id, amount_usdc, payment_status, paid_at
-       FROM payment_logs
-       WHERE content_id = $1 AND transaction_signature = $2
-       ORDER BY paid_at DESC
-       LIMIT 1`,
-      [contentId, signature]
-    );
+    if (!signature && !sessionId && !payerWallet) {
+      return res.status(400).json({ error: 'Transaction signature, session ID or payer wallet required' });
+    }
 
-    if (result.rows.length === 0) {
+    const sessions = await findContentSessions(contentId, filters);
+    const events = await getSessionEvents(sessions.map(s => s.id));
+
+    // The payment behind the signature, or behind the most recent paid session
+    const paidSession = sessions.find(s => PAID_SESSION_STATUSES.includes(s.status));
+    const paymentSignature = signature || paidSession?.transaction_signature;
+    let payment = null;
+
+    if (paymentSignature) {
+      // Check if payment exists in logs
+      const result = await query(
+        `SELECT id, amount_usdc, asset, cluster, payment_status, finality_status, finalized_at, paid_at
+         FROM payment_logs
+         WHERE content_id = $1 AND transaction_signature = $2
+         ORDER BY paid_at DESC
+         LIMIT 1`,
+        [contentId, paymentSignature]
+      );
+      payment = result.rows[0] || null;
+    }
+
+    if (!payment && sessions.length === 0) {
       return res.json({
         paid: false,
-        message: 'No payment found'
+        message: 'No payment found',
+        sessions: []
       });
     }
 
-    const payment = result.rows[0];
-
     res.json({
-      paid: payment.payment_status === 'completed',
-      status: payment.payment_status,
-      amount: parseFloat(payment.amount_usdc),
-      paidAt: payment.paid_at
+      paid: payment ? payment.payment_status === 'completed' : false,
+      status: payment ? payment.payment_status : sessions[0].status,
+      asset: payment ? payment.asset : sessions[0].asset,
+      amount: parseFloat(payment ? payment.amount_usdc : sessions[0].amount),
+      cluster: payment ? payment.cluster : sessions[0].cluster,
+      paidAt: payment ? payment.paid_at : null,
+      // confirmed, finalized or dropped; null without an on-chain transaction
+      finality: payment ? payment.finality_status : null,
+      finalizedAt: payment ? payment.finalized_at : null,
+      sessions: sessions.map(s => formatSessionLifecycle(s, events))
     });
 
   } catch (error) {
@@ -289,7 +862,10 @@ router.get('/status/:contentId', validateContentId, async (req, res) => {
 
 /**
  * GET /api/payment/history/:creatorWallet
- * Get payment history for creator (basic implementation)
+ * Get payment history for a creator, collaborator or the platform treasury
+ * Amounts are the wallet's own share of each payment (amount_received).
+ * Only payments made on the cluster and in the mode (live or sandbox) this backend
+ * runs in are listed, so test payments never show up as real earnings.
  */
 router.get('/history/:creatorWallet', validateWalletAddress, async (req, res) => {
   try {
@@ -297,34 +873,52 @@ router.get('/history/:creatorWallet', validateWalletAddress, async (req, res) =>
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
 
-    // Get payments for creator's content
+    // Get payments this wallet received a share of. Payments recorded before split
+    // payments have no recipient rows and belong entirely to the content's creator.
     const result = await query(
-      `SELECT p.id, p.content_id, p.amount_usdc, p.transaction_signature,
-              p.payment_status, p.paid_at, c.content_type, c.original_filename
+      `SELECT p.id, p.content_id, p.amount_usdc, p.asset, p.cluster, p.sandbox, p.transaction_signature,
+              p.payment_status, p.finality_status, p.finalized_at, p.paid_at, c.content_type, c.original_filename,
+              COALESCE(r.role, 'creator') AS role, COALESCE(r.amount, p.amount_usdc) AS amount_received
        FROM payment_logs p
        JOIN content c ON c.id = p.content_id
-       WHERE c.creator_wallet = $1
+       LEFT JOIN payment_recipients r ON r.payment_id = p.id
+       WHERE (r.wallet = $1 OR (r.id IS NULL AND c.creator_wallet = $1))
+         AND p.cluster = $4 AND p.sandbox = $5
        ORDER BY p.paid_at DESC
        LIMIT $2 OFFSET $3`,
-      [creatorWallet, limit, offset]
+      [creatorWallet, limit, offset, getClusterName(), isSandboxMode()]
     );
 
-    // Get total earnings
+    // Get total earnings per asset: this wallet's share, not the full price
     const totalResult = await query(
-      `SELECT COUNT(*) as total_payments, SUM(p.amount_usdc) as total_earned
+      `SELECT p.asset, COUNT(*) as total_payments, SUM(COALESCE(r.amount, p.amount_usdc)) as total_earned
        FROM payment_logs p
        JOIN content c ON c.id = p.content_id
-       WHERE c.creator_wallet = $1 AND p.payment_status = 'completed'`,
-      [creatorWallet]
+       LEFT JOIN payment_recipients r ON r.payment_id = p.id
+       WHERE (r.wallet = $1 OR (r.id IS NULL AND c.creator_wallet = $1))
+         AND p.cluster = $2 AND p.sandbox = $3 AND p.payment_status = 'completed'
+       GROUP BY p.asset`,
+      [creatorWallet, getClusterName(), isSandboxMode()]
     );
 
-    const stats = totalResult.rows[0];
+    const earnedByAsset = {};
+    let totalPayments = 0;
+
+    for (const row of totalResult.rows) {
+      earnedByAsset[row.asset] = parseFloat(row.total_earned || 0);
+      totalPayments += parseInt(row.total_payments);
+    }
 
     res.json({
+      cluster: getClusterName(),
+      sandbox: isSandboxMode(),
       payments: result.rows,
       stats: {
-        totalPayments: parseInt(stats.total_payments),
-        totalEarned: parseFloat(stats.total_earned || 0)
+        totalPayments,
+        // USDC only; other assets are reported separately in earnedByAsset
+        totalEarned: earnedByAsset.USDC || 0,
+        earnedByAsset,
+        subscribers: await getSubscriberCounts(creatorWallet)
       },
       pagination: {
         limit,
@@ -0,0 +1,105 @@
+import express from 'express';
+import { query } from '../db/index.js';
+import { x402PaymentGate, buildPaymentRequirements, sendPaymentRequired } from '../middleware/x402.js';
+import { validateContentId } from '../middleware/validation.js';
+import {
+  API_CONTENT_TYPE,
+  useApiCall,
+  releaseApiCall,
+  buildUpstreamUrl,
+  forwardApiCall
+} from '../utils/proxiedApis.js';
+
+const router = express.Router();
+
+/**
+ * Load the upstream of a proxied API
+ * Runs before the payment gate so nothing but a proxied API can be paid for through the proxy.
+ */
+const loadProxiedApi = async (req, res, next) => {
+  try {
+    const result = await query(
+      `SELECT id, content_type, content_path
+       FROM content
+       WHERE id = $1`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].content_type !== API_CONTENT_TYPE) {
+      return res.status(404).json({ error: 'API not found' });
+    }
+
+    req.upstream = result.rows[0].content_path;
+    next();
+  } catch (error) {
+    console.error('❌ Proxied API lookup error:', error);
+    res.status(500).json({ error: 'Failed to load API' });
+  }
+};
+
+/**
+ * ALL /api/proxy/:id/*
+ * Call a proxied API (requires payment via x402)
+ * The request is forwarded to the creator's upstream with the path below /api/proxy/:id, its query
+ * (without the gate's payment and amount parameters), body, and Accept/Content-Type headers. Each
+ * call uses one of the calls bought with the payment; X-API-Calls-Remaining says how many are left.
+ */
+router.all(['/:id', '/:id/*'], validateContentId, loadProxiedApi, x402PaymentGate, async (req, res) => {
+  const content = req.content; // Set by x402PaymentGate middleware
+  const signature = req.payment.signature;
+
+  try {
+    const queryIndex = req.originalUrl.indexOf('?');
+    const url = buildUpstreamUrl(
+      req.upstream,
+      req.path.slice(req.params.id.length + 1),
+      queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex)
+    );
+
+    if (!url) {
+      return res.status(400).json({
+        error: 'Invalid path',
+        message: 'The path must stay below the API endpoint'
+      });
+    }
+
+    const callsRemaining = await useApiCall(content, signature);
+
+    // Another call used the last one since the gate checked
+    if (callsRemaining === null) {
+      const resource = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+      const accepts = await buildPaymentRequirements(content, resource, req.query.amount);
+      return sendPaymentRequired(res, accepts, 'All calls paid for with this access token have been used');
+    }
+
+    let response;
+
+    try {
+      response = await forwardApiCall(url, { method: req.method, headers: req.headers, body: req.body });
+    } catch (error) {
+      await releaseApiCall(content, signature);
+      console.error('❌ Proxied API call failed:', { id: content.id, error: error.code || error.message });
+      return res.status(502).json({
+        error: 'API unavailable',
+        message: 'The API did not answer; this call was not counted'
+      });
+    }
+
+    res.set(response.headers);
+    res.set('X-API-Calls-Remaining', String(callsRemaining));
+    res.status(response.status).send(response.data);
+
+    console.log('✅ API call proxied:', {
+      id: content.id,
+      method: req.method,
+      status: response.status,
+      callsRemaining
+    });
+
+  } catch (error) {
+    console.error('❌ Proxy error:', error);
+    res.status(500).json({ error: 'Failed to call API' });
+  }
+});
+
+export default router;
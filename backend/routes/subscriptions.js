@@ -0,0 +1,186 @@
+import express from 'express';
+import { query } from '../db/index.js';
+import { generatePaymentLink } from '../middleware/x402.js';
+import { requireCreator, asCreatorUpload } from '../middleware/creatorAuth.js';
+import {
+  validateUploadRequest,
+  validateWalletAddress,
+  isValidSolanaAddress,
+  sanitizeText
+} from '../middleware/validation.js';
+import { toBaseUnits, fromBaseUnits } from '../utils/solana.js';
+import { parseAssetPrices, getAcceptedAssets, formatAcceptedAsset } from '../utils/assets.js';
+import { getClusterName } from '../utils/cluster.js';
+import { isSandboxMode } from '../utils/sandbox.js';
+import { parseCollaborators } from '../utils/splits.js';
+import {
+  SUBSCRIPTION_CONTENT_TYPE,
+  SUBSCRIPTION_PERIOD,
+  SUBSCRIPTION_GRACE_PERIOD,
+  findSubscriptionPlan,
+  getSubscription,
+  formatSubscription
+} from '../utils/subscriptions.js';
+
+const router = express.Router();
+
+const PLAN_COLUMNS = `id, content_type, original_filename, price_usdc, creator_wallet, created_at,
+                 underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                 transfer_fee_payer, collaborators`;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Format a subscription plan for API responses
+ */
+const formatPlan = (plan) => ({
+  id: plan.id,
+  title: plan.original_filename,
+  price: parseFloat(plan.price_usdc),
+  creatorWallet: plan.creator_wallet,
+  acceptedAssets: getAcceptedAssets(plan).map(formatAcceptedAsset),
+  periodDays: SUBSCRIPTION_PERIOD / SECONDS_PER_DAY,
+  graceDays: SUBSCRIPTION_GRACE_PERIOD / SECONDS_PER_DAY,
+  cluster: plan.cluster,
+  sandbox: plan.sandbox,
+  createdAt: plan.created_at,
+  shareUrl: `${process.env.FRONTEND_URL}/${plan.id}`
+});
+
+/**
+ * PUT /api/subscriptions
+ * Create or update the logged-in creator's subscription plan on this cluster and mode
+ * Subscribers keep the period they paid for; the new price applies to renewals.
+ * Body: title, price, and the payment options of an upload
+ *   (acceptedAssets, underpaymentTolerance, overpaymentPolicy, transferFeePayer, collaborators)
+ */
+router.put('/', requireCreator, asCreatorUpload, validateUploadRequest, async (req, res) => {
+  try {
+    const { price, creatorWallet } = req.body;
+    const title = sanitizeText(req.body.title || 'Subscription').substring(0, 255);
+
+    if (req.body.pricingMode === 'pay_what_you_want') {
+      return res.status(400).json({
+        error: 'Invalid pricing mode',
+        message: 'Subscription plans have a fixed price'
+      });
+    }
+
+    if (req.body.priceSchedule) {
+      return res.status(400).json({
+        error: 'Invalid price schedule',
+        message: 'Subscription plans have a fixed price'
+      });
+    }
+
+    if (!title) {
+      return res.status(400).json({
+        error: 'Invalid title',
+        message: 'Plan title cannot be empty'
+      });
+    }
+
+    const underpaymentTolerance = toBaseUnits(req.body.underpaymentTolerance || 0);
+    const overpaymentPolicy = req.body.overpaymentPolicy || 'accept';
+    const assetPrices = JSON.stringify(parseAssetPrices(req.body.acceptedAssets));
+    const transferFeePayer = req.body.transferFeePayer || 'buyer';
+    const collaborators = JSON.stringify(parseCollaborators(req.body.collaborators, creatorWallet));
+
+    const existing = await findSubscriptionPlan(creatorWallet);
+    let result;
+
+    if (existing) {
+      result = await query(
+        `UPDATE content
+         SET original_filename = $1, price_usdc = $2, underpayment_tolerance_units = $3,
+             overpayment_policy = $4, asset_prices = $5, transfer_fee_payer = $6, collaborators = $7
+         WHERE id = $8
+         RETURNING ${PLAN_COLUMNS}`,
+        [title, price, underpaymentTolerance, overpaymentPolicy, assetPrices, transferFeePayer, collaborators,
+         existing.id]
+      );
+    } else {
+      result = await query(
+        `INSERT INTO content (content_type, content_path, original_filename, file_mimetype,
+                              price_usdc, creator_wallet, expires_at,
+                              underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                              transfer_fee_payer, collaborators)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING ${PLAN_COLUMNS}`,
+        [SUBSCRIPTION_CONTENT_TYPE, '', title, null, price, creatorWallet, null,
+         underpaymentTolerance, overpaymentPolicy, assetPrices, getClusterName(), isSandboxMode(),
+         transferFeePayer, collaborators]
+      );
+    }
+
+    const plan = result.rows[0];
+
+    console.log(existing ? '✅ Subscription plan updated:' : '✅ Subscription plan created:', {
+      id: plan.id,
+      price,
+      creator: creatorWallet
+    });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Subscription plan updated' : 'Subscription plan created',
+      plan: {
+        ...formatPlan(plan),
+        paymentPolicy: {
+          underpaymentTolerance: fromBaseUnits(plan.underpayment_tolerance_units),
+          overpayment: plan.overpayment_policy,
+          transferFeePayer: plan.transfer_fee_payer
+        },
+        collaborators: plan.collaborators,
+        paymentLink: await generatePaymentLink(plan, parseFloat(price))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Subscription plan error:', error);
+    res.status(500).json({
+      error: 'Failed to save subscription plan',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/subscriptions/:creatorWallet
+ * Get a creator's subscription plan on this cluster and mode
+ * Query: subscriber (optional) - also return this wallet's subscription status
+ */
+router.get('/:creatorWallet', validateWalletAddress, async (req, res) => {
+  try {
+    const { creatorWallet } = req.params;
+    const { subscriber } = req.query;
+
+    if (subscriber !== undefined && !isValidSolanaAddress(subscriber)) {
+      return res.status(400).json({
+        error: 'Invalid wallet address',
+        message: 'Subscriber must be a valid Solana address'
+      });
+    }
+
+    const plan = await findSubscriptionPlan(creatorWallet);
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Subscription plan not found' });
+    }
+
+    const response = formatPlan(plan);
+
+    if (subscriber) {
+      const subscription = await getSubscription(plan.id, subscriber);
+      response.subscription = subscription ? formatSubscription(subscription) : null;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Subscription plan info error:', error);
+    res.status(500).json({ error: 'Failed to fetch subscription plan' });
+  }
+});
+
+export default router;
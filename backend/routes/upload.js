@@ -5,6 +5,15 @@ import { v4 as uuidv4 } from 'uuid';
 import { query } from '../db/index.js';
 import { generatePaymentLink } from '../middleware/x402.js';
 import { validateUploadRequest, validateContentId } from '../middleware/validation.js';
+import { toBaseUnits, fromBaseUnits } from '../utils/solana.js';
+import { parseAssetPrices, getAcceptedAssets, formatAcceptedAsset } from '../utils/assets.js';
+import { getClusterName } from '../utils/cluster.js';
+import { isSandboxMode } from '../utils/sandbox.js';
+import { parseCollaborators } from '../utils/splits.js';
+import { getExpirationDate } from '../utils/expiration.js';
+import { formatPricing } from '../utils/pricing.js';
+import { parsePriceSchedule, applyPriceSchedule, formatPriceSchedule } from '../utils/priceSchedules.js';
+import { API_CONTENT_TYPE, parseCallsPerPayment, formatProxiedApi } from '../utils/proxiedApis.js';
 
 const router = express.Router();
 
@@ -54,6 +63,14 @@ const upload = multer({
 router.post('/', upload.single('file'), validateUploadRequest, async (req, res) => {
   try {
     const { price, expiresIn, creatorWallet, contentType } = req.body;
+    const overpaymentPolicy = req.body.overpaymentPolicy || 'accept';
+    const transferFeePayer = req.body.transferFeePayer || 'buyer';
+    const underpaymentToleranceUnits = toBaseUnits(req.body.underpaymentTolerance || 0);
+    const assetPrices = parseAssetPrices(req.body.acceptedAssets);
+    const collaborators = parseCollaborators(req.body.collaborators, creatorWallet);
+    const pricingMode = req.body.pricingMode || 'fixed';
+    const suggestedPrice = pricingMode === 'pay_what_you_want' && req.body.suggestedPrice ? req.body.suggestedPrice : null;
+    const priceSchedule = parsePriceSchedule(req.body.priceSchedule, price);
 
     // Validation
     if (!price || parseFloat(price) < 0.01 || parseFloat(price) > 100) {
@@ -72,6 +89,7 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res)
     let originalFilename = null;
     let fileMimetype = null;
     let type = contentType || 'file';
+    let apiCallsPerPayment = null;
 
     if (req.file) {
       // File upload
@@ -92,48 +110,42 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res)
       // Link content
       contentPath = req.body.linkUrl;
       type = 'link';
+    } else if (req.body.apiUrl) {
+      // Proxied API: the upstream URL stays on the server, buyers call /api/proxy/:id
+      contentPath = req.body.apiUrl;
+      type = API_CONTENT_TYPE;
+      apiCallsPerPayment = parseCallsPerPayment(req.body.callsPerPayment);
     } else {
       return res.status(400).json({
-        error: 'No content provided. Upload a file, provide text, or link'
+        error: 'No content provided. Upload a file, provide text, a link or an API URL'
       });
     }
 
     // Calculate expiration
-    let expiresAt = null;
-    if (expiresIn && expiresIn !== 'never') {
-      const now = new Date();
-      switch (expiresIn) {
-        case '1h':
-          expiresAt = new Date(now.getTime() + 60 * 60 * 1000);
-          break;
-        case '1d':
-          expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
-          break;
-        case '7d':
-          expiresAt = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          expiresAt = null;
-      }
-    }
+    const expiresAt = getExpirationDate(expiresIn);
 
     // Insert into database
     const result = await query(
       `INSERT INTO content (content_type, content_path, original_filename, file_mimetype,
-                            price_usdc, creator_wallet, expires_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, content_type, price_usdc, creator_wallet, expires_at, created_at`,
-      [type, contentPath, originalFilename, fileMimetype, price, creatorWallet, expiresAt]
+                            price_usdc, creator_wallet, expires_at,
+                            underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                            transfer_fee_payer, collaborators, pricing_mode, suggested_price_usdc,
+                            price_schedule, api_calls_per_payment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING id, content_type, price_usdc, creator_wallet, expires_at, created_at,
+                 underpayment_tolerance_units, overpayment_policy, asset_prices, cluster, sandbox,
+                 transfer_fee_payer, collaborators, pricing_mode, suggested_price_usdc, price_schedule,
+                 api_calls_per_payment`,
+      [type, contentPath, originalFilename, fileMimetype, price, creatorWallet, expiresAt,
+       underpaymentToleranceUnits, overpaymentPolicy, JSON.stringify(assetPrices), getClusterName(),
+       isSandboxMode(), transferFeePayer, JSON.stringify(collaborators), pricingMode, suggestedPrice,
+       priceSchedule && JSON.stringify(priceSchedule), apiCallsPerPayment]
     );
 
     const content = result.rows[0];
 
     // Generate payment link
-    const paymentLink = generatePaymentLink(
-      content.id,
-      parseFloat(price),
-      creatorWallet
-    );
+    const paymentLink = await generatePaymentLink(content, parseFloat(price));
 
     // Generate shareable URL
     const shareUrl = `${process.env.FRONTEND_URL}/${content.id}`;
@@ -145,6 +157,18 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res)
         id: content.id,
         type: content.content_type,
         price: parseFloat(content.price_usdc),
+        pricing: formatPricing(content),
+        priceSchedule: formatPriceSchedule(applyPriceSchedule(content)),
+        acceptedAssets: getAcceptedAssets(content).map(formatAcceptedAsset),
+        cluster: content.cluster,
+        sandbox: content.sandbox,
+        paymentPolicy: {
+          underpaymentTolerance: fromBaseUnits(content.underpayment_tolerance_units),
+          overpayment: content.overpayment_policy,
+          transferFeePayer: content.transfer_fee_payer
+        },
+        collaborators: content.collaborators,
+        api: formatProxiedApi(content, `${req.protocol}://${req.get('host')}`),
         expiresAt: content.expires_at,
         createdAt: content.created_at,
         shareUrl: shareUrl,
@@ -156,7 +180,8 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res)
       id: content.id,
       type: type,
       price: price,
-      creator: creatorWallet
+      creator: creatorWallet,
+      cluster: content.cluster
     });
 
   } catch (error) {
@@ -3,6 +3,12 @@ import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import app from './app.js';
 import pool from './db/index.js';
+import { startPaymentSessionWatcher } from './utils/paymentSessions.js';
+import { startFinalityWorker } from './utils/finality.js';
+import { startWebhookWorker } from './utils/webhooks.js';
+import { getClusterName } from './utils/cluster.js';
+import { getRpcEndpoints } from './utils/rpcPool.js';
+import { getFacilitator } from './utils/facilitator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +29,24 @@ const initializeServer = async () => {
 const startServer = async () => {
   await initializeServer();
 
+  // Finalize Solana Pay sessions in the background (set to 0 to disable)
+  const sessionPollInterval = parseInt(process.env.PAYMENT_SESSION_POLL_INTERVAL ?? '10000');
+  if (sessionPollInterval > 0) {
+    startPaymentSessionWatcher({ intervalMs: sessionPollInterval });
+  }
+
+  // Recheck confirmed payments until they're finalized (set to 0 to disable)
+  const finalityPollInterval = parseInt(process.env.FINALITY_POLL_INTERVAL ?? '30000');
+  if (finalityPollInterval > 0) {
+    startFinalityWorker({ intervalMs: finalityPollInterval });
+  }
+
+  // Retry webhook deliveries and send content.expired events (set to 0 to disable)
+  const webhookPollInterval = parseInt(process.env.WEBHOOK_POLL_INTERVAL ?? '10000');
+  if (webhookPollInterval > 0) {
+    startWebhookWorker({ intervalMs: webhookPollInterval });
+  }
+
   app.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════╗
@@ -33,7 +57,8 @@ const startServer = async () => {
 ✅ Server running on http://localhost:${PORT}
 ✅ Environment: ${process.env.NODE_ENV || 'development'}
 ✅ Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}
-✅ x402 Facilitator: ${process.env.X402_FACILITATOR_URL || 'https://api.payai.network/x402'}
+✅ Solana cluster: ${getClusterName()} (${getRpcEndpoints().map(({ url }) => new URL(url).host).join(', ')})
+✅ x402 Facilitator: ${getFacilitator().name} (${getFacilitator().description})
 
 📝 API Endpoints:
    - POST   /api/upload
@@ -41,6 +66,7 @@ const startServer = async () => {
    - GET    /api/content/:id/download
    - POST   /api/payment/initiate
    - POST   /api/payment/verify
+   - GET    /api/payment/session/:sessionId
    - GET    /health
 
 Press Ctrl+C to stop the server
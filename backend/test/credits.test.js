@@ -0,0 +1,136 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Credit ledger tests
+ * Run against the in-memory database with a stub RPC connection injected through
+ * options.connection, so no network or Postgres is needed.
+ */
+
+process.env.USE_MOCK_DB = 'true';
+process.env.SOLANA_CLUSTER = 'devnet';
+process.env.CREDIT_DEPOSIT_WALLET = '7UX2i7SucgLMQcfZ75s3VXmZZY4YRUyJN9X1RgfMoDUi';
+
+const { query } = await import('../db/index.js');
+const credits = await import('../utils/credits.js');
+const { recordPayment, findTransactionClaim } = await import('../utils/payments.js');
+const { runFinalityWorker } = await import('../utils/finality.js');
+
+const CREATOR = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+/**
+ * Stub RPC connection reporting a fixed status per signature (unknown signatures aren't found)
+ * @param {Object} statuses - Signature status values by signature
+ * @returns {Object}
+ */
+function stubConnection(statuses) {
+  return {
+    async getSignatureStatus(signature) {
+      return { value: statuses[signature] ?? null };
+    }
+  };
+}
+
+/**
+ * Ledger entry types of a wallet, oldest first
+ * @param {string} wallet - Buyer wallet
+ * @returns {Promise<string[]>}
+ */
+async function entryTypes(wallet) {
+  const entries = await credits.getCreditStatement(wallet);
+  return entries.reverse().map(entry => entry.entry_type);
+}
+
+describe('credit ledger', () => {
+  let content;
+
+  before(async () => {
+    const result = await query(
+      `INSERT INTO content (content_type, content_path, original_filename, file_mimetype, price_usdc, creator_wallet, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      ['link', 'https://example.com/article', null, null, '2', CREATOR, null]
+    );
+    content = { ...result.rows[0], collaborators: [] };
+  });
+
+  it('refuses a debit the balance does not cover', async () => {
+    const wallet = 'WalletOverdraw';
+    await credits.depositCredit(wallet, '1000000', 'sim_overdraw', { onChain: false });
+
+    const purchase = await credits.payWithCredit(content, wallet, { priceUnits: '2000000' });
+    const withdrawal = await credits.requestWithdrawal(wallet, '1000001', wallet);
+
+    assert.equal(purchase, null);
+    assert.equal(withdrawal, null);
+    assert.equal(await credits.getCreditBalance(wallet), '1000000');
+    assert.deepEqual(await entryTypes(wallet), ['deposit']);
+  });
+
+  it('never credits a transaction claimed as a payment', async () => {
+    const wallet = 'WalletClaimedPayment';
+    const { recorded } = await recordPayment({
+      contentId: content.id,
+      payerWallet: wallet,
+      amount: '2',
+      signature: 'sigPaidFirst',
+      recipients: [{ wallet: CREATOR, role: 'creator', amount: '2' }]
+    });
+
+    const deposit = await credits.depositCredit(wallet, '2000000', 'sigPaidFirst');
+
+    assert.equal(recorded, true);
+    assert.equal(deposit, null);
+    assert.equal(await credits.getCreditBalance(wallet), '0');
+    assert.equal(await findTransactionClaim('sigPaidFirst'), 'payment');
+  });
+
+  it('never records a payment for a transaction credited as a deposit', async () => {
+    const wallet = 'WalletClaimedDeposit';
+    const deposit = await credits.depositCredit(wallet, '2000000', 'sigDepositedFirst');
+
+    const { recorded, payment } = await recordPayment({
+      contentId: content.id,
+      payerWallet: wallet,
+      amount: '2',
+      signature: 'sigDepositedFirst',
+      recipients: [{ wallet: CREATOR, role: 'creator', amount: '2' }]
+    });
+
+    assert.ok(deposit);
+    assert.equal(recorded, false);
+    assert.equal(payment, null);
+    assert.equal(await findTransactionClaim('sigDepositedFirst'), 'credit_deposit');
+  });
+
+  it('reverses a dropped deposit, even if its credit was spent', async () => {
+    const wallet = 'WalletDropped';
+    await credits.depositCredit(wallet, '3000000', 'sigDropped');
+    await credits.payWithCredit(content, wallet, { priceUnits: '2000000' });
+
+    await runFinalityWorker({ connection: stubConnection({ sigDropped: { err: { InstructionError: [0, 'Custom'] } } }) });
+
+    const deposit = await credits.findCreditDeposit('sigDropped');
+    assert.equal(deposit.finality_status, 'dropped');
+    assert.equal(await credits.getCreditBalance(wallet), '-2000000');
+    assert.deepEqual(await entryTypes(wallet), ['deposit', 'purchase', 'reversal']);
+
+    // A second pass finds nothing left to reverse
+    await runFinalityWorker({ connection: stubConnection({ sigDropped: { err: { InstructionError: [0, 'Custom'] } } }) });
+    assert.equal(await credits.getCreditBalance(wallet), '-2000000');
+  });
+
+  it('keeps a deposit awaiting finality out of withdrawals', async () => {
+    const wallet = 'WalletHeld';
+    await credits.depositCredit(wallet, '1000000', 'sim_held', { onChain: false });
+    await credits.depositCredit(wallet, '4000000', 'sigHeld');
+
+    assert.equal(await credits.requestWithdrawal(wallet, '2000000', wallet), null);
+    assert.ok(await credits.requestWithdrawal(wallet, '1000000', wallet));
+
+    await runFinalityWorker({ connection: stubConnection({ sigHeld: { confirmationStatus: 'finalized', err: null } }) });
+
+    assert.ok(await credits.requestWithdrawal(wallet, '4000000', wallet));
+    assert.equal(await credits.getCreditBalance(wallet), '0');
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PublicKey } from '@solana/web3.js';
+
+/**
+ * Payment session lifecycle tests
+ * Run against the in-memory database with a stub RPC connection injected through
+ * options.connection, so no network or Postgres is needed.
+ */
+
+process.env.USE_MOCK_DB = 'true';
+process.env.SOLANA_CLUSTER = 'mainnet-beta';
+
+const { query } = await import('../db/index.js');
+const { createPriceQuote } = await import('../utils/priceQuotes.js');
+const sessions = await import('../utils/paymentSessions.js');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const PAYER = 'HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH';
+const CREATOR = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+
+/**
+ * Build a confirmed USDC transfer from PAYER to CREATOR, as getTransaction returns it
+ * @param {string} [amount='1500000'] - Amount received, in base units
+ * @returns {Object}
+ */
+function usdcTransfer(amount = '1500000') {
+  const balance = (accountIndex, owner, units) => ({
+    accountIndex,
+    mint: USDC_MINT,
+    owner,
+    uiTokenAmount: { amount: units, decimals: 6, uiAmount: Number(units) / 1e6 }
+  });
+
+  return {
+    slot: 1,
+    blockTime: Math.floor(Date.now() / 1000),
+    transaction: { message: { staticAccountKeys: [new PublicKey(PAYER)] } },
+    meta: {
+      err: null,
+      fee: 5000,
+      preTokenBalances: [balance(1, PAYER, '5000000'), balance(2, CREATOR, '0')],
+      postTokenBalances: [balance(1, PAYER, String(5000000 - Number(amount))), balance(2, CREATOR, amount)]
+    }
+  };
+}
+
+/**
+ * Stub RPC connection serving fixed transactions
+ * @param {Object} [options]
+ * @param {Object} [options.transactions] - Transactions by signature
+ * @param {string[]} [options.referenced] - Signatures returned for any reference, newest first
+ * @param {string} [options.commitment='confirmed'] - Status reported for every signature
+ * @returns {Object}
+ */
+function stubConnection({ transactions = {}, referenced = [], commitment = 'confirmed' } = {}) {
+  return {
+    lookups: [],
+    commitment,
+    async getSignaturesForAddress(address) {
+      this.lookups.push(address.toBase58());
+      return referenced.map(signature => ({ signature, err: null }));
+    },
+    async getTransaction(signature) {
+      return transactions[signature] || null;
+    },
+    async getSignatureStatus() {
+      return { value: { err: null, confirmationStatus: this.commitment } };
+    }
+  };
+}
+
+/**
+ * Status changes logged for a session, oldest first
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string[]>} - 'from>to' pairs
+ */
+async function transitions(sessionId) {
+  const events = await sessions.getSessionEvents([sessionId]);
+  return events
+    .filter(event => event.from_status !== event.to_status)
+    .map(event => `${event.from_status}>${event.to_status}`);
+}
+
+describe('payment sessions', () => {
+  let content;
+
+  before(async () => {
+    const result = await query(
+      `INSERT INTO content (content_type, content_path, original_filename, file_mimetype, price_usdc, creator_wallet, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      ['link', 'https://example.com/article', null, null, '1.50', CREATOR, null]
+    );
+    content = result.rows[0];
+  });
+
+  it('moves pending -> submitted -> confirmed -> finalized', async () => {
+    const session = await sessions.createPaymentSession(content);
+    assert.equal(session.status, 'pending');
+
+    const submitted = await sessions.transitionSession(session, 'submitted', {
+      reason: 'Transaction submitted',
+      signature: 'sigSubmitted'
+    });
+    assert.equal(submitted.status, 'submitted');
+
+    const connection = stubConnection({ transactions: { sigSubmitted: usdcTransfer() } });
+    const { session: confirmed, payment } = await sessions.confirmSubmittedSession(submitted, { connection });
+
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(confirmed.payer_wallet, PAYER);
+    assert.equal(confirmed.payment_id, payment.id);
+
+    connection.commitment = 'finalized';
+    const { session: finalized } = await sessions.checkPaymentSession(confirmed, { connection });
+
+    assert.equal(finalized.status, 'finalized');
+    assert.deepEqual(await transitions(session.id),
+      ['null>pending', 'pending>submitted', 'submitted>confirmed', 'confirmed>finalized']);
+  });
+
+  it('fails a submitted session whose transaction does not pay it', async () => {
+    const session = await sessions.createPaymentSession(content);
+    const submitted = await sessions.transitionSession(session, 'submitted', {
+      reason: 'Transaction submitted',
+      signature: 'sigShort'
+    });
+
+    const connection = stubConnection({ transactions: { sigShort: usdcTransfer('100') } });
+    const { session: failed, payment } = await sessions.confirmSubmittedSession(submitted, { connection });
+
+    assert.equal(failed.status, 'failed');
+    assert.equal(payment, undefined);
+  });
+
+  it('finds a pending session payment by its reference', async () => {
+    const session = await sessions.createPaymentSession(content);
+
+    // Newest first: a short payment after the real one carries the same reference
+    const connection = stubConnection({
+      referenced: ['sigLate', 'sigReference'],
+      transactions: { sigReference: usdcTransfer(), sigLate: usdcTransfer('100') }
+    });
+    const { session: confirmed, payment } = await sessions.checkPaymentSession(session, { connection });
+
+    assert.deepEqual(connection.lookups, [session.reference]);
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(confirmed.transaction_signature, 'sigReference');
+    assert.equal(payment.transaction_signature, 'sigReference');
+    assert.deepEqual(await transitions(session.id), ['null>pending', 'pending>submitted', 'submitted>confirmed']);
+  });
+
+  it('ignores transactions on the reference that do not pay the session', async () => {
+    const session = await sessions.createPaymentSession(content);
+
+    const connection = stubConnection({
+      referenced: ['sigBogus'],
+      transactions: { sigBogus: usdcTransfer('100') }
+    });
+    const { session: unchanged } = await sessions.checkPaymentSession(session, { connection });
+
+    assert.equal(unchanged.status, 'pending');
+    assert.deepEqual(await transitions(session.id), ['null>pending']);
+  });
+
+  it('logs an ignored transaction once however often the session is checked', async () => {
+    const session = await sessions.createPaymentSession(content);
+
+    const connection = stubConnection({
+      referenced: ['sigDust'],
+      transactions: { sigDust: usdcTransfer('1') }
+    });
+    await sessions.checkPaymentSession(session, { connection });
+    await sessions.checkPaymentSession(session, { connection });
+    await sessions.checkPaymentSession(session, { connection });
+
+    const events = await sessions.getSessionEvents([session.id]);
+    assert.equal(events.filter(event => event.transaction_signature === 'sigDust').length, 1);
+  });
+
+  it('expires a pending session with no payment once its quote lapses', async () => {
+    const quote = await createPriceQuote(content);
+    const session = await sessions.createPaymentSession(content, {
+      quote: { ...quote, expires_at: new Date(Date.now() - 1000) }
+    });
+
+    const connection = stubConnection();
+    await sessions.runPaymentSessionWatcher({ connection });
+
+    const expired = await sessions.getPaymentSession(session.id);
+    assert.equal(expired.status, 'expired');
+    assert.ok(connection.lookups.includes(session.reference));
+    assert.deepEqual(await transitions(session.id), ['null>pending', 'pending>expired']);
+  });
+});
@@ -0,0 +1,189 @@
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+import { USDC_DECIMALS, toBaseUnits, fromBaseUnits } from './solana.js';
+import { getClusterMint } from './cluster.js';
+
+/**
+ * Payment assets
+ * Every content item is priced in USDC (content.price_usdc). Creators can also accept
+ * other assets, each with its own price, stored in content.asset_prices as
+ * [{ asset, mint, decimals, priceUnits, underpaymentToleranceUnits }].
+ * Token mints depend on the Solana cluster (see utils/cluster.js); a token without a
+ * mint on the current cluster can't be offered there.
+ */
+
+const TOKEN_PROGRAM = TOKEN_PROGRAM_ID.toBase58();
+const TOKEN_2022_PROGRAM = TOKEN_2022_PROGRAM_ID.toBase58();
+
+// Wrapped SOL mint, used to identify native SOL where a mint address is expected (e.g. x402 `asset`)
+export const NATIVE_SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Assets buyers can pay with. Native SOL (lamport transfers) has no mint or token program.
+const ASSET_DEFINITIONS = {
+  USDC: { asset: 'USDC', decimals: USDC_DECIMALS, tokenProgram: TOKEN_PROGRAM },
+  USDT: { asset: 'USDT', decimals: 6, tokenProgram: TOKEN_PROGRAM },
+  PYUSD: { asset: 'PYUSD', decimals: 6, tokenProgram: TOKEN_2022_PROGRAM },
+  SOL: { asset: 'SOL', decimals: 9, tokenProgram: null }
+};
+
+/**
+ * Assets available on the current Solana cluster, keyed by symbol
+ * @returns {Object<string, {asset, mint, decimals, tokenProgram}>} - `mint: null` means native SOL
+ */
+export function getSupportedAssets() {
+  const assets = {};
+
+  for (const definition of Object.values(ASSET_DEFINITIONS)) {
+    const mint = definition.tokenProgram ? getClusterMint(definition.asset) : null;
+
+    if (definition.tokenProgram && !mint) {
+      continue;
+    }
+
+    assets[definition.asset] = { ...definition, mint };
+  }
+
+  return assets;
+}
+
+/**
+ * Token programs that payment transfers may go through
+ * @returns {string[]}
+ */
+export function getTokenPrograms() {
+  return [...new Set(Object.values(ASSET_DEFINITIONS).map(a => a.tokenProgram).filter(Boolean))];
+}
+
+/**
+ * Parse the additional asset prices a creator submitted
+ * @param {string|Array} input - Array (or JSON string of one) of { asset, price, underpaymentTolerance? }
+ * @returns {Array<Object>} - Entries to store in content.asset_prices
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parseAssetPrices(input) {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  let entries = input;
+
+  if (typeof input === 'string') {
+    try {
+      entries = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Accepted assets must be a JSON array');
+    }
+  }
+
+  const supported = getSupportedAssets();
+  const choices = Object.keys(supported).filter(asset => asset !== 'USDC');
+
+  if (!Array.isArray(entries) || entries.length > choices.length) {
+    throw new Error(`Accepted assets must be an array of at most ${choices.length} entries`);
+  }
+
+  const seen = new Set();
+
+  return entries.map((entry) => {
+    const definition = supported[entry?.asset];
+
+    if (!definition || definition.asset === 'USDC') {
+      throw new Error(`Unsupported asset: ${entry?.asset}. Choose from ${choices.join(', ')} (USDC uses the main price)`);
+    }
+
+    if (seen.has(definition.asset)) {
+      throw new Error(`Duplicate asset: ${definition.asset}`);
+    }
+    seen.add(definition.asset);
+
+    let priceUnits;
+    let toleranceUnits;
+
+    try {
+      priceUnits = toBaseUnits(entry.price, definition.decimals);
+      toleranceUnits = toBaseUnits(entry.underpaymentTolerance || 0, definition.decimals);
+    } catch (error) {
+      throw new Error(`${definition.asset} amounts must be positive numbers with at most ${definition.decimals} decimals`);
+    }
+
+    if (BigInt(priceUnits) === 0n) {
+      throw new Error(`${definition.asset} price must be greater than zero`);
+    }
+
+    if (BigInt(toleranceUnits) >= BigInt(priceUnits)) {
+      throw new Error(`${definition.asset} underpayment tolerance must be below its price`);
+    }
+
+    return {
+      asset: definition.asset,
+      mint: definition.mint,
+      decimals: definition.decimals,
+      priceUnits,
+      underpaymentToleranceUnits: toleranceUnits
+    };
+  });
+}
+
+/**
+ * List every asset a content item can be paid with, USDC first
+ * @param {Object} content - Content row (price_usdc, underpayment_tolerance_units, asset_prices)
+ * @returns {Array<{asset, mint, decimals, tokenProgram, price, priceUnits, underpaymentToleranceUnits}>}
+ */
+export function getAcceptedAssets(content) {
+  const usdc = {
+    ...getSupportedAssets().USDC,
+    priceUnits: toBaseUnits(content.price_usdc),
+    underpaymentToleranceUnits: String(content.underpayment_tolerance_units || 0)
+  };
+
+  const others = (content.asset_prices || [])
+    .filter(entry => ASSET_DEFINITIONS[entry.asset])
+    .map(entry => ({
+      ...ASSET_DEFINITIONS[entry.asset],
+      mint: entry.mint,
+      decimals: entry.decimals,
+      priceUnits: entry.priceUnits,
+      underpaymentToleranceUnits: entry.underpaymentToleranceUnits || '0'
+    }));
+
+  return [usdc, ...others].map(entry => ({
+    ...entry,
+    price: fromBaseUnits(entry.priceUnits, entry.decimals)
+  }));
+}
+
+/**
+ * Find an accepted asset of a content item by symbol or mint
+ * @param {Object} content - Content row
+ * @param {string} [assetOrMint='USDC'] - Asset symbol (e.g. 'SOL') or mint address
+ * @returns {Object|null} - Accepted asset entry, or null if the content doesn't accept it
+ */
+export function findAcceptedAsset(content, assetOrMint = 'USDC') {
+  return getAcceptedAssets(content).find(entry =>
+    entry.asset === assetOrMint ||
+    (entry.mint || NATIVE_SOL_MINT) === assetOrMint
+  ) || null;
+}
+
+/**
+ * Public view of an accepted asset for API responses
+ */
+export function formatAcceptedAsset(entry) {
+  return {
+    asset: entry.asset,
+    mint: entry.mint,
+    decimals: entry.decimals,
+    tokenProgram: entry.tokenProgram,
+    price: parseFloat(entry.price),
+    priceUnits: entry.priceUnits
+  };
+}
+
+export default {
+  NATIVE_SOL_MINT,
+  getSupportedAssets,
+  getTokenPrograms,
+  parseAssetPrices,
+  getAcceptedAssets,
+  findAcceptedAsset,
+  formatAcceptedAsset
+};
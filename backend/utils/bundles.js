@@ -0,0 +1,203 @@
+import { query } from '../db/index.js';
+import { isCurrentCluster } from './cluster.js';
+import { isCurrentMode } from './sandbox.js';
+import { API_CONTENT_TYPE } from './proxiedApis.js';
+
+/**
+ * Content bundles
+ * A bundle sells several of a creator's content items at a single price. It is stored as a
+ * content row of type 'bundle', so it has its own price, payment policies, share URL and
+ * 402 gate and is paid for like any other content; bundle_items lists its members.
+ *
+ * An access token for a bundle unlocks each of its items (see isBundleItem).
+ */
+
+export const BUNDLE_CONTENT_TYPE = 'bundle';
+
+export const MIN_BUNDLE_ITEMS = 2;
+export const MAX_BUNDLE_ITEMS = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Parse the content IDs of a new bundle
+ * @param {string|Array} input - JSON string or array of content IDs, in display order
+ * @returns {string[]} - Content IDs
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parseBundleItems(input) {
+  let ids = input;
+
+  if (typeof input === 'string') {
+    try {
+      ids = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Content IDs must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(ids) || ids.length < MIN_BUNDLE_ITEMS || ids.length > MAX_BUNDLE_ITEMS) {
+    throw new Error(`A bundle must contain ${MIN_BUNDLE_ITEMS} to ${MAX_BUNDLE_ITEMS} content items`);
+  }
+
+  if (ids.some(id => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+    throw new Error('Content IDs must be valid UUIDs');
+  }
+
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('A bundle cannot contain the same content twice');
+  }
+
+  return ids;
+}
+
+/**
+ * Check that content items can be sold in a creator's bundle
+ * Items must exist, belong to the creator, be sold on this cluster and mode, and not be bundles
+ * or proxied APIs.
+ * @param {string[]} contentIds - Content IDs (see parseBundleItems)
+ * @param {string} creatorWallet - Creator making the bundle
+ * @returns {Promise<string|null>} - Why the items can't be bundled, or null if they can
+ */
+export async function checkBundleItems(contentIds, creatorWallet) {
+  const result = await query(
+    `SELECT id, content_type, creator_wallet, cluster, sandbox, expires_at
+     FROM content
+     WHERE id = ANY($1)`,
+    [contentIds]
+  );
+
+  const found = new Map(result.rows.map(row => [row.id, row]));
+
+  for (const id of contentIds) {
+    const item = found.get(id);
+
+    if (!item || item.creator_wallet !== creatorWallet) {
+      return `Content ${id} not found among your uploads`;
+    }
+
+    if (item.content_type === BUNDLE_CONTENT_TYPE) {
+      return 'Bundles cannot contain other bundles';
+    }
+
+    // API calls are metered per payment, which a bundle's access token can't do
+    if (item.content_type === API_CONTENT_TYPE) {
+      return 'Bundles cannot contain proxied APIs';
+    }
+
+    if (!isCurrentCluster(item.cluster) || !isCurrentMode(item.sandbox)) {
+      return `Content ${id} is sold on another cluster or mode`;
+    }
+
+    if (item.expires_at && new Date(item.expires_at) < new Date()) {
+      return `Content ${id} has expired`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Store the items of a bundle
+ * @param {Object} client - Database client of the transaction that inserts the bundle
+ * @param {string} bundleId - Bundle content ID
+ * @param {string[]} contentIds - Content IDs, in display order
+ */
+export async function addBundleItems(client, bundleId, contentIds) {
+  for (const [position, contentId] of contentIds.entries()) {
+    await client.query(
+      `INSERT INTO bundle_items (bundle_id, content_id, position)
+       VALUES ($1, $2, $3)`,
+      [bundleId, contentId, position]
+    );
+  }
+}
+
+/**
+ * Get the items of a bundle, in display order
+ * @param {string} bundleId - Bundle content ID
+ * @returns {Promise<Object[]>} - Content rows
+ */
+export async function getBundleItems(bundleId) {
+  const result = await query(
+    `SELECT c.id, c.content_type, c.original_filename, c.file_mimetype, c.price_usdc,
+            c.views, c.payments, c.expires_at
+     FROM bundle_items b
+     JOIN content c ON c.id = b.content_id
+     WHERE b.bundle_id = $1
+     ORDER BY b.position`,
+    [bundleId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Check whether a content item belongs to a bundle
+ * @param {string} bundleId - Bundle content ID
+ * @param {string} contentId - Content ID
+ * @returns {Promise<boolean>}
+ */
+export async function isBundleItem(bundleId, contentId) {
+  const result = await query(
+    `SELECT 1 FROM bundle_items
+     WHERE bundle_id = $1 AND content_id = $2`,
+    [bundleId, contentId]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Format a bundle item for API responses
+ * @param {Object} item - Content row
+ * @returns {Object}
+ */
+export function formatBundleItem(item) {
+  return {
+    id: item.id,
+    type: item.content_type,
+    filename: item.original_filename,
+    mimetype: item.file_mimetype,
+    price: parseFloat(item.price_usdc),
+    isExpired: !!item.expires_at && new Date(item.expires_at) < new Date()
+  };
+}
+
+/**
+ * Roll up the views and payments of a bundle and its items
+ * @param {Object} bundle - Bundle content row (views, payments)
+ * @param {Object[]} items - Item content rows
+ * @returns {Object} - Bundle stats
+ */
+export function getBundleStats(bundle, items) {
+  const itemViews = items.reduce((sum, item) => sum + (item.views || 0), 0);
+  const itemPayments = items.reduce((sum, item) => sum + (item.payments || 0), 0);
+
+  return {
+    bundleViews: bundle.views || 0,
+    bundlePayments: bundle.payments || 0,
+    itemViews,
+    itemPayments,
+    totalViews: (bundle.views || 0) + itemViews,
+    totalPayments: (bundle.payments || 0) + itemPayments,
+    items: items.map(item => ({
+      id: item.id,
+      views: item.views || 0,
+      payments: item.payments || 0
+    }))
+  };
+}
+
+export default {
+  BUNDLE_CONTENT_TYPE,
+  MIN_BUNDLE_ITEMS,
+  MAX_BUNDLE_ITEMS,
+  parseBundleItems,
+  checkBundleItems,
+  addBundleItems,
+  getBundleItems,
+  isBundleItem,
+  formatBundleItem,
+  getBundleStats
+};
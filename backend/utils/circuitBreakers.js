@@ -0,0 +1,166 @@
+import { CircuitBreaker, ServiceUnavailableError } from './errorHandler.js';
+
+/**
+ * Circuit breakers for outbound dependencies
+ * Every call to the x402 facilitator and to Solana RPC goes through the breaker of its
+ * dependency, with a bounded number of retries and exponential backoff for transient failures
+ * (network errors, timeouts, HTTP 429 and 5xx). Other errors, like a facilitator rejecting a
+ * payload, are passed straight back and don't count against the breaker.
+ *
+ * While a breaker is open, and when a call still fails after its retries, callers get a
+ * ServiceUnavailableError, which routes answer with a 503 and Retry-After instead of blaming
+ * the buyer's payment.
+ */
+
+export const DEPENDENCIES = {
+  facilitator: {
+    label: 'x402 facilitator',
+    retries: 2,
+    baseDelayMs: 250,
+    failureThreshold: 5,
+    resetTimeout: 30000
+  },
+  rpc: {
+    label: 'Solana RPC',
+    retries: 2,
+    baseDelayMs: 200,
+    failureThreshold: 5,
+    resetTimeout: 15000
+  }
+};
+
+// Retry-After for a call that failed while its breaker is still closed
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+const breakers = Object.fromEntries(Object.entries(DEPENDENCIES).map(([name, dependency]) => [
+  name,
+  new CircuitBreaker({
+    failureThreshold: dependency.failureThreshold,
+    resetTimeout: dependency.resetTimeout
+  })
+]));
+
+/**
+ * Check whether an error is worth retrying
+ * HTTP errors are transient only for 429 and 5xx; errors without a response (network
+ * errors, timeouts) always are.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Check whether a dependency's breaker is open (calls are refused without being tried)
+ * @param {string} name - Dependency name (see DEPENDENCIES)
+ * @returns {boolean}
+ */
+export function isDependencyOpen(name) {
+  const breaker = breakers[name];
+  return breaker.state === 'OPEN' && Date.now() < breaker.nextAttempt;
+}
+
+/**
+ * Build the error for an unavailable dependency
+ * @param {string} name - Dependency name
+ * @returns {ServiceUnavailableError}
+ */
+const unavailableError = (name) => {
+  const breaker = breakers[name];
+  const retryAfter = isDependencyOpen(name)
+    ? Math.max(1, Math.ceil((breaker.nextAttempt - Date.now()) / 1000))
+    : DEFAULT_RETRY_AFTER_SECONDS;
+
+  return new ServiceUnavailableError(
+    name,
+    retryAfter,
+    `${DEPENDENCIES[name].label} is temporarily unavailable, try again in ${retryAfter} seconds`
+  );
+};
+
+/**
+ * Call a dependency through its circuit breaker, retrying transient failures
+ * @param {string} name - Dependency name (see DEPENDENCIES)
+ * @param {Function} fn - Async function making the call
+ * @returns {Promise<*>} - What fn returned
+ * @throws {ServiceUnavailableError} - If the breaker is open or every attempt failed transiently
+ * @throws {Error} - fn's own error if it isn't transient
+ */
+export async function callDependency(name, fn) {
+  const dependency = DEPENDENCIES[name];
+  const breaker = breakers[name];
+  let lastError;
+
+  for (let attempt = 0; attempt <= dependency.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = dependency.baseDelayMs * 2 ** (attempt - 1) + Math.random() * dependency.baseDelayMs;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (isDependencyOpen(name)) {
+      break;
+    }
+
+    let outcome;
+
+    try {
+      outcome = await breaker.call(async () => {
+        try {
+          return { value: await fn() };
+        } catch (error) {
+          if (isTransientError(error)) {
+            throw error;
+          }
+          return { error };
+        }
+      });
+    } catch (error) {
+      lastError = error;
+      continue;
+    }
+
+    if (outcome.error) {
+      throw outcome.error;
+    }
+
+    return outcome.value;
+  }
+
+  console.error(`❌ ${dependency.label} unavailable:`, lastError ? lastError.message : 'circuit open');
+  throw unavailableError(name);
+}
+
+/**
+ * Breaker state of every dependency, for /health
+ * @returns {Object} - state, failures, lastFailureTime and nextAttempt per dependency
+ */
+export function getDependencyHealth() {
+  return Object.fromEntries(Object.entries(breakers).map(([name, breaker]) => [name, breaker.getState()]));
+}
+
+/**
+ * Send a 503 for an unavailable dependency
+ * @param {Object} res - Express response
+ * @param {ServiceUnavailableError} error
+ */
+export const sendServiceUnavailable = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+
+  return res.status(503).json({
+    error: 'Service unavailable',
+    message: error.message,
+    dependency: error.dependency,
+    retryAfter: error.retryAfter
+  });
+};
+
+export default {
+  DEPENDENCIES,
+  isTransientError,
+  isDependencyOpen,
+  callDependency,
+  getDependencyHealth,
+  sendServiceUnavailable
+};
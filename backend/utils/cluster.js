@@ -0,0 +1,169 @@
+/**
+ * Solana cluster selection
+ * SOLANA_CLUSTER picks the network this backend verifies payments on: mainnet-beta
+ * (default), devnet or localnet (solana-test-validator). The cluster decides the default
+ * RPC endpoint, the token mints buyers pay with, the x402 network name and explorer links.
+ *
+ * Content, payment sessions and payment logs record the cluster they were created on,
+ * and a backend only sells content from its own cluster, so a devnet payment can never
+ * unlock mainnet content even when both share a database or JWT secret.
+ */
+
+export const DEFAULT_CLUSTER = 'mainnet-beta';
+
+export const SOLANA_CLUSTERS = {
+  'mainnet-beta': {
+    name: 'mainnet-beta',
+    label: 'Mainnet',
+    rpcEndpoint: 'https://api.mainnet-beta.solana.com',
+    x402Network: 'solana',
+    mints: {
+      USDC: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+      USDT: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB',
+      PYUSD: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo'
+    }
+  },
+  devnet: {
+    name: 'devnet',
+    label: 'Devnet',
+    rpcEndpoint: 'https://api.devnet.solana.com',
+    x402Network: 'solana-devnet',
+    mints: {
+      // Circle's devnet USDC faucet mint
+      USDC: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+      PYUSD: 'CXk2AMBfi3TwaEL2468s6zP8xq9NxTXjp9gjMgzeUynM'
+    }
+  },
+  localnet: {
+    name: 'localnet',
+    label: 'Localnet',
+    rpcEndpoint: 'http://127.0.0.1:8899',
+    x402Network: 'solana-localnet',
+    // A local validator has no canonical mints; USDC_MINT must point at a locally minted token
+    mints: {}
+  }
+};
+
+// Accepted spellings of cluster names
+const CLUSTER_ALIASES = {
+  mainnet: 'mainnet-beta',
+  local: 'localnet',
+  localhost: 'localnet'
+};
+
+/**
+ * Normalize a cluster name
+ * @param {string} [name] - Cluster name or alias; empty means the default cluster
+ * @returns {string|null} - Canonical cluster name, or null if it isn't a known cluster
+ */
+export function normalizeClusterName(name) {
+  if (!name) {
+    return DEFAULT_CLUSTER;
+  }
+
+  const normalized = CLUSTER_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  return SOLANA_CLUSTERS[normalized] ? normalized : null;
+}
+
+/**
+ * Name of the cluster this backend runs on (from SOLANA_CLUSTER)
+ * @returns {string}
+ */
+export function getClusterName() {
+  return normalizeClusterName(process.env.SOLANA_CLUSTER) || DEFAULT_CLUSTER;
+}
+
+/**
+ * Configuration of the cluster this backend runs on
+ * @returns {Object} - Entry of SOLANA_CLUSTERS
+ */
+export function getCluster() {
+  return SOLANA_CLUSTERS[getClusterName()];
+}
+
+/**
+ * RPC endpoint to use: SOLANA_RPC_ENDPOINT if set, otherwise the cluster's public endpoint
+ * @returns {string}
+ */
+export function getRpcEndpoint() {
+  return process.env.SOLANA_RPC_ENDPOINT || getCluster().rpcEndpoint;
+}
+
+/**
+ * Mint address of a token on the current cluster
+ * `<ASSET>_MINT` (e.g. USDC_MINT) overrides the cluster default, which is how
+ * localnet gets its fake USDC.
+ * @param {string} asset - Asset symbol (e.g. 'USDC')
+ * @returns {string|null} - Mint address, or null if the token isn't available on this cluster
+ */
+export function getClusterMint(asset) {
+  return process.env[`${asset}_MINT`] || getCluster().mints[asset] || null;
+}
+
+/**
+ * Check whether a stored cluster value belongs to the cluster this backend runs on
+ * Rows created before clusters were recorded count as mainnet-beta.
+ * @param {string} [cluster] - Cluster stored on a content, session or payment row
+ * @returns {boolean}
+ */
+export function isCurrentCluster(cluster) {
+  return (cluster || DEFAULT_CLUSTER) === getClusterName();
+}
+
+/**
+ * Human-readable label of a cluster, for messages
+ * @param {string} [cluster] - Cluster name (defaults to the current cluster)
+ * @returns {string} - e.g. 'Devnet'
+ */
+export function getClusterLabel(cluster = getClusterName()) {
+  return SOLANA_CLUSTERS[cluster]?.label || cluster;
+}
+
+/**
+ * Error body for requests about content that belongs to another cluster
+ * @param {string} [cluster] - Cluster stored on the content
+ * @returns {{error: string, message: string, cluster: string}}
+ */
+export function clusterMismatchError(cluster) {
+  return {
+    error: 'Wrong Solana cluster',
+    message: `This content is sold on Solana ${getClusterLabel(cluster || DEFAULT_CLUSTER)}, ` +
+      `but this server accepts payments on Solana ${getClusterLabel()}`,
+    cluster: cluster || DEFAULT_CLUSTER
+  };
+}
+
+/**
+ * Link to a transaction or account in Solana Explorer on the current cluster
+ * @param {string} value - Transaction signature or address
+ * @param {string} [type='tx'] - 'tx' or 'address'
+ * @returns {string}
+ */
+export function getExplorerUrl(value, type = 'tx') {
+  const url = `https://explorer.solana.com/${type}/${value}`;
+  const cluster = getClusterName();
+
+  if (cluster === 'mainnet-beta') {
+    return url;
+  }
+
+  if (cluster === 'localnet') {
+    return `${url}?cluster=custom&customUrl=${encodeURIComponent(getRpcEndpoint())}`;
+  }
+
+  return `${url}?cluster=${cluster}`;
+}
+
+export default {
+  DEFAULT_CLUSTER,
+  SOLANA_CLUSTERS,
+  normalizeClusterName,
+  getClusterName,
+  getCluster,
+  getRpcEndpoint,
+  getClusterMint,
+  isCurrentCluster,
+  getClusterLabel,
+  clusterMismatchError,
+  getExplorerUrl
+};
@@ -1,4 +1,10 @@
 import dotenv from 'dotenv';
+import { normalizeClusterName, getClusterName, getClusterMint, getRpcEndpoint } from './cluster.js';
+import { isSandboxMode } from './sandbox.js';
+import { validatePlatformFee, getPlatformFee } from './splits.js';
+import { validateFacilitator, getFacilitatorAdapterName } from './facilitator.js';
+import { validateRpcEndpoints, getRpcEndpoints, getCrossCheckThreshold } from './rpcPool.js';
+import { validateCreditDepositWallet } from './credits.js';
 
 dotenv.config();
 
@@ -19,8 +25,12 @@ const optionalEnvVars = {
   DB_PORT: '5432',
   DB_NAME: 'paywall402',
   DB_USER: 'postgres',
+  X402_FACILITATOR: 'remote',
   X402_FACILITATOR_URL: 'https://api.payai.network/x402',
-  SOLANA_RPC_ENDPOINT: 'https://api.mainnet-beta.solana.com',
+  SOLANA_CLUSTER: 'mainnet-beta',
+  PAYMENT_SESSION_POLL_INTERVAL: '10000',
+  FINALITY_POLL_INTERVAL: '30000',
+  WEBHOOK_POLL_INTERVAL: '10000',
   UPLOAD_MAX_SIZE: '10485760',
   RATE_LIMIT_WINDOW: '15',
   RATE_LIMIT_MAX: '100',
@@ -33,6 +43,7 @@ const optionalEnvVars = {
  */
 export function validateEnvironment() {
   const missing = [];
+  const invalid = [];
   const warnings = [];
 
   // Check required variables
@@ -42,14 +53,41 @@ export function validateEnvironment() {
     }
   }
 
+  // Check the Solana cluster
+  if (!normalizeClusterName(process.env.SOLANA_CLUSTER)) {
+    invalid.push('SOLANA_CLUSTER must be mainnet-beta, devnet or localnet');
+  } else if (!getClusterMint('USDC')) {
+    invalid.push(`USDC_MINT is required on ${getClusterName()} (the mint of your test USDC token)`);
+  }
+
+  // Platform fee: a share of every sale paid to the platform treasury
+  invalid.push(...validatePlatformFee());
+
+  // Prepaid credit: a wallet that only takes deposits
+  invalid.push(...validateCreditDepositWallet());
+
+  // x402 facilitator adapter (and the fee payer key of the local one)
+  invalid.push(...validateFacilitator());
+
+  // RPC endpoint pool and cross-check threshold
+  invalid.push(...validateRpcEndpoints());
+
+  // Sandbox mode accepts simulated payments and must never run in production
+  if (process.env.SANDBOX_MODE === 'true' && process.env.NODE_ENV === 'production') {
+    invalid.push('SANDBOX_MODE cannot be enabled when NODE_ENV=production');
+  }
+
   // Check for default values in production
   if (process.env.NODE_ENV === 'production') {
     if (process.env.JWT_SECRET === 'your_secure_random_jwt_secret_here_change_in_production') {
       warnings.push('⚠️  JWT_SECRET is using default value in production!');
     }
-    if (!process.env.SOLANA_RPC_ENDPOINT || process.env.SOLANA_RPC_ENDPOINT.includes('api.mainnet-beta.solana.com')) {
+    if (invalid.length === 0 && getRpcEndpoints().every(({ url }) => url.includes('api.mainnet-beta.solana.com'))) {
       warnings.push('⚠️  Consider using a premium RPC endpoint (like Helius) for production');
     }
+    if (getClusterName() !== 'mainnet-beta') {
+      warnings.push(`⚠️  Running in production against Solana ${getClusterName()}; payments have no real value`);
+    }
   }
 
   if (missing.length > 0) {
@@ -59,6 +97,12 @@ export function validateEnvironment() {
     process.exit(1);
   }
 
+  if (invalid.length > 0) {
+    console.error('❌ Invalid environment variables:');
+    invalid.forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+  }
+
   if (warnings.length > 0) {
     warnings.forEach(warning => console.warn(warning));
   }
@@ -70,6 +114,10 @@ export function validateEnvironment() {
     }
   }
 
+  if (isSandboxMode()) {
+    console.warn('⚠️  SANDBOX MODE: simulated payments are accepted for sandbox content');
+  }
+
   console.log('✅ Environment variables validated');
 }
 
@@ -100,8 +148,14 @@ export function getConfig() {
     },
 
     // External services
+    x402Facilitator: getFacilitatorAdapterName(),
     x402FacilitatorUrl: process.env.X402_FACILITATOR_URL,
-    solanaRpcEndpoint: process.env.SOLANA_RPC_ENDPOINT,
+    solanaCluster: getClusterName(),
+    sandboxMode: isSandboxMode(),
+    solanaRpcEndpoint: getRpcEndpoint(),
+    solanaRpcEndpointCount: getRpcEndpoints().length,
+    rpcCrossCheckMinUsdc: getCrossCheckThreshold(),
+    platformFee: getPlatformFee(),
 
     // CORS
     frontendUrl: process.env.FRONTEND_URL,
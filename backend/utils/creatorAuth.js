@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { generateAccessToken, verifyAccessToken } from './jwt.js';
+
+/**
+ * Creator authentication
+ * Creators have no accounts: they prove they own their wallet by signing a login message
+ * with it (Solana wallets' signMessage), and get a short-lived creator token in return.
+ * Creator tokens carry type 'creator', so they can never unlock content.
+ */
+
+// How old a signed login message may be
+export const CREATOR_LOGIN_WINDOW = 5 * 60;
+
+// How long a creator token lasts
+export const CREATOR_TOKEN_TTL = 12 * 60 * 60;
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows it
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+/**
+ * Build the message a creator signs to log in
+ * @param {string} wallet - Creator wallet address
+ * @param {number} timestamp - Unix time (seconds) the message was created
+ * @returns {string}
+ */
+export function buildLoginMessage(wallet, timestamp) {
+  return `Sign in to PayWall402 as creator\nWallet: ${wallet}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Verify an Ed25519 signature made by a Solana wallet
+ * @param {string} wallet - Wallet address (the public key)
+ * @param {string} message - Signed message
+ * @param {string} signature - Base64-encoded signature
+ * @returns {boolean}
+ */
+export function verifyWalletSignature(wallet, message, signature) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(wallet).toBuffer()]),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Log a creator in with a signed login message
+ * @param {Object} login
+ * @param {string} login.wallet - Creator wallet address
+ * @param {number} login.timestamp - Timestamp in the signed message
+ * @param {string} login.signature - Base64 signature of buildLoginMessage(wallet, timestamp)
+ * @returns {{token?: string, error?: string}}
+ */
+export function loginCreator({ wallet, timestamp, signature }) {
+  const now = Math.floor(Date.now() / 1000);
+  const signedAt = Number(timestamp);
+
+  if (!Number.isInteger(signedAt) || Math.abs(now - signedAt) > CREATOR_LOGIN_WINDOW) {
+    return { error: 'Login message expired, sign a new one' };
+  }
+
+  if (!verifyWalletSignature(wallet, buildLoginMessage(wallet, signedAt), signature)) {
+    return { error: 'Invalid wallet signature' };
+  }
+
+  return {
+    token: generateAccessToken({ wallet, type: 'creator' }, CREATOR_TOKEN_TTL)
+  };
+}
+
+/**
+ * Get the creator wallet a creator token was issued to
+ * @param {string} token - Creator token
+ * @returns {string|null} - Wallet address, or null if the token isn't a valid creator token
+ */
+export function getTokenCreator(token) {
+  const payload = verifyAccessToken(token);
+  return payload && payload.type === 'creator' ? payload.wallet : null;
+}
+
+export default {
+  CREATOR_LOGIN_WINDOW,
+  CREATOR_TOKEN_TTL,
+  buildLoginMessage,
+  verifyWalletSignature,
+  loginCreator,
+  getTokenCreator
+};
@@ -0,0 +1,655 @@
+import { PublicKey } from '@solana/web3.js';
+import { v4 as uuidv4 } from 'uuid';
+import { query, transaction } from '../db/index.js';
+import { USDC_DECIMALS, toBaseUnits, fromBaseUnits } from './solana.js';
+import { getClusterName } from './cluster.js';
+import { isSandboxMode } from './sandbox.js';
+import { generateAccessToken, verifyAccessToken } from './jwt.js';
+import { CREATOR_LOGIN_WINDOW, verifyWalletSignature } from './creatorAuth.js';
+import { getPaymentLegs, legsToRecipients } from './splits.js';
+import { recordPayment, claimTransactionSignature } from './payments.js';
+
+/**
+ * Prepaid credit
+ * Buyers deposit USDC once into a credit balance tied to their wallet (on the current cluster
+ * and mode), then pay for content from it without signing a transaction each time.
+ *
+ * Deposits are on-chain USDC transfers to the credit wallet (CREDIT_DEPOSIT_WALLET), claimed once
+ * by their signature. The wallet is dedicated to deposits: it can't be the platform treasury or
+ * receive sales, and a signature claimed as a payment is never credited (nor a deposit accepted as
+ * a payment), so one transfer can't be spent twice. Every change to a balance is written to
+ * credit_ledger next to the balance itself, in one database transaction: deposits, purchases,
+ * refunds, withdrawals and cancelled withdrawals. Balances are changed with guarded UPDATEs, so
+ * concurrent purchases can never overdraw them.
+ *
+ * Deposits are credited at 'confirmed' commitment, like payments, and rechecked by the finality
+ * worker (utils/finality.js) until finalized. A dropped deposit is taken back with a reversal
+ * entry, even if the credit was spent in the meantime: the balance is then negative, and pays
+ * for nothing until later deposits cover it.
+ *
+ * A purchase is recorded as a regular payment whose signature is `credit_<ledger entry id>`,
+ * split between the content's recipients like any other payment; their shares are paid out of
+ * the credit wallet by the platform. Withdrawals take the amount off the balance when they are
+ * requested; an admin completes them with the payout transaction, or rejects them (the buyer can
+ * also cancel while they are pending), which puts the amount back.
+ */
+
+export const CREDIT_ASSET = 'USDC';
+
+export const CREDIT_DECIMALS = USDC_DECIMALS;
+
+// Smallest deposit that is credited (1 USDC)
+export const MIN_CREDIT_DEPOSIT_UNITS = '1000000';
+
+// How long a credit token lasts
+export const CREDIT_TOKEN_TTL = 12 * 60 * 60;
+
+// Prefix of the signatures of payments made from credit; never a valid base58 signature
+export const CREDIT_SIGNATURE_PREFIX = 'credit_';
+
+export const CREDIT_ENTRY_TYPES = ['deposit', 'purchase', 'refund', 'withdrawal', 'withdrawal_refund', 'reversal'];
+
+export const WITHDRAWAL_STATUSES = ['requested', 'completed', 'cancelled', 'rejected'];
+
+const ENTRY_COLUMNS = `id, wallet, cluster, sandbox, entry_type, amount_units, balance_units, content_id,
+       payment_id, withdrawal_id, transaction_signature, finality_status, finalized_at, created_at`;
+
+const WITHDRAWAL_COLUMNS = `id, wallet, cluster, sandbox, amount_units, destination_wallet, status,
+       transaction_signature, note, created_at, updated_at`;
+
+/**
+ * Get the wallet buyers deposit credit to
+ * @returns {string|null} - Wallet address, or null if credit isn't enabled
+ */
+export function getCreditDepositWallet() {
+  return process.env.CREDIT_DEPOSIT_WALLET || null;
+}
+
+/**
+ * Check whether a wallet is the credit deposit wallet
+ * @param {string} wallet - Wallet address
+ * @returns {boolean}
+ */
+export function isCreditDepositWallet(wallet) {
+  return !!wallet && wallet === getCreditDepositWallet();
+}
+
+/**
+ * Validate the credit deposit wallet environment variable
+ * @returns {string[]} - Problems found, empty if the setting is usable
+ */
+export function validateCreditDepositWallet() {
+  const wallet = getCreditDepositWallet();
+  const problems = [];
+
+  if (!wallet) {
+    return problems;
+  }
+
+  try {
+    new PublicKey(wallet);
+  } catch (error) {
+    problems.push('CREDIT_DEPOSIT_WALLET must be a valid Solana address');
+  }
+
+  if (wallet === process.env.PLATFORM_TREASURY_WALLET) {
+    problems.push('CREDIT_DEPOSIT_WALLET must be a dedicated wallet, not PLATFORM_TREASURY_WALLET');
+  }
+
+  return problems;
+}
+
+/**
+ * Build the message a buyer signs to use their credit
+ * @param {string} wallet - Buyer wallet address
+ * @param {number} timestamp - Unix time (seconds) the message was created
+ * @returns {string}
+ */
+export function buildCreditLoginMessage(wallet, timestamp) {
+  return `Sign in to PayWall402 credit\nWallet: ${wallet}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Log a buyer in with a signed login message
+ * Credit tokens carry type 'credit', so they can never unlock content or manage a creator's codes.
+ * @param {Object} login
+ * @param {string} login.wallet - Buyer wallet address
+ * @param {number} login.timestamp - Timestamp in the signed message
+ * @param {string} login.signature - Base64 signature of buildCreditLoginMessage(wallet, timestamp)
+ * @returns {{token?: string, error?: string}}
+ */
+export function loginCreditHolder({ wallet, timestamp, signature }) {
+  const now = Math.floor(Date.now() / 1000);
+  const signedAt = Number(timestamp);
+
+  if (!Number.isInteger(signedAt) || Math.abs(now - signedAt) > CREATOR_LOGIN_WINDOW) {
+    return { error: 'Login message expired, sign a new one' };
+  }
+
+  if (!verifyWalletSignature(wallet, buildCreditLoginMessage(wallet, signedAt), signature)) {
+    return { error: 'Invalid wallet signature' };
+  }
+
+  return {
+    token: generateAccessToken({ wallet, type: 'credit' }, CREDIT_TOKEN_TTL)
+  };
+}
+
+/**
+ * Get the wallet a credit token was issued to
+ * @param {string} token - Credit token
+ * @returns {string|null} - Wallet address, or null if the token isn't a valid credit token
+ */
+export function getTokenCreditHolder(token) {
+  const payload = token ? verifyAccessToken(token) : null;
+  return payload && payload.type === 'credit' ? payload.wallet : null;
+}
+
+/**
+ * Parse a USDC amount of credit
+ * @param {string|number} value - Amount in USDC
+ * @param {string} label - Name of the amount in error messages
+ * @returns {string} - Amount in base units
+ * @throws {Error} - With a user-facing message if the amount is invalid
+ */
+export function parseCreditAmount(value, label = 'Amount') {
+  let units;
+
+  try {
+    units = toBaseUnits(value, CREDIT_DECIMALS);
+  } catch (error) {
+    throw new Error(`${label} must be a positive USDC amount with at most ${CREDIT_DECIMALS} decimals`);
+  }
+
+  if (BigInt(units) <= 0n) {
+    throw new Error(`${label} must be a positive USDC amount with at most ${CREDIT_DECIMALS} decimals`);
+  }
+
+  return units;
+}
+
+/**
+ * Add to or take from a wallet's balance
+ * @param {Object} client - Database client of the enclosing transaction
+ * @param {string} wallet - Buyer wallet
+ * @param {bigint} units - Change in base units; negative to take
+ * @param {Object} [options]
+ * @param {boolean} [options.overdraw=false] - Take a negative change even if the balance doesn't
+ *   cover it (reversals only)
+ * @param {bigint} [options.held=0n] - Part of the balance a negative change may not take
+ * @returns {Promise<string|null>} - New balance, or null if the balance doesn't cover a negative change
+ */
+const adjustBalance = async (client, wallet, units, { overdraw = false, held = 0n } = {}) => {
+  if (units >= 0n) {
+    const result = await client.query(
+      `INSERT INTO credit_accounts (wallet, cluster, sandbox, balance_units)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (wallet, cluster, sandbox)
+       DO UPDATE SET balance_units = credit_accounts.balance_units + EXCLUDED.balance_units,
+                     updated_at = CURRENT_TIMESTAMP
+       RETURNING balance_units`,
+      [wallet, getClusterName(), isSandboxMode(), units.toString()]
+    );
+
+    return String(result.rows[0].balance_units);
+  }
+
+  const result = await client.query(
+    `UPDATE credit_accounts
+     SET balance_units = balance_units - $4, updated_at = CURRENT_TIMESTAMP
+     WHERE wallet = $1 AND cluster = $2 AND sandbox = $3 AND ($5 OR balance_units - $6 >= $4)
+     RETURNING balance_units`,
+    [wallet, getClusterName(), isSandboxMode(), (-units).toString(), overdraw, held.toString()]
+  );
+
+  return result.rows[0] ? String(result.rows[0].balance_units) : null;
+};
+
+/**
+ * Get the part of a wallet's balance that can't be withdrawn yet: deposits still awaiting finality
+ * A deposit dropped after its credit was withdrawn would leave the balance negative with the funds
+ * gone. Locks the wallet's account first, so a deposit credited meanwhile is counted too.
+ * @param {Object} client - Database client of the enclosing transaction
+ * @param {string} wallet - Buyer wallet
+ * @returns {Promise<bigint>} - Held amount in base units
+ */
+const getHeldUnits = async (client, wallet) => {
+  await client.query(
+    `SELECT balance_units FROM credit_accounts
+     WHERE wallet = $1 AND cluster = $2 AND sandbox = $3
+     FOR UPDATE`,
+    [wallet, getClusterName(), isSandboxMode()]
+  );
+
+  const result = await client.query(
+    `SELECT COALESCE(SUM(amount_units), 0) AS held_units
+     FROM credit_ledger
+     WHERE wallet = $1 AND cluster = $2 AND sandbox = $3
+       AND entry_type = 'deposit' AND finality_status = 'confirmed'`,
+    [wallet, getClusterName(), isSandboxMode()]
+  );
+
+  return BigInt(result.rows[0].held_units);
+};
+
+/**
+ * Write a ledger entry
+ * @param {Object} client - Database client of the enclosing transaction
+ * @param {Object} entry - wallet, type, units (signed bigint), balanceUnits, and optionally
+ *   contentId, withdrawalId, signature, finality (on-chain deposits)
+ * @returns {Promise<Object>} - Ledger row
+ */
+const addLedgerEntry = async (client, entry) => {
+  const result = await client.query(
+    `INSERT INTO credit_ledger (id, wallet, cluster, sandbox, entry_type, amount_units, balance_units,
+                                content_id, withdrawal_id, transaction_signature, finality_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING ${ENTRY_COLUMNS}`,
+    [uuidv4(), entry.wallet, getClusterName(), isSandboxMode(), entry.type, entry.units.toString(),
+     entry.balanceUnits, entry.contentId || null, entry.withdrawalId || null, entry.signature || null,
+     entry.finality || null]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Change a balance and write the ledger entry for it
+ * @param {Object} client - Database client of the enclosing transaction
+ * @param {Object} entry - Ledger entry (see addLedgerEntry), without balanceUnits
+ * @param {Object} [options] - See adjustBalance
+ * @returns {Promise<Object|null>} - Ledger row, or null if the balance doesn't cover the change
+ */
+const applyChange = async (client, entry, options) => {
+  const balanceUnits = await adjustBalance(client, entry.wallet, entry.units, options);
+
+  if (balanceUnits === null) {
+    return null;
+  }
+
+  return addLedgerEntry(client, { ...entry, balanceUnits });
+};
+
+/**
+ * Change a balance and write the ledger entry for it, atomically
+ * @returns {Promise<Object|null>} - Ledger row, or null if the balance doesn't cover the change
+ */
+const changeBalance = (entry) => transaction(client => applyChange(client, entry));
+
+/**
+ * Get a wallet's credit balance on the current cluster and mode
+ * @param {string} wallet - Buyer wallet
+ * @returns {Promise<string>} - Balance in base units
+ */
+export async function getCreditBalance(wallet) {
+  const result = await query(
+    `SELECT balance_units
+     FROM credit_accounts
+     WHERE wallet = $1 AND cluster = $2 AND sandbox = $3`,
+    [wallet, getClusterName(), isSandboxMode()]
+  );
+
+  return result.rows[0] ? String(result.rows[0].balance_units) : '0';
+}
+
+/**
+ * Find the deposit that claimed a transaction signature
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<Object|null>} - Ledger row
+ */
+export async function findCreditDeposit(signature) {
+  const result = await query(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM credit_ledger
+     WHERE transaction_signature = $1 AND entry_type = 'deposit'`,
+    [signature]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Credit a verified deposit
+ * The unique index on deposit signatures stops a transaction from being credited twice, and the
+ * signature claim stops a transaction that paid for content from being credited at all.
+ * @param {string} wallet - Buyer wallet that made the deposit
+ * @param {string} units - Amount received, in base units
+ * @param {string} signature - Deposit transaction signature
+ * @param {Object} [options]
+ * @param {boolean} [options.onChain=true] - Whether the signature is an on-chain transaction whose
+ *   finality is tracked (simulated deposits never are)
+ * @returns {Promise<Object|null>} - Ledger row, or null if the signature was claimed as a payment
+ */
+export async function depositCredit(wallet, units, signature, { onChain = true } = {}) {
+  return transaction(async (client) => {
+    if (!await claimTransactionSignature(client, signature, 'credit_deposit')) {
+      return null;
+    }
+
+    return applyChange(client, {
+      wallet,
+      type: 'deposit',
+      units: BigInt(units),
+      signature,
+      finality: onChain ? 'confirmed' : null
+    });
+  });
+}
+
+/**
+ * List the deposits of the current cluster and mode still awaiting finality, least recently checked first
+ * @param {number} limit - Most deposits to return
+ * @returns {Promise<Object[]>} - Ledger rows
+ */
+export async function listUnfinalizedDeposits(limit) {
+  const result = await query(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM credit_ledger
+     WHERE entry_type = 'deposit' AND finality_status = 'confirmed' AND cluster = $1 AND sandbox = $2
+     ORDER BY finality_checked_at ASC NULLS FIRST
+     LIMIT $3`,
+    [getClusterName(), isSandboxMode(), limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Record that a deposit was checked and is still awaiting finality
+ * @param {string} entryId - Ledger entry ID of the deposit
+ */
+export async function touchDepositFinality(entryId) {
+  await query(
+    `UPDATE credit_ledger SET finality_checked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND finality_status = 'confirmed'`,
+    [entryId]
+  );
+}
+
+/**
+ * Move a confirmed deposit to its final on-chain status
+ * A dropped deposit can also be reversed: its amount comes off the balance, which may go negative
+ * if the credit was already spent.
+ * @param {string} entryId - Ledger entry ID of the deposit
+ * @param {string} status - 'finalized' or 'dropped'
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse=false] - Also take the deposited amount back
+ * @returns {Promise<{deposit: Object, reversal: Object|null}|null>} - null if the deposit had
+ *   already left 'confirmed'
+ */
+export async function setDepositFinality(entryId, status, { reverse = false } = {}) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE credit_ledger
+       SET finality_status = $2,
+           finalized_at = CASE WHEN $2::VARCHAR = 'finalized' THEN CURRENT_TIMESTAMP ELSE finalized_at END,
+           finality_checked_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND entry_type = 'deposit' AND finality_status = 'confirmed'
+       RETURNING ${ENTRY_COLUMNS}`,
+      [entryId, status]
+    );
+
+    const deposit = result.rows[0];
+
+    if (!deposit) {
+      return null;
+    }
+
+    if (status !== 'dropped' || !reverse) {
+      return { deposit, reversal: null };
+    }
+
+    const reversal = await applyChange(client, {
+      wallet: deposit.wallet,
+      type: 'reversal',
+      units: -BigInt(deposit.amount_units),
+      signature: deposit.transaction_signature
+    }, { overdraw: true });
+
+    return { deposit, reversal };
+  });
+}
+
+/**
+ * Pay for a content item from a wallet's credit
+ * Takes the price off the balance, then records the payment (split between the content's
+ * recipients) and links it to the ledger entry. If recording fails, the price is refunded.
+ * @param {Object} content - Content row priced by applyPriceSchedule
+ * @param {string} wallet - Buyer wallet
+ * @param {Object} price - What the buyer pays in USDC (see resolvePrice)
+ * @returns {Promise<{payment: Object, entry: Object}|null>} - null if the balance is too low
+ */
+export async function payWithCredit(content, wallet, price) {
+  const entry = await changeBalance({
+    wallet,
+    type: 'purchase',
+    units: -BigInt(price.priceUnits),
+    contentId: content.id
+  });
+
+  if (!entry) {
+    return null;
+  }
+
+  try {
+    const { payment } = await recordPayment({
+      contentId: content.id,
+      payerWallet: wallet,
+      amount: fromBaseUnits(price.priceUnits, CREDIT_DECIMALS),
+      asset: CREDIT_ASSET,
+      signature: `${CREDIT_SIGNATURE_PREFIX}${entry.id}`,
+      recipients: legsToRecipients(getPaymentLegs(content, price.priceUnits), CREDIT_DECIMALS),
+      onChain: false
+    });
+
+    await query('UPDATE credit_ledger SET payment_id = $2 WHERE id = $1', [entry.id, payment.id]);
+
+    return { payment, entry: { ...entry, payment_id: payment.id } };
+  } catch (error) {
+    await changeBalance({ wallet, type: 'refund', units: BigInt(price.priceUnits), contentId: content.id });
+    throw error;
+  }
+}
+
+/**
+ * List a wallet's ledger entries on the current cluster and mode, newest first
+ * @param {string} wallet - Buyer wallet
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Most entries to return
+ * @param {Date} [options.before] - Only entries written before this moment (for paging)
+ * @returns {Promise<Object[]>} - Ledger rows
+ */
+export async function getCreditStatement(wallet, { limit = 50, before = null } = {}) {
+  const result = await query(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM credit_ledger
+     WHERE wallet = $1 AND cluster = $2 AND sandbox = $3 AND ($4::timestamp IS NULL OR created_at < $4)
+     ORDER BY created_at DESC
+     LIMIT $5`,
+    [wallet, getClusterName(), isSandboxMode(), before, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Request a withdrawal of credit
+ * Deposits still awaiting finality can be spent on content but not withdrawn.
+ * @param {string} wallet - Buyer wallet
+ * @param {string} units - Amount in base units
+ * @param {string} destination - Wallet to pay the withdrawal to
+ * @returns {Promise<Object|null>} - Withdrawal row, or null if the finalized balance is too low
+ */
+export async function requestWithdrawal(wallet, units, destination) {
+  return transaction(async (client) => {
+    const held = await getHeldUnits(client, wallet);
+    const balanceUnits = await adjustBalance(client, wallet, -BigInt(units), { held });
+
+    if (balanceUnits === null) {
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO credit_withdrawals (id, wallet, cluster, sandbox, amount_units, destination_wallet, status)
+       VALUES ($1, $2, $3, $4, $5, $6, 'requested')
+       RETURNING ${WITHDRAWAL_COLUMNS}`,
+      [uuidv4(), wallet, getClusterName(), isSandboxMode(), units, destination]
+    );
+
+    const withdrawal = result.rows[0];
+
+    await addLedgerEntry(client, {
+      wallet,
+      type: 'withdrawal',
+      units: -BigInt(units),
+      balanceUnits,
+      withdrawalId: withdrawal.id
+    });
+
+    return withdrawal;
+  });
+}
+
+/**
+ * List withdrawals on the current cluster and mode, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.wallet] - Only this buyer's withdrawals
+ * @param {string} [filters.status] - Only withdrawals in this status
+ * @returns {Promise<Object[]>} - Withdrawal rows
+ */
+export async function listWithdrawals({ wallet = null, status = null } = {}) {
+  const result = await query(
+    `SELECT ${WITHDRAWAL_COLUMNS}
+     FROM credit_withdrawals
+     WHERE cluster = $1 AND sandbox = $2 AND ($3::varchar IS NULL OR wallet = $3)
+       AND ($4::varchar IS NULL OR status = $4)
+     ORDER BY created_at DESC
+     LIMIT 200`,
+    [getClusterName(), isSandboxMode(), wallet, status]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Settle a pending withdrawal
+ * Completing records the payout transaction; cancelling or rejecting puts the amount back on the
+ * balance. Only withdrawals still in 'requested' can be settled.
+ * @param {string} withdrawalId - Withdrawal ID
+ * @param {Object} settlement
+ * @param {string} settlement.status - 'completed', 'cancelled' or 'rejected'
+ * @param {string} [settlement.wallet] - Only settle the withdrawal if it belongs to this wallet
+ * @param {string} [settlement.signature] - Payout transaction signature (completed)
+ * @param {string} [settlement.note] - Reason shown to the buyer
+ * @returns {Promise<Object|null>} - Updated withdrawal row, or null if there is no such pending withdrawal
+ */
+export async function settleWithdrawal(withdrawalId, { status, wallet = null, signature = null, note = null }) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE credit_withdrawals
+       SET status = $2, transaction_signature = $3, note = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'requested' AND ($5::varchar IS NULL OR wallet = $5)
+       RETURNING ${WITHDRAWAL_COLUMNS}`,
+      [withdrawalId, status, signature, note, wallet]
+    );
+
+    const withdrawal = result.rows[0];
+
+    if (!withdrawal || status === 'completed') {
+      return withdrawal || null;
+    }
+
+    const units = BigInt(withdrawal.amount_units);
+    const balanceUnits = await adjustBalance(client, withdrawal.wallet, units);
+
+    await addLedgerEntry(client, {
+      wallet: withdrawal.wallet,
+      type: 'withdrawal_refund',
+      units,
+      balanceUnits,
+      withdrawalId: withdrawal.id
+    });
+
+    return withdrawal;
+  });
+}
+
+/**
+ * Format a credit amount for API responses
+ * @param {string} units - Amount in base units
+ * @returns {{amount: number, amountUnits: string}}
+ */
+const formatCreditUnits = (units) => ({
+  amount: parseFloat(fromBaseUnits(String(units), CREDIT_DECIMALS)),
+  amountUnits: String(units)
+});
+
+/**
+ * Format a ledger entry for API responses
+ * @param {Object} entry - Ledger row
+ * @returns {Object}
+ */
+export function formatCreditEntry(entry) {
+  return {
+    id: entry.id,
+    type: entry.entry_type,
+    ...formatCreditUnits(entry.amount_units),
+    balance: parseFloat(fromBaseUnits(String(entry.balance_units), CREDIT_DECIMALS)),
+    contentId: entry.content_id,
+    paymentId: entry.payment_id,
+    withdrawalId: entry.withdrawal_id,
+    transactionSignature: entry.transaction_signature,
+    // Deposits only: confirmed, finalized or dropped (null for simulated deposits)
+    finality: entry.entry_type === 'deposit' ? entry.finality_status || null : undefined,
+    createdAt: entry.created_at
+  };
+}
+
+/**
+ * Format a withdrawal for API responses
+ * @param {Object} withdrawal - Withdrawal row
+ * @returns {Object}
+ */
+export function formatWithdrawal(withdrawal) {
+  return {
+    id: withdrawal.id,
+    wallet: withdrawal.wallet,
+    ...formatCreditUnits(withdrawal.amount_units),
+    destination: withdrawal.destination_wallet,
+    status: withdrawal.status,
+    transactionSignature: withdrawal.transaction_signature,
+    note: withdrawal.note,
+    createdAt: withdrawal.created_at,
+    updatedAt: withdrawal.updated_at
+  };
+}
+
+export default {
+  CREDIT_ASSET,
+  CREDIT_DECIMALS,
+  MIN_CREDIT_DEPOSIT_UNITS,
+  CREDIT_TOKEN_TTL,
+  CREDIT_SIGNATURE_PREFIX,
+  CREDIT_ENTRY_TYPES,
+  WITHDRAWAL_STATUSES,
+  getCreditDepositWallet,
+  isCreditDepositWallet,
+  validateCreditDepositWallet,
+  buildCreditLoginMessage,
+  loginCreditHolder,
+  getTokenCreditHolder,
+  parseCreditAmount,
+  getCreditBalance,
+  findCreditDeposit,
+  depositCredit,
+  listUnfinalizedDeposits,
+  touchDepositFinality,
+  setDepositFinality,
+  payWithCredit,
+  getCreditStatement,
+  requestWithdrawal,
+  listWithdrawals,
+  settleWithdrawal,
+  formatCreditEntry,
+  formatWithdrawal
+};
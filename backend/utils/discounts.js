@@ -0,0 +1,314 @@
+import { query } from '../db/index.js';
+import { toBaseUnits, fromBaseUnits } from './solana.js';
+import { BPS_DENOMINATOR } from './splits.js';
+import { isPayWhatYouWant } from './pricing.js';
+
+/**
+ * Discount codes
+ * Creators manage codes taking a percentage or a fixed USD amount off their prices,
+ * optionally limited in redemptions, time and to some of their content.
+ *
+ * A code is applied when a payment session is created: the discounted amount becomes the
+ * session amount, which is what the payment is verified against. Redemptions are reserved
+ * with a single guarded UPDATE at that point, so concurrent buyers can't exceed the limit,
+ * and handed back if the session expires or fails.
+ */
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Fixed discounts are in USD, so they only apply to USD stablecoins
+export const USD_ASSETS = ['USDC', 'USDT', 'PYUSD'];
+
+// Most content IDs a code can be limited to
+export const MAX_DISCOUNT_CONTENT = 50;
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DISCOUNT_COLUMNS = `id, creator_wallet, code, discount_type, percent_bps, amount_off, max_redemptions,
+       redemptions, content_ids, starts_at, ends_at, active, created_at`;
+
+/**
+ * Normalize a discount code as typed by a buyer or creator
+ * @param {string} code
+ * @returns {string} - Upper-cased, trimmed code
+ */
+export function normalizeCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Parse an optional date field
+ * @throws {Error} - If the value isn't a valid date
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+
+  return date;
+};
+
+/**
+ * Parse and validate a new discount code
+ * @param {Object} input - Request body: code, type, percentOff or amountOff, maxRedemptions,
+ *   startsAt, endsAt, contentIds
+ * @returns {Object} - Fields to store
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parseDiscountCode(input) {
+  const code = normalizeCode(input.code);
+
+  if (!CODE_PATTERN.test(code)) {
+    throw new Error('Code must be 3-32 letters, digits, dashes or underscores');
+  }
+
+  if (!DISCOUNT_TYPES.includes(input.type)) {
+    throw new Error('Discount type must be percentage or fixed');
+  }
+
+  let percentBps = null;
+  let amountOff = null;
+
+  if (input.type === 'percentage') {
+    percentBps = Math.round(Number(input.percentOff) * 100);
+
+    if (!/^\d+(\.\d{1,2})?$/.test(String(input.percentOff)) || percentBps < 1 || percentBps >= BPS_DENOMINATOR) {
+      throw new Error('Percentage off must be between 0.01 and 99.99');
+    }
+  } else {
+    try {
+      amountOff = fromBaseUnits(toBaseUnits(input.amountOff));
+    } catch (error) {
+      throw new Error('Amount off must be a positive USD amount with at most 6 decimals');
+    }
+
+    if (Number(amountOff) <= 0 || Number(amountOff) > 100) {
+      throw new Error('Amount off must be more than $0 and at most $100');
+    }
+  }
+
+  let maxRedemptions = null;
+
+  if (input.maxRedemptions !== undefined && input.maxRedemptions !== null && input.maxRedemptions !== '') {
+    maxRedemptions = Number(input.maxRedemptions);
+
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+      throw new Error('Max redemptions must be a positive whole number');
+    }
+  }
+
+  const startsAt = parseDate(input.startsAt, 'Start date');
+  const endsAt = parseDate(input.endsAt, 'End date');
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new Error('End date must be after the start date');
+  }
+
+  const contentIds = input.contentIds ?? [];
+
+  if (!Array.isArray(contentIds) || contentIds.length > MAX_DISCOUNT_CONTENT ||
+      contentIds.some(id => typeof id !== 'string' || !UUID_PATTERN.test(id))) {
+    throw new Error(`Content IDs must be an array of at most ${MAX_DISCOUNT_CONTENT} content IDs`);
+  }
+
+  return { code, type: input.type, percentBps, amountOff, maxRedemptions, startsAt, endsAt, contentIds };
+}
+
+/**
+ * Create a discount code for a creator
+ * @param {string} creatorWallet - Creator the code belongs to
+ * @param {Object} discount - Output of parseDiscountCode
+ * @returns {Promise<Object|null>} - Created row, or null if the creator already has this code
+ */
+export async function createDiscountCode(creatorWallet, discount) {
+  const result = await query(
+    `INSERT INTO discount_codes (creator_wallet, code, discount_type, percent_bps, amount_off,
+                                 max_redemptions, content_ids, starts_at, ends_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (creator_wallet, code) DO NOTHING
+     RETURNING ${DISCOUNT_COLUMNS}`,
+    [creatorWallet, discount.code, discount.type, discount.percentBps, discount.amountOff,
+     discount.maxRedemptions, JSON.stringify(discount.contentIds), discount.startsAt, discount.endsAt]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List a creator's discount codes, newest first
+ * @param {string} creatorWallet
+ * @returns {Promise<Object[]>}
+ */
+export async function listDiscountCodes(creatorWallet) {
+  const result = await query(
+    `SELECT ${DISCOUNT_COLUMNS}
+     FROM discount_codes
+     WHERE creator_wallet = $1
+     ORDER BY created_at DESC`,
+    [creatorWallet]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Deactivate one of a creator's discount codes
+ * Open sessions keep the price they were quoted.
+ * @param {string} creatorWallet
+ * @param {string} id - Discount code ID
+ * @returns {Promise<Object|null>} - Updated row, or null if the creator has no such code
+ */
+export async function deactivateDiscountCode(creatorWallet, id) {
+  const result = await query(
+    `UPDATE discount_codes SET active = false
+     WHERE id = $1 AND creator_wallet = $2
+     RETURNING ${DISCOUNT_COLUMNS}`,
+    [id, creatorWallet]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Find a creator's discount code by the code a buyer entered
+ * @param {string} creatorWallet - Creator of the content being bought
+ * @param {string} code - Code as entered
+ * @returns {Promise<Object|null>}
+ */
+export async function findDiscountCode(creatorWallet, code) {
+  const result = await query(
+    `SELECT ${DISCOUNT_COLUMNS}
+     FROM discount_codes
+     WHERE creator_wallet = $1 AND code = $2`,
+    [creatorWallet, normalizeCode(code)]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Work out the discounted price of a purchase
+ * @param {Object} discount - Discount code row
+ * @param {Object} content - Content row being bought
+ * @param {Object} accepted - Accepted asset the buyer pays with (see getAcceptedAssets)
+ * @returns {{priceUnits?: string, amountOffUnits?: string, error?: string}}
+ */
+export function applyDiscount(discount, content, accepted) {
+  const now = new Date();
+
+  if (!discount.active) {
+    return { error: 'This discount code is no longer active' };
+  }
+
+  if ((discount.starts_at && new Date(discount.starts_at) > now) ||
+      (discount.ends_at && new Date(discount.ends_at) <= now)) {
+    return { error: 'This discount code is not valid at this time' };
+  }
+
+  // Buyers already choose what they pay
+  if (isPayWhatYouWant(content)) {
+    return { error: 'Discount codes do not apply to pay-what-you-want content' };
+  }
+
+  const contentIds = discount.content_ids || [];
+
+  if (contentIds.length > 0 && !contentIds.includes(content.id)) {
+    return { error: 'This discount code does not apply to this content' };
+  }
+
+  const price = BigInt(accepted.priceUnits);
+  let amountOff;
+
+  if (discount.discount_type === 'percentage') {
+    amountOff = price * BigInt(discount.percent_bps) / BigInt(BPS_DENOMINATOR);
+  } else {
+    if (!USD_ASSETS.includes(accepted.asset)) {
+      return { error: `This discount code only applies to payments in ${USD_ASSETS.join(', ')}` };
+    }
+
+    amountOff = BigInt(toBaseUnits(discount.amount_off, accepted.decimals));
+  }
+
+  if (amountOff >= price) {
+    return { error: 'This discount code is worth more than the price' };
+  }
+
+  return {
+    priceUnits: (price - amountOff).toString(),
+    amountOffUnits: amountOff.toString()
+  };
+}
+
+/**
+ * Reserve one redemption of a discount code
+ * A single guarded UPDATE, so the limit holds under concurrent purchases.
+ * @param {string} id - Discount code ID
+ * @returns {Promise<boolean>} - False if the code has no redemptions left
+ */
+export async function reserveRedemption(id) {
+  const result = await query(
+    `UPDATE discount_codes SET redemptions = redemptions + 1
+     WHERE id = $1 AND active = true AND (max_redemptions IS NULL OR redemptions < max_redemptions)
+     RETURNING id`,
+    [id]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Hand back a redemption reserved by a session that was never paid
+ * @param {string} id - Discount code ID
+ */
+export async function releaseRedemption(id) {
+  await query(
+    `UPDATE discount_codes SET redemptions = GREATEST(redemptions - 1, 0)
+     WHERE id = $1`,
+    [id]
+  );
+}
+
+/**
+ * Format a discount code row for API responses
+ * @param {Object} discount - Discount code row
+ * @returns {Object}
+ */
+export function formatDiscountCode(discount) {
+  return {
+    id: discount.id,
+    code: discount.code,
+    type: discount.discount_type,
+    percentOff: discount.percent_bps !== null ? discount.percent_bps / 100 : null,
+    amountOff: discount.amount_off !== null ? parseFloat(discount.amount_off) : null,
+    maxRedemptions: discount.max_redemptions,
+    redemptions: discount.redemptions,
+    contentIds: discount.content_ids || [],
+    startsAt: discount.starts_at,
+    endsAt: discount.ends_at,
+    active: discount.active,
+    createdAt: discount.created_at
+  };
+}
+
+export default {
+  DISCOUNT_TYPES,
+  USD_ASSETS,
+  MAX_DISCOUNT_CONTENT,
+  normalizeCode,
+  parseDiscountCode,
+  createDiscountCode,
+  listDiscountCodes,
+  deactivateDiscountCode,
+  findDiscountCode,
+  applyDiscount,
+  reserveRedemption,
+  releaseRedemption,
+  formatDiscountCode
+};
@@ -118,6 +118,15 @@ export class BlockchainError extends AppError {
   }
 }
 
+export class ServiceUnavailableError extends AppError {
+  constructor(dependency, retryAfter, message = `${dependency} is temporarily unavailable`) {
+    super(message, 503);
+    this.name = 'ServiceUnavailableError';
+    this.dependency = dependency;
+    this.retryAfter = retryAfter;
+  }
+}
+
 export class DatabaseError extends AppError {
   constructor(message = 'Database operation failed', query = null) {
     super(message, 500);
@@ -436,6 +445,7 @@ export default {
   RateLimitError,
   PaymentError,
   BlockchainError,
+  ServiceUnavailableError,
   DatabaseError,
   asyncHandler,
   errorHandler,
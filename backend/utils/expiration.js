@@ -0,0 +1,25 @@
+/**
+ * Content expiration
+ * Uploads and bundles can expire a fixed time after they're created.
+ */
+
+// Lifetime of each expiration option, in milliseconds ('never' has none)
+const EXPIRATION_PERIODS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Work out when content created now expires
+ * @param {string} [expiresIn] - never, 1h, 1d or 7d
+ * @returns {Date|null} - Expiration date, or null if the content never expires
+ */
+export function getExpirationDate(expiresIn) {
+  const period = EXPIRATION_PERIODS[expiresIn];
+  return period ? new Date(Date.now() + period) : null;
+}
+
+export default {
+  getExpirationDate
+};
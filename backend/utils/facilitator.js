@@ -0,0 +1,76 @@
+import { createRemoteFacilitator } from './remoteFacilitator.js';
+import { createLocalFacilitator, parseFacilitatorKeypair } from './localFacilitator.js';
+
+/**
+ * x402 facilitators
+ * The facilitator verifies and settles x402 payments for the payment gate, and hosts a payment
+ * page for buyers without an x402 client. X402_FACILITATOR picks the adapter:
+ *   - remote (default): a hosted facilitator at X402_FACILITATOR_URL (see utils/remoteFacilitator.js)
+ *   - local: our own, settling against SOLANA_RPC_ENDPOINT (see utils/localFacilitator.js)
+ *
+ * Every adapter implements:
+ *   - getFeePayer(network) -> fee payer address clients build transactions for, or null
+ *   - verify(paymentPayload, paymentRequirements) -> {isValid, invalidReason?, payer?}
+ *   - settle(paymentPayload, paymentRequirements) -> {success, errorReason?, transaction?, network?, payer?}
+ *   - createSession({contentId, amount, currency, network, recipient, callbackUrl}) -> {url}
+ * and throws if the facilitator can't be reached.
+ */
+
+export const FACILITATOR_ADAPTERS = {
+  remote: createRemoteFacilitator,
+  local: createLocalFacilitator
+};
+
+export const DEFAULT_FACILITATOR_ADAPTER = 'remote';
+
+let facilitator = null;
+
+/**
+ * Name of the configured adapter
+ * @returns {string}
+ */
+export function getFacilitatorAdapterName() {
+  return process.env.X402_FACILITATOR || DEFAULT_FACILITATOR_ADAPTER;
+}
+
+/**
+ * Validate the facilitator configuration
+ * @returns {string[]} - Problems with the configuration (empty if valid)
+ */
+export function validateFacilitator() {
+  const name = getFacilitatorAdapterName();
+
+  if (!FACILITATOR_ADAPTERS[name]) {
+    return [`X402_FACILITATOR must be one of: ${Object.keys(FACILITATOR_ADAPTERS).join(', ')}`];
+  }
+
+  if (name === 'local') {
+    try {
+      parseFacilitatorKeypair(process.env.LOCAL_FACILITATOR_KEYPAIR);
+    } catch (error) {
+      return [error.message];
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Get the configured facilitator (created on first use)
+ * @returns {Object} - Facilitator adapter
+ */
+export function getFacilitator() {
+  if (!facilitator) {
+    facilitator = FACILITATOR_ADAPTERS[getFacilitatorAdapterName()]();
+  }
+
+  return facilitator;
+}
+
+export default {
+  FACILITATOR_ADAPTERS,
+  DEFAULT_FACILITATOR_ADAPTER,
+  getFacilitatorAdapterName,
+  validateFacilitator,
+  getFacilitator
+};
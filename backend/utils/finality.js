@@ -0,0 +1,267 @@
+import { query } from '../db/index.js';
+import { getTransactionCommitment } from './solana.js';
+import { getClusterName } from './cluster.js';
+import { isDependencyOpen } from './circuitBreakers.js';
+import { setPaymentFinality } from './payments.js';
+import { listUnfinalizedDeposits, touchDepositFinality, setDepositFinality } from './credits.js';
+import { settlePaymentSessions } from './paymentSessions.js';
+import { SUBSCRIPTION_CONTENT_TYPE, shortenSubscription } from './subscriptions.js';
+import { emitContentWebhookEvent, paymentEventData } from './webhooks.js';
+
+/**
+ * Payment finality worker
+ * Payments are verified, and unlock content, at 'confirmed' commitment. The worker rechecks
+ * every confirmed payment until its transaction is finalized. A transaction that fails, or isn't
+ * finalized within FINALITY_TIMEOUT (it was dropped with a fork), marks the payment dropped.
+ *
+ * Unless REVOKE_DROPPED_PAYMENTS=false, a dropped payment is also failed: its access tokens stop
+ * working, it leaves earnings, and a subscription period it bought is taken back.
+ * Credit and simulated payments have no transaction and are never checked.
+ *
+ * Credit deposits are rechecked the same way, and a dropped deposit is reversed (unless
+ * REVOKE_DROPPED_PAYMENTS=false), taking the credit back off the buyer's balance.
+ */
+
+export const FINALITY_STATUSES = ['confirmed', 'finalized', 'dropped'];
+
+// Finalization normally takes seconds; a payment still unfinalized after this was dropped
+export const FINALITY_TIMEOUT = 10 * 60;
+
+// How many payments to check per pass
+const FINALITY_BATCH_SIZE = 50;
+
+/**
+ * Whether dropped payments lose the access they granted
+ * @returns {boolean}
+ */
+export function isRevocationEnabled() {
+  return process.env.REVOKE_DROPPED_PAYMENTS !== 'false';
+}
+
+/**
+ * Mark a payment finalized, along with its sessions
+ * @param {Object} payment - Payment row
+ */
+const finalizePayment = async (payment) => {
+  if (!await setPaymentFinality(payment.id, 'finalized')) {
+    return;
+  }
+
+  await settlePaymentSessions(payment.id, 'finalized', 'Transaction finalized');
+};
+
+/**
+ * Mark a payment dropped, fail its sessions and, if enabled, revoke its access
+ * The creator's webhooks get payment.failed for the payment.
+ * @param {Object} payment - Payment row
+ * @param {string} reason - Why the payment was dropped
+ */
+const dropPayment = async (payment, reason) => {
+  const revoke = isRevocationEnabled();
+  const dropped = await setPaymentFinality(payment.id, 'dropped', { revoke });
+
+  if (!dropped) {
+    return;
+  }
+
+  console.error('❌ Payment dropped before finalizing:', {
+    paymentId: payment.id,
+    signature: payment.transaction_signature,
+    reason,
+    revoked: revoke
+  });
+
+  await settlePaymentSessions(payment.id, 'failed', reason);
+
+  await emitContentWebhookEvent(payment.content_id, 'payment.failed', {
+    ...paymentEventData(dropped),
+    finality: 'dropped',
+    revoked: revoke,
+    reason
+  });
+
+  if (!revoke) {
+    return;
+  }
+
+  const content = await query(
+    'UPDATE content SET payments = GREATEST(payments - 1, 0) WHERE id = $1 RETURNING id, content_type',
+    [payment.content_id]
+  );
+
+  if (content.rows[0]?.content_type === SUBSCRIPTION_CONTENT_TYPE) {
+    await shortenSubscription(payment.content_id, payment.payer_wallet);
+  }
+};
+
+/**
+ * Check a confirmed payment's transaction and move the payment on if it's settled either way
+ * @param {Object} payment - Payment row in 'confirmed' finality
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<string>} - The payment's finality status after the check
+ */
+export async function checkPaymentFinality(payment, options = {}) {
+  const commitment = await getTransactionCommitment(payment.transaction_signature, options);
+
+  if (commitment === 'finalized') {
+    await finalizePayment(payment);
+    return 'finalized';
+  }
+
+  if (commitment === 'failed') {
+    await dropPayment(payment, 'Transaction failed after confirmation');
+    return 'dropped';
+  }
+
+  if (Date.now() - new Date(payment.paid_at).getTime() > FINALITY_TIMEOUT * 1000) {
+    await dropPayment(payment, commitment
+      ? 'Transaction was not finalized in time'
+      : 'Transaction disappeared before finalizing');
+    return 'dropped';
+  }
+
+  await query(
+    `UPDATE payment_logs SET finality_checked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND finality_status = 'confirmed'`,
+    [payment.id]
+  );
+
+  return 'confirmed';
+}
+
+/**
+ * Mark a credit deposit dropped and, if enabled, reverse it
+ * @param {Object} deposit - Ledger row of the deposit
+ * @param {string} reason - Why the deposit was dropped
+ */
+const dropDeposit = async (deposit, reason) => {
+  const reverse = isRevocationEnabled();
+  const dropped = await setDepositFinality(deposit.id, 'dropped', { reverse });
+
+  if (!dropped) {
+    return;
+  }
+
+  console.error('❌ Credit deposit dropped before finalizing:', {
+    entryId: deposit.id,
+    wallet: deposit.wallet,
+    signature: deposit.transaction_signature,
+    reason,
+    reversed: reverse,
+    balanceUnits: dropped.reversal ? String(dropped.reversal.balance_units) : undefined
+  });
+};
+
+/**
+ * Check a confirmed credit deposit's transaction and move the deposit on if it's settled either way
+ * @param {Object} deposit - Ledger row of a deposit in 'confirmed' finality
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<string>} - The deposit's finality status after the check
+ */
+export async function checkDepositFinality(deposit, options = {}) {
+  const commitment = await getTransactionCommitment(deposit.transaction_signature, options);
+
+  if (commitment === 'finalized') {
+    await setDepositFinality(deposit.id, 'finalized');
+    return 'finalized';
+  }
+
+  if (commitment === 'failed') {
+    await dropDeposit(deposit, 'Transaction failed after confirmation');
+    return 'dropped';
+  }
+
+  if (Date.now() - new Date(deposit.created_at).getTime() > FINALITY_TIMEOUT * 1000) {
+    await dropDeposit(deposit, commitment
+      ? 'Transaction was not finalized in time'
+      : 'Transaction disappeared before finalizing');
+    return 'dropped';
+  }
+
+  await touchDepositFinality(deposit.id);
+
+  return 'confirmed';
+}
+
+/**
+ * Run one pass over the confirmed payments of the current cluster, then its confirmed credit
+ * deposits, least recently checked first
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ */
+export async function runFinalityWorker(options = {}) {
+  const result = await query(
+    `SELECT id, content_id, payer_wallet, transaction_signature, paid_at
+     FROM payment_logs
+     WHERE finality_status = 'confirmed' AND cluster = $2
+     ORDER BY finality_checked_at ASC NULLS FIRST
+     LIMIT $1`,
+    [FINALITY_BATCH_SIZE, getClusterName()]
+  );
+
+  for (const payment of result.rows) {
+    // An unreachable RPC says nothing about the transaction; never drop a payment over it
+    if (isDependencyOpen('rpc')) {
+      return;
+    }
+
+    try {
+      await checkPaymentFinality(payment, options);
+    } catch (error) {
+      console.error('❌ Payment finality check failed:', { paymentId: payment.id, error: error.message });
+    }
+  }
+
+  for (const deposit of await listUnfinalizedDeposits(FINALITY_BATCH_SIZE)) {
+    if (isDependencyOpen('rpc')) {
+      return;
+    }
+
+    try {
+      await checkDepositFinality(deposit, options);
+    } catch (error) {
+      console.error('❌ Credit deposit finality check failed:', { entryId: deposit.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Start checking payment finality in the background
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=30000] - Poll interval
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Function} - Call to stop the worker
+ */
+export function startFinalityWorker(options = {}) {
+  const intervalMs = options.intervalMs || 30000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runFinalityWorker(options);
+    } catch (error) {
+      console.error('❌ Payment finality worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export default {
+  FINALITY_STATUSES,
+  FINALITY_TIMEOUT,
+  isRevocationEnabled,
+  checkPaymentFinality,
+  checkDepositFinality,
+  runFinalityWorker,
+  startFinalityWorker
+};
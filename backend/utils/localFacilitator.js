@@ -0,0 +1,271 @@
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  VersionedTransaction
+} from '@solana/web3.js';
+import { ASSOCIATED_TOKEN_PROGRAM_ID, getAssociatedTokenAddressSync } from '@solana/spl-token';
+import { getSolanaConnection, getTransactionCommitment } from './solana.js';
+import { getCluster } from './cluster.js';
+import { NATIVE_SOL_MINT, getTokenPrograms } from './assets.js';
+
+/**
+ * Local x402 facilitator
+ * A self-hosted facilitator that settles x402 "exact" payments on Solana against our own RPC,
+ * with no third party involved. The buyer's x402 client builds and signs the transfer with the
+ * facilitator's key (LOCAL_FACILITATOR_KEYPAIR) as fee payer; verifying checks the transaction
+ * pays every leg of the requirements and can't touch the fee payer's funds, then simulates it.
+ * Settling co-signs it as fee payer, sends it, and waits until it is confirmed.
+ *
+ * The fee payer only pays network fees, so keep a small SOL balance on it.
+ */
+
+// Highest compute unit price (micro-lamports) a buyer may make the fee payer pay
+const MAX_COMPUTE_UNIT_PRICE = 5000000n;
+
+// How long settling waits for the transaction to be confirmed
+const CONFIRM_TIMEOUT_MS = 30000;
+
+const CONFIRM_POLL_MS = 1000;
+
+// SPL TransferChecked accounts: [source, mint, destination, owner]
+const TRANSFER_CHECKED = 12;
+
+// System Program Transfer accounts: [from, to]
+const SYSTEM_TRANSFER = 2;
+
+// ComputeBudget SetComputeUnitPrice
+const SET_COMPUTE_UNIT_PRICE = 3;
+
+/**
+ * Parse the facilitator keypair
+ * @param {string} input - Secret key as a JSON array of 64 bytes (the contents of a solana-keygen file)
+ * @returns {Keypair}
+ * @throws {Error} - If the key is missing or malformed
+ */
+export function parseFacilitatorKeypair(input) {
+  let bytes;
+
+  try {
+    bytes = JSON.parse(input);
+  } catch (error) {
+    throw new Error('LOCAL_FACILITATOR_KEYPAIR must be a JSON array of 64 bytes (a solana-keygen file)');
+  }
+
+  if (!Array.isArray(bytes) || bytes.length !== 64) {
+    throw new Error('LOCAL_FACILITATOR_KEYPAIR must be a JSON array of 64 bytes (a solana-keygen file)');
+  }
+
+  return Keypair.fromSecretKey(Uint8Array.from(bytes));
+}
+
+/**
+ * Find the transfers a payment transaction makes
+ * @param {VersionedTransaction} tx - Payment transaction
+ * @returns {{transfers?: Array<{mint: string, destination: string, owner: string, tokenProgram?: string,
+ *   amount: bigint}>, error?: string}}
+ */
+const readTransfers = (tx) => {
+  const keys = tx.message.staticAccountKeys.map(key => key.toBase58());
+  const feePayer = keys[0];
+  const tokenPrograms = new Set(getTokenPrograms());
+  const transfers = [];
+
+  if (tx.message.addressTableLookups?.length > 0) {
+    return { error: 'Address lookup tables are not supported' };
+  }
+
+  for (const ix of tx.message.compiledInstructions) {
+    const programId = keys[ix.programIdIndex];
+    const accounts = ix.accountKeyIndexes.map(index => keys[index]);
+    const data = Buffer.from(ix.data);
+
+    // The fee payer only ever pays network fees
+    if (accounts.includes(feePayer)) {
+      return { error: 'The fee payer cannot be used by the transaction' };
+    }
+
+    if (programId === ComputeBudgetProgram.programId.toBase58()) {
+      if (data[0] === SET_COMPUTE_UNIT_PRICE && data.readBigUInt64LE(1) > MAX_COMPUTE_UNIT_PRICE) {
+        return { error: 'Compute unit price is too high' };
+      }
+    } else if (tokenPrograms.has(programId) && data[0] === TRANSFER_CHECKED) {
+      transfers.push({
+        mint: accounts[1],
+        destination: accounts[2],
+        owner: accounts[3],
+        tokenProgram: programId,
+        amount: data.readBigUInt64LE(1)
+      });
+    } else if (programId === SystemProgram.programId.toBase58() && data.readUInt32LE(0) === SYSTEM_TRANSFER) {
+      transfers.push({
+        mint: NATIVE_SOL_MINT,
+        destination: accounts[1],
+        owner: accounts[0],
+        amount: data.readBigUInt64LE(4)
+      });
+    } else if (programId !== ASSOCIATED_TOKEN_PROGRAM_ID.toBase58()) {
+      return { error: `Unexpected instruction for program ${programId}` };
+    }
+  }
+
+  return { transfers };
+};
+
+/**
+ * Check a payment transaction against the payment requirements
+ * Every leg (extra.splits, or payTo for the whole amount) must be paid exactly, by one owner.
+ * @param {VersionedTransaction} tx - Payment transaction
+ * @param {Object} requirements - x402 payment requirements
+ * @param {string} feePayer - Facilitator fee payer address
+ * @returns {{payer?: string, error?: string}}
+ */
+const checkPayment = (tx, requirements, feePayer) => {
+  if (tx.message.staticAccountKeys[0]?.toBase58() !== feePayer) {
+    return { error: 'The facilitator must be the fee payer' };
+  }
+
+  const { transfers, error } = readTransfers(tx);
+
+  if (error) {
+    return { error };
+  }
+
+  const legs = requirements.extra?.splits || [{ payTo: requirements.payTo, amount: requirements.maxAmountRequired }];
+  const payers = new Set(transfers.map(transfer => transfer.owner));
+
+  if (transfers.length === 0 || payers.size !== 1) {
+    return { error: 'The transaction must transfer the payment from one wallet' };
+  }
+
+  for (const leg of legs) {
+    const paid = transfers.some(transfer => {
+      if (transfer.mint !== requirements.asset || transfer.amount !== BigInt(leg.amount)) {
+        return false;
+      }
+
+      if (transfer.mint === NATIVE_SOL_MINT) {
+        return transfer.destination === leg.payTo;
+      }
+
+      const destination = getAssociatedTokenAddressSync(
+        new PublicKey(transfer.mint),
+        new PublicKey(leg.payTo),
+        true,
+        new PublicKey(transfer.tokenProgram)
+      );
+      return transfer.destination === destination.toBase58();
+    });
+
+    if (!paid) {
+      return { error: `Missing transfer of ${leg.amount} to ${leg.payTo}` };
+    }
+  }
+
+  return { payer: [...payers][0] };
+};
+
+/**
+ * Create a local facilitator adapter
+ * @param {Object} [options]
+ * @param {Keypair} [options.keypair] - Fee payer (defaults to LOCAL_FACILITATOR_KEYPAIR)
+ * @returns {Object} - Facilitator (see utils/facilitator.js)
+ */
+export function createLocalFacilitator({ keypair = parseFacilitatorKeypair(process.env.LOCAL_FACILITATOR_KEYPAIR) } = {}) {
+  const feePayer = keypair.publicKey.toBase58();
+
+  /**
+   * Decode, check and co-sign a payment, then simulate it
+   * @returns {Promise<{tx?: VersionedTransaction, payer?: string, error?: string}>}
+   */
+  const prepare = async (paymentPayload, requirements) => {
+    if (requirements.scheme !== 'exact' || requirements.network !== getCluster().x402Network ||
+        paymentPayload.network !== requirements.network) {
+      return { error: 'Unsupported scheme or network' };
+    }
+
+    let tx;
+    let check;
+
+    try {
+      tx = VersionedTransaction.deserialize(Buffer.from(paymentPayload.payload.transaction, 'base64'));
+      check = checkPayment(tx, requirements, feePayer);
+    } catch (error) {
+      return { error: 'Malformed payment transaction' };
+    }
+
+    const { payer, error } = check;
+
+    if (error) {
+      return { error };
+    }
+
+    tx.sign([keypair]);
+
+    const simulation = await getSolanaConnection().simulateTransaction(tx, {
+      sigVerify: true,
+      commitment: 'confirmed'
+    });
+
+    if (simulation.value.err) {
+      return { error: `Transaction simulation failed: ${JSON.stringify(simulation.value.err)}` };
+    }
+
+    return { tx, payer };
+  };
+
+  return {
+    name: 'local',
+    description: `self-hosted, fee payer ${feePayer}`,
+
+    async getFeePayer(network) {
+      return network === getCluster().x402Network ? feePayer : null;
+    },
+
+    async verify(paymentPayload, paymentRequirements) {
+      const { payer, error } = await prepare(paymentPayload, paymentRequirements);
+
+      return error ? { isValid: false, invalidReason: error } : { isValid: true, payer };
+    },
+
+    async settle(paymentPayload, paymentRequirements) {
+      const { tx, payer, error } = await prepare(paymentPayload, paymentRequirements);
+
+      if (error) {
+        return { success: false, errorReason: error };
+      }
+
+      const signature = await getSolanaConnection().sendRawTransaction(tx.serialize(), {
+        skipPreflight: true
+      });
+      const deadline = Date.now() + CONFIRM_TIMEOUT_MS;
+
+      while (Date.now() < deadline) {
+        const commitment = await getTransactionCommitment(signature);
+
+        if (commitment === 'failed') {
+          return { success: false, errorReason: 'Transaction failed on blockchain', transaction: signature };
+        }
+
+        if (commitment === 'confirmed' || commitment === 'finalized') {
+          return { success: true, transaction: signature, network: paymentRequirements.network, payer };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, CONFIRM_POLL_MS));
+      }
+
+      return { success: false, errorReason: 'Transaction was not confirmed in time', transaction: signature };
+    },
+
+    // No hosted payment page: buyers pay on the content's own paywall page
+    async createSession({ contentId }) {
+      return { url: `${process.env.FRONTEND_URL}/${contentId}` };
+    }
+  };
+}
+
+export default {
+  parseFacilitatorKeypair,
+  createLocalFacilitator
+};
@@ -0,0 +1,111 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { getClusterName } from './cluster.js';
+
+/**
+ * Outbound requests to creator-supplied URLs
+ * Proxied API upstreams and webhook URLs are chosen by creators, so requests to them must never
+ * reach our own network. Host names are screened when the URL is saved, but a public name can
+ * resolve to a private address (or start doing so later), so the agents below also check every
+ * address a connection is about to use. Both checks are skipped on localnet.
+ */
+
+// Host names that are private whatever they resolve to
+const PRIVATE_HOST_PATTERNS = [/^localhost$/i, /\.localhost$/i, /\.local$/i, /\.internal$/i];
+
+// Address ranges that aren't on the public internet (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList();
+
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether private hosts may be called (only on localnet, where everything runs locally)
+ * @returns {boolean}
+ */
+const allowsPrivateHosts = () => getClusterName() === 'localnet';
+
+/**
+ * Check whether an IP address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check whether a host may be called from the backend
+ * Names are only screened here; what they resolve to is checked on connect.
+ * @param {string} hostname - URL hostname (as normalized by URL, so numeric IPv4 forms are dotted)
+ * @returns {boolean}
+ */
+export function isAllowedOutboundHost(hostname) {
+  if (allowsPrivateHosts()) {
+    return true;
+  }
+
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(address)) {
+    return !isPrivateAddress(address);
+  }
+
+  return !PRIVATE_HOST_PATTERNS.some(pattern => pattern.test(hostname));
+}
+
+/**
+ * dns.lookup that refuses private addresses, for the outbound agents
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (!allowsPrivateHosts() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      const refused = new Error(`${hostname} resolves to a private network address`);
+      refused.code = 'EPRIVATEADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// No keep-alive: every request connects, and so resolves and checks the host, afresh
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+/**
+ * axios options for a request to a creator-supplied URL
+ * Connections to private addresses fail with code EPRIVATEADDRESS, and environment proxies are
+ * bypassed so the check applies to the host itself.
+ * @returns {Object}
+ */
+export function outboundRequestOptions() {
+  return { httpAgent, httpsAgent, proxy: false };
+}
+
+export default {
+  isPrivateAddress,
+  isAllowedOutboundHost,
+  outboundRequestOptions
+};
@@ -0,0 +1,719 @@
+import crypto from 'crypto';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { query } from '../db/index.js';
+import {
+  verifySolanaTransaction,
+  getTransactionCommitment,
+  getSolanaConnection,
+  quoteTokenTransfer,
+  toBaseUnits,
+  fromBaseUnits
+} from './solana.js';
+import { recordPayment, isOriginalClaim, setPaymentFinality } from './payments.js';
+import { findAcceptedAsset } from './assets.js';
+import { getClusterName } from './cluster.js';
+import { getSessionLegs, splitAmount } from './splits.js';
+import { releaseRedemption } from './discounts.js';
+import { PRICE_QUOTE_TTL, createPriceQuote } from './priceQuotes.js';
+import { applyPriceSchedule } from './priceSchedules.js';
+import { isDependencyOpen } from './circuitBreakers.js';
+import { emitContentWebhookEvent } from './webhooks.js';
+
+/**
+ * Payment sessions
+ * Every payment attempt is persisted as a session that moves through a state machine:
+ *
+ *   pending -> submitted -> confirmed -> finalized
+ *      |           |            |
+ *      +-> expired +-> failed <-+
+ *
+ * Each transition is stored in payment_session_events with its timestamp and reason,
+ * so support can reconstruct exactly what happened to an "I paid but didn't get access" ticket.
+ *
+ * Solana Pay sessions get a unique `reference` public key that the buyer's wallet adds
+ * to the transfer instruction. The watcher finds the transaction by looking up
+ * signatures for that reference, so the session can finalize even if the buyer
+ * never calls /api/payment/verify (e.g. they closed the tab after paying).
+ *
+ * Sessions belong to the Solana cluster they were created on; the watcher only
+ * checks sessions of the cluster this backend runs on.
+ */
+
+// How long a buyer has to pay before a session expires: sessions expire with their quote
+export const PAYMENT_SESSION_TTL = PRICE_QUOTE_TTL;
+
+export const SESSION_STATUSES = ['pending', 'submitted', 'confirmed', 'finalized', 'expired', 'failed'];
+
+// Allowed transitions; finalized, expired and failed are terminal
+const SESSION_TRANSITIONS = {
+  pending: ['submitted', 'expired', 'failed'],
+  submitted: ['confirmed', 'failed'],
+  confirmed: ['finalized', 'failed'],
+  finalized: [],
+  expired: [],
+  failed: []
+};
+
+// Sessions in these states grant access to the content
+export const PAID_SESSION_STATUSES = ['confirmed', 'finalized'];
+
+// How many signatures to inspect per reference lookup
+const SIGNATURE_LOOKUP_LIMIT = 10;
+
+// How many open sessions the watcher checks per tick
+const WATCHER_BATCH_SIZE = 50;
+
+const SESSION_COLUMNS = `s.id, s.content_id, s.source, s.reference, s.recipient_wallet,
+       s.asset, s.mint, s.decimals, s.amount, s.cluster, s.splits, s.discount_code_id, s.discount_amount,
+       s.min_amount, s.quote_id, s.payer_wallet, s.status, s.status_reason, s.transaction_signature, s.payment_id,
+       s.claim_secret_hash, s.expires_at, s.created_at, s.updated_at`;
+
+// Content columns needed to check a payment against the creator's prices and policies
+const CONTENT_POLICY_COLUMNS = `c.price_usdc, c.underpayment_tolerance_units, c.overpayment_policy, c.asset_prices,
+       c.transfer_fee_payer, c.price_schedule, c.created_at AS content_created_at`;
+
+/**
+ * Price a session row joined with its content as the content was priced when the session opened
+ * Tolerances scale with the content's price schedule, so checks use those of the session's quote.
+ */
+const withQuotedPrices = (session) => {
+  const quoted = applyPriceSchedule({ ...session, created_at: session.content_created_at }, new Date(session.created_at));
+
+  return {
+    ...session,
+    price_usdc: quoted.price_usdc,
+    underpayment_tolerance_units: quoted.underpayment_tolerance_units,
+    asset_prices: quoted.asset_prices
+  };
+};
+
+/**
+ * Check whether a session may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (SESSION_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Hash a session claim secret for storage
+ * @param {string} secret
+ * @returns {string} - SHA-256 in hex
+ */
+const hashClaimSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Check whether a client is the one that opened a Solana Pay session
+ * Session IDs aren't secret (payment status lists them), so a paid session only hands out its
+ * access token to the client holding the claim secret returned when it was opened. The secret
+ * never goes on-chain.
+ * @param {Object} session - Session row
+ * @param {string} [secret] - Claim secret sent by the client
+ * @returns {boolean}
+ */
+export function isSessionClaimant(session, secret) {
+  if (!session.claim_secret_hash || typeof secret !== 'string' || !secret) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(
+    Buffer.from(hashClaimSecret(secret), 'hex'),
+    Buffer.from(session.claim_secret_hash, 'hex')
+  );
+}
+
+/**
+ * Build a Solana Pay transfer request URI
+ * A transfer request has a single recipient, so split payments have no URI and must be
+ * paid with a transaction carrying one transfer per leg.
+ * @see https://docs.solanapay.com/spec#transfer-request
+ * @param {Object} session - Payment session row
+ * @param {string|bigint} [amountUnits] - Amount to send in base units, if it differs from the
+ *   session amount (e.g. grossed up for a Token-2022 transfer fee)
+ * @returns {string|null} - solana: URI, or null for a split payment
+ */
+export function buildTransferUri(session, amountUnits = toBaseUnits(session.amount, session.decimals)) {
+  if (getSessionLegs(session).length > 1) {
+    return null;
+  }
+
+  const amount = fromBaseUnits(amountUnits, session.decimals)
+    .replace(/\.?0+$/, '');
+  const params = new URLSearchParams({ amount });
+
+  // Native SOL transfers omit spl-token
+  if (session.mint) {
+    params.set('spl-token', session.mint);
+  }
+
+  params.set('reference', session.reference);
+  params.set('label', 'PayWall402');
+  params.set('message', 'Unlock content');
+
+  return `solana:${session.recipient_wallet}?${params.toString()}`;
+}
+
+/**
+ * Work out the transfers that pay a session, one per recipient
+ * @param {Object} session - Payment session row joined with its content's policies
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<Array<{wallet: string, role: string, sendUnits: bigint, netUnits: bigint, feeUnits: bigint}>>}
+ *   sendUnits is what the buyer transfers, netUnits what the recipient ends up with
+ */
+export async function quoteSessionTransfers(session, options = {}) {
+  const accepted = findAcceptedAsset(session, session.asset);
+  const transfers = [];
+
+  for (const leg of getSessionLegs(session)) {
+    const quote = session.mint
+      ? await quoteTokenTransfer({
+          price: leg.amountUnits,
+          mint: session.mint,
+          tokenProgram: accepted?.tokenProgram,
+          transferFeePayer: session.transfer_fee_payer || 'buyer'
+        }, options)
+      : { sendUnits: BigInt(leg.amountUnits), netUnits: BigInt(leg.amountUnits), feeUnits: 0n };
+
+    transfers.push({ wallet: leg.wallet, role: leg.role, ...quote });
+  }
+
+  return transfers;
+}
+
+/**
+ * Append an entry to a session's event log
+ * A status change uses from != to; an attempt that didn't change the status uses from == to.
+ */
+const logSessionEvent = async (sessionId, fromStatus, toStatus, reason, signature = null) => {
+  await query(
+    `INSERT INTO payment_session_events (session_id, from_status, to_status, reason, transaction_signature)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [sessionId, fromStatus, toStatus, reason, signature]
+  );
+};
+
+/**
+ * Create a pending payment session for a content item
+ * The session pays a price quote and copies its terms (asset, amount, who gets what), so a price
+ * or fee change doesn't affect open sessions. It expires with the quote.
+ * @param {Object} content - Content row (id, price_usdc, creator_wallet and payment policies)
+ * @param {Object} [options]
+ * @param {string} [options.payerWallet] - Buyer wallet, if known up front
+ * @param {string} [options.source='solana_pay'] - How the buyer pays: solana_pay, direct or x402
+ * @param {Object} [options.quote] - Quote to pay (see createPriceQuote); otherwise one is made from
+ *   the options below
+ * @param {string} [options.asset='USDC'] - Asset the buyer pays with; must be accepted by the content
+ * @param {Object} [options.discount] - Discount code applied, with its redemption already reserved
+ * @param {string} options.discount.id - Discount code ID
+ * @param {string} options.discount.priceUnits - Discounted price, in base units (see applyDiscount)
+ * @param {string} options.discount.amountOffUnits - Amount taken off, in base units
+ * @param {Object} [options.price] - What the buyer pays (see resolvePrice); defaults to the price,
+ *   or the suggested amount for pay-what-you-want content
+ * @returns {Promise<Object>} - Created session row, with its claim_secret (Solana Pay sessions only; not stored)
+ */
+export async function createPaymentSession(content, options = {}) {
+  const { payerWallet = null, source = 'solana_pay', asset = 'USDC', discount = null, price } = options;
+  const quote = options.quote || await createPriceQuote(content, { asset, discount, price });
+
+  // Only Solana Pay sessions are discovered on-chain by reference, and claimed with a secret
+  const reference = source === 'solana_pay' ? Keypair.generate().publicKey.toBase58() : null;
+  const claimSecret = source === 'solana_pay' ? crypto.randomBytes(24).toString('base64url') : null;
+
+  const result = await query(
+    `INSERT INTO payment_sessions (content_id, source, reference, recipient_wallet,
+                                   asset, mint, decimals, amount, payer_wallet, expires_at, cluster, splits,
+                                   discount_code_id, discount_amount, min_amount, quote_id, claim_secret_hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+     RETURNING id, content_id, source, reference, recipient_wallet, asset, mint, decimals, amount, cluster,
+               splits, discount_code_id, discount_amount, min_amount, quote_id, payer_wallet, status,
+               status_reason, transaction_signature, payment_id, expires_at, created_at, updated_at`,
+    [content.id, source, reference, quote.recipient_wallet,
+     quote.asset, quote.mint, quote.decimals, quote.amount, payerWallet,
+     quote.expires_at, quote.cluster, JSON.stringify(quote.splits),
+     quote.discount_code_id, quote.discount_amount, quote.min_amount, quote.id,
+     claimSecret && hashClaimSecret(claimSecret)]
+  );
+
+  const session = {
+    ...result.rows[0],
+    claim_secret: claimSecret,
+    price_usdc: content.price_usdc,
+    underpayment_tolerance_units: content.underpayment_tolerance_units,
+    overpayment_policy: content.overpayment_policy,
+    asset_prices: content.asset_prices,
+    transfer_fee_payer: content.transfer_fee_payer
+  };
+  await logSessionEvent(session.id, null, 'pending', 'Session created');
+
+  return session;
+}
+
+/**
+ * Get a payment session with the prices and policies of the content it pays for
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getPaymentSession(sessionId) {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}, ${CONTENT_POLICY_COLUMNS}
+     FROM payment_sessions s
+     JOIN content c ON c.id = s.content_id
+     WHERE s.id = $1`,
+    [sessionId]
+  );
+
+  return result.rows[0] ? withQuotedPrices(result.rows[0]) : null;
+}
+
+/**
+ * Get the latest payment session opened from a quote
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object|null>} - Session row joined with its content's prices and policies
+ */
+export async function findQuoteSession(quoteId) {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}, ${CONTENT_POLICY_COLUMNS}
+     FROM payment_sessions s
+     JOIN content c ON c.id = s.content_id
+     WHERE s.quote_id = $1
+     ORDER BY s.created_at DESC
+     LIMIT 1`,
+    [quoteId]
+  );
+
+  return result.rows[0] ? withQuotedPrices(result.rows[0]) : null;
+}
+
+/**
+ * Find the payment sessions for a content item matching a buyer's identifiers
+ * @param {string} contentId - Content ID
+ * @param {Object} filters - At least one of sessionId, signature, payerWallet
+ * @returns {Promise<Object[]>} - Session rows, newest first
+ */
+export async function findContentSessions(contentId, { sessionId = null, signature = null, payerWallet = null }) {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM payment_sessions s
+     WHERE s.content_id = $1
+       AND (s.id::text = $2 OR s.transaction_signature = $3 OR s.payer_wallet = $4)
+     ORDER BY s.created_at DESC
+     LIMIT 20`,
+    [contentId, sessionId, signature, payerWallet]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get the transition log for one or more sessions, oldest first
+ * @param {string[]} sessionIds - Session IDs
+ * @returns {Promise<Object[]>} - Event rows
+ */
+export async function getSessionEvents(sessionIds) {
+  if (sessionIds.length === 0) {
+    return [];
+  }
+
+  const result = await query(
+    `SELECT session_id, from_status, to_status, reason, transaction_signature, created_at
+     FROM payment_session_events
+     WHERE session_id = ANY($1)
+     ORDER BY created_at ASC`,
+    [sessionIds]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Move a session to a new status and log the transition
+ * Uses the current status as a guard, so concurrent updates can't skip states.
+ * @param {Object} session - Session row
+ * @param {string} toStatus - Target status
+ * @param {Object} [details]
+ * @param {string} details.reason - Why the session moved
+ * @param {string} [details.signature] - Transaction signature involved
+ * @param {string} [details.paymentId] - Payment log row the session produced
+ * @param {string} [details.payerWallet] - On-chain payer
+ * @param {boolean} [details.notify=false] - Send payment.failed to the creator's webhooks (failed
+ *   sessions whose funds moved only; anyone can make a verification fail)
+ * @returns {Promise<Object|null>} - Updated session, or null if it was no longer in the expected state
+ */
+export async function transitionSession(session, toStatus, details = {}) {
+  const { reason, signature = null, paymentId = null, payerWallet = null, notify = false } = details;
+
+  if (!canTransition(session.status, toStatus)) {
+    throw new Error(`Invalid payment session transition: ${session.status} -> ${toStatus}`);
+  }
+
+  const result = await query(
+    `UPDATE payment_sessions
+     SET status = $3, status_reason = $4,
+         transaction_signature = COALESCE($5, transaction_signature),
+         payment_id = COALESCE($6, payment_id),
+         payer_wallet = COALESCE($7, payer_wallet),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = $2
+     RETURNING id`,
+    [session.id, session.status, toStatus, reason, signature, paymentId, payerWallet]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  await logSessionEvent(session.id, session.status, toStatus, reason, signature);
+
+  // An unpaid session hands its discount code redemption back
+  if (session.discount_code_id && (toStatus === 'expired' || toStatus === 'failed')) {
+    await releaseRedemption(session.discount_code_id);
+  }
+
+  // A payment that moved funds but failed; a dropped payment sends its own event (see utils/finality.js)
+  if (toStatus === 'failed' && notify) {
+    await emitContentWebhookEvent(session.content_id, 'payment.failed', {
+      sessionId: session.id,
+      contentId: session.content_id,
+      payerWallet: payerWallet || session.payer_wallet,
+      amount: parseFloat(session.amount),
+      asset: session.asset,
+      signature: signature || session.transaction_signature,
+      revoked: false,
+      reason
+    });
+  }
+
+  console.log('🔄 Payment session transition:', {
+    sessionId: session.id,
+    from: session.status,
+    to: toStatus,
+    reason
+  });
+
+  return {
+    ...session,
+    status: toStatus,
+    status_reason: reason,
+    transaction_signature: signature || session.transaction_signature,
+    payment_id: paymentId || session.payment_id,
+    payer_wallet: payerWallet || session.payer_wallet
+  };
+}
+
+/**
+ * Build what a session's transaction must contain, for verifySolanaTransaction
+ * A pay-what-you-want session is paid by anything at or above its minimum, split the same way.
+ * @param {Object} session - Session row joined with its content's prices and policies
+ * @returns {Object} - Expected payment
+ */
+export function expectedPayment(session) {
+  const accepted = findAcceptedAsset(session, session.asset);
+  const minimum = session.min_amount ? toBaseUnits(session.min_amount, session.decimals) : null;
+  const legs = minimum ? splitAmount(getSessionLegs(session), minimum) : getSessionLegs(session);
+
+  return {
+    recipient: session.recipient_wallet,
+    amount: minimum || toBaseUnits(session.amount, session.decimals),
+    recipients: legs.map(leg => ({ recipient: leg.wallet, amount: leg.amountUnits })),
+    asset: session.asset,
+    mint: session.mint,
+    tokenProgram: accepted?.tokenProgram || undefined,
+    transferFeePayer: session.transfer_fee_payer || 'buyer',
+    decimals: session.decimals,
+    payer: session.payer_wallet || undefined,
+    underpaymentTolerance: accepted ? accepted.underpaymentToleranceUnits : 0,
+    overpaymentPolicy: minimum ? 'accept' : session.overpayment_policy || 'accept',
+    // USDC payments are valued at what was received; other assets at the USDC price they stand for
+    valueUsdc: session.asset === 'USDC' ? undefined : parseFloat(session.price_usdc)
+  };
+}
+
+/**
+ * Verify a submitted transaction for a session and settle it
+ * Moves the session submitted -> confirmed (or failed), then to finalized if the
+ * transaction has already reached finalized commitment.
+ * @param {Object} session - Session in 'submitted' status
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<{session: Object, payment?: Object, verification: Object, claimedBy?: Object}>}
+ */
+export async function confirmSubmittedSession(session, options = {}) {
+  const signature = session.transaction_signature;
+
+  const verification = await verifySolanaTransaction(signature, expectedPayment(session), options);
+
+  if (!verification.verified) {
+    return {
+      session: await transitionSession(session, 'failed', { reason: verification.error, signature }) || session,
+      verification
+    };
+  }
+
+  const legs = getSessionLegs(session);
+  const { recorded, payment } = await recordPayment({
+    contentId: session.content_id,
+    payerWallet: verification.details.payer,
+    amount: verification.details.amount,
+    asset: session.asset,
+    signature,
+    recipients: verification.details.recipients.map((received, index) => ({
+      wallet: received.recipient,
+      role: legs[index].role,
+      amount: received.amount
+    }))
+  });
+
+  // Already claimed by someone else (or for other content) - not ours to use
+  if (!recorded && !isOriginalClaim(payment, session.content_id, verification.details.payer)) {
+    return {
+      session: await transitionSession(session, 'failed', {
+        reason: 'Transaction signature already used',
+        signature
+      }) || session,
+      verification,
+      claimedBy: payment
+    };
+  }
+
+  let confirmed = await transitionSession(session, 'confirmed', {
+    reason: recorded ? 'Transaction verified' : 'Transaction already verified for this payer',
+    signature,
+    paymentId: payment.id,
+    payerWallet: verification.details.payer
+  }) || session;
+
+  if (confirmed.status === 'confirmed') {
+    confirmed = await checkSessionFinality(confirmed, options);
+  }
+
+  return { session: confirmed, payment, verification };
+}
+
+/**
+ * Move a confirmed session to finalized once its transaction is finalized
+ * A transaction that failed or disappeared after confirmation fails the session.
+ * @param {Object} session - Session in 'confirmed' status
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<Object>} - Updated session
+ */
+export async function checkSessionFinality(session, options = {}) {
+  const commitment = await getTransactionCommitment(session.transaction_signature, options);
+
+  if (commitment === 'finalized') {
+    if (session.payment_id) {
+      await setPaymentFinality(session.payment_id, 'finalized');
+    }
+
+    return await transitionSession(session, 'finalized', {
+      reason: 'Transaction finalized',
+      signature: session.transaction_signature
+    }) || session;
+  }
+
+  if (commitment === 'failed') {
+    return await transitionSession(session, 'failed', {
+      reason: 'Transaction failed after confirmation',
+      signature: session.transaction_signature
+    }) || session;
+  }
+
+  return session;
+}
+
+/**
+ * Look for a transaction paying a pending Solana Pay session
+ * Transactions that carry the reference but don't satisfy the session are logged
+ * as attempts without failing the session, so a bogus transaction can't grief it.
+ * @param {Object} session - Session row from getPaymentSession
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Promise<{session: Object, payment?: Object}>}
+ */
+export async function checkPaymentSession(session, options = {}) {
+  if (session.status === 'confirmed') {
+    return { session: await checkSessionFinality(session, options) };
+  }
+
+  // Submitted but never verified, e.g. the request died mid-verification
+  if (session.status === 'submitted') {
+    const result = await confirmSubmittedSession(session, options);
+    return { session: result.session, payment: result.payment };
+  }
+
+  if (session.status !== 'pending' || session.source !== 'solana_pay') {
+    return { session };
+  }
+
+  const connection = options.connection || getSolanaConnection();
+
+  const signatures = await connection.getSignaturesForAddress(
+    new PublicKey(session.reference),
+    { limit: SIGNATURE_LOOKUP_LIMIT },
+    'confirmed'
+  );
+
+  // Oldest first, so the first qualifying payment wins
+  const candidates = signatures.filter(s => !s.err).reverse();
+
+  // Signatures already logged for this session, loaded the first time one is ignored
+  let logged = null;
+
+  for (const { signature } of candidates) {
+    const verification = await verifySolanaTransaction(signature, expectedPayment(session), { connection });
+
+    if (!verification.verified) {
+      // Every watcher tick sees the same transactions again; log each one once
+      logged = logged || new Set((await getSessionEvents([session.id])).map(event => event.transaction_signature));
+
+      if (!logged.has(signature)) {
+        await logSessionEvent(session.id, session.status, session.status,
+          `Ignored transaction: ${verification.error}`, signature);
+        logged.add(signature);
+      }
+      continue;
+    }
+
+    const submitted = await transitionSession(session, 'submitted', {
+      reason: 'Transaction found by reference',
+      signature
+    });
+
+    if (!submitted) {
+      // Someone else (e.g. /verify) moved the session meanwhile
+      return { session: await getPaymentSession(session.id) };
+    }
+
+    const result = await confirmSubmittedSession(submitted, { connection });
+    return { session: result.session, payment: result.payment };
+  }
+
+  if (new Date(session.expires_at) < new Date()) {
+    return {
+      session: await transitionSession(session, 'expired', {
+        reason: 'No payment received before the session expired'
+      }) || session
+    };
+  }
+
+  return { session };
+}
+
+/**
+ * Move the confirmed sessions that produced a payment along with the payment's finality
+ * @param {string} paymentId - Payment ID
+ * @param {string} toStatus - 'finalized' or 'failed'
+ * @param {string} reason - Why the sessions moved
+ */
+export async function settlePaymentSessions(paymentId, toStatus, reason) {
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM payment_sessions s
+     WHERE s.payment_id = $1 AND s.status = 'confirmed'`,
+    [paymentId]
+  );
+
+  for (const session of result.rows) {
+    await transitionSession(session, toStatus, { reason, signature: session.transaction_signature });
+  }
+}
+
+/**
+ * Run one watcher pass over the open sessions of the current cluster
+ * Pending Solana Pay sessions are matched against the chain, submitted sessions are
+ * verified, confirmed sessions are checked for finality and stale pending sessions expire.
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ */
+export async function runPaymentSessionWatcher(options = {}) {
+  // Every check needs RPC; wait for the breaker to let calls through again
+  if (isDependencyOpen('rpc')) {
+    return;
+  }
+
+  const result = await query(
+    `SELECT ${SESSION_COLUMNS}, ${CONTENT_POLICY_COLUMNS}
+     FROM payment_sessions s
+     JOIN content c ON c.id = s.content_id
+     WHERE s.cluster = $2
+       AND (s.status IN ('pending', 'confirmed')
+            OR (s.status = 'submitted' AND s.updated_at < NOW() - INTERVAL '1 minute'))
+     ORDER BY s.updated_at ASC
+     LIMIT $1`,
+    [WATCHER_BATCH_SIZE, getClusterName()]
+  );
+
+  for (const session of result.rows.map(withQuotedPrices)) {
+    try {
+      if (session.status === 'pending' && session.source !== 'solana_pay') {
+        // Direct and x402 sessions are driven by their request; only expiry applies here
+        if (new Date(session.expires_at) < new Date()) {
+          await transitionSession(session, 'expired', {
+            reason: 'No transaction submitted before the session expired'
+          });
+        }
+        continue;
+      }
+
+      await checkPaymentSession(session, options);
+    } catch (error) {
+      console.error('❌ Payment session check failed:', { sessionId: session.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Start polling open sessions in the background
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=10000] - Poll interval
+ * @param {Connection} [options.connection] - RPC connection (inject a stub in tests)
+ * @returns {Function} - Call to stop the watcher
+ */
+export function startPaymentSessionWatcher(options = {}) {
+  const intervalMs = options.intervalMs || 10000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap when RPC is slow
+    if (running) return;
+    running = true;
+
+    try {
+      await runPaymentSessionWatcher(options);
+    } catch (error) {
+      console.error('❌ Payment session watcher error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+export default {
+  PAYMENT_SESSION_TTL,
+  SESSION_STATUSES,
+  PAID_SESSION_STATUSES,
+  canTransition,
+  isSessionClaimant,
+  buildTransferUri,
+  quoteSessionTransfers,
+  createPaymentSession,
+  getPaymentSession,
+  findQuoteSession,
+  findContentSessions,
+  getSessionEvents,
+  transitionSession,
+  expectedPayment,
+  confirmSubmittedSession,
+  checkSessionFinality,
+  settlePaymentSessions,
+  checkPaymentSession,
+  runPaymentSessionWatcher,
+  startPaymentSessionWatcher
+};
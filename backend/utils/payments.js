@@ -0,0 +1,249 @@
+import { query } from '../db/index.js';
+import { getClusterName } from './cluster.js';
+import { isSandboxMode, isSandboxSignature } from './sandbox.js';
+import { SUBSCRIPTION_CONTENT_TYPE, extendSubscription } from './subscriptions.js';
+import { CREATOR_LOGIN_WINDOW, verifyWalletSignature } from './creatorAuth.js';
+import { emitWebhookEvent, paymentEventData } from './webhooks.js';
+
+/**
+ * Payment ledger helpers
+ * An on-chain transaction signature can be claimed exactly once, for one content ID.
+ * The unique index on payment_logs.transaction_signature enforces this at the database level.
+ * Signatures are also claimed in transaction_claims, which credit deposits claim too, so one
+ * transfer can never both unlock content and be credited.
+ */
+
+// Access granted by a payment lasts 7 days from the time it was recorded
+export const ACCESS_GRANT_TTL = 7 * 24 * 60 * 60;
+
+/**
+ * Find a recorded payment by its transaction signature
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<Object|null>} - Payment row or null if the signature is unclaimed
+ */
+export async function findPaymentBySignature(signature) {
+  const result = await query(
+    `SELECT id, content_id, payer_wallet, amount_usdc, asset, cluster, sandbox, transaction_signature,
+            payment_status, finality_status, finalized_at, paid_at
+     FROM payment_logs
+     WHERE transaction_signature = $1`,
+    [signature]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim a transaction signature for one use
+ * Claiming it again for the same use succeeds, so concurrent claims of a payment (or of a
+ * deposit) are still settled by their own unique indexes.
+ * @param {Object} client - Database client (of the enclosing transaction, if any)
+ * @param {string} signature - Transaction signature
+ * @param {string} use - 'payment' or 'credit_deposit'
+ * @returns {Promise<boolean>} - False if the signature was already claimed for the other use
+ */
+export async function claimTransactionSignature(client, signature, use) {
+  const result = await client.query(
+    `INSERT INTO transaction_claims (transaction_signature, claimed_as)
+     VALUES ($1, $2)
+     ON CONFLICT (transaction_signature) DO UPDATE SET transaction_signature = EXCLUDED.transaction_signature
+     RETURNING claimed_as`,
+    [signature, use]
+  );
+
+  return result.rows[0].claimed_as === use;
+}
+
+/**
+ * Find what a transaction signature was claimed as
+ * @param {string} signature - Transaction signature
+ * @returns {Promise<string|null>} - 'payment', 'credit_deposit', or null if it is unclaimed
+ */
+export async function findTransactionClaim(signature) {
+  const result = await query(
+    'SELECT claimed_as FROM transaction_claims WHERE transaction_signature = $1',
+    [signature]
+  );
+
+  return result.rows[0]?.claimed_as || null;
+}
+
+/**
+ * Record a completed payment on the current cluster, claiming its transaction signature
+ * Payments recorded in sandbox mode are tagged sandbox and never count as revenue.
+ * If the signature was already claimed (including by a concurrent request),
+ * nothing is written and the existing payment is returned instead (none if it was claimed as a
+ * credit deposit).
+ * A payment for a subscription plan extends the payer's subscription.
+ * @param {Object} payment
+ * @param {string} payment.contentId - Content ID the payment unlocks
+ * @param {string} payment.payerWallet - Wallet that paid
+ * @param {string|number} payment.amount - Amount paid, in `asset`
+ * @param {string} [payment.asset='USDC'] - Asset the payment was made in
+ * @param {string} payment.signature - Transaction signature
+ * @param {Array<{wallet: string, role: string, amount: string}>} payment.recipients - What each
+ *   recipient received, in `asset`
+ * @param {boolean} [payment.onChain=true] - Whether the signature is an on-chain transaction whose
+ *   finality is tracked (simulated payments never are)
+ * @returns {Promise<{recorded: boolean, payment: Object|null}>}
+ */
+export async function recordPayment({ contentId, payerWallet, amount, asset = 'USDC', signature, recipients, onChain = true }) {
+  if (!await claimTransactionSignature({ query }, signature, 'payment')) {
+    return { recorded: false, payment: null };
+  }
+
+  const result = await query(
+    `INSERT INTO payment_logs (content_id, payer_wallet, amount_usdc, transaction_signature, payment_status,
+                               asset, cluster, sandbox, finality_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (transaction_signature) DO NOTHING
+     RETURNING id, content_id, payer_wallet, amount_usdc, asset, cluster, sandbox, transaction_signature,
+               payment_status, finality_status, finalized_at, paid_at`,
+    [contentId, payerWallet || 'unknown', amount, signature, 'completed', asset, getClusterName(), isSandboxMode(),
+     onChain && !isSandboxSignature(signature) ? 'confirmed' : null]
+  );
+
+  if (result.rows.length === 0) {
+    return {
+      recorded: false,
+      payment: await findPaymentBySignature(signature)
+    };
+  }
+
+  // Per-recipient amounts, which payment history and earnings are based on
+  for (const recipient of recipients) {
+    await query(
+      `INSERT INTO payment_recipients (payment_id, wallet, role, amount)
+       VALUES ($1, $2, $3, $4)`,
+      [result.rows[0].id, recipient.wallet, recipient.role, recipient.amount]
+    );
+  }
+
+  // Update content payment counter
+  const content = await query(
+    'UPDATE content SET payments = payments + 1 WHERE id = $1 RETURNING id, content_type, creator_wallet',
+    [contentId]
+  );
+
+  if (content.rows[0]?.content_type === SUBSCRIPTION_CONTENT_TYPE) {
+    await extendSubscription(content.rows[0], result.rows[0].payer_wallet);
+  }
+
+  await emitWebhookEvent(content.rows[0]?.creator_wallet, 'payment.completed', {
+    ...paymentEventData(result.rows[0]),
+    contentType: content.rows[0]?.content_type,
+    finality: result.rows[0].finality_status,
+    recipients: recipients.map(({ wallet, role, amount }) => ({ wallet, role, amount: parseFloat(amount) }))
+  });
+
+  return {
+    recorded: true,
+    payment: result.rows[0]
+  };
+}
+
+/**
+ * Move a confirmed payment to its final on-chain status
+ * @param {string} paymentId - Payment ID
+ * @param {string} status - 'finalized' or 'dropped'
+ * @param {Object} [options]
+ * @param {boolean} [options.revoke=false] - Also fail the payment, taking back the access it granted
+ * @returns {Promise<Object|null>} - Updated payment, or null if it had already left 'confirmed'
+ */
+export async function setPaymentFinality(paymentId, status, { revoke = false } = {}) {
+  const result = await query(
+    `UPDATE payment_logs
+     SET finality_status = $2,
+         finalized_at = CASE WHEN $2::VARCHAR = 'finalized' THEN CURRENT_TIMESTAMP ELSE finalized_at END,
+         payment_status = CASE WHEN $3 THEN 'failed' ELSE payment_status END,
+         finality_checked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND finality_status = 'confirmed'
+     RETURNING id, content_id, payer_wallet, amount_usdc, asset, transaction_signature, payment_status,
+               finality_status, finalized_at, paid_at`,
+    [paymentId, status, revoke]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether the access granted by a payment was revoked
+ * @param {string} signature - Transaction signature the access token was issued for
+ * @returns {Promise<boolean>} - True if the payment was failed after it was recorded
+ */
+export async function isPaymentRevoked(signature) {
+  const payment = signature ? await findPaymentBySignature(signature) : null;
+  return payment?.payment_status === 'failed';
+}
+
+/**
+ * Check whether a repeat claim of a payment comes from its original buyer
+ * @param {Object|null} payment - Existing payment row (null if the signature is a credit deposit)
+ * @param {string} contentId - Content ID being claimed
+ * @param {string} payerWallet - Wallet making the claim
+ * @returns {boolean} - True if the existing grant may be returned
+ */
+export function isOriginalClaim(payment, contentId, payerWallet) {
+  return !!payment &&
+         payment.content_id === contentId &&
+         !!payerWallet &&
+         payment.payer_wallet === payerWallet;
+}
+
+/**
+ * Build the message a buyer signs to get the grant of a payment they already verified back
+ * @param {string} wallet - Payer wallet address
+ * @param {string} signature - Transaction signature of the payment
+ * @param {number} timestamp - Unix time (seconds) the message was created
+ * @returns {string}
+ */
+export function buildAccessClaimMessage(wallet, signature, timestamp) {
+  return `Claim PayWall402 access\nWallet: ${wallet}\nTransaction: ${signature}\nTimestamp: ${timestamp}`;
+}
+
+/**
+ * Check that a repeat claim of a payment is signed by its payer
+ * The signature and payer wallet are public on-chain, so they alone prove nothing.
+ * @param {Object} payment - Payment row
+ * @param {Object} proof
+ * @param {number} proof.timestamp - Timestamp in the signed message
+ * @param {string} proof.signature - Base64 signature of buildAccessClaimMessage by the payer wallet
+ * @returns {boolean}
+ */
+export function isSignedAccessClaim(payment, { timestamp, signature }) {
+  const now = Math.floor(Date.now() / 1000);
+  const signedAt = Number(timestamp);
+
+  if (!payment.payer_wallet || !signature || !Number.isInteger(signedAt) ||
+      Math.abs(now - signedAt) > CREATOR_LOGIN_WINDOW) {
+    return false;
+  }
+
+  const message = buildAccessClaimMessage(payment.payer_wallet, payment.transaction_signature, signedAt);
+  return verifyWalletSignature(payment.payer_wallet, message, signature);
+}
+
+/**
+ * Seconds left on the access grant created by a payment
+ * @param {Object} payment - Payment row
+ * @returns {number} - Remaining lifetime in seconds (0 if expired)
+ */
+export function remainingGrantSeconds(payment) {
+  const paidAt = new Date(payment.paid_at).getTime();
+  const expiresAt = paidAt + ACCESS_GRANT_TTL * 1000;
+  return Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+}
+
+export default {
+  ACCESS_GRANT_TTL,
+  findPaymentBySignature,
+  claimTransactionSignature,
+  findTransactionClaim,
+  recordPayment,
+  setPaymentFinality,
+  isPaymentRevoked,
+  isOriginalClaim,
+  buildAccessClaimMessage,
+  isSignedAccessClaim,
+  remainingGrantSeconds
+};
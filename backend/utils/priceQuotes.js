@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../db/index.js';
+import { toBaseUnits, fromBaseUnits } from './solana.js';
+import { findAcceptedAsset } from './assets.js';
+import { getClusterName } from './cluster.js';
+import { getPaymentLegs } from './splits.js';
+import { resolvePrice } from './pricing.js';
+
+/**
+ * Price quotes
+ * A quote records the terms a buyer was offered: asset, amount, who gets what and until when.
+ * Every payment session is opened from a quote and copies its terms, so the amount stays locked
+ * between /initiate and /verify even if the creator changes the price (or a price schedule
+ * changes it) in the meantime.
+ *
+ * Quotes are signed with an HMAC of their terms. A quote whose stored terms no longer match its
+ * signature is treated as missing, so a tampered row can't lower what a buyer has to pay.
+ */
+
+const SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
+
+// How long a quote's terms are honored (15 minutes, as long as a payment session)
+export const PRICE_QUOTE_TTL = 15 * 60;
+
+const QUOTE_COLUMNS = `id, content_id, asset, mint, decimals, amount, min_amount, recipient_wallet, splits,
+       discount_code_id, discount_amount, cluster, signature, expires_at, created_at`;
+
+/**
+ * Sign the terms of a quote
+ * Amounts are signed in base units and legs as wallet:role:amount, so the signature doesn't
+ * depend on how the database formats decimals or orders JSON keys.
+ * @param {Object} quote - Quote row
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const signQuote = (quote) => {
+  const terms = [
+    quote.id,
+    quote.content_id,
+    quote.asset,
+    quote.mint || '',
+    quote.decimals,
+    toBaseUnits(quote.amount, quote.decimals),
+    quote.min_amount ? toBaseUnits(quote.min_amount, quote.decimals) : '',
+    quote.recipient_wallet,
+    quote.splits.map(leg => `${leg.wallet}:${leg.role}:${leg.amountUnits}`).join(','),
+    quote.discount_code_id || '',
+    quote.discount_amount ? toBaseUnits(quote.discount_amount, quote.decimals) : '',
+    quote.cluster,
+    new Date(quote.expires_at).toISOString()
+  ];
+
+  return crypto.createHmac('sha256', SECRET).update(terms.join('|')).digest('hex');
+};
+
+/**
+ * Quote a content item and persist the quote
+ * @param {Object} content - Content row (id, creator_wallet, prices and payment policies)
+ * @param {Object} [options]
+ * @param {string} [options.asset='USDC'] - Asset the buyer pays with; must be accepted by the content
+ * @param {Object} [options.price] - What the buyer pays (see resolvePrice); defaults to the price,
+ *   or the suggested amount for pay-what-you-want content
+ * @param {Object} [options.discount] - Discount code applied (see createPaymentSession)
+ * @returns {Promise<Object>} - Quote row
+ */
+export async function createPriceQuote(content, options = {}) {
+  const { asset = 'USDC', discount = null } = options;
+  const accepted = findAcceptedAsset(content, asset);
+
+  if (!accepted) {
+    throw new Error(`Content does not accept ${asset}`);
+  }
+
+  const price = options.price || resolvePrice(content, accepted);
+  const priceUnits = discount ? discount.priceUnits : price.priceUnits;
+
+  // The first leg (the creator's, unless they hold no share) is the primary recipient
+  const legs = getPaymentLegs(content, priceUnits);
+
+  const quote = {
+    id: uuidv4(),
+    content_id: content.id,
+    asset: accepted.asset,
+    mint: accepted.mint,
+    decimals: accepted.decimals,
+    amount: fromBaseUnits(priceUnits, accepted.decimals),
+    min_amount: price.minUnits ? fromBaseUnits(price.minUnits, accepted.decimals) : null,
+    recipient_wallet: legs[0].wallet,
+    splits: legs,
+    discount_code_id: discount ? discount.id : null,
+    discount_amount: discount ? fromBaseUnits(discount.amountOffUnits, accepted.decimals) : null,
+    cluster: getClusterName(),
+    expires_at: new Date(Date.now() + PRICE_QUOTE_TTL * 1000)
+  };
+
+  const result = await query(
+    `INSERT INTO price_quotes (id, content_id, asset, mint, decimals, amount, min_amount, recipient_wallet,
+                               splits, discount_code_id, discount_amount, cluster, signature, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     RETURNING ${QUOTE_COLUMNS}`,
+    [quote.id, quote.content_id, quote.asset, quote.mint, quote.decimals, quote.amount, quote.min_amount,
+     quote.recipient_wallet, JSON.stringify(quote.splits), quote.discount_code_id, quote.discount_amount,
+     quote.cluster, signQuote(quote), quote.expires_at]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get a quote, checking its signature
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object|null>} - Quote row, or null if it doesn't exist or its terms don't
+ *   match its signature
+ */
+export async function getPriceQuote(quoteId) {
+  const result = await query(
+    `SELECT ${QUOTE_COLUMNS}
+     FROM price_quotes
+     WHERE id = $1`,
+    [quoteId]
+  );
+
+  const quote = result.rows[0];
+
+  if (!quote) {
+    return null;
+  }
+
+  const expected = Buffer.from(signQuote(quote));
+  const actual = Buffer.from(quote.signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    console.error('❌ Price quote signature mismatch:', { quoteId });
+    return null;
+  }
+
+  return quote;
+}
+
+/**
+ * Check whether a quote's terms are no longer honored
+ * @param {Object} quote - Quote row
+ * @returns {boolean}
+ */
+export function isQuoteExpired(quote) {
+  return new Date(quote.expires_at) < new Date();
+}
+
+/**
+ * Format a quote for API responses
+ * @param {Object} quote - Quote row
+ * @returns {Object}
+ */
+export function formatPriceQuote(quote) {
+  return {
+    id: quote.id,
+    contentId: quote.content_id,
+    asset: quote.asset,
+    mint: quote.mint,
+    decimals: quote.decimals,
+    amount: parseFloat(quote.amount),
+    amountUnits: toBaseUnits(quote.amount, quote.decimals),
+    minAmount: quote.min_amount ? parseFloat(quote.min_amount) : null,
+    recipient: quote.recipient_wallet,
+    recipients: quote.splits.map(leg => ({
+      recipient: leg.wallet,
+      role: leg.role,
+      amountUnits: leg.amountUnits
+    })),
+    cluster: quote.cluster,
+    expiresAt: new Date(quote.expires_at).toISOString(),
+    expired: isQuoteExpired(quote),
+    signature: quote.signature
+  };
+}
+
+export default {
+  PRICE_QUOTE_TTL,
+  createPriceQuote,
+  getPriceQuote,
+  isQuoteExpired,
+  formatPriceQuote
+};
@@ -0,0 +1,282 @@
+import { toBaseUnits, fromBaseUnits } from './solana.js';
+
+/**
+ * Price schedules
+ * A content item's USDC price (price_usdc) can change over time, e.g. an early-bird price for
+ * the first 48 hours or a price that drops every week after launch. The schedule is stored in
+ * content.price_schedule as one of:
+ *
+ *   { type: 'ranges', ranges: [{ from, until, price }] }
+ *     Time ranges (ISO timestamps, either end open) with their own price; the first range
+ *     containing the moment of quoting wins, and price_usdc applies outside all of them.
+ *
+ *   { type: 'decay', startsAt, everyHours, drop, floor }
+ *     price_usdc until startsAt (default: when the content was created), then `drop` less
+ *     every `everyHours`, never below `floor`.
+ *
+ * Quotes apply the schedule at the moment they are made (see applyPriceSchedule): the scheduled
+ * price replaces price_usdc, and every other price of the item (other assets, the suggested
+ * amount, underpayment tolerances) scales with it. A payment session locks the quoted amount
+ * until it expires, whatever the schedule does in the meantime.
+ */
+
+export const PRICE_SCHEDULE_TYPES = ['ranges', 'decay'];
+
+export const MAX_PRICE_RANGES = 10;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Parse a USDC price in a schedule
+ * @returns {string} - Price in base units
+ */
+const parseSchedulePrice = (value, label) => {
+  let cents;
+
+  try {
+    cents = BigInt(toBaseUnits(value, 2));
+  } catch (error) {
+    throw new Error(`${label} must be a USDC amount with at most 2 decimals`);
+  }
+
+  if (cents < 1n || cents > 10000n) {
+    throw new Error(`${label} must be between $0.01 and $100`);
+  }
+
+  return toBaseUnits(value);
+};
+
+/**
+ * Parse an optional timestamp in a schedule
+ * @returns {string|null} - ISO timestamp
+ */
+const parseScheduleTime = (value, label) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = new Date(value);
+
+  if (typeof value !== 'string' || isNaN(time.getTime())) {
+    throw new Error(`${label} must be an ISO 8601 timestamp`);
+  }
+
+  return time.toISOString();
+};
+
+/**
+ * Parse the price schedule a creator submitted
+ * @param {string|Object} input - Schedule (or JSON string of one), see the module comment
+ * @param {string|number} price - The item's USDC price
+ * @returns {Object|null} - Schedule to store in content.price_schedule, or null for none
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parsePriceSchedule(input, price) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  let schedule = input;
+
+  if (typeof input === 'string') {
+    try {
+      schedule = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Price schedule must be a JSON object');
+    }
+  }
+
+  if (!schedule || typeof schedule !== 'object' || !PRICE_SCHEDULE_TYPES.includes(schedule.type)) {
+    throw new Error(`Price schedule type must be one of ${PRICE_SCHEDULE_TYPES.join(', ')}`);
+  }
+
+  if (schedule.type === 'ranges') {
+    const { ranges } = schedule;
+
+    if (!Array.isArray(ranges) || ranges.length === 0 || ranges.length > MAX_PRICE_RANGES) {
+      throw new Error(`A price schedule must have 1 to ${MAX_PRICE_RANGES} ranges`);
+    }
+
+    return {
+      type: 'ranges',
+      ranges: ranges.map((range, index) => {
+        const from = parseScheduleTime(range?.from, `Range ${index + 1} start`);
+        const until = parseScheduleTime(range?.until, `Range ${index + 1} end`);
+
+        if (!from && !until) {
+          throw new Error(`Range ${index + 1} needs a start or an end`);
+        }
+
+        if (from && until && new Date(from) >= new Date(until)) {
+          throw new Error(`Range ${index + 1} must end after it starts`);
+        }
+
+        return {
+          from,
+          until,
+          price: fromBaseUnits(parseSchedulePrice(range.price, `Range ${index + 1} price`))
+        };
+      })
+    };
+  }
+
+  const everyHours = Number(schedule.everyHours);
+
+  if (!Number.isInteger(everyHours) || everyHours < 1 || everyHours > 24 * 365) {
+    throw new Error('Price decay interval must be a whole number of hours, up to a year');
+  }
+
+  const drop = parseSchedulePrice(schedule.drop, 'Price drop');
+  const floor = parseSchedulePrice(schedule.floor, 'Price floor');
+
+  if (BigInt(floor) >= BigInt(toBaseUnits(price))) {
+    throw new Error('Price floor must be below the price');
+  }
+
+  return {
+    type: 'decay',
+    startsAt: parseScheduleTime(schedule.startsAt, 'Price decay start'),
+    everyHours,
+    drop: fromBaseUnits(drop),
+    floor: fromBaseUnits(floor)
+  };
+}
+
+/**
+ * Work out a content item's USDC price at a moment
+ * @param {Object} content - Content row (price_usdc, price_schedule, created_at)
+ * @param {Date} [at=new Date()] - Moment of quoting
+ * @returns {{priceUnits: string, changesAt: Date|null}} - Price in base units, and when the
+ *   schedule next changes it (null if it never does)
+ */
+export function getScheduledPrice(content, at = new Date()) {
+  const listUnits = toBaseUnits(content.price_usdc);
+  const schedule = content.price_schedule;
+
+  if (!schedule) {
+    return { priceUnits: listUnits, changesAt: null };
+  }
+
+  const time = at.getTime();
+
+  if (schedule.type === 'ranges') {
+    const boundaries = schedule.ranges
+      .flatMap(range => [range.from, range.until])
+      .filter(Boolean)
+      .map(boundary => new Date(boundary).getTime())
+      .filter(boundary => boundary > time);
+
+    const current = schedule.ranges.find(range =>
+      (!range.from || new Date(range.from).getTime() <= time) &&
+      (!range.until || time < new Date(range.until).getTime())
+    );
+
+    return {
+      priceUnits: current ? toBaseUnits(current.price) : listUnits,
+      changesAt: boundaries.length > 0 ? new Date(Math.min(...boundaries)) : null
+    };
+  }
+
+  const start = new Date(schedule.startsAt || content.created_at || at).getTime();
+  const interval = schedule.everyHours * HOUR;
+
+  if (time < start) {
+    return { priceUnits: listUnits, changesAt: new Date(start) };
+  }
+
+  const steps = Math.floor((time - start) / interval);
+  const floorUnits = BigInt(toBaseUnits(schedule.floor));
+  const decayed = BigInt(listUnits) - BigInt(steps) * BigInt(toBaseUnits(schedule.drop));
+
+  if (decayed <= floorUnits) {
+    return { priceUnits: floorUnits.toString(), changesAt: null };
+  }
+
+  return { priceUnits: decayed.toString(), changesAt: new Date(start + (steps + 1) * interval) };
+}
+
+/**
+ * Scale an amount in base units by scheduled / list price
+ */
+const scaleUnits = (units, scheduledUnits, listUnits) =>
+  (BigInt(units || 0) * BigInt(scheduledUnits) / BigInt(listUnits)).toString();
+
+/**
+ * Price a content item at the moment of quoting
+ * Returns the row with its scheduled prices, so getAcceptedAssets, resolvePrice, discounts and
+ * splits all quote the price the schedule sets.
+ * @param {Object} content - Content row (price_usdc, price_schedule, created_at, and any of
+ *   asset_prices, suggested_price_usdc, underpayment_tolerance_units)
+ * @param {Date} [at=new Date()] - Moment of quoting
+ * @returns {Object} - Content row with scheduled prices, plus list_price_usdc (the unscheduled
+ *   price) and price_changes_at (when the schedule next changes the price, or null)
+ */
+export function applyPriceSchedule(content, at = new Date()) {
+  const { priceUnits, changesAt } = getScheduledPrice(content, at);
+  const listUnits = toBaseUnits(content.price_usdc);
+  const scheduled = { ...content, list_price_usdc: content.price_usdc, price_changes_at: changesAt };
+
+  if (priceUnits === listUnits) {
+    return scheduled;
+  }
+
+  return {
+    ...scheduled,
+    price_usdc: fromBaseUnits(priceUnits),
+    suggested_price_usdc: content.suggested_price_usdc
+      ? fromBaseUnits(scaleUnits(toBaseUnits(content.suggested_price_usdc), priceUnits, listUnits))
+      : content.suggested_price_usdc,
+    underpayment_tolerance_units: scaleUnits(content.underpayment_tolerance_units, priceUnits, listUnits),
+    asset_prices: (content.asset_prices || []).map(entry => ({
+      ...entry,
+      priceUnits: scaleUnits(entry.priceUnits, priceUnits, listUnits),
+      underpaymentToleranceUnits: scaleUnits(entry.underpaymentToleranceUnits, priceUnits, listUnits)
+    }))
+  };
+}
+
+/**
+ * Describe a content item's price schedule for API responses
+ * @param {Object} content - Content row priced by applyPriceSchedule
+ * @returns {Object|null} - The schedule with the list price, current price and next change, or
+ *   null if the item has none
+ */
+export function formatPriceSchedule(content) {
+  const schedule = content.price_schedule;
+
+  if (!schedule) {
+    return null;
+  }
+
+  const details = schedule.type === 'ranges'
+    ? {
+        ranges: schedule.ranges.map(range => ({
+          from: range.from,
+          until: range.until,
+          price: parseFloat(range.price)
+        }))
+      }
+    : {
+        startsAt: schedule.startsAt || content.created_at,
+        everyHours: schedule.everyHours,
+        drop: parseFloat(schedule.drop),
+        floor: parseFloat(schedule.floor)
+      };
+
+  return {
+    type: schedule.type,
+    ...details,
+    listPrice: parseFloat(content.list_price_usdc ?? content.price_usdc),
+    currentPrice: parseFloat(content.price_usdc),
+    nextChangeAt: content.price_changes_at ? content.price_changes_at.toISOString() : null
+  };
+}
+
+export default {
+  PRICE_SCHEDULE_TYPES,
+  MAX_PRICE_RANGES,
+  parsePriceSchedule,
+  getScheduledPrice,
+  applyPriceSchedule,
+  formatPriceSchedule
+};
@@ -0,0 +1,124 @@
+import { toBaseUnits, fromBaseUnits } from './solana.js';
+
+/**
+ * Pricing modes
+ * Content sells at a fixed price, or "pay what you want": its prices (price_usdc and
+ * asset_prices) are then minimums, buyers choose any amount at or above them, and a
+ * suggested amount is offered by default.
+ *
+ * The buyer's amount is locked into the payment session as what their wallet is asked
+ * to send. The session also keeps the minimum, which is what the payment is verified
+ * against, so anything at or above it unlocks the content; the amount actually received
+ * is what gets recorded.
+ */
+
+export const PRICING_MODES = ['fixed', 'pay_what_you_want'];
+
+/**
+ * Check whether buyers choose what they pay for a content item
+ * @param {Object} content - Content row (pricing_mode)
+ * @returns {boolean}
+ */
+export function isPayWhatYouWant(content) {
+  return content.pricing_mode === 'pay_what_you_want';
+}
+
+/**
+ * Get the amount suggested to buyers in an accepted asset
+ * The suggestion is set in USDC; other assets scale it by their minimum relative to USDC's.
+ * @param {Object} content - Content row (pricing_mode, price_usdc, suggested_price_usdc)
+ * @param {Object} accepted - Accepted asset (see getAcceptedAssets)
+ * @returns {string} - Amount in base units; the price itself for fixed-price content
+ */
+export function getSuggestedUnits(content, accepted) {
+  if (!isPayWhatYouWant(content) || !content.suggested_price_usdc) {
+    return accepted.priceUnits;
+  }
+
+  const minimum = BigInt(toBaseUnits(content.price_usdc));
+  const suggested = BigInt(toBaseUnits(content.suggested_price_usdc));
+
+  return (BigInt(accepted.priceUnits) * suggested / minimum).toString();
+}
+
+/**
+ * Work out what a buyer pays for a content item in an accepted asset
+ * @param {Object} content - Content row
+ * @param {Object} accepted - Accepted asset the buyer pays with (see getAcceptedAssets)
+ * @param {string|number} [amount] - Amount the buyer chose, in the asset; defaults to the
+ *   suggested amount. Only pay-what-you-want content takes one.
+ * @returns {{priceUnits?: string, minUnits?: string|null, error?: string}} - What the buyer pays
+ *   and, for pay-what-you-want content, the least that unlocks it (both in base units)
+ */
+export function resolvePrice(content, accepted, amount) {
+  const chosen = amount !== undefined && amount !== null && amount !== '';
+
+  if (!isPayWhatYouWant(content)) {
+    return chosen
+      ? { error: 'This content has a fixed price' }
+      : { priceUnits: accepted.priceUnits, minUnits: null };
+  }
+
+  if (!chosen) {
+    return { priceUnits: getSuggestedUnits(content, accepted), minUnits: accepted.priceUnits };
+  }
+
+  let priceUnits;
+
+  try {
+    priceUnits = toBaseUnits(amount, accepted.decimals);
+  } catch (error) {
+    return { error: `Amount must be a positive ${accepted.asset} amount with at most ${accepted.decimals} decimals` };
+  }
+
+  if (BigInt(priceUnits) < BigInt(accepted.priceUnits)) {
+    return { error: `Pay at least ${fromBaseUnits(accepted.priceUnits, accepted.decimals).replace(/\.?0+$/, '')} ${accepted.asset}` };
+  }
+
+  return { priceUnits, minUnits: accepted.priceUnits };
+}
+
+/**
+ * Suggested amount of an accepted asset for API responses
+ * @param {Object} content - Content row
+ * @param {Object} accepted - Accepted asset (see getAcceptedAssets)
+ * @returns {Object} - suggestedPrice and suggestedPriceUnits for pay-what-you-want content, otherwise empty
+ */
+export function formatSuggestedPrice(content, accepted) {
+  if (!isPayWhatYouWant(content)) {
+    return {};
+  }
+
+  const units = getSuggestedUnits(content, accepted);
+
+  return {
+    suggestedPrice: parseFloat(fromBaseUnits(units, accepted.decimals)),
+    suggestedPriceUnits: units
+  };
+}
+
+/**
+ * Describe a content item's pricing for API responses
+ * @param {Object} content - Content row (pricing_mode, price_usdc, suggested_price_usdc)
+ * @returns {{mode: string, minimum?: number, suggested?: number}} - USDC amounts
+ */
+export function formatPricing(content) {
+  if (!isPayWhatYouWant(content)) {
+    return { mode: 'fixed' };
+  }
+
+  return {
+    mode: 'pay_what_you_want',
+    minimum: parseFloat(content.price_usdc),
+    suggested: parseFloat(content.suggested_price_usdc || content.price_usdc)
+  };
+}
+
+export default {
+  PRICING_MODES,
+  isPayWhatYouWant,
+  getSuggestedUnits,
+  resolvePrice,
+  formatSuggestedPrice,
+  formatPricing
+};
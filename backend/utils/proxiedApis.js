@@ -0,0 +1,267 @@
+import axios from 'axios';
+import { query } from '../db/index.js';
+import { isAllowedOutboundHost, outboundRequestOptions } from './outbound.js';
+
+/**
+ * Proxied APIs
+ * A creator can sell calls to an HTTP API instead of a file, text or link. The content row has
+ * type 'api' and keeps the upstream base URL in content_path, which is never sent to buyers:
+ * they call /api/proxy/:id/<path> and PayWall402 forwards the request to <upstream>/<path>.
+ *
+ * A payment buys a block of api_calls_per_payment calls (1 for pay-per-call). Calls are counted
+ * on the payment (payment_logs.api_calls_used), so the access token of a payment keeps working
+ * until its block is used up, after which the proxy answers 402 again. A call the upstream never
+ * answers is given back. Bundles and subscriptions don't cover proxied APIs.
+ */
+
+export const API_CONTENT_TYPE = 'api';
+
+export const MAX_CALLS_PER_PAYMENT = 10000;
+
+// How long the upstream has to answer a call
+const UPSTREAM_TIMEOUT_MS = 30000;
+
+// Largest upstream response passed on to a buyer (10MB)
+const MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Request headers passed on to the upstream; everything else (cookies, payment headers) stays here
+const FORWARDED_REQUEST_HEADERS = ['accept', 'accept-language', 'content-type', 'user-agent'];
+
+// Response headers that are never passed back: hop-by-hop headers, headers that could reveal the
+// upstream URL, and CORS headers (the proxy answers with its own)
+const BLOCKED_RESPONSE_HEADERS = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+  'transfer-encoding', 'upgrade', 'content-length', 'content-encoding',
+  'location', 'content-location', 'link', 'refresh', 'set-cookie',
+  'access-control-allow-origin', 'access-control-allow-credentials', 'access-control-allow-headers',
+  'access-control-allow-methods', 'access-control-expose-headers', 'access-control-max-age'
+]);
+
+// Query parameters the payment gate reads, which the upstream never sees
+const GATE_QUERY_PARAMS = ['payment', 'amount'];
+
+/**
+ * Parse the upstream base URL of a proxied API
+ * The URL may carry the creator's own credentials for the upstream (e.g. ?api_key=...), since
+ * buyers never see it.
+ * @param {string} input - Upstream base URL
+ * @returns {string} - Normalized URL
+ * @throws {Error} - With a user-facing message if the URL is invalid
+ */
+export function parseApiUpstream(input) {
+  let url;
+
+  try {
+    url = new URL(String(input).trim());
+  } catch (error) {
+    throw new Error('API URL must be a valid HTTP or HTTPS URL');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || String(input).length > 2000) {
+    throw new Error('API URL must be a valid HTTP or HTTPS URL');
+  }
+
+  if (url.hash) {
+    throw new Error('API URL cannot contain a fragment');
+  }
+
+  if (!isAllowedOutboundHost(url.hostname)) {
+    throw new Error('API URL must point at a public host');
+  }
+
+  return url.toString();
+}
+
+/**
+ * Parse how many calls a payment buys
+ * @param {string|number} [input] - Calls per payment; defaults to 1 (pay per call)
+ * @returns {number}
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parseCallsPerPayment(input) {
+  if (input === undefined || input === null || input === '') {
+    return 1;
+  }
+
+  const calls = Number(input);
+
+  if (!Number.isInteger(calls) || calls < 1 || calls > MAX_CALLS_PER_PAYMENT) {
+    throw new Error(`Calls per payment must be a whole number from 1 to ${MAX_CALLS_PER_PAYMENT}`);
+  }
+
+  return calls;
+}
+
+/**
+ * Count the calls a payment has left on a proxied API
+ * @param {Object} content - Content row (id, api_calls_per_payment)
+ * @param {string} signature - Transaction signature of the payment
+ * @returns {Promise<number>}
+ */
+export async function getApiCallsRemaining(content, signature) {
+  const result = await query(
+    `SELECT content_id, payment_status, api_calls_used
+     FROM payment_logs
+     WHERE transaction_signature = $1`,
+    [signature]
+  );
+
+  const payment = result.rows[0];
+
+  if (!payment || payment.content_id !== content.id || payment.payment_status !== 'completed') {
+    return 0;
+  }
+
+  return Math.max(0, content.api_calls_per_payment - (payment.api_calls_used || 0));
+}
+
+/**
+ * Use one of a payment's calls on a proxied API
+ * @param {Object} content - Content row (id, api_calls_per_payment)
+ * @param {string} signature - Transaction signature of the payment
+ * @returns {Promise<number|null>} - Calls left after this one, or null if none were left
+ */
+export async function useApiCall(content, signature) {
+  const result = await query(
+    `UPDATE payment_logs
+     SET api_calls_used = api_calls_used + 1
+     WHERE transaction_signature = $1 AND content_id = $2 AND payment_status = 'completed'
+       AND api_calls_used < $3
+     RETURNING api_calls_used`,
+    [signature, content.id, content.api_calls_per_payment]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return content.api_calls_per_payment - result.rows[0].api_calls_used;
+}
+
+/**
+ * Give back a call the upstream never answered
+ * @param {Object} content - Content row (id)
+ * @param {string} signature - Transaction signature of the payment
+ */
+export async function releaseApiCall(content, signature) {
+  await query(
+    `UPDATE payment_logs
+     SET api_calls_used = api_calls_used - 1
+     WHERE transaction_signature = $1 AND content_id = $2 AND api_calls_used > 0`,
+    [signature, content.id]
+  );
+}
+
+/**
+ * Build the upstream URL of a proxied call
+ * @param {string} upstream - Upstream base URL (content_path)
+ * @param {string} path - Path below the proxy endpoint, as requested ('' or '/...')
+ * @param {string} search - Query string of the request ('' or '?...')
+ * @returns {URL|null} - Upstream URL, or null if the path escapes the base URL
+ */
+export function buildUpstreamUrl(upstream, path, search) {
+  const url = new URL(upstream);
+  const basePath = url.pathname.replace(/\/$/, '');
+
+  url.pathname = `${basePath}${path}`;
+
+  if (url.pathname !== basePath && url.pathname !== `${basePath}/` && !url.pathname.startsWith(`${basePath}/`)) {
+    return null;
+  }
+
+  const params = new URLSearchParams(search);
+
+  for (const name of GATE_QUERY_PARAMS) {
+    params.delete(name);
+  }
+
+  for (const [name, value] of params) {
+    url.searchParams.append(name, value);
+  }
+
+  return url;
+}
+
+/**
+ * Forward a call to the upstream of a proxied API
+ * Redirects are not followed (and their Location is dropped), so the upstream URL never reaches
+ * the buyer.
+ * @param {URL} url - Upstream URL (see buildUpstreamUrl)
+ * @param {Object} request - The buyer's request
+ * @param {string} request.method - HTTP method
+ * @param {Object} request.headers - Request headers
+ * @param {Buffer} [request.body] - Raw request body
+ * @returns {Promise<{status: number, headers: Object, data: Buffer}>}
+ * @throws {Error} - If the upstream is private, can't be reached or doesn't answer in time
+ */
+export async function forwardApiCall(url, { method, headers, body }) {
+  // IP literals never reach the agents' lookup, so they're checked here
+  if (!isAllowedOutboundHost(url.hostname)) {
+    throw new Error('API URL must point at a public host');
+  }
+
+  const forwardedHeaders = {};
+
+  for (const name of FORWARDED_REQUEST_HEADERS) {
+    if (headers[name]) {
+      forwardedHeaders[name] = headers[name];
+    }
+  }
+
+  const response = await axios.request({
+    url: url.toString(),
+    method,
+    headers: forwardedHeaders,
+    data: Buffer.isBuffer(body) && body.length > 0 ? body : undefined,
+    responseType: 'arraybuffer',
+    timeout: UPSTREAM_TIMEOUT_MS,
+    maxRedirects: 0,
+    maxContentLength: MAX_RESPONSE_BYTES,
+    validateStatus: () => true,
+    ...outboundRequestOptions()
+  });
+
+  const responseHeaders = {};
+
+  for (const [name, value] of Object.entries(response.headers)) {
+    if (!BLOCKED_RESPONSE_HEADERS.has(name.toLowerCase())) {
+      responseHeaders[name] = value;
+    }
+  }
+
+  return {
+    status: response.status,
+    headers: responseHeaders,
+    data: Buffer.from(response.data)
+  };
+}
+
+/**
+ * Describe a proxied API for API responses (never includes the upstream URL)
+ * @param {Object} content - Content row (id, content_type, api_calls_per_payment)
+ * @param {string} baseUrl - Public base URL of this backend
+ * @returns {Object|null} - The proxy endpoint and calls per payment, or null for other content
+ */
+export function formatProxiedApi(content, baseUrl) {
+  if (content.content_type !== API_CONTENT_TYPE) {
+    return null;
+  }
+
+  return {
+    endpoint: `${baseUrl}/api/proxy/${content.id}`,
+    callsPerPayment: content.api_calls_per_payment
+  };
+}
+
+export default {
+  API_CONTENT_TYPE,
+  MAX_CALLS_PER_PAYMENT,
+  parseApiUpstream,
+  parseCallsPerPayment,
+  getApiCallsRemaining,
+  useApiCall,
+  releaseApiCall,
+  buildUpstreamUrl,
+  forwardApiCall,
+  formatProxiedApi
+};
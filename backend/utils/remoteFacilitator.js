@@ -0,0 +1,102 @@
+import axios from 'axios';
+import { callDependency } from './circuitBreakers.js';
+
+/**
+ * Remote x402 facilitator
+ * Talks to a hosted facilitator over the standard x402 facilitator HTTP API (GET /supported,
+ * POST /verify, POST /settle), e.g. PayAI. Buyers without an x402 client are sent to the
+ * facilitator's hosted payment page (/pay). Requests go through the facilitator circuit breaker.
+ */
+
+export const DEFAULT_FACILITATOR_URL = 'https://api.payai.network/x402';
+
+// How long the facilitator has to answer
+const REQUEST_TIMEOUT_MS = 10000;
+
+// x402 protocol version spoken to the facilitator
+const X402_VERSION = 1;
+
+/**
+ * Create a remote facilitator adapter
+ * @param {Object} [options]
+ * @param {string} [options.url] - Facilitator base URL (defaults to X402_FACILITATOR_URL, then PayAI)
+ * @returns {Object} - Facilitator (see utils/facilitator.js)
+ */
+export function createRemoteFacilitator({ url = process.env.X402_FACILITATOR_URL || DEFAULT_FACILITATOR_URL } = {}) {
+  // Fee payer per network, fetched from /supported
+  const feePayers = new Map();
+
+  const post = async (path, paymentPayload, paymentRequirements) => {
+    const response = await callDependency('facilitator', () => axios.post(`${url}${path}`, {
+      x402Version: X402_VERSION,
+      paymentPayload,
+      paymentRequirements
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: REQUEST_TIMEOUT_MS
+    }));
+
+    return response.data;
+  };
+
+  return {
+    name: 'remote',
+    description: url,
+
+    async getFeePayer(network) {
+      if (feePayers.has(network)) {
+        return feePayers.get(network);
+      }
+
+      const response = await callDependency('facilitator', () => axios.get(`${url}/supported`, { timeout: 5000 }));
+      const kind = (response.data.kinds || []).find(k => k.network === network && k.scheme === 'exact');
+      const feePayer = kind?.extra?.feePayer || null;
+
+      if (feePayer) {
+        feePayers.set(network, feePayer);
+      }
+
+      return feePayer;
+    },
+
+    async verify(paymentPayload, paymentRequirements) {
+      const data = await post('/verify', paymentPayload, paymentRequirements);
+
+      return {
+        isValid: !!data.isValid,
+        invalidReason: data.invalidReason,
+        payer: data.payer
+      };
+    },
+
+    async settle(paymentPayload, paymentRequirements) {
+      const data = await post('/settle', paymentPayload, paymentRequirements);
+
+      return {
+        success: !!data.success,
+        errorReason: data.errorReason,
+        transaction: data.transaction,
+        network: data.network || paymentRequirements.network,
+        payer: data.payer
+      };
+    },
+
+    async createSession({ contentId, amount, currency, network, recipient, callbackUrl }) {
+      const data = Buffer.from(JSON.stringify({
+        amount,
+        currency,
+        network,
+        recipient,
+        contentId,
+        callbackUrl
+      })).toString('base64');
+
+      return { url: `${url}/pay?data=${data}` };
+    }
+  };
+}
+
+export default {
+  DEFAULT_FACILITATOR_URL,
+  createRemoteFacilitator
+};
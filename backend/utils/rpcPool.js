@@ -0,0 +1,393 @@
+import { Connection } from '@solana/web3.js';
+import { getRpcEndpoint } from './cluster.js';
+import { CircuitBreaker, ServiceUnavailableError } from './errorHandler.js';
+
+/**
+ * Solana RPC endpoint pool
+ * SOLANA_RPC_ENDPOINTS lists several providers with weights ("url|weight", comma separated);
+ * without it the pool holds SOLANA_RPC_ENDPOINT (or the cluster's public endpoint) alone.
+ * Each request goes to a healthy endpoint picked by weight and health score (error rate and
+ * latency), and fails over to the next one when an endpoint errors, times out or rate limits
+ * us. Every endpoint has its own circuit breaker; the pool as a whole sits behind the 'rpc'
+ * dependency breaker (see utils/circuitBreakers.js).
+ *
+ * With RPC_CROSS_CHECK_MIN_USDC set and two or more endpoints, payments worth at least that
+ * much are only verified once two providers return the same transaction.
+ */
+
+// How long an endpoint has to answer one request
+const RPC_REQUEST_TIMEOUT_MS = 10000;
+
+// An endpoint answering slower than this scores lower
+const LATENCY_BASELINE_MS = 250;
+
+// Weight of the latest request in the moving error rate and latency
+const STATS_SMOOTHING = 0.2;
+
+// Endpoint breakers: failures before opening, and how long they stay open
+const ENDPOINT_FAILURE_THRESHOLD = 3;
+const ENDPOINT_RESET_TIMEOUT = 30000;
+
+// Providers that must agree on a high-value transaction
+const CROSS_CHECK_PROVIDERS = 2;
+
+const CROSS_CHECK_RETRY_AFTER_SECONDS = 5;
+
+// Endpoints of the current process, built on first use
+let endpoints = null;
+
+/**
+ * Parse an RPC endpoint list
+ * @param {string} input - Comma-separated "url|weight" entries; the weight defaults to 1
+ * @returns {Array<{url: string, weight: number}>}
+ * @throws {Error} - If an entry is malformed
+ */
+export function parseRpcEndpoints(input) {
+  const entries = String(input).split(',').map(entry => entry.trim()).filter(Boolean);
+
+  if (entries.length === 0) {
+    throw new Error('SOLANA_RPC_ENDPOINTS must list at least one endpoint');
+  }
+
+  return entries.map(entry => {
+    const separator = entry.lastIndexOf('|');
+    const url = separator === -1 ? entry : entry.slice(0, separator).trim();
+    const weight = separator === -1 ? 1 : Number(entry.slice(separator + 1));
+
+    let protocol;
+    try {
+      ({ protocol } = new URL(url));
+    } catch (error) {
+      throw new Error(`SOLANA_RPC_ENDPOINTS has an invalid URL: ${url}`);
+    }
+
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`SOLANA_RPC_ENDPOINTS URLs must be HTTP or HTTPS: ${url}`);
+    }
+
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw new Error(`SOLANA_RPC_ENDPOINTS weight must be a positive number: ${entry}`);
+    }
+
+    return { url, weight };
+  });
+}
+
+/**
+ * Configured RPC endpoints: SOLANA_RPC_ENDPOINTS, or the single endpoint
+ * @returns {Array<{url: string, weight: number}>}
+ */
+export function getRpcEndpoints() {
+  if (process.env.SOLANA_RPC_ENDPOINTS) {
+    return parseRpcEndpoints(process.env.SOLANA_RPC_ENDPOINTS);
+  }
+
+  return [{ url: getRpcEndpoint(), weight: 1 }];
+}
+
+/**
+ * Minimum payment value (USDC) that is cross-checked with a second provider
+ * @returns {number|null} - null when cross-checking is off
+ */
+export function getCrossCheckThreshold() {
+  const threshold = process.env.RPC_CROSS_CHECK_MIN_USDC;
+  return threshold ? Number(threshold) : null;
+}
+
+/**
+ * Validate the RPC pool settings
+ * @returns {Array<string>} - Problems found (empty if valid)
+ */
+export function validateRpcEndpoints() {
+  const problems = [];
+
+  if (process.env.SOLANA_RPC_ENDPOINTS) {
+    try {
+      parseRpcEndpoints(process.env.SOLANA_RPC_ENDPOINTS);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  const threshold = getCrossCheckThreshold();
+
+  if (threshold !== null && !(threshold > 0)) {
+    problems.push('RPC_CROSS_CHECK_MIN_USDC must be a positive amount');
+  }
+
+  return problems;
+}
+
+/**
+ * Endpoints with their breakers and stats
+ * @returns {Array<Object>}
+ */
+const getPool = () => {
+  if (!endpoints) {
+    endpoints = getRpcEndpoints().map(({ url, weight }, index) => ({
+      id: index,
+      url,
+      // Provider URLs often carry an API key, so only the host is ever reported
+      host: new URL(url).host,
+      weight,
+      breaker: new CircuitBreaker({
+        failureThreshold: ENDPOINT_FAILURE_THRESHOLD,
+        resetTimeout: ENDPOINT_RESET_TIMEOUT
+      }),
+      requests: 0,
+      errors: 0,
+      errorRate: 0,
+      latencyMs: null,
+      lastError: null,
+      lastErrorAt: null,
+      connection: null
+    }));
+  }
+
+  return endpoints;
+};
+
+/**
+ * Check whether an endpoint's breaker is refusing requests
+ */
+const isEndpointOpen = (endpoint) =>
+  endpoint.breaker.state === 'OPEN' && Date.now() < endpoint.breaker.nextAttempt;
+
+/**
+ * Health score of an endpoint: its weight, reduced by its error rate and by latency above the baseline
+ * @param {Object} endpoint
+ * @returns {number}
+ */
+const scoreEndpoint = (endpoint) => {
+  const latency = endpoint.latencyMs === null ? LATENCY_BASELINE_MS : Math.max(endpoint.latencyMs, LATENCY_BASELINE_MS);
+
+  // Keep a failing endpoint in the running so it can recover
+  return endpoint.weight * Math.max(1 - endpoint.errorRate, 0.01) * (LATENCY_BASELINE_MS / latency);
+};
+
+/**
+ * Order the available endpoints for a request
+ * The first is drawn at random in proportion to score, so traffic follows the weights;
+ * the rest follow by score as failovers.
+ * @returns {Array<Object>}
+ */
+const rankEndpoints = () => {
+  const ranked = getPool()
+    .filter(endpoint => !isEndpointOpen(endpoint))
+    .map(endpoint => ({ endpoint, score: scoreEndpoint(endpoint) }))
+    .sort((a, b) => b.score - a.score);
+
+  const total = ranked.reduce((sum, entry) => sum + entry.score, 0);
+  let draw = Math.random() * total;
+  const first = ranked.findIndex(entry => (draw -= entry.score) < 0);
+
+  if (first > 0) {
+    ranked.unshift(...ranked.splice(first, 1));
+  }
+
+  return ranked.map(entry => entry.endpoint);
+};
+
+/**
+ * Fold one request into an endpoint's stats
+ * @param {Object} endpoint
+ * @param {number} latencyMs
+ * @param {Error} [error]
+ */
+const recordRequest = (endpoint, latencyMs, error) => {
+  endpoint.requests++;
+  endpoint.errorRate += STATS_SMOOTHING * ((error ? 1 : 0) - endpoint.errorRate);
+
+  if (error) {
+    endpoint.errors++;
+    endpoint.lastError = error.message;
+    endpoint.lastErrorAt = new Date().toISOString();
+    return;
+  }
+
+  endpoint.latencyMs = endpoint.latencyMs === null
+    ? latencyMs
+    : endpoint.latencyMs + STATS_SMOOTHING * (latencyMs - endpoint.latencyMs);
+};
+
+/**
+ * Send an RPC request to one endpoint through its breaker
+ * Any non-2xx answer is an endpoint problem (JSON-RPC errors come back as 200).
+ * @param {Object} endpoint
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+const sendToEndpoint = async (endpoint, init) => {
+  const started = Date.now();
+
+  try {
+    const response = await endpoint.breaker.call(async () => {
+      const response = await fetch(endpoint.url, {
+        ...init,
+        signal: init.signal || AbortSignal.timeout(RPC_REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${endpoint.host} responded ${response.status} ${response.statusText}`);
+        error.response = { status: response.status };
+        throw error;
+      }
+
+      return response;
+    });
+
+    recordRequest(endpoint, Date.now() - started);
+    return response;
+  } catch (error) {
+    recordRequest(endpoint, Date.now() - started, error);
+    throw error;
+  }
+};
+
+/**
+ * Send an RPC request to the pool, failing over until an endpoint answers
+ * @param {Object} init - fetch options of the JSON-RPC request
+ * @returns {Promise<Response>}
+ * @throws {Error} - The last endpoint's error if none answered
+ */
+export async function fetchFromPool(init) {
+  let lastError = new Error('All RPC endpoints are unavailable');
+
+  for (const endpoint of rankEndpoints()) {
+    try {
+      return await sendToEndpoint(endpoint, init);
+    } catch (error) {
+      lastError = error;
+      console.warn(`⚠️  RPC endpoint ${endpoint.host} failed:`, error.message);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Connection bound to a single endpoint (no failover)
+ * @param {Object} endpoint
+ * @returns {Connection}
+ */
+const getEndpointConnection = (endpoint) => {
+  if (!endpoint.connection) {
+    endpoint.connection = new Connection(endpoint.url, {
+      commitment: 'confirmed',
+      fetch: (url, init) => sendToEndpoint(endpoint, init),
+      disableRetryOnRateLimit: true
+    });
+  }
+
+  return endpoint.connection;
+};
+
+/**
+ * Check whether a payment is worth cross-checking with a second provider
+ * @param {number|null} valueUsdc - Payment value in USDC
+ * @returns {boolean}
+ */
+export function needsCrossCheck(valueUsdc) {
+  const threshold = getCrossCheckThreshold();
+
+  return threshold !== null && valueUsdc !== null && valueUsdc >= threshold &&
+    getPool().length >= CROSS_CHECK_PROVIDERS;
+}
+
+/**
+ * What two providers must agree on about a transaction
+ */
+const describeTransaction = (tx) => JSON.stringify({
+  slot: tx.slot,
+  err: tx.meta?.err || null,
+  accountKeys: tx.transaction.message.staticAccountKeys.map(key => key.toBase58()),
+  preBalances: tx.meta?.preBalances,
+  postBalances: tx.meta?.postBalances,
+  preTokenBalances: tx.meta?.preTokenBalances,
+  postTokenBalances: tx.meta?.postTokenBalances
+});
+
+/**
+ * Read a transaction from several providers and compare it with what we were told
+ * @param {string} signature - Transaction signature
+ * @param {Object} tx - Transaction as first read
+ * @returns {Promise<{agreed: boolean, providers: Array<string>}>} - Hosts that returned the same transaction
+ * @throws {ServiceUnavailableError} - If not enough providers could return the transaction yet
+ */
+export async function crossCheckTransaction(signature, tx) {
+  const expected = describeTransaction(tx);
+  const providers = [];
+  let unseen = false;
+
+  for (const endpoint of rankEndpoints()) {
+    if (providers.length === CROSS_CHECK_PROVIDERS) {
+      break;
+    }
+
+    let copy;
+
+    try {
+      copy = await getEndpointConnection(endpoint).getTransaction(signature, {
+        maxSupportedTransactionVersion: 0,
+        commitment: 'confirmed'
+      });
+    } catch (error) {
+      continue;
+    }
+
+    if (!copy) {
+      unseen = true;
+      continue;
+    }
+
+    if (describeTransaction(copy) !== expected) {
+      console.error('❌ RPC providers disagree about a transaction:', { signature, provider: endpoint.host });
+      return { agreed: false, providers: [...providers, endpoint.host] };
+    }
+
+    providers.push(endpoint.host);
+  }
+
+  if (providers.length < CROSS_CHECK_PROVIDERS) {
+    throw new ServiceUnavailableError(
+      'rpc',
+      CROSS_CHECK_RETRY_AFTER_SECONDS,
+      unseen
+        ? `The transaction hasn't reached a second RPC provider yet, try again in ${CROSS_CHECK_RETRY_AFTER_SECONDS} seconds`
+        : `Not enough RPC providers are available to verify this payment, try again in ${CROSS_CHECK_RETRY_AFTER_SECONDS} seconds`
+    );
+  }
+
+  return { agreed: true, providers };
+}
+
+/**
+ * Per-endpoint stats for the admin API
+ * @returns {Array<Object>}
+ */
+export function getRpcEndpointStats() {
+  return getPool().map(endpoint => ({
+    id: endpoint.id,
+    host: endpoint.host,
+    weight: endpoint.weight,
+    score: Number(scoreEndpoint(endpoint).toFixed(3)),
+    breaker: endpoint.breaker.getState(),
+    requests: endpoint.requests,
+    errors: endpoint.errors,
+    errorRate: Number(endpoint.errorRate.toFixed(3)),
+    latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+    lastError: endpoint.lastError,
+    lastErrorAt: endpoint.lastErrorAt
+  }));
+}
+
+export default {
+  parseRpcEndpoints,
+  getRpcEndpoints,
+  getCrossCheckThreshold,
+  validateRpcEndpoints,
+  fetchFromPool,
+  needsCrossCheck,
+  crossCheckTransaction,
+  getRpcEndpointStats
+};
@@ -0,0 +1,64 @@
+/**
+ * Sandbox mode
+ * Lets QA and local development unlock content with simulated payments: signatures
+ * starting with `sim_` are accepted without touching the chain.
+ *
+ * Sandbox mode is only on when SANDBOX_MODE=true, and the server refuses to start with
+ * it in production (see validateEnvironment). Content uploaded and payments recorded in
+ * sandbox mode are tagged `sandbox`; simulated payments only unlock sandbox content, and
+ * sandbox and real records are never served, paid for or counted by the other mode.
+ */
+
+export const SANDBOX_SIGNATURE_PREFIX = 'sim_';
+
+/**
+ * Check whether sandbox mode is on
+ * Never true in production, even if SANDBOX_MODE slipped into the environment.
+ * @returns {boolean}
+ */
+export function isSandboxMode() {
+  return process.env.SANDBOX_MODE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Check whether a transaction signature is a simulated sandbox payment
+ * @param {string} signature - Transaction signature
+ * @returns {boolean}
+ */
+export function isSandboxSignature(signature) {
+  return typeof signature === 'string' && signature.startsWith(SANDBOX_SIGNATURE_PREFIX);
+}
+
+/**
+ * Check whether a content or payment row belongs to the current mode
+ * @param {boolean} [sandbox] - `sandbox` flag stored on the row
+ * @returns {boolean}
+ */
+export function isCurrentMode(sandbox) {
+  return Boolean(sandbox) === isSandboxMode();
+}
+
+/**
+ * Error body for requests about content from the other mode
+ * @param {boolean} [sandbox] - `sandbox` flag stored on the content
+ * @returns {{error: string, message: string}}
+ */
+export function sandboxMismatchError(sandbox) {
+  return sandbox
+    ? {
+        error: 'Sandbox content',
+        message: 'This content was created in sandbox mode and can only be used on a sandbox server'
+      }
+    : {
+        error: 'Live content',
+        message: 'This server runs in sandbox mode and cannot sell live content'
+      };
+}
+
+export default {
+  SANDBOX_SIGNATURE_PREFIX,
+  isSandboxMode,
+  isSandboxSignature,
+  isCurrentMode,
+  sandboxMismatchError
+};
@@ -1,25 +1,87 @@
 import { Connection, PublicKey } from '@solana/web3.js';
-import { TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getMint,
+  getTransferFeeConfig,
+  getEpochFee,
+  calculateFee
+} from '@solana/spl-token';
+import { getClusterMint, getRpcEndpoint } from './cluster.js';
+import { callDependency } from './circuitBreakers.js';
+import { fetchFromPool, needsCrossCheck, crossCheckTransaction } from './rpcPool.js';
+import { ServiceUnavailableError } from './errorHandler.js';
 
-// USDC Mainnet Mint Address
-const USDC_MINT_MAINNET = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
-
-// Mainnet RPC endpoint - IMPORTANT: Set SOLANA_RPC_ENDPOINT in your .env file
-const SOLANA_RPC_ENDPOINT = process.env.SOLANA_RPC_ENDPOINT || 'https://api.mainnet-beta.solana.com';
+// USDC has 6 decimals
+export const USDC_DECIMALS = 6;
 
 // Create a single connection instance for reuse
 let connectionInstance = null;
 
+// Overpayment policies a creator can choose
+export const OVERPAYMENT_POLICIES = ['accept', 'reject'];
+
+// Who absorbs Token-2022 transfer fees: the buyer sends extra so the creator nets the
+// full price, or the buyer sends the price and the creator nets it minus the fee
+export const TRANSFER_FEE_PAYERS = ['buyer', 'creator'];
+
+// How long a mint's transfer fee settings are cached
+const TRANSFER_FEE_CACHE_TTL = 5 * 60 * 1000;
+
+// Mint address -> { transferFee, fetchedAt }
+const transferFeeCache = new Map();
+
 /**
- * Verify a Solana transaction contains a valid USDC transfer
+ * Verify a Solana transaction contains a valid payment
+ * Handles SPL token transfers for any mint and native SOL (lamport) transfers, paid to
+ * one recipient or split across several (one transfer per recipient).
+ * All amounts are compared as integer base units.
  * @param {string} signature - Transaction signature
- * @param {string} expectedRecipient - Expected recipient wallet address
- * @param {number} expectedAmount - Expected USDC amount (in USDC, not lamports)
+ * @param {Object} expected - What the transaction must contain
+ * @param {string} expected.recipient - Expected recipient wallet address
+ * @param {string} expected.amount - Expected amount in base units (e.g. "1500000" for 1.50 USDC)
+ * @param {Array<{recipient: string, amount: string}>} [expected.recipients] - Split payment legs;
+ *   replaces recipient/amount when given. The first leg is the primary recipient.
+ * @param {string|null} [expected.mint] - Token mint, or null for native SOL (defaults to USDC on the current cluster)
+ * @param {string} [expected.tokenProgram] - Token program that owns the mint (SPL Token or Token-2022)
+ * @param {string} [expected.transferFeePayer='buyer'] - Who absorbs Token-2022 transfer fees: 'buyer' or 'creator'
+ * @param {number} [expected.decimals=6] - Decimals of the asset
+ * @param {string} [expected.asset='USDC'] - Asset symbol, used in error messages
+ * @param {string} [expected.payer] - Wallet claiming the payment; must be the fee payer and funding source.
+ *   If omitted, the fee payer must fund the transfer and is reported as the payer.
+ * @param {string|number} [expected.underpaymentTolerance=0] - Total shortfall in base units the creator accepts
+ * @param {string} [expected.overpaymentPolicy='accept'] - 'accept' or 'reject' transfers above the price
+ * @param {number} [expected.valueUsdc] - Payment value in USDC, to decide on a cross-check with a second
+ *   RPC provider (defaults to the amount received for USDC, otherwise no cross-check)
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (defaults to the shared pool; never cross-checked)
  * @returns {Promise<{verified: boolean, error?: string, details?: object}>}
  */
-export async function verifySolanaTransaction(signature, expectedRecipient, expectedAmount) {
+export async function verifySolanaTransaction(signature, expected, options = {}) {
+  const {
+    payer: expectedPayer,
+    mint = getClusterMint('USDC'),
+    tokenProgram = TOKEN_PROGRAM_ID.toBase58(),
+    transferFeePayer = 'buyer',
+    decimals = USDC_DECIMALS,
+    asset = 'USDC',
+    underpaymentTolerance = 0,
+    overpaymentPolicy = 'accept'
+  } = expected;
+  const legs = expected.recipients || [{ recipient: expected.recipient, amount: expected.amount }];
+
   try {
-    const connection = getSolanaConnection();
+    const connection = options.connection || getSolanaConnection();
+
+    // Token-2022 transfer fees are withheld from what each recipient receives, so
+    // compare against the net amount every recipient should end up with
+    const quotes = [];
+    for (const leg of legs) {
+      const price = BigInt(leg.amount);
+      quotes.push(mint
+        ? await quoteTokenTransfer({ price, mint, tokenProgram, transferFeePayer }, { connection })
+        : { sendUnits: price, netUnits: price, feeUnits: 0n });
+    }
 
     // Fetch transaction
     const tx = await connection.getTransaction(signature, {
@@ -43,106 +105,121 @@ export async function verifySolanaTransaction(signature, expectedRecipient, expe
       };
     }
 
-    // Parse token transfers from transaction
-    const preTokenBalances = tx.meta?.preTokenBalances || [];
-    const postTokenBalances = tx.meta?.postTokenBalances || [];
-
-    // Find USDC transfers
-    const usdcTransfers = [];
-
-    for (let i = 0; i < postTokenBalances.length; i++) {
-      const post = postTokenBalances[i];
-      const pre = preTokenBalances.find(p => p.accountIndex === post.accountIndex);
-
-      // Check if this is a USDC token account
-      if (post.mint === USDC_MINT_MAINNET) {
-        const preAmount = pre ? parseFloat(pre.uiTokenAmount.uiAmount) : 0;
-        const postAmount = parseFloat(post.uiTokenAmount.uiAmount);
-        const change = postAmount - preAmount;
-
-        if (change !== 0) {
-          usdcTransfers.push({
-            accountIndex: post.accountIndex,
-            owner: post.owner,
-            change: change,
-            mint: post.mint
-          });
+    // Bind the payment to whoever actually signed and funded it
+    const feePayer = getFeePayer(tx);
+    const payer = expectedPayer || feePayer;
+
+    if (feePayer !== payer) {
+      return {
+        verified: false,
+        error: 'Transaction was not signed and funded by the claimed payer',
+        details: {
+          claimedPayer: payer,
+          feePayer
         }
-      }
+      };
     }
 
-    if (usdcTransfers.length === 0) {
+    const recipients = legs.map(leg => leg.recipient);
+    const transfer = mint
+      ? checkTokenTransfer(tx, { mint, tokenProgram, asset, payer, recipients })
+      : checkLamportTransfer(tx, { payer, recipients });
+
+    if (transfer.error) {
       return {
         verified: false,
-        error: 'No USDC transfers found in transaction'
+        error: transfer.error,
+        details: transfer.details
       };
     }
 
-    // Find recipient's transfer - check both owner field and account keys
-    // The owner field contains the wallet that owns the token account
-    let recipientTransfer = usdcTransfers.find(t =>
-      t.owner === expectedRecipient && t.change > 0
-    );
-
-    // If not found by owner, also check the account keys in the transaction
-    // Sometimes the recipient is in the transaction keys but not directly in owner
-    if (!recipientTransfer && tx.transaction) {
-      const accountKeys = tx.transaction.message.accountKeys;
-
-      // Find if expected recipient is in the account keys
-      const recipientInKeys = accountKeys.some(key =>
-        key.toString() === expectedRecipient ||
-        (typeof key.toBase58 === 'function' && key.toBase58() === expectedRecipient)
-      );
-
-      if (recipientInKeys) {
-        // If recipient is in transaction keys, accept any positive USDC transfer
-        recipientTransfer = usdcTransfers.find(t => t.change > 0);
-      }
-    }
+    // Check every leg; the creator's tolerance covers the shortfall of all legs together
+    const received = legs.map((leg, index) => {
+      const amountReceived = transfer.received.get(leg.recipient);
+      return {
+        recipient: leg.recipient,
+        expected: quotes[index].netUnits,
+        received: amountReceived,
+        shortfall: quotes[index].netUnits - amountReceived,
+        feeUnits: quotes[index].feeUnits
+      };
+    });
+    const expectedAmount = received.reduce((sum, leg) => sum + leg.expected, 0n);
+    const amountReceived = received.reduce((sum, leg) => sum + leg.received, 0n);
+    const shortfall = received.reduce((sum, leg) => sum + (leg.shortfall > 0n ? leg.shortfall : 0n), 0n);
+    const legDetails = (leg) => ({
+      recipient: leg.recipient,
+      expected: leg.expected.toString(),
+      received: leg.received.toString()
+    });
 
-    if (!recipientTransfer) {
+    if (shortfall > BigInt(underpaymentTolerance)) {
       return {
         verified: false,
-        error: 'Expected recipient not found in transaction',
+        error: 'Transfer amount is less than the price',
         details: {
-          expectedRecipient,
-          foundTransfers: usdcTransfers.map(t => ({ owner: t.owner, amount: t.change }))
+          expected: expectedAmount.toString(),
+          received: amountReceived.toString(),
+          shortfall: shortfall.toString(),
+          ...(legs.length > 1 && { recipients: received.map(legDetails) })
         }
       };
     }
 
-    // Verify amount (allow 0.1% tolerance for fees/rounding)
-    const amountReceived = recipientTransfer.change;
-    const tolerance = expectedAmount * 0.001;
-    const amountDiff = Math.abs(amountReceived - expectedAmount);
-
-    if (amountDiff > tolerance && amountDiff > 0.01) {
+    if (overpaymentPolicy === 'reject' && received.some(leg => leg.shortfall < 0n)) {
       return {
         verified: false,
-        error: 'Transfer amount does not match expected amount',
+        error: 'Transfer amount is more than the price',
         details: {
-          expected: expectedAmount,
-          received: amountReceived,
-          difference: amountDiff
+          expected: expectedAmount.toString(),
+          received: amountReceived.toString(),
+          excess: received.reduce((sum, leg) => sum + (leg.shortfall < 0n ? -leg.shortfall : 0n), 0n).toString(),
+          ...(legs.length > 1 && { recipients: received.map(legDetails) })
         }
       };
     }
 
+    // High-value payments need a second provider to return the same transaction
+    const valueUsdc = expected.valueUsdc ?? (asset === 'USDC' ? parseFloat(fromBaseUnits(amountReceived, decimals)) : null);
+    const crossChecked = !options.connection && needsCrossCheck(valueUsdc);
+
+    if (crossChecked && !(await crossCheckTransaction(signature, tx)).agreed) {
+      return {
+        verified: false,
+        error: 'RPC providers disagree about this transaction'
+      };
+    }
+
     // Transaction verified successfully
     return {
       verified: true,
       details: {
         signature,
-        recipient: recipientTransfer.owner,
-        amount: amountReceived,
-        mint: USDC_MINT_MAINNET,
+        payer: feePayer,
+        recipient: legs[0].recipient,
+        asset,
+        amount: fromBaseUnits(amountReceived, decimals),
+        amountUnits: amountReceived.toString(),
+        transferFeeUnits: received.reduce((sum, leg) => sum + leg.feeUnits, 0n).toString(),
+        recipients: received.map(leg => ({
+          recipient: leg.recipient,
+          amount: fromBaseUnits(leg.received, decimals),
+          amountUnits: leg.received.toString(),
+          transferFeeUnits: leg.feeUnits.toString()
+        })),
+        mint,
         blockTime: tx.blockTime,
-        slot: tx.slot
+        slot: tx.slot,
+        crossChecked
       }
     };
 
   } catch (error) {
+    // An unreachable RPC says nothing about the transaction
+    if (error instanceof ServiceUnavailableError) {
+      throw error;
+    }
+
     return {
       verified: false,
       error: `Verification failed: ${error.message}`
@@ -150,12 +227,366 @@ export async function verifySolanaTransaction(signature, expectedRecipient, expe
   }
 }
 
+/**
+ * Build the error for a recipient that received nothing
+ */
+const missingRecipientError = (recipient, foundTransfers) => ({
+  error: 'Expected recipient not found in transaction',
+  details: {
+    expectedRecipient: recipient,
+    foundTransfers
+  }
+});
+
+/**
+ * Check the SPL token side of a payment
+ * Every source account of the mint must be owned by the payer. Balances are net of
+ * Token-2022 transfer fees, which stay withheld in the recipient's account.
+ * @returns {{received?: Map<string, bigint>, error?: string, details?: object}}
+ */
+const checkTokenTransfer = (tx, { mint, tokenProgram, asset, payer, recipients }) => {
+  const transfers = getTokenBalanceChanges(tx, mint);
+
+  if (transfers.length === 0) {
+    return { error: `No ${asset} transfers found in transaction` };
+  }
+
+  const programs = [...new Set(transfers.map(t => t.programId).filter(Boolean))];
+
+  if (programs.some(programId => programId !== tokenProgram)) {
+    return {
+      error: `${asset} transfer used an unexpected token program`,
+      details: {
+        expectedProgram: tokenProgram,
+        foundPrograms: programs
+      }
+    };
+  }
+
+  const sourceOwners = [...new Set(
+    transfers.filter(t => t.change < 0n).map(t => t.owner)
+  )];
+
+  if (sourceOwners.length === 0) {
+    return { error: `No ${asset} source account found in transaction` };
+  }
+
+  if (sourceOwners.some(owner => owner !== payer)) {
+    return {
+      error: 'Transaction was not signed and funded by the claimed payer',
+      details: {
+        claimedPayer: payer,
+        sourceOwners
+      }
+    };
+  }
+
+  const received = new Map();
+
+  for (const recipient of recipients) {
+    // Sum everything credited to token accounts owned by the recipient
+    const amountReceived = transfers
+      .filter(t => t.owner === recipient && t.change > 0n)
+      .reduce((sum, t) => sum + t.change, 0n);
+
+    if (amountReceived === 0n) {
+      return missingRecipientError(recipient, transfers.map(t => ({
+        owner: t.owner,
+        amount: t.change.toString()
+      })));
+    }
+
+    received.set(recipient, amountReceived);
+  }
+
+  return { received };
+};
+
+/**
+ * Check the native SOL side of a payment
+ * The payer's own balance must have dropped by at least what the recipients received
+ * (plus the fee), so the lamports can't have come from another signer.
+ * @returns {{received?: Map<string, bigint>, error?: string, details?: object}}
+ */
+const checkLamportTransfer = (tx, { payer, recipients }) => {
+  const changes = getLamportBalanceChanges(tx);
+  const received = new Map();
+
+  for (const recipient of recipients) {
+    const amountReceived = changes.get(recipient) || 0n;
+
+    if (amountReceived <= 0n) {
+      return missingRecipientError(recipient, [...changes].map(([account, change]) => ({
+        account,
+        amount: change.toString()
+      })));
+    }
+
+    received.set(recipient, amountReceived);
+  }
+
+  const total = [...received.values()].reduce((sum, amount) => sum + amount, 0n);
+  const fee = BigInt(tx.meta?.fee || 0);
+  const paidByPayer = -(changes.get(payer) || 0n) - fee;
+
+  if (paidByPayer < total) {
+    return {
+      error: 'Transaction was not signed and funded by the claimed payer',
+      details: {
+        claimedPayer: payer,
+        paidByPayer: paidByPayer.toString(),
+        received: total.toString()
+      }
+    };
+  }
+
+  return { received };
+};
+
+/**
+ * Compute per-account lamport balance changes
+ * @param {Object} tx - Transaction response from getTransaction
+ * @returns {Map<string, bigint>} - Account address -> change in lamports (non-zero only)
+ */
+export function getLamportBalanceChanges(tx) {
+  const keys = getAccountKeys(tx);
+  const preBalances = tx.meta?.preBalances || [];
+  const postBalances = tx.meta?.postBalances || [];
+  const changes = new Map();
+
+  keys.forEach((key, index) => {
+    const change = BigInt(postBalances[index] ?? 0) - BigInt(preBalances[index] ?? 0);
+
+    if (change !== 0n) {
+      changes.set(key, (changes.get(key) || 0n) + change);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Get every account key of a fetched transaction, in balance-array order
+ * Static keys first, then addresses loaded from lookup tables (writable, then readonly)
+ * @param {Object} tx - Transaction response from getTransaction
+ * @returns {string[]}
+ */
+export function getAccountKeys(tx) {
+  const message = tx.transaction?.message;
+  const loaded = tx.meta?.loadedAddresses || {};
+  const keys = [
+    ...(message?.staticAccountKeys || message?.accountKeys || []),
+    ...(loaded.writable || []),
+    ...(loaded.readonly || [])
+  ];
+
+  return keys.map(key => (typeof key.toBase58 === 'function' ? key.toBase58() : key.toString()));
+}
+
+/**
+ * Compute per-account token balance changes for a mint, in base units
+ * Accounts that were opened or closed in the transaction count from/to zero.
+ * @param {Object} tx - Transaction response from getTransaction
+ * @param {string} mint - Token mint address
+ * @returns {Array<{accountIndex: number, owner: string, programId?: string, change: bigint}>}
+ */
+export function getTokenBalanceChanges(tx, mint) {
+  const preTokenBalances = (tx.meta?.preTokenBalances || []).filter(b => b.mint === mint);
+  const postTokenBalances = (tx.meta?.postTokenBalances || []).filter(b => b.mint === mint);
+
+  const accountIndexes = new Set([
+    ...preTokenBalances.map(b => b.accountIndex),
+    ...postTokenBalances.map(b => b.accountIndex)
+  ]);
+
+  const changes = [];
+
+  for (const accountIndex of accountIndexes) {
+    const pre = preTokenBalances.find(b => b.accountIndex === accountIndex);
+    const post = postTokenBalances.find(b => b.accountIndex === accountIndex);
+
+    const preAmount = pre ? BigInt(pre.uiTokenAmount.amount) : 0n;
+    const postAmount = post ? BigInt(post.uiTokenAmount.amount) : 0n;
+    const change = postAmount - preAmount;
+
+    if (change !== 0n) {
+      changes.push({
+        accountIndex,
+        owner: (post || pre).owner,
+        programId: (post || pre).programId,
+        change
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get the fee payer of a fetched transaction (first static account key)
+ * Works for both legacy and versioned (v0) messages
+ * @param {Object} tx - Transaction response from getTransaction
+ * @returns {string|null} - Fee payer address
+ */
+export function getFeePayer(tx) {
+  const message = tx.transaction?.message;
+  const keys = message?.staticAccountKeys || message?.accountKeys || [];
+  const feePayer = keys[0];
+
+  if (!feePayer) {
+    return null;
+  }
+
+  return typeof feePayer.toBase58 === 'function' ? feePayer.toBase58() : feePayer.toString();
+}
+
+/**
+ * Get the transfer fee a Token-2022 mint charges in the current epoch
+ * @param {string} mint - Mint address
+ * @param {string} tokenProgram - Token program that owns the mint
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (defaults to the shared connection)
+ * @returns {Promise<Object|null>} - TransferFee ({ transferFeeBasisPoints, maximumFee }), or null if the mint has none
+ */
+export async function getMintTransferFee(mint, tokenProgram, options = {}) {
+  if (tokenProgram !== TOKEN_2022_PROGRAM_ID.toBase58()) {
+    return null;
+  }
+
+  const cached = transferFeeCache.get(mint);
+  if (cached && Date.now() - cached.fetchedAt < TRANSFER_FEE_CACHE_TTL) {
+    return cached.transferFee;
+  }
+
+  const connection = options.connection || getSolanaConnection();
+  const mintInfo = await getMint(connection, new PublicKey(mint), 'confirmed', TOKEN_2022_PROGRAM_ID);
+  const config = getTransferFeeConfig(mintInfo);
+  let transferFee = null;
+
+  if (config) {
+    const { epoch } = await connection.getEpochInfo('confirmed');
+    transferFee = getEpochFee(config, BigInt(epoch));
+  }
+
+  transferFeeCache.set(mint, { transferFee, fetchedAt: Date.now() });
+  return transferFee;
+}
+
+/**
+ * Smallest amount to send so the recipient nets `netUnits` after the transfer fee
+ * @param {Object} transferFee - TransferFee in effect
+ * @param {bigint} netUnits - Amount the recipient must receive
+ * @returns {bigint}
+ */
+export function grossUpForTransferFee(transferFee, netUnits) {
+  const bps = BigInt(transferFee.transferFeeBasisPoints);
+
+  if (bps === 0n || netUnits === 0n) {
+    return netUnits;
+  }
+
+  // Capped fee: sending net + maximumFee is always enough
+  const capped = netUnits + BigInt(transferFee.maximumFee);
+
+  // Uncapped fee: gross * (1 - bps) >= net, then step over the fee's rounding up
+  let gross = bps >= 10000n ? capped : (netUnits * 10000n + (10000n - bps) - 1n) / (10000n - bps);
+  while (gross < capped && gross - calculateFee(transferFee, gross) < netUnits) {
+    gross += 1n;
+  }
+
+  return gross < capped ? gross : capped;
+}
+
+/**
+ * Work out what a buyer sends and what the creator nets for a token payment
+ * Only Token-2022 mints with a transfer fee differ from the price.
+ * @param {Object} payment
+ * @param {bigint|string} payment.price - Price in base units
+ * @param {string} payment.mint - Mint address
+ * @param {string} payment.tokenProgram - Token program that owns the mint
+ * @param {string} [payment.transferFeePayer='buyer'] - 'buyer' or 'creator'
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (defaults to the shared connection)
+ * @returns {Promise<{sendUnits: bigint, netUnits: bigint, feeUnits: bigint}>}
+ */
+export async function quoteTokenTransfer({ price, mint, tokenProgram, transferFeePayer = 'buyer' }, options = {}) {
+  const priceUnits = BigInt(price);
+  const transferFee = await getMintTransferFee(mint, tokenProgram, options);
+
+  if (!transferFee) {
+    return { sendUnits: priceUnits, netUnits: priceUnits, feeUnits: 0n };
+  }
+
+  if (transferFeePayer === 'creator') {
+    const feeUnits = calculateFee(transferFee, priceUnits);
+    return { sendUnits: priceUnits, netUnits: priceUnits - feeUnits, feeUnits };
+  }
+
+  const sendUnits = grossUpForTransferFee(transferFee, priceUnits);
+  return { sendUnits, netUnits: priceUnits, feeUnits: sendUnits - priceUnits };
+}
+
+/**
+ * Convert a decimal token amount (e.g. "1.50") to base units as a string
+ * Uses string arithmetic so prices never pick up float rounding errors
+ * @param {string|number} amount - Amount in whole tokens
+ * @param {number} decimals - Token decimals (default: USDC)
+ * @returns {string} - Amount in base units (e.g. "1500000")
+ */
+export function toBaseUnits(amount, decimals = USDC_DECIMALS) {
+  const [whole, rawFraction = ''] = String(amount).trim().split('.');
+
+  // Trailing zeros past the token's precision are harmless (e.g. DECIMAL(27, 9) columns)
+  const fraction = rawFraction.length > decimals ? rawFraction.replace(/0+$/, '') : rawFraction;
+
+  if (!/^\d+$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) {
+    throw new Error(`Invalid token amount: ${amount}`);
+  }
+
+  const units = BigInt(whole) * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, '0') || '0');
+  return units.toString();
+}
+
+/**
+ * Convert base units back to a decimal token amount string
+ * @param {bigint|string} units - Amount in base units
+ * @param {number} decimals - Token decimals (default: USDC)
+ * @returns {string} - Decimal amount (e.g. "1.500000")
+ */
+export function fromBaseUnits(units, decimals = USDC_DECIMALS) {
+  const value = BigInt(units);
+
+  if (decimals === 0) {
+    return value.toString();
+  }
+
+  const sign = value < 0n ? '-' : '';
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0');
+
+  return `${sign}${digits.slice(0, -decimals)}.${digits.slice(-decimals)}`;
+}
+
+/**
+ * Send an RPC request to the endpoint pool through the RPC circuit breaker
+ * The pool fails over between endpoints; the breaker retries when every endpoint failed.
+ * @param {string} url - Ignored, the pool picks the endpoint
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>}
+ */
+const rpcFetch = (url, init) => callDependency('rpc', () => fetchFromPool(init));
+
 /**
  * Get Solana connection instance (singleton pattern for connection reuse)
  */
 export function getSolanaConnection() {
   if (!connectionInstance) {
-    connectionInstance = new Connection(SOLANA_RPC_ENDPOINT, 'confirmed');
+    // IMPORTANT: Set SOLANA_RPC_ENDPOINT(S) for production; the cluster's public endpoint is rate limited
+    connectionInstance = new Connection(getRpcEndpoint(), {
+      commitment: 'confirmed',
+      fetch: rpcFetch,
+      // Retries are up to the circuit breaker
+      disableRetryOnRateLimit: true
+    });
   }
   return connectionInstance;
 }
@@ -174,3 +605,27 @@ export async function isTransactionConfirmed(signature) {
     return false;
   }
 }
+
+/**
+ * Get the commitment level a transaction has reached
+ * @param {string} signature - Transaction signature
+ * @param {Object} [options]
+ * @param {Connection} [options.connection] - RPC connection (defaults to the shared connection)
+ * @returns {Promise<'processed'|'confirmed'|'finalized'|'failed'|null>} - null if the cluster doesn't know it
+ */
+export async function getTransactionCommitment(signature, options = {}) {
+  const connection = options.connection || getSolanaConnection();
+  const { value } = await connection.getSignatureStatus(signature, {
+    searchTransactionHistory: true
+  });
+
+  if (!value) {
+    return null;
+  }
+
+  if (value.err) {
+    return 'failed';
+  }
+
+  return value.confirmationStatus || null;
+}
@@ -0,0 +1,261 @@
+import { PublicKey } from '@solana/web3.js';
+import { toBaseUnits, fromBaseUnits } from './solana.js';
+
+/**
+ * Split payments
+ * A content price can be paid out to several wallets in one transaction: the creator,
+ * the platform treasury (PLATFORM_FEE_BPS of every sale goes to PLATFORM_TREASURY_WALLET)
+ * and collaborators. Each recipient gets one transfer ("leg").
+ *
+ * The platform fee comes off the top; the rest goes to the creator, or is shared between
+ * the collaborators declared at upload by their basis-point shares (which sum to 100%).
+ *
+ * The legs are worked out when a payment session is created and stored on the session,
+ * so a fee change never alters what an open session expects. Each leg is verified on-chain
+ * and recorded in payment_recipients, which is what payment history and earnings read.
+ */
+
+export const BPS_DENOMINATOR = 10000;
+
+export const RECIPIENT_ROLES = ['creator', 'platform', 'collaborator'];
+
+// Every collaborator adds a transfer to the buyer's transaction, which has a size limit
+export const MAX_COLLABORATORS = 8;
+
+/**
+ * Check whether a string is a valid Solana address
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isValidAddress = (address) => {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Platform fee settings
+ * @returns {{wallet: string|null, bps: number}} - bps is NaN if PLATFORM_FEE_BPS isn't a number
+ */
+const readPlatformFee = () => ({
+  wallet: process.env.PLATFORM_TREASURY_WALLET || null,
+  bps: process.env.PLATFORM_FEE_BPS ? Number(process.env.PLATFORM_FEE_BPS) : 0
+});
+
+/**
+ * Validate the platform fee environment variables
+ * @returns {string[]} - Problems found, empty if the settings are usable
+ */
+export function validatePlatformFee() {
+  const { wallet, bps } = readPlatformFee();
+  const problems = [];
+
+  if (!Number.isInteger(bps) || bps < 0 || bps >= BPS_DENOMINATOR) {
+    problems.push(`PLATFORM_FEE_BPS must be a whole number of basis points from 0 to ${BPS_DENOMINATOR - 1}`);
+  } else if (bps > 0 && !wallet) {
+    problems.push('PLATFORM_TREASURY_WALLET is required when PLATFORM_FEE_BPS is set');
+  }
+
+  if (wallet && !isValidAddress(wallet)) {
+    problems.push('PLATFORM_TREASURY_WALLET must be a valid Solana address');
+  }
+
+  return problems;
+}
+
+/**
+ * Get the platform fee taken from every sale
+ * @returns {{wallet: string, bps: number}|null} - null if no fee is configured
+ */
+export function getPlatformFee() {
+  const { wallet, bps } = readPlatformFee();
+  return wallet && Number.isInteger(bps) && bps > 0 ? { wallet, bps } : null;
+}
+
+/**
+ * Parse and validate the collaborators of an upload
+ * @param {string|Array} input - JSON string or array of { wallet, bps }
+ * @param {string} creatorWallet - Uploading creator, who may hold a share too
+ * @returns {Array<{wallet: string, bps: number}>} - Entries to store in content.collaborators
+ * @throws {Error} - With a user-facing message if the input is invalid
+ */
+export function parseCollaborators(input, creatorWallet) {
+  if (input === undefined || input === null || input === '') {
+    return [];
+  }
+
+  let entries = input;
+
+  if (typeof input === 'string') {
+    try {
+      entries = JSON.parse(input);
+    } catch (error) {
+      throw new Error('Collaborators must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.length > MAX_COLLABORATORS) {
+    throw new Error(`Collaborators must be an array of at most ${MAX_COLLABORATORS} entries`);
+  }
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const seen = new Set();
+  const collaborators = entries.map((entry) => {
+    if (typeof entry?.wallet !== 'string' || !isValidAddress(entry.wallet)) {
+      throw new Error(`Invalid collaborator wallet: ${entry?.wallet}`);
+    }
+
+    if (seen.has(entry.wallet)) {
+      throw new Error(`Duplicate collaborator: ${entry.wallet}`);
+    }
+    seen.add(entry.wallet);
+
+    const bps = Number(entry.bps);
+
+    if (!Number.isInteger(bps) || bps <= 0) {
+      throw new Error('Collaborator shares must be whole, positive numbers of basis points');
+    }
+
+    return { wallet: entry.wallet, bps };
+  });
+
+  const total = collaborators.reduce((sum, c) => sum + c.bps, 0);
+
+  if (total !== BPS_DENOMINATOR) {
+    throw new Error(`Collaborator shares must add up to ${BPS_DENOMINATOR} basis points (100%), got ${total}`);
+  }
+
+  // Keep the creator's share first, so it collects the rounding dust
+  return collaborators.sort((a, b) => (b.wallet === creatorWallet) - (a.wallet === creatorWallet));
+}
+
+/**
+ * Work out who shares a content item's sales, after the platform fee
+ * Without collaborators the creator gets everything.
+ * @param {Object} content - Content row (creator_wallet, collaborators)
+ * @returns {Array<{wallet: string, role: string, bps: number}>} - Shares summing to 10000 bps
+ */
+export function getRevenueShares(content) {
+  const collaborators = Array.isArray(content.collaborators) ? content.collaborators : [];
+
+  if (collaborators.length === 0) {
+    return [{ wallet: content.creator_wallet, role: 'creator', bps: BPS_DENOMINATOR }];
+  }
+
+  return collaborators.map(c => ({
+    wallet: c.wallet,
+    role: c.wallet === content.creator_wallet ? 'creator' : 'collaborator',
+    bps: c.bps
+  }));
+}
+
+/**
+ * Split a payment for a content item into one leg per recipient
+ * The platform fee comes off the top and the revenue shares split the rest. Legs that
+ * round down to nothing are dropped, as they can't be seen on-chain.
+ * @param {Object} content - Content row (creator_wallet, collaborators)
+ * @param {string|bigint} amountUnits - Amount the buyer pays, in base units
+ * @returns {Array<{wallet: string, role: string, bps: number, amountUnits: string}>}
+ */
+export function getPaymentLegs(content, amountUnits) {
+  const total = BigInt(amountUnits);
+  const platformFee = getPlatformFee();
+  const feeUnits = platformFee ? total * BigInt(platformFee.bps) / BigInt(BPS_DENOMINATOR) : 0n;
+  const legs = splitAmount(getRevenueShares(content), total - feeUnits);
+
+  if (feeUnits > 0n) {
+    const leg = legs.find(l => l.wallet === platformFee.wallet);
+
+    if (leg) {
+      leg.amountUnits = (BigInt(leg.amountUnits) + feeUnits).toString();
+    } else {
+      legs.push({ wallet: platformFee.wallet, role: 'platform', bps: platformFee.bps, amountUnits: feeUnits.toString() });
+    }
+  }
+
+  return legs.filter(leg => leg.amountUnits !== '0');
+}
+
+/**
+ * Split an amount into one leg per recipient
+ * Each share is rounded down and the dust goes to the first share, so the legs always
+ * add up to the amount. Shares paying the same wallet are merged into one leg, since
+ * the chain only shows what each wallet received.
+ * @param {Array<{wallet: string, role: string, bps: number}>} shares - Revenue shares
+ * @param {string|bigint} amountUnits - Amount to split, in base units
+ * @returns {Array<{wallet: string, role: string, bps: number, amountUnits: string}>}
+ */
+export function splitAmount(shares, amountUnits) {
+  const total = BigInt(amountUnits);
+  const legs = [];
+
+  for (const share of shares) {
+    const units = total * BigInt(share.bps) / BigInt(BPS_DENOMINATOR);
+    const leg = legs.find(l => l.wallet === share.wallet);
+
+    if (leg) {
+      leg.bps += share.bps;
+      leg.units += units;
+    } else {
+      legs.push({ wallet: share.wallet, role: share.role, bps: share.bps, units });
+    }
+  }
+
+  legs[0].units += total - legs.reduce((sum, leg) => sum + leg.units, 0n);
+
+  return legs.map(({ units, ...leg }) => ({ ...leg, amountUnits: units.toString() }));
+}
+
+/**
+ * Get the legs a payment session must pay
+ * Sessions created before split payments pay everything to their recipient wallet.
+ * @param {Object} session - Payment session row
+ * @returns {Array<{wallet: string, role: string, bps: number, amountUnits: string}>}
+ */
+export function getSessionLegs(session) {
+  if (Array.isArray(session.splits) && session.splits.length > 0) {
+    return session.splits;
+  }
+
+  return [{
+    wallet: session.recipient_wallet,
+    role: 'creator',
+    bps: BPS_DENOMINATOR,
+    amountUnits: toBaseUnits(session.amount, session.decimals)
+  }];
+}
+
+/**
+ * Turn payment legs into payment_recipients entries for recordPayment
+ * For payments whose legs weren't measured on-chain (sandbox payments).
+ * @param {Array<{wallet: string, role: string, amountUnits: string}>} legs - Payment legs
+ * @param {number} decimals - Decimals of the payment asset
+ * @returns {Array<{wallet: string, role: string, amount: string}>}
+ */
+export function legsToRecipients(legs, decimals) {
+  return legs.map(leg => ({
+    wallet: leg.wallet,
+    role: leg.role,
+    amount: fromBaseUnits(leg.amountUnits, decimals)
+  }));
+}
+
+export default {
+  BPS_DENOMINATOR,
+  RECIPIENT_ROLES,
+  MAX_COLLABORATORS,
+  validatePlatformFee,
+  getPlatformFee,
+  parseCollaborators,
+  getRevenueShares,
+  getPaymentLegs,
+  splitAmount,
+  getSessionLegs,
+  legsToRecipients
+};
@@ -0,0 +1,241 @@
+import { query } from '../db/index.js';
+import { generateAccessToken } from './jwt.js';
+import { getClusterName, isCurrentCluster } from './cluster.js';
+import { isSandboxMode } from './sandbox.js';
+import { API_CONTENT_TYPE } from './proxiedApis.js';
+
+/**
+ * Creator subscriptions
+ * A creator can sell time-boxed access to all of their content next to per-item purchases.
+ * The plan is a content row of type 'subscription' (one per creator, cluster and mode), so it
+ * is priced, paid for and verified like any other content.
+ *
+ * Each recorded payment for a plan extends the buyer's subscription by SUBSCRIPTION_PERIOD:
+ * from the current end if the subscription is still active or in its grace period, otherwise
+ * from now. Subscribers get an access token scoped to the creator that lasts until the end of
+ * the period plus SUBSCRIPTION_GRACE_PERIOD, which x402PaymentGate accepts for all of the
+ * creator's content.
+ */
+
+export const SUBSCRIPTION_CONTENT_TYPE = 'subscription';
+
+// Length of a paid subscription period (30 days)
+export const SUBSCRIPTION_PERIOD = 30 * 24 * 60 * 60;
+
+// How long access continues after a period ends, leaving time to renew (3 days)
+export const SUBSCRIPTION_GRACE_PERIOD = 3 * 24 * 60 * 60;
+
+const SUBSCRIPTION_COLUMNS = `id, plan_id, creator_wallet, subscriber_wallet, cluster, sandbox,
+       current_period_end, renewals, created_at, updated_at`;
+
+/**
+ * Find a creator's subscription plan on the current cluster and mode
+ * @param {string} creatorWallet - Creator wallet
+ * @returns {Promise<Object|null>} - Plan content row
+ */
+export async function findSubscriptionPlan(creatorWallet) {
+  const result = await query(
+    `SELECT id, content_type, original_filename, price_usdc, creator_wallet, underpayment_tolerance_units,
+            overpayment_policy, asset_prices, transfer_fee_payer, collaborators, cluster, sandbox,
+            views, payments, created_at
+     FROM content
+     WHERE creator_wallet = $1 AND content_type = $2 AND cluster = $3 AND sandbox = $4`,
+    [creatorWallet, SUBSCRIPTION_CONTENT_TYPE, getClusterName(), isSandboxMode()]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Extend a subscriber's subscription by one period after a plan payment
+ * A single upsert, so concurrent renewals each add a full period.
+ * @param {Object} plan - Plan content row (id, creator_wallet)
+ * @param {string} subscriberWallet - Wallet that paid
+ * @returns {Promise<Object>} - Subscription row
+ */
+export async function extendSubscription(plan, subscriberWallet) {
+  const result = await query(
+    `INSERT INTO subscriptions (plan_id, creator_wallet, subscriber_wallet, cluster, sandbox, current_period_end)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + make_interval(secs => $6))
+     ON CONFLICT (plan_id, subscriber_wallet) DO UPDATE
+     SET current_period_end = CASE
+           WHEN subscriptions.current_period_end + make_interval(secs => $7) > CURRENT_TIMESTAMP
+           THEN subscriptions.current_period_end
+           ELSE CURRENT_TIMESTAMP
+         END + make_interval(secs => $6),
+         renewals = subscriptions.renewals + 1,
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [plan.id, plan.creator_wallet, subscriberWallet, getClusterName(), isSandboxMode(),
+     SUBSCRIPTION_PERIOD, SUBSCRIPTION_GRACE_PERIOD]
+  );
+
+  console.log('✅ Subscription extended:', {
+    creatorWallet: plan.creator_wallet,
+    subscriberWallet,
+    until: result.rows[0].current_period_end
+  });
+
+  return result.rows[0];
+}
+
+/**
+ * Take back the period a payment added to a subscription (its payment was dropped)
+ * @param {string} planId - Plan content ID
+ * @param {string} subscriberWallet - Subscriber wallet
+ * @returns {Promise<Object|null>} - Updated subscription
+ */
+export async function shortenSubscription(planId, subscriberWallet) {
+  const result = await query(
+    `UPDATE subscriptions
+     SET current_period_end = current_period_end - make_interval(secs => $3),
+         renewals = GREATEST(renewals - 1, 0),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE plan_id = $1 AND subscriber_wallet = $2
+     RETURNING ${SUBSCRIPTION_COLUMNS}`,
+    [planId, subscriberWallet, SUBSCRIPTION_PERIOD]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a subscriber's subscription to a plan
+ * @param {string} planId - Plan content ID
+ * @param {string} subscriberWallet - Subscriber wallet
+ * @returns {Promise<Object|null>} - Subscription row
+ */
+export async function getSubscription(planId, subscriberWallet) {
+  const result = await query(
+    `SELECT ${SUBSCRIPTION_COLUMNS}
+     FROM subscriptions
+     WHERE plan_id = $1 AND subscriber_wallet = $2`,
+    [planId, subscriberWallet]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Seconds of access a subscription has left, grace period included
+ * @param {Object} subscription - Subscription row
+ * @returns {number} - 0 once the grace period is over
+ */
+export function remainingSubscriptionSeconds(subscription) {
+  const accessEnds = new Date(subscription.current_period_end).getTime() + SUBSCRIPTION_GRACE_PERIOD * 1000;
+  return Math.max(0, Math.floor((accessEnds - Date.now()) / 1000));
+}
+
+/**
+ * Get the subscription access a payment grants
+ * @param {string} contentId - Content the payment was for
+ * @param {string} payerWallet - Wallet that paid
+ * @returns {Promise<{accessToken: string, subscription: Object}|null>} - null if the content
+ *   isn't a plan the payer subscribed to, or the payer has no subscription access left
+ */
+export async function getSubscriptionGrant(contentId, payerWallet) {
+  const subscription = await getSubscription(contentId, payerWallet);
+  const remaining = subscription ? remainingSubscriptionSeconds(subscription) : 0;
+
+  if (remaining === 0) {
+    return null;
+  }
+
+  return {
+    accessToken: generateAccessToken({
+      creatorWallet: subscription.creator_wallet,
+      subscriberWallet: subscription.subscriber_wallet,
+      planId: subscription.plan_id,
+      until: new Date(subscription.current_period_end).toISOString(),
+      cluster: subscription.cluster,
+      sandbox: subscription.sandbox,
+      type: 'subscription'
+    }, remaining),
+    subscription: formatSubscription(subscription)
+  };
+}
+
+/**
+ * Check whether the subscription behind a subscription token still grants access
+ * Tokens outlive the period they were issued for only if a dropped payment took that period back.
+ * @param {Object} tokenPayload - Verified subscription token payload
+ * @returns {Promise<boolean>}
+ */
+export async function hasSubscriptionAccess(tokenPayload) {
+  const subscription = await getSubscription(tokenPayload.planId, tokenPayload.subscriberWallet);
+  return !!subscription && remainingSubscriptionSeconds(subscription) > 0;
+}
+
+/**
+ * Check whether an access token is a subscription covering a content item
+ * Proxied APIs are sold per call and never covered.
+ * @param {Object} tokenPayload - Verified access token payload
+ * @param {Object} content - Content row (content_type, creator_wallet, sandbox)
+ * @returns {boolean}
+ */
+export function isSubscriptionAccess(tokenPayload, content) {
+  return tokenPayload.type === 'subscription' &&
+         content.content_type !== API_CONTENT_TYPE &&
+         tokenPayload.creatorWallet === content.creator_wallet &&
+         tokenPayload.sandbox === content.sandbox &&
+         isCurrentCluster(tokenPayload.cluster);
+}
+
+/**
+ * Count a creator's subscribers on the current cluster and mode
+ * @param {string} creatorWallet - Creator wallet
+ * @returns {Promise<{active: number, inGrace: number}>} - Subscribers whose period hasn't ended,
+ *   and subscribers whose period ended but who are still in the grace period
+ */
+export async function getSubscriberCounts(creatorWallet) {
+  const result = await query(
+    `SELECT COUNT(*) FILTER (WHERE current_period_end > CURRENT_TIMESTAMP) AS active,
+            COUNT(*) FILTER (WHERE current_period_end <= CURRENT_TIMESTAMP) AS in_grace
+     FROM subscriptions
+     WHERE creator_wallet = $1 AND cluster = $2 AND sandbox = $3
+       AND current_period_end + make_interval(secs => $4) > CURRENT_TIMESTAMP`,
+    [creatorWallet, getClusterName(), isSandboxMode(), SUBSCRIPTION_GRACE_PERIOD]
+  );
+
+  return {
+    active: parseInt(result.rows[0]?.active || 0),
+    inGrace: parseInt(result.rows[0]?.in_grace || 0)
+  };
+}
+
+/**
+ * Format a subscription row for API responses
+ * @param {Object} subscription - Subscription row
+ * @returns {Object}
+ */
+export function formatSubscription(subscription) {
+  const periodEnd = new Date(subscription.current_period_end);
+  const accessEnds = new Date(periodEnd.getTime() + SUBSCRIPTION_GRACE_PERIOD * 1000);
+  const now = new Date();
+
+  return {
+    creatorWallet: subscription.creator_wallet,
+    subscriberWallet: subscription.subscriber_wallet,
+    planId: subscription.plan_id,
+    status: periodEnd > now ? 'active' : accessEnds > now ? 'grace' : 'expired',
+    currentPeriodEnd: periodEnd.toISOString(),
+    graceEndsAt: accessEnds.toISOString(),
+    renewals: subscription.renewals
+  };
+}
+
+export default {
+  SUBSCRIPTION_CONTENT_TYPE,
+  SUBSCRIPTION_PERIOD,
+  SUBSCRIPTION_GRACE_PERIOD,
+  findSubscriptionPlan,
+  extendSubscription,
+  shortenSubscription,
+  getSubscription,
+  remainingSubscriptionSeconds,
+  getSubscriptionGrant,
+  hasSubscriptionAccess,
+  isSubscriptionAccess,
+  getSubscriberCounts,
+  formatSubscription
+};
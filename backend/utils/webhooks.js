@@ -0,0 +1,564 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../db/index.js';
+import { getClusterName } from './cluster.js';
+import { isSandboxMode } from './sandbox.js';
+import { isAllowedOutboundHost, outboundRequestOptions } from './outbound.js';
+
+/**
+ * Creator webhooks
+ * Creators register URLs that are sent their events as signed JSON POSTs, e.g. to provision
+ * access in their own systems when a sale happens. Every event sent to a webhook is a delivery
+ * row: it is attempted right away, then retried with exponential backoff by the webhook worker
+ * until the receiver answers 2xx or MAX_DELIVERY_ATTEMPTS run out. Deliveries can be replayed.
+ *
+ * A delivery body is { id, type, createdAt, cluster, sandbox, data }. The id is the event's, so
+ * retries and replays of one event share it. X-Webhook-Signature is
+ * sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`) in hex.
+ */
+
+export const WEBHOOK_EVENTS = ['payment.completed', 'payment.failed', 'content.expired', 'content.deleted'];
+
+// Sent by the "send test event" endpoint only; webhooks can't subscribe to it
+export const TEST_EVENT = 'webhook.test';
+
+export const MAX_WEBHOOKS_PER_CREATOR = 10;
+
+// Retries wait 30s, 1m, 2m, ... (about an hour in all)
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 30;
+
+// How long the receiver has to answer
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// How long an attempt holds a delivery, so the worker doesn't send it twice
+const DELIVERY_LEASE = 60;
+
+// Largest receiver response read (it is ignored beyond the status)
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// How many due deliveries and expired content to handle per worker pass
+const WEBHOOK_BATCH_SIZE = 20;
+
+const WEBHOOK_COLUMNS = 'id, creator_wallet, url, events, secret, active, created_at';
+
+const DELIVERY_COLUMNS = `id, webhook_id, event_id, event_type, payload, status, attempts, next_attempt_at,
+       last_status_code, last_error, replay_of, delivered_at, created_at`;
+
+/**
+ * Check that a webhook URL may be called
+ * @param {string} url - Webhook URL (already validated as HTTP or HTTPS)
+ * @throws {Error} - With a user-facing message if the URL points at a private network
+ */
+export function checkWebhookUrl(url) {
+  if (!isAllowedOutboundHost(new URL(url).hostname)) {
+    throw new Error('Webhook URL must point at a public host');
+  }
+}
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string} - 64 hex characters
+ */
+export function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - X-Webhook-Signature value
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Register a webhook
+ * @param {string} creatorWallet - Creator wallet
+ * @param {Object} fields
+ * @param {string} fields.url - Receiver URL
+ * @param {string[]} fields.events - Event types to send
+ * @param {string} fields.secret - Signing secret
+ * @returns {Promise<Object>} - Webhook row
+ */
+export async function createWebhook(creatorWallet, { url, events, secret }) {
+  const result = await query(
+    `INSERT INTO webhooks (creator_wallet, url, events, secret)
+     VALUES ($1, $2, $3, $4)
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    [creatorWallet, url, JSON.stringify([...new Set(events)]), secret]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * List a creator's active webhooks
+ * @param {string} creatorWallet - Creator wallet
+ * @returns {Promise<Object[]>} - Webhook rows, newest first
+ */
+export async function listWebhooks(creatorWallet) {
+  const result = await query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks
+     WHERE creator_wallet = $1 AND active
+     ORDER BY created_at DESC`,
+    [creatorWallet]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find one of a creator's active webhooks
+ * @param {string} creatorWallet - Creator wallet
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>}
+ */
+export async function findWebhook(creatorWallet, webhookId) {
+  const result = await query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks
+     WHERE creator_wallet = $1 AND active AND id = $2`,
+    [creatorWallet, webhookId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove a webhook (its delivery log is kept, pending deliveries are not sent)
+ * @param {string} creatorWallet - Creator wallet
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} - Removed webhook, or null if not found
+ */
+export async function deactivateWebhook(creatorWallet, webhookId) {
+  const result = await query(
+    `UPDATE webhooks SET active = false
+     WHERE id = $1 AND creator_wallet = $2 AND active
+     RETURNING ${WEBHOOK_COLUMNS}`,
+    [webhookId, creatorWallet]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List a webhook's deliveries
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} [options]
+ * @param {number} [options.limit=50] - Most deliveries to return
+ * @returns {Promise<Object[]>} - Delivery rows, newest first
+ */
+export async function listDeliveries(webhookId, { limit = 50 } = {}) {
+  const result = await query(
+    `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+     WHERE webhook_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [webhookId, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find a delivery of a webhook
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>}
+ */
+export async function findDelivery(webhookId, deliveryId) {
+  const result = await query(
+    `SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries
+     WHERE webhook_id = $1 AND id = $2`,
+    [webhookId, deliveryId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue an event for a webhook
+ * @param {Object} webhook - Webhook row
+ * @param {Object} payload - Event ({ id, type, createdAt, cluster, sandbox, data })
+ * @param {string} [replayOf] - Delivery being replayed
+ * @returns {Promise<Object>} - Delivery row, due now
+ */
+const queueDelivery = async (webhook, payload, replayOf = null) => {
+  const result = await query(
+    `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, next_attempt_at, replay_of)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [webhook.id, payload.id, payload.type, JSON.stringify(payload), replayOf]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * POST a delivery to its webhook
+ * @param {Object} webhook - Webhook row
+ * @param {Object} delivery - Delivery row
+ * @returns {Promise<{statusCode: number|null, error: string|null}>}
+ */
+const sendDelivery = async (webhook, delivery) => {
+  const payload = typeof delivery.payload === 'string' ? delivery.payload : JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    // Checked on every attempt, by name here and by resolved address on connect, since what the
+    // URL points at can change between retries
+    checkWebhookUrl(webhook.url);
+
+    const response = await axios.post(webhook.url, payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PayWall402-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, payload)
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: MAX_RESPONSE_BYTES,
+      responseType: 'text',
+      validateStatus: () => true,
+      ...outboundRequestOptions()
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return { statusCode: response.status, error: ok ? null : `Receiver answered ${response.status}` };
+  } catch (error) {
+    return { statusCode: null, error: error.message.slice(0, 500) };
+  }
+};
+
+/**
+ * Attempt a due delivery and schedule its retry if it fails
+ * The delivery is claimed first, so an attempt already under way (or one that isn't due) is skipped.
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - Delivery after the attempt, or null if it wasn't due
+ */
+export async function attemptDelivery(deliveryId) {
+  const claimed = await query(
+    `UPDATE webhook_deliveries SET next_attempt_at = $2
+     WHERE id = $1 AND status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [deliveryId, new Date(Date.now() + DELIVERY_LEASE * 1000)]
+  );
+
+  const delivery = claimed.rows[0];
+
+  if (!delivery) {
+    return null;
+  }
+
+  const webhook = await query(
+    `SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`,
+    [delivery.webhook_id]
+  );
+
+  const attempts = delivery.attempts + 1;
+  let outcome;
+
+  if (!webhook.rows[0]?.active) {
+    outcome = { status: 'failed', statusCode: null, error: 'Webhook was removed' };
+  } else {
+    const { statusCode, error } = await sendDelivery(webhook.rows[0], delivery);
+
+    if (!error) {
+      outcome = { status: 'delivered', statusCode, error: null };
+    } else if (attempts >= MAX_DELIVERY_ATTEMPTS) {
+      outcome = { status: 'failed', statusCode, error };
+    } else {
+      const delay = RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+      outcome = { status: 'pending', statusCode, error, nextAttemptAt: new Date(Date.now() + delay * 1000) };
+    }
+  }
+
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, next_attempt_at = $4, last_status_code = $5, last_error = $6,
+         delivered_at = CASE WHEN $2::VARCHAR = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+     WHERE id = $1
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [delivery.id, outcome.status, attempts, outcome.nextAttemptAt || null, outcome.statusCode, outcome.error]
+  );
+
+  if (outcome.status === 'delivered') {
+    console.log('✅ Webhook delivered:', { deliveryId: delivery.id, event: delivery.event_type, attempts });
+  } else {
+    console.error(`${outcome.status === 'failed' ? '❌' : '⚠️'} Webhook delivery failed:`, {
+      deliveryId: delivery.id,
+      event: delivery.event_type,
+      attempts,
+      error: outcome.error,
+      nextAttemptAt: outcome.nextAttemptAt
+    });
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Attempt a delivery without waiting for it; failures are left to the worker
+ * @param {Object} delivery - Delivery row
+ */
+const attemptInBackground = (delivery) => {
+  attemptDelivery(delivery.id).catch(error => {
+    console.error('❌ Webhook delivery error:', { deliveryId: delivery.id, error: error.message });
+  });
+};
+
+/**
+ * Build an event
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @returns {Object}
+ */
+const buildEvent = (type, data) => ({
+  id: uuidv4(),
+  type,
+  createdAt: new Date().toISOString(),
+  cluster: getClusterName(),
+  sandbox: isSandboxMode(),
+  data
+});
+
+/**
+ * Send an event to every webhook of a creator subscribed to it
+ * Never throws: an event that can't be queued is logged, and whatever emitted it carries on.
+ * @param {string} creatorWallet - Creator wallet
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<Object[]>} - Queued deliveries
+ */
+export async function emitWebhookEvent(creatorWallet, type, data) {
+  if (!creatorWallet) {
+    return [];
+  }
+
+  try {
+    const webhooks = (await listWebhooks(creatorWallet)).filter(webhook => webhook.events.includes(type));
+
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const event = buildEvent(type, data);
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+      deliveries.push(await queueDelivery(webhook, event));
+    }
+
+    deliveries.forEach(attemptInBackground);
+
+    return deliveries;
+  } catch (error) {
+    console.error('❌ Webhook event error:', { creatorWallet, type, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Send an event about a piece of content to its creator's webhooks
+ * @param {string} contentId - Content ID
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<Object[]>} - Queued deliveries
+ */
+export async function emitContentWebhookEvent(contentId, type, data) {
+  try {
+    const result = await query('SELECT id, creator_wallet FROM content WHERE id = $1', [contentId]);
+    return await emitWebhookEvent(result.rows[0]?.creator_wallet, type, data);
+  } catch (error) {
+    console.error('❌ Webhook event error:', { contentId, type, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Describe a payment for payment events
+ * @param {Object} payment - Payment row
+ * @returns {Object}
+ */
+export function paymentEventData(payment) {
+  return {
+    paymentId: payment.id,
+    contentId: payment.content_id,
+    payerWallet: payment.payer_wallet,
+    amount: payment.amount_usdc === undefined ? undefined : parseFloat(payment.amount_usdc),
+    asset: payment.asset,
+    signature: payment.transaction_signature,
+    paidAt: payment.paid_at
+  };
+}
+
+/**
+ * Send a test event to a webhook and wait for the attempt
+ * @param {Object} webhook - Webhook row
+ * @returns {Promise<Object>} - Delivery after its first attempt
+ */
+export async function sendTestEvent(webhook) {
+  const delivery = await queueDelivery(webhook, buildEvent(TEST_EVENT, {
+    webhookId: webhook.id,
+    message: 'Test event from PayWall402'
+  }));
+
+  return await attemptDelivery(delivery.id) || delivery;
+}
+
+/**
+ * Send a delivered or failed event again, as a new delivery with the same event ID
+ * @param {Object} webhook - Webhook row
+ * @param {Object} delivery - Delivery to replay
+ * @returns {Promise<Object>} - New delivery after its first attempt
+ */
+export async function replayDelivery(webhook, delivery) {
+  const payload = typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload;
+  const replay = await queueDelivery(webhook, payload, delivery.id);
+
+  return await attemptDelivery(replay.id) || replay;
+}
+
+/**
+ * Send content.expired for content of the current cluster that expired since the last pass
+ */
+const notifyExpiredContent = async () => {
+  const result = await query(
+    `UPDATE content SET expiry_notified_at = CURRENT_TIMESTAMP
+     WHERE id IN (SELECT id FROM content
+                  WHERE expires_at <= CURRENT_TIMESTAMP AND expiry_notified_at IS NULL AND cluster = $1
+                  LIMIT $2)
+     RETURNING id, content_type, creator_wallet, expires_at`,
+    [getClusterName(), WEBHOOK_BATCH_SIZE]
+  );
+
+  for (const content of result.rows) {
+    await emitWebhookEvent(content.creator_wallet, 'content.expired', {
+      contentId: content.id,
+      contentType: content.content_type,
+      expiredAt: content.expires_at
+    });
+  }
+};
+
+/**
+ * Run one webhook pass: send content.expired events, then retry due deliveries
+ */
+export async function runWebhookWorker() {
+  await notifyExpiredContent();
+
+  const due = await query(
+    `SELECT id FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+     ORDER BY next_attempt_at ASC
+     LIMIT $1`,
+    [WEBHOOK_BATCH_SIZE]
+  );
+
+  for (const delivery of due.rows) {
+    try {
+      await attemptDelivery(delivery.id);
+    } catch (error) {
+      console.error('❌ Webhook delivery error:', { deliveryId: delivery.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Start sending webhook retries and content.expired events in the background
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs=10000] - Poll interval
+ * @returns {Function} - Call to stop the worker
+ */
+export function startWebhookWorker(options = {}) {
+  const intervalMs = options.intervalMs || 10000;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runWebhookWorker();
+    } catch (error) {
+      console.error('❌ Webhook worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Format a webhook for API responses (the secret is only shown when the webhook is created)
+ * @param {Object} webhook - Webhook row
+ * @returns {Object}
+ */
+export function formatWebhook(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    active: webhook.active,
+    createdAt: webhook.created_at
+  };
+}
+
+/**
+ * Format a delivery for API responses
+ * @param {Object} delivery - Delivery row
+ * @returns {Object}
+ */
+export function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    eventId: delivery.event_id,
+    event: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    replayOf: delivery.replay_of,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    payload: typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload
+  };
+}
+
+export default {
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  MAX_WEBHOOKS_PER_CREATOR,
+  MAX_DELIVERY_ATTEMPTS,
+  checkWebhookUrl,
+  generateWebhookSecret,
+  signWebhookPayload,
+  createWebhook,
+  listWebhooks,
+  findWebhook,
+  deactivateWebhook,
+  listDeliveries,
+  findDelivery,
+  attemptDelivery,
+  emitWebhookEvent,
+  emitContentWebhookEvent,
+  paymentEventData,
+  sendTestEvent,
+  replayDelivery,
+  runWebhookWorker,
+  startWebhookWorker,
+  formatWebhook,
+  formatDelivery
+};
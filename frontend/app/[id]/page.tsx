@@ -8,6 +8,7 @@ import axios from 'axios'
 import X402PaywallWrapper from '@/components/X402PaywallWrapper'
 import ContentViewer from '@/components/ContentViewer'
 import { ThemeToggle } from '@/components/ui/theme-toggle'
+import type { AcceptedAsset, BundleItem, ContentPricing, PriceSchedule, ProxiedApi, SolanaCluster } from '@/types'
 import { DotScreenShader } from '@/components/ui/dot-shader-background'
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
@@ -18,12 +19,19 @@ interface ContentInfo {
   filename?: string
   mimetype?: string
   price: number
+  pricing?: ContentPricing
+  priceSchedule?: PriceSchedule | null
+  api?: ProxiedApi | null
+  acceptedAssets?: AcceptedAsset[]
+  cluster?: SolanaCluster
+  sandbox?: boolean
   views: number
   payments: number
   expiresAt?: string
   isExpired: boolean
   createdAt: string
   creatorWallet: string
+  items?: BundleItem[]
 }
 
 export default function ContentPage() {
@@ -197,6 +205,33 @@ export default function ContentPage() {
           </div>
         )}
 
+        {/* What a bundle contains */}
+        {!hasPaid && contentInfo.items && (
+          <div className="max-w-md mx-auto mb-6 p-4 bg-white/10 dark:bg-black/20 backdrop-blur-xl rounded-xl border border-white/20 dark:border-white/10">
+            <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-2">
+              Bundle of {contentInfo.items.length} items
+            </p>
+            <ul className="space-y-1">
+              {contentInfo.items.map(item => (
+                <li key={item.id} className="flex justify-between text-sm text-gray-900 dark:text-white">
+                  <span className="truncate">{item.filename || `${item.type} content`}</span>
+                  <span className="text-gray-500 dark:text-gray-400 ml-4">${item.price}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* What a payment buys on a proxied API */}
+        {!hasPaid && contentInfo.api && (
+          <div className="max-w-md mx-auto mb-6 p-4 bg-white/10 dark:bg-black/20 backdrop-blur-xl rounded-xl border border-white/20 dark:border-white/10">
+            <p className="text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">
+              API access, {contentInfo.api.callsPerPayment} call{contentInfo.api.callsPerPayment === 1 ? '' : 's'} per payment
+            </p>
+            <p className="text-sm text-gray-900 dark:text-white font-mono break-all">{contentInfo.api.endpoint}</p>
+          </div>
+        )}
+
         {/* Payment Gate or Content Viewer */}
         {hasPaid && accessToken ? (
           <ContentViewer contentId={contentId} accessToken={accessToken} />
@@ -204,6 +239,11 @@ export default function ContentPage() {
           <X402PaywallWrapper
             contentId={contentId}
             price={contentInfo.price}
+            pricing={contentInfo.pricing}
+            priceSchedule={contentInfo.priceSchedule}
+            acceptedAssets={contentInfo.acceptedAssets}
+            cluster={contentInfo.cluster}
+            sandbox={contentInfo.sandbox}
             contentType={contentInfo.type}
             filename={contentInfo.filename}
             creatorWallet={contentInfo.creatorWallet || ''}
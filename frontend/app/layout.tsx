@@ -4,6 +4,7 @@ import './globals.css'
 import { ThemeProvider } from '@/components/ThemeProvider'
 import { SolanaWalletProvider } from '@/components/WalletProvider'
 import { ErrorBoundary } from '@/components/ErrorBoundary'
+import { SandboxBanner } from '@/components/SandboxBanner'
 
 const spaceGrotesk = Space_Grotesk({
   subsets: ['latin'],
@@ -48,6 +49,7 @@ export default function RootLayout({
         <ErrorBoundary>
           <ThemeProvider>
             <SolanaWalletProvider>
+              <SandboxBanner />
               {children}
             </SolanaWalletProvider>
           </ThemeProvider>
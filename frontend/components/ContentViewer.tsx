@@ -1,8 +1,10 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { Download, FileText, Link as LinkIcon, CheckCircle, ExternalLink } from 'lucide-react'
+import { Download, FileText, Link as LinkIcon, CheckCircle, ExternalLink, Package, CalendarClock, Server } from 'lucide-react'
+import Link from 'next/link'
 import axios from 'axios'
+import type { BundleItem, Subscription } from '@/types'
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
@@ -12,10 +14,16 @@ interface ContentViewerProps {
 }
 
 interface ContentData {
-  type: 'file' | 'text' | 'link'
+  type: 'file' | 'text' | 'link' | 'bundle' | 'subscription' | 'api'
   content?: string
   url?: string
+  endpoint?: string
+  callsPerPayment?: number
+  callsRemaining?: number
   filename?: string
+  title?: string
+  items?: BundleItem[]
+  subscription?: Subscription | null
 }
 
 export default function ContentViewer({ contentId, accessToken }: ContentViewerProps) {
@@ -50,6 +58,25 @@ export default function ContentViewer({ contentId, accessToken }: ContentViewerP
           type: 'link',
           url: response.data.url,
         })
+      } else if (response.data.type === 'api') {
+        setContent({
+          type: 'api',
+          endpoint: response.data.endpoint,
+          callsPerPayment: response.data.callsPerPayment,
+          callsRemaining: response.data.callsRemaining,
+        })
+      } else if (response.data.type === 'bundle') {
+        setContent({
+          type: 'bundle',
+          title: response.data.title,
+          items: response.data.items,
+        })
+      } else if (response.data.type === 'subscription') {
+        setContent({
+          type: 'subscription',
+          title: response.data.title,
+          subscription: response.data.subscription,
+        })
       } else {
         // File type - will be downloaded
         setContent({
@@ -187,6 +214,76 @@ export default function ContentViewer({ contentId, accessToken }: ContentViewerP
         </div>
       )}
 
+      {/* Proxied API: calls go through the proxy endpoint with the access token */}
+      {content.type === 'api' && content.endpoint && (
+        <div className="p-6 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <div className="flex items-center mb-4">
+            <Server className="w-5 h-5 text-primary-600 mr-2" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">API Access</h3>
+          </div>
+          <p className="text-gray-600 dark:text-gray-400 mb-4">
+            {content.callsRemaining} of {content.callsPerPayment} paid call{content.callsPerPayment === 1 ? '' : 's'} left.
+            Send the access token in the X-Payment-Proof header with every call.
+          </p>
+          <pre className="whitespace-pre-wrap break-all text-sm text-gray-800 dark:text-gray-200 font-mono bg-white dark:bg-gray-800 p-4 rounded border border-gray-200 dark:border-gray-600">
+            {`curl -H "X-Payment-Proof: ${accessToken}" ${content.endpoint}/`}
+          </pre>
+          <button
+            onClick={() => {
+              navigator.clipboard.writeText(accessToken)
+              alert('Copied to clipboard!')
+            }}
+            className="mt-4 px-4 py-2 bg-primary-600 hover:bg-primary-700 text-white rounded-lg text-sm font-medium transition-colors"
+          >
+            Copy Access Token
+          </button>
+        </div>
+      )}
+
+      {/* Bundle Content: the bundle's access token unlocks every item */}
+      {content.type === 'bundle' && content.items && (
+        <div className="p-6 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <div className="flex items-center mb-4">
+            <Package className="w-5 h-5 text-primary-600 mr-2" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">{content.title || 'Bundle'}</h3>
+          </div>
+          <ul className="space-y-2">
+            {content.items.map(item => (
+              <li key={item.id}>
+                <Link
+                  href={`/${item.id}?payment=${accessToken}`}
+                  className="flex items-center justify-between p-3 bg-white dark:bg-gray-800 rounded border border-gray-200 dark:border-gray-600 hover:border-primary-500 transition-colors"
+                >
+                  <span className="text-sm text-gray-800 dark:text-gray-200 truncate">
+                    {item.filename || `${item.type} content`}
+                  </span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400 capitalize ml-4">{item.type}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Subscription: the access token unlocks all of the creator's content */}
+      {content.type === 'subscription' && (
+        <div className="p-6 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <div className="flex items-center mb-4">
+            <CalendarClock className="w-5 h-5 text-primary-600 mr-2" />
+            <h3 className="font-semibold text-gray-900 dark:text-white">{content.title || 'Subscription'}</h3>
+          </div>
+          {content.subscription ? (
+            <p className="text-gray-600 dark:text-gray-400">
+              {content.subscription.status === 'grace'
+                ? `Your subscription ended on ${new Date(content.subscription.currentPeriodEnd).toLocaleDateString()}. Renew before ${new Date(content.subscription.graceEndsAt).toLocaleDateString()} to keep access.`
+                : `You have access to all of this creator's content until ${new Date(content.subscription.currentPeriodEnd).toLocaleDateString()}. Open any of their links with this access token.`}
+            </p>
+          ) : (
+            <p className="text-gray-600 dark:text-gray-400">Your subscription has expired.</p>
+          )}
+        </div>
+      )}
+
       {/* File Content */}
       {content.type === 'file' && (
         <div className="p-6 bg-gray-50 dark:bg-gray-700 rounded-lg">
@@ -9,7 +9,7 @@ const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 interface PaywallHistoryItem {
   id: string
   contentId: string
-  type: 'text' | 'link' | 'file'
+  type: 'text' | 'link' | 'file' | 'api'
   filename?: string
   textContent?: string
   link?: string
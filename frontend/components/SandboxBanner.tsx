@@ -0,0 +1,17 @@
+'use client'
+
+import { FlaskConical } from 'lucide-react'
+
+// Must match the backend's SANDBOX_MODE; never enable in production
+export const SANDBOX_MODE = process.env.NEXT_PUBLIC_SANDBOX_MODE === 'true'
+
+export function SandboxBanner() {
+  if (!SANDBOX_MODE) return null
+
+  return (
+    <div className="sticky top-0 z-50 w-full bg-amber-500 text-black text-sm font-semibold py-2 px-4 flex items-center justify-center gap-2">
+      <FlaskConical className="w-4 h-4" />
+      Test mode: payments are simulated and content created here is sandbox-only
+    </div>
+  )
+}
@@ -1,10 +1,11 @@
 'use client'
 
 import { useState } from 'react'
-import { Upload, File, Link as LinkIcon, Type, DollarSign, Clock, Wallet, CheckCircle, Copy } from 'lucide-react'
+import { Upload, File, Link as LinkIcon, Type, Server, DollarSign, Clock, Wallet, CheckCircle, Copy, Users, Plus, X } from 'lucide-react'
 import axios from 'axios'
 import { PublicKey } from '@solana/web3.js'
 import { SparklesText } from '@/components/ui/sparkles-text'
+import type { Collaborator, PriceScheduleInput, PricingMode, ProxiedApi, TransferFeePayer } from '@/types'
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
@@ -18,7 +19,22 @@ const isValidSolanaAddress = (address: string): boolean => {
   }
 }
 
-type ContentType = 'file' | 'text' | 'link'
+type ContentType = 'file' | 'text' | 'link' | 'api'
+
+// Assets a creator can accept besides USDC, with their decimals
+const EXTRA_ASSETS = [
+  { asset: 'USDT', decimals: 6, step: '0.01' },
+  { asset: 'PYUSD', decimals: 6, step: '0.01' },
+  { asset: 'SOL', decimals: 9, step: '0.001' },
+] as const
+
+// Each collaborator adds a transfer to the buyer's transaction (mirrors the backend limit)
+const MAX_COLLABORATORS = 8
+
+interface CollaboratorInput {
+  wallet: string
+  percent: string
+}
 
 interface UploadResult {
   id: string
@@ -26,6 +42,7 @@ interface UploadResult {
   price: number
   shareUrl: string
   paymentLink: string
+  api?: ProxiedApi | null
 }
 
 export default function UploadForm() {
@@ -33,8 +50,23 @@ export default function UploadForm() {
   const [file, setFile] = useState<File | null>(null)
   const [textContent, setTextContent] = useState('')
   const [linkUrl, setLinkUrl] = useState('')
+  const [apiUrl, setApiUrl] = useState('')
+  const [callsPerPayment, setCallsPerPayment] = useState('1')
   const [price, setPrice] = useState('1.00')
+  const [pricingMode, setPricingMode] = useState<PricingMode>('fixed')
+  const [suggestedPrice, setSuggestedPrice] = useState('')
+  const [scheduleType, setScheduleType] = useState<'none' | 'early_bird' | 'decay'>('none')
+  const [earlyBirdPrice, setEarlyBirdPrice] = useState('')
+  const [earlyBirdHours, setEarlyBirdHours] = useState('48')
+  const [decayDrop, setDecayDrop] = useState('')
+  const [decayFloor, setDecayFloor] = useState('')
+  const [decayEveryHours, setDecayEveryHours] = useState('168')
   const [expiresIn, setExpiresIn] = useState('never')
+  const [overpaymentPolicy, setOverpaymentPolicy] = useState<'accept' | 'reject'>('accept')
+  const [transferFeePayer, setTransferFeePayer] = useState<TransferFeePayer>('buyer')
+  const [underpaymentTolerance, setUnderpaymentTolerance] = useState('0')
+  const [assetPrices, setAssetPrices] = useState<Record<string, string>>({})
+  const [collaborators, setCollaborators] = useState<CollaboratorInput[]>([])
   const [creatorWallet, setCreatorWallet] = useState('')
   const [walletError, setWalletError] = useState('')
   const [uploading, setUploading] = useState(false)
@@ -69,6 +101,10 @@ export default function UploadForm() {
     }
   }
 
+  const updateCollaborator = (index: number, field: keyof CollaboratorInput, value: string) => {
+    setCollaborators(collaborators.map((c, i) => (i === index ? { ...c, [field]: value.trim() } : c)))
+  }
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault()
     setError('')
@@ -91,6 +127,81 @@ export default function UploadForm() {
       return
     }
 
+    // Pay what you want: price is the minimum, and the suggested amount (optional) can't be below it
+    const payWhatYouWant = pricingMode === 'pay_what_you_want'
+    if (payWhatYouWant && suggestedPrice.trim()) {
+      const suggestedNum = parseFloat(suggestedPrice)
+      if (isNaN(suggestedNum) || suggestedNum < priceNum || suggestedNum > 100) {
+        setError('Suggested price must be between the minimum price and $100')
+        return
+      }
+    }
+
+    const toleranceNum = parseFloat(underpaymentTolerance || '0')
+    if (isNaN(toleranceNum) || toleranceNum < 0 || toleranceNum >= priceNum) {
+      setError('Underpayment tolerance must be at least $0 and below the price')
+      return
+    }
+
+    // Early bird: a lower price for the first hours after upload. Decay: a drop every interval, down to a floor.
+    let priceSchedule: PriceScheduleInput | null = null
+    if (scheduleType === 'early_bird') {
+      const earlyNum = parseFloat(earlyBirdPrice)
+      const hoursNum = parseInt(earlyBirdHours)
+      if (isNaN(earlyNum) || earlyNum < 0.01 || earlyNum > 100 || isNaN(hoursNum) || hoursNum < 1) {
+        setError('Early-bird price must be between $0.01 and $100, for at least 1 hour')
+        return
+      }
+      priceSchedule = {
+        type: 'ranges',
+        ranges: [{ until: new Date(Date.now() + hoursNum * 3600000).toISOString(), price: earlyNum }]
+      }
+    } else if (scheduleType === 'decay') {
+      const dropNum = parseFloat(decayDrop)
+      const floorNum = parseFloat(decayFloor)
+      const everyNum = parseInt(decayEveryHours)
+      if (isNaN(dropNum) || dropNum < 0.01 || isNaN(floorNum) || floorNum < 0.01 || floorNum >= priceNum || isNaN(everyNum) || everyNum < 1) {
+        setError('Price drops need a drop of at least $0.01, an interval of at least 1 hour and a floor below the price')
+        return
+      }
+      priceSchedule = { type: 'decay', everyHours: everyNum, drop: dropNum, floor: floorNum }
+    }
+
+    // Prices in other assets are optional; empty means not accepted
+    const acceptedAssets = EXTRA_ASSETS
+      .filter(({ asset }) => assetPrices[asset]?.trim())
+      .map(({ asset }) => ({ asset, price: assetPrices[asset].trim() }))
+
+    for (const { asset, price: assetPrice } of acceptedAssets) {
+      const { decimals } = EXTRA_ASSETS.find(a => a.asset === asset)!
+      if (!new RegExp(`^\\d+(\\.\\d{1,${decimals}})?$`).test(assetPrice) || parseFloat(assetPrice) <= 0) {
+        setError(`${asset} price must be a positive number with at most ${decimals} decimals`)
+        return
+      }
+    }
+
+    // Revenue shares in basis points; they must cover the whole price
+    const collaboratorShares: Collaborator[] = collaborators.map(({ wallet, percent }) => ({
+      wallet,
+      bps: Math.round(parseFloat(percent) * 100),
+    }))
+
+    for (const { wallet, percent } of collaborators) {
+      if (!isValidSolanaAddress(wallet)) {
+        setError(`Invalid collaborator wallet address: ${wallet || '(empty)'}`)
+        return
+      }
+      if (!/^\d+(\.\d{1,2})?$/.test(percent) || parseFloat(percent) <= 0) {
+        setError('Collaborator shares must be positive percentages with at most 2 decimals')
+        return
+      }
+    }
+
+    if (collaborators.length > 0 && collaboratorShares.reduce((sum, c) => sum + c.bps, 0) !== 10000) {
+      setError('Collaborator shares must add up to 100%')
+      return
+    }
+
     if (contentType === 'file' && !file) {
       setError('Please select a file to upload')
       return
@@ -106,6 +217,17 @@ export default function UploadForm() {
       return
     }
 
+    if (contentType === 'api' && !apiUrl.trim()) {
+      setError('Please enter the API URL')
+      return
+    }
+
+    const calls = Number(callsPerPayment)
+    if (contentType === 'api' && (!Number.isInteger(calls) || calls < 1 || calls > 10000)) {
+      setError('Calls per payment must be a whole number from 1 to 10000')
+      return
+    }
+
     setUploading(true)
 
     try {
@@ -116,8 +238,20 @@ export default function UploadForm() {
         const formData = new FormData()
         formData.append('file', file)
         formData.append('price', price)
+        formData.append('pricingMode', pricingMode)
+        if (payWhatYouWant && suggestedPrice.trim()) {
+          formData.append('suggestedPrice', suggestedPrice.trim())
+        }
+        if (priceSchedule) {
+          formData.append('priceSchedule', JSON.stringify(priceSchedule))
+        }
         formData.append('expiresIn', expiresIn)
         formData.append('creatorWallet', creatorWallet)
+        formData.append('overpaymentPolicy', overpaymentPolicy)
+        formData.append('transferFeePayer', transferFeePayer)
+        formData.append('underpaymentTolerance', underpaymentTolerance || '0')
+        formData.append('acceptedAssets', JSON.stringify(acceptedAssets))
+        formData.append('collaborators', JSON.stringify(collaboratorShares))
 
         response = await axios.post(`${API_URL}/api/upload`, formData, {
           headers: {
@@ -125,18 +259,29 @@ export default function UploadForm() {
           },
         })
       } else {
-        // For text and link content, use JSON
+        // For text, link and API content, use JSON
         const data: any = {
           price: parseFloat(price),
+          pricingMode,
+          ...(payWhatYouWant && suggestedPrice.trim() && { suggestedPrice: parseFloat(suggestedPrice) }),
+          ...(priceSchedule && { priceSchedule }),
           expiresIn,
           creatorWallet,
-          contentType
+          contentType,
+          overpaymentPolicy,
+          transferFeePayer,
+          underpaymentTolerance: underpaymentTolerance || '0',
+          acceptedAssets,
+          collaborators: collaboratorShares
         }
 
         if (contentType === 'text') {
           data.textContent = textContent
         } else if (contentType === 'link') {
           data.linkUrl = linkUrl
+        } else if (contentType === 'api') {
+          data.apiUrl = apiUrl.trim()
+          data.callsPerPayment = calls
         }
 
         response = await axios.post(`${API_URL}/api/upload`, data, {
@@ -184,7 +329,11 @@ export default function UploadForm() {
       setFile(null)
       setTextContent('')
       setLinkUrl('')
+      setApiUrl('')
+      setCallsPerPayment('1')
       setPrice('1.00')
+      setSuggestedPrice('')
+      setScheduleType('none')
 
       // Trigger refresh of history component
       window.dispatchEvent(new Event('storage'))
@@ -233,6 +382,25 @@ export default function UploadForm() {
             </p>
           </div>
 
+          {result.api && (
+            <div className="p-4 bg-white/30 dark:bg-black/30 backdrop-blur rounded-xl border border-white/20 dark:border-white/10">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  API Endpoint ({result.api.callsPerPayment} call{result.api.callsPerPayment === 1 ? '' : 's'} per payment)
+                </span>
+                <button
+                  onClick={() => copyToClipboard(result.api!.endpoint)}
+                  className="p-2 hover:bg-gray-100 dark:hover:bg-zinc-800 rounded-lg transition-colors"
+                >
+                  <Copy className="w-4 h-4 text-gray-600 dark:text-gray-400" />
+                </button>
+              </div>
+              <p className="text-sm text-gray-900 dark:text-white font-mono break-all">
+                {result.api.endpoint}
+              </p>
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-4">
             <div className="p-4 bg-white/30 dark:bg-black/30 backdrop-blur rounded-xl border border-white/20 dark:border-white/10">
               <p className="text-sm text-gray-600 dark:text-gray-400">Price</p>
@@ -277,11 +445,12 @@ export default function UploadForm() {
         <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-3">
           Content Type
         </label>
-        <div className="grid grid-cols-3 gap-3">
+        <div className="grid grid-cols-4 gap-3">
           {[
             { type: 'file' as ContentType, icon: File, label: 'File' },
             { type: 'text' as ContentType, icon: Type, label: 'Text' },
             { type: 'link' as ContentType, icon: LinkIcon, label: 'Link' },
+            { type: 'api' as ContentType, icon: Server, label: 'API' },
           ].map(({ type, icon: Icon, label }) => (
             <button
               key={type}
@@ -396,11 +565,58 @@ export default function UploadForm() {
         </div>
       )}
 
+      {/* Proxied API: buyers call it through PayWall402 and never see this URL */}
+      {contentType === 'api' && (
+        <div className="mb-6">
+          <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            API Base URL
+          </label>
+          <input
+            type="url"
+            value={apiUrl}
+            onChange={(e) => setApiUrl(e.target.value)}
+            className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+            placeholder="https://api.example.com/v1?api_key=..."
+          />
+          <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mt-4 mb-2">
+            Calls per Payment
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="10000"
+            step="1"
+            value={callsPerPayment}
+            onChange={(e) => setCallsPerPayment(e.target.value)}
+            className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Buyers pay the price below for every {callsPerPayment || 1} call{callsPerPayment === '1' ? '' : 's'}. The URL stays private; they get a proxy endpoint instead.
+          </p>
+        </div>
+      )}
+
       {/* Price */}
       <div className="mb-6">
+        <div className="flex gap-2 mb-3">
+          {([['fixed', 'Fixed price'], ['pay_what_you_want', 'Pay what you want']] as const).map(([mode, label]) => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => setPricingMode(mode)}
+              className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all ${
+                pricingMode === mode
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white/50 dark:bg-black/30 text-gray-700 dark:text-gray-300 hover:bg-white/70'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
         <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
           <DollarSign className="w-4 h-4 inline mr-1" />
-          Price in USDC
+          {pricingMode === 'pay_what_you_want' ? 'Minimum Price in USDC' : 'Price in USDC'}
         </label>
         <input
           type="number"
@@ -413,6 +629,172 @@ export default function UploadForm() {
           placeholder="1.00"
         />
         <p className="mt-1 text-sm text-gray-500">Minimum: $0.01, Maximum: $100</p>
+        {pricingMode === 'pay_what_you_want' && (
+          <>
+            <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mt-4 mb-2">
+              Suggested Price in USDC (optional)
+            </label>
+            <input
+              type="number"
+              value={suggestedPrice}
+              onChange={(e) => setSuggestedPrice(e.target.value)}
+              step="0.01"
+              min={price}
+              max="100"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder={price}
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Buyers pay any amount at or above the minimum; other asset prices are minimums too
+            </p>
+          </>
+        )}
+      </div>
+
+      {/* Price Schedule */}
+      <div className="mb-6">
+        <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+          <Clock className="w-4 h-4 inline mr-1" />
+          Price Schedule
+        </label>
+        <select
+          value={scheduleType}
+          onChange={(e) => setScheduleType(e.target.value as 'none' | 'early_bird' | 'decay')}
+          className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+        >
+          <option value="none">Same price the whole time</option>
+          <option value="early_bird">Early-bird price after upload</option>
+          <option value="decay">Price drops over time</option>
+        </select>
+        {scheduleType === 'early_bird' && (
+          <div className="mt-3 grid grid-cols-2 gap-4">
+            <input
+              type="number"
+              value={earlyBirdPrice}
+              onChange={(e) => setEarlyBirdPrice(e.target.value)}
+              step="0.01"
+              min="0.01"
+              max="100"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="Early-bird price (USDC)"
+            />
+            <input
+              type="number"
+              value={earlyBirdHours}
+              onChange={(e) => setEarlyBirdHours(e.target.value)}
+              step="1"
+              min="1"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="For the first N hours"
+            />
+          </div>
+        )}
+        {scheduleType === 'decay' && (
+          <div className="mt-3 grid grid-cols-3 gap-4">
+            <input
+              type="number"
+              value={decayDrop}
+              onChange={(e) => setDecayDrop(e.target.value)}
+              step="0.01"
+              min="0.01"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="Drop (USDC)"
+            />
+            <input
+              type="number"
+              value={decayEveryHours}
+              onChange={(e) => setDecayEveryHours(e.target.value)}
+              step="1"
+              min="1"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="Every N hours"
+            />
+            <input
+              type="number"
+              value={decayFloor}
+              onChange={(e) => setDecayFloor(e.target.value)}
+              step="0.01"
+              min="0.01"
+              className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="Floor (USDC)"
+            />
+          </div>
+        )}
+        {scheduleType !== 'none' && (
+          <p className="mt-1 text-sm text-gray-500">
+            Prices in other assets change in proportion to the USDC price
+          </p>
+        )}
+      </div>
+
+      {/* Payment Policy */}
+      <div className="mb-6 grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            Accept Underpayment Up To
+          </label>
+          <input
+            type="number"
+            value={underpaymentTolerance}
+            onChange={(e) => setUnderpaymentTolerance(e.target.value)}
+            step="0.000001"
+            min="0"
+            className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+            placeholder="0"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+            Overpayment
+          </label>
+          <select
+            value={overpaymentPolicy}
+            onChange={(e) => setOverpaymentPolicy(e.target.value as 'accept' | 'reject')}
+            className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+          >
+            <option value="accept">Accept</option>
+            <option value="reject">Reject</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Other Accepted Assets */}
+      <div className="mb-6">
+        <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+          Also Accept (optional)
+        </label>
+        <div className="grid grid-cols-3 gap-4">
+          {EXTRA_ASSETS.map(({ asset, step }) => (
+            <div key={asset}>
+              <input
+                type="number"
+                value={assetPrices[asset] || ''}
+                onChange={(e) => setAssetPrices({ ...assetPrices, [asset]: e.target.value })}
+                step={step}
+                min="0"
+                className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+                placeholder={`Price in ${asset}`}
+              />
+            </div>
+          ))}
+        </div>
+        <p className="mt-1 text-sm text-gray-500">Leave empty to accept USDC only</p>
+      </div>
+
+      {/* Token-2022 Transfer Fees */}
+      <div className="mb-6">
+        <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+          Token Transfer Fees Paid By
+        </label>
+        <select
+          value={transferFeePayer}
+          onChange={(e) => setTransferFeePayer(e.target.value as TransferFeePayer)}
+          className="w-full px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 focus:bg-white/70 dark:focus:bg-black/50 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+        >
+          <option value="buyer">Buyer (you receive the full price)</option>
+          <option value="creator">Me (deducted from what I receive)</option>
+        </select>
+        <p className="mt-1 text-sm text-gray-500">Applies to Token-2022 assets with transfer fees, such as PYUSD</p>
       </div>
 
       {/* Expiration */}
@@ -455,6 +837,60 @@ export default function UploadForm() {
         )}
       </div>
 
+      {/* Collaborators */}
+      <div className="mb-6">
+        <label className="block text-sm font-semibold text-gray-800 dark:text-gray-200 mb-2">
+          <Users className="w-4 h-4 inline mr-1" />
+          Revenue Sharing (optional)
+        </label>
+        {collaborators.map((collaborator, index) => (
+          <div key={index} className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={collaborator.wallet}
+              onChange={(e) => updateCollaborator(index, 'wallet', e.target.value)}
+              className="flex-1 px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 transition-all text-gray-900 dark:text-white placeholder-gray-500 font-mono text-sm"
+              placeholder="Collaborator wallet address"
+            />
+            <input
+              type="number"
+              value={collaborator.percent}
+              onChange={(e) => updateCollaborator(index, 'percent', e.target.value)}
+              step="0.01"
+              min="0.01"
+              max="100"
+              className="w-28 px-4 py-3 bg-white/50 dark:bg-black/30 backdrop-blur border border-white/30 dark:border-white/10 rounded-lg focus:ring-2 focus:ring-primary-500 transition-all text-gray-900 dark:text-white placeholder-gray-500"
+              placeholder="%"
+            />
+            <button
+              type="button"
+              onClick={() => setCollaborators(collaborators.filter((_, i) => i !== index))}
+              className="px-3 text-gray-500 hover:text-red-600 transition-colors"
+              aria-label="Remove collaborator"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        {collaborators.length < MAX_COLLABORATORS && (
+          <button
+            type="button"
+            onClick={() => setCollaborators([
+              ...collaborators,
+              // Start with the creator's own share when the list is empty
+              collaborators.length === 0 ? { wallet: creatorWallet, percent: '' } : { wallet: '', percent: '' },
+            ])}
+            className="text-sm text-primary-600 dark:text-primary-400 hover:underline flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add collaborator
+          </button>
+        )}
+        <p className="mt-1 text-sm text-gray-500">
+          Shares must add up to 100%; include your own wallet to keep a share. Buyers pay every collaborator directly.
+        </p>
+      </div>
+
       {/* Error Message */}
       {error && (
         <div className="mb-6 p-4 bg-red-500/10 backdrop-blur border border-red-500/30 rounded-lg">
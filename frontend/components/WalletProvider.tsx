@@ -2,10 +2,9 @@
 
 import { FC, ReactNode, useMemo } from 'react'
 import { ConnectionProvider, WalletProvider } from '@solana/wallet-adapter-react'
-import { WalletAdapterNetwork } from '@solana/wallet-adapter-base'
 import { WalletModalProvider } from '@solana/wallet-adapter-react-ui'
 import { PhantomWalletAdapter } from '@solana/wallet-adapter-wallets'
-// import { clusterApiUrl } from '@solana/web3.js' // Not used, using custom RPC
+import { SOLANA_RPC } from '@/lib/solana'
 
 // Import wallet adapter CSS
 import '@solana/wallet-adapter-react-ui/styles.css'
@@ -15,11 +14,8 @@ interface SolanaWalletProviderProps {
 }
 
 export const SolanaWalletProvider: FC<SolanaWalletProviderProps> = ({ children }) => {
-  // Using mainnet-beta for production
-  const network = WalletAdapterNetwork.Mainnet
-
-  // Using Helius RPC endpoint for better reliability
-  const endpoint = useMemo(() => 'https://mainnet.helius-rpc.com/?api-key=2e09ef77-85cf-4ff6-bbe6-50dd5d7306ca', [network])
+  // RPC for the configured cluster (NEXT_PUBLIC_SOLANA_CLUSTER / NEXT_PUBLIC_SOLANA_RPC_HOST)
+  const endpoint = useMemo(() => SOLANA_RPC, [])
 
   // Initialize wallet adapters
   const wallets = useMemo(
@@ -3,23 +3,34 @@
 import { useState, useEffect } from 'react'
 import { useWallet } from '@solana/wallet-adapter-react'
 import { WalletMultiButton } from '@solana/wallet-adapter-react-ui'
-import { Lock, Loader2 } from 'lucide-react'
+import { Lock, Loader2, Wallet } from 'lucide-react'
 import axios from 'axios'
-import { Connection, PublicKey, Transaction } from '@solana/web3.js'
-import { getAssociatedTokenAddress, createTransferInstruction } from '@solana/spl-token'
+import { Connection, PublicKey, SystemProgram, Transaction, TransactionInstruction } from '@solana/web3.js'
+import { getAssociatedTokenAddress, createTransferCheckedInstruction } from '@solana/spl-token'
+import type { AcceptedAsset, ContentPricing, PaymentDiscount, PriceSchedule, SolanaCluster } from '@/types'
+import { SOLANA_CLUSTER, SOLANA_RPC, USDC_MINT, clusterLabel, explorerUrl } from '@/lib/solana'
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
 
-// USDC Token Mint on Solana Mainnet
-const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v')
-const USDC_DECIMALS = 6 // USDC has 6 decimals
+// USDC on the configured cluster, used when the backend doesn't list accepted assets
+const DEFAULT_ASSET: Omit<AcceptedAsset, 'price' | 'priceUnits'> = {
+  asset: 'USDC',
+  mint: USDC_MINT,
+  decimals: 6,
+  tokenProgram: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+}
 
-// Solana Mainnet RPC - IMPORTANT: Set NEXT_PUBLIC_SOLANA_RPC_HOST in your .env.local file
-const SOLANA_RPC = process.env.NEXT_PUBLIC_SOLANA_RPC_HOST || 'https://api.mainnet-beta.solana.com'
+// Prepaid credit is held in USDC
+const CREDIT_ASSET = 'USDC'
 
 interface X402PaywallWrapperProps {
   contentId: string
   price: number
+  pricing?: ContentPricing
+  priceSchedule?: PriceSchedule | null
+  acceptedAssets?: AcceptedAsset[]
+  cluster?: SolanaCluster
+  sandbox?: boolean
   contentType: string
   filename?: string
   creatorWallet: string
@@ -28,16 +39,47 @@ interface X402PaywallWrapperProps {
 export default function X402PaywallWrapper({
   contentId,
   price,
+  pricing,
+  priceSchedule,
+  acceptedAssets,
+  cluster = SOLANA_CLUSTER,
+  sandbox = false,
   contentType,
   filename,
   creatorWallet,
 }: X402PaywallWrapperProps) {
-  const { publicKey, sendTransaction } = useWallet()
+  const { publicKey, sendTransaction, signMessage } = useWallet()
   const [loading, setLoading] = useState(false)
   const [paid, setPaid] = useState(false)
   const [error, setError] = useState('')
   const [txSignature, setTxSignature] = useState('')
   const [accessToken, setAccessToken] = useState('')
+  const [discountCode, setDiscountCode] = useState('')
+  const [discount, setDiscount] = useState<PaymentDiscount | null>(null)
+  const [amountInput, setAmountInput] = useState('')
+  const [creditBalance, setCreditBalance] = useState<number | null>(null)
+
+  const assets: AcceptedAsset[] = acceptedAssets?.length
+    ? acceptedAssets
+    : [{ ...DEFAULT_ASSET, price, priceUnits: String(Math.round(price * 10 ** DEFAULT_ASSET.decimals)) }]
+  const [selectedAsset, setSelectedAsset] = useState(assets[0].asset)
+  const asset = assets.find(a => a.asset === selectedAsset) || assets[0]
+
+  // Pay what you want: the asset's price is the minimum, and the buyer starts at the suggested amount
+  const payWhatYouWant = pricing?.mode === 'pay_what_you_want'
+  const chosenAmount = payWhatYouWant ? (amountInput || String(asset.suggestedPrice ?? asset.price)) : String(asset.price)
+  const amountTooLow = payWhatYouWant && !(parseFloat(chosenAmount) >= asset.price)
+
+  // Content is sold on the cluster it was created on; paying on another one would never unlock it
+  const wrongCluster = cluster !== SOLANA_CLUSTER
+
+  const markPaid = (signature: string, token: string) => {
+    setPaid(true)
+    setTxSignature(signature)
+    setAccessToken(token)
+    localStorage.setItem(`paid_${contentId}`, JSON.stringify({ signature, accessToken: token }))
+    localStorage.removeItem(`session_${contentId}`)
+  }
 
   // Check if user already paid
   useEffect(() => {
@@ -54,9 +96,139 @@ export default function X402PaywallWrapper({
         setPaid(true)
         setTxSignature(paidData)
       }
+      return
+    }
+
+    // Resume a payment session the buyer may have paid before closing the tab
+    let storedSession: { sessionId: string; claimSecret: string } | null = null
+    try {
+      storedSession = JSON.parse(localStorage.getItem(`session_${contentId}`) ?? 'null')
+    } catch {
+      // Stored before sessions had claim secrets; it can't be claimed anymore
+      localStorage.removeItem(`session_${contentId}`)
+    }
+    if (storedSession) {
+      // Only the client that opened a session can collect its access token, with its claim secret
+      const { sessionId, claimSecret } = storedSession
+      axios.get(`${API_URL}/api/payment/session/${sessionId}`, {
+        headers: { 'X-Session-Secret': claimSecret },
+      })
+        .then(({ data }) => {
+          // Confirmed and finalized sessions both carry an access token
+          if (data.accessToken) {
+            markPaid(data.transactionSignature, data.accessToken)
+          } else if (data.status === 'expired' || data.status === 'failed') {
+            localStorage.removeItem(`session_${contentId}`)
+          }
+        })
+        .catch(() => localStorage.removeItem(`session_${contentId}`))
     }
   }, [contentId])
 
+  // Credit token for the connected wallet, signing in again once the stored one has expired
+  const getCreditToken = async (): Promise<string> => {
+    const wallet = publicKey!.toString()
+    const stored = localStorage.getItem('credit_token')
+
+    if (stored) {
+      try {
+        const data = JSON.parse(stored)
+        if (data.wallet === wallet && data.expiresAt > Date.now()) return data.token
+      } catch {
+        // Ignore and sign in again
+      }
+    }
+
+    if (!signMessage) {
+      throw new Error('Wallet does not support signing messages')
+    }
+
+    const { data: login } = await axios.get(`${API_URL}/api/credits/login-message`, { params: { wallet } })
+    const signed = await signMessage(new TextEncoder().encode(login.message))
+    const { data } = await axios.post(`${API_URL}/api/credits/login`, {
+      wallet,
+      timestamp: login.timestamp,
+      signature: btoa(String.fromCharCode(...Array.from(signed))),
+    })
+
+    localStorage.setItem('credit_token', JSON.stringify({
+      wallet,
+      token: data.token,
+      expiresAt: Date.now() + data.expiresIn * 1000,
+    }))
+    return data.token
+  }
+
+  // Pay from the buyer's prepaid credit: the gate takes the price off the balance, no transaction needed
+  const handleCreditPayment = async () => {
+    if (!publicKey) {
+      setError('Please connect your wallet first')
+      return
+    }
+
+    setLoading(true)
+    setError('')
+
+    try {
+      const creditToken = await getCreditToken()
+      const response = await axios.get(`${API_URL}/api/content/${contentId}/download`, {
+        headers: { 'X-Credit-Token': creditToken },
+        params: payWhatYouWant ? { amount: chosenAmount } : undefined,
+        responseType: 'arraybuffer',
+      })
+      const token = response.headers['x-access-token']
+
+      if (!token) {
+        throw new Error('Payment from credit failed')
+      }
+
+      setCreditBalance(parseFloat(response.headers['x-credit-balance']))
+      markPaid('', token)
+    } catch (err: any) {
+      if (err.response?.status === 401) {
+        localStorage.removeItem('credit_token')
+      }
+
+      if (err.response?.data instanceof ArrayBuffer) {
+        const data = JSON.parse(new TextDecoder().decode(err.response.data))
+        setError(data.error === 'Insufficient credit balance'
+          ? 'Not enough credit. Deposit USDC to your credit balance first.'
+          : data.message || data.error)
+      } else {
+        setError(err.message?.includes('User rejected') ? 'Sign-in cancelled by user' : err.message || 'Payment from credit failed')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Sandbox content only: the backend accepts sim_ signatures in sandbox mode
+  const handleSimulatedPayment = async () => {
+    setLoading(true)
+    setError('')
+
+    try {
+      const signature = `sim_${Date.now()}_${Math.random().toString(36).slice(2)}`
+      const response = await axios.post(`${API_URL}/api/payment/verify`, {
+        contentId,
+        transactionSignature: signature,
+        asset: asset.asset,
+        ...(payWhatYouWant && { amount: chosenAmount }),
+        ...(publicKey && { payerWallet: publicKey.toString() }),
+      })
+
+      if (response.data.verified) {
+        markPaid(signature, response.data.accessToken)
+      } else {
+        setError('Simulated payment failed: ' + (response.data.error || 'Unknown error'))
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Simulated payment failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const handlePayment = async () => {
     if (!publicKey) {
       setError('Please connect your wallet first')
@@ -72,33 +244,72 @@ export default function X402PaywallWrapper({
     setError('')
 
     try {
-      // Create connection to Solana mainnet
-      const connection = new Connection(SOLANA_RPC, 'confirmed')
-
-      // Convert creator wallet string to PublicKey
-      const recipientPubkey = new PublicKey(creatorWallet)
+      // Open a payment session; its reference key lets the backend find this payment on-chain
+      const { data: initiated } = await axios.post(`${API_URL}/api/payment/initiate`, {
+        contentId,
+        asset: asset.asset,
+        payerWallet: publicKey.toString(),
+        ...(payWhatYouWant && { amount: chosenAmount }),
+        ...(!payWhatYouWant && discountCode.trim() && { discountCode: discountCode.trim() }),
+      })
+      const session = initiated.payment
+      localStorage.setItem(`session_${contentId}`, JSON.stringify({
+        sessionId: session.sessionId,
+        claimSecret: session.claimSecret,
+      }))
 
-      // Get associated token accounts for USDC
-      const fromTokenAccount = await getAssociatedTokenAddress(
-        USDC_MINT,
-        publicKey
-      )
+      // The discounted amount is locked into the session's quote
+      setDiscount(session.discount ?? null)
 
-      const toTokenAccount = await getAssociatedTokenAddress(
-        USDC_MINT,
-        recipientPubkey
-      )
+      // Create connection to the configured Solana cluster
+      const connection = new Connection(SOLANA_RPC, 'confirmed')
 
-      // Calculate amount in smallest units (USDC has 6 decimals)
-      const amountInSmallestUnit = Math.floor(price * Math.pow(10, USDC_DECIMALS))
+      // One transfer per recipient: the creator, plus the platform and collaborators on split payments
+      const recipients: { recipient: string; amountUnits: string }[] =
+        session.recipients ?? [{ recipient: creatorWallet, amountUnits: session.amountUnits }]
+      const transferInstructions: TransactionInstruction[] = []
+
+      for (const { recipient, amountUnits } of recipients) {
+        const recipientPubkey = new PublicKey(recipient)
+
+        // Amount in the asset's smallest units, as quoted by the session
+        const amount = BigInt(amountUnits)
+
+        if (!session.mint) {
+          // Native SOL: plain lamport transfer
+          transferInstructions.push(SystemProgram.transfer({
+            fromPubkey: publicKey,
+            toPubkey: recipientPubkey,
+            lamports: amount,
+          }))
+        } else {
+          const mint = new PublicKey(session.mint)
+          const tokenProgram = new PublicKey(session.tokenProgram)
+
+          // Get associated token accounts for the mint
+          const fromTokenAccount = await getAssociatedTokenAddress(mint, publicKey, false, tokenProgram)
+          const toTokenAccount = await getAssociatedTokenAddress(mint, recipientPubkey, false, tokenProgram)
+
+          // Create transfer instruction
+          transferInstructions.push(createTransferCheckedInstruction(
+            fromTokenAccount,
+            mint,
+            toTokenAccount,
+            publicKey,
+            amount,
+            session.decimals,
+            [],
+            tokenProgram
+          ))
+        }
+      }
 
-      // Create transfer instruction
-      const transferInstruction = createTransferInstruction(
-        fromTokenAccount,
-        toTokenAccount,
-        publicKey,
-        amountInSmallestUnit
-      )
+      // Solana Pay reference: a read-only, non-signer key on the first transfer instruction
+      transferInstructions[0].keys.push({
+        pubkey: new PublicKey(session.reference),
+        isSigner: false,
+        isWritable: false,
+      })
 
       // Get latest blockhash
       const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('finalized')
@@ -108,7 +319,7 @@ export default function X402PaywallWrapper({
         feePayer: publicKey,
         blockhash,
         lastValidBlockHeight
-      }).add(transferInstruction)
+      }).add(...transferInstructions)
 
       // Send transaction through wallet
       const signature = await sendTransaction(transaction, connection)
@@ -128,18 +339,22 @@ export default function X402PaywallWrapper({
       // Verify payment with backend
       const response = await axios.post(`${API_URL}/api/payment/verify`, {
         contentId,
+        sessionId: session.sessionId,
+        quoteId: session.quote?.id,
         transactionSignature: signature,
         payerWallet: publicKey.toString(),
+      }).catch(async (verifyErr) => {
+        // The session watcher may have picked up the transaction first
+        if (verifyErr.response?.status !== 409) throw verifyErr
+        const { data } = await axios.get(`${API_URL}/api/payment/session/${session.sessionId}`, {
+          headers: { 'X-Session-Secret': session.claimSecret },
+        })
+        if (!data.accessToken) throw verifyErr
+        return { data: { verified: true, accessToken: data.accessToken } }
       })
 
       if (response.data.verified) {
-        setPaid(true)
-        const paymentData = {
-          signature,
-          accessToken: response.data.accessToken
-        }
-        localStorage.setItem(`paid_${contentId}`, JSON.stringify(paymentData))
-        setAccessToken(response.data.accessToken)
+        markPaid(signature, response.data.accessToken)
       } else {
         setError('Payment verification failed: ' + (response.data.error || 'Unknown error'))
       }
@@ -148,11 +363,11 @@ export default function X402PaywallWrapper({
       if (err.message?.includes('User rejected')) {
         setError('Transaction cancelled by user')
       } else if (err.message?.includes('Insufficient funds')) {
-        setError('Insufficient USDC balance in your wallet')
+        setError(`Insufficient ${asset.asset} balance in your wallet`)
       } else if (err.message?.includes('TokenAccountNotFoundError')) {
-        setError('USDC token account not found. Please ensure you have USDC in your wallet.')
+        setError(`${asset.asset} token account not found. Please ensure you have ${asset.asset} in your wallet.`)
       } else {
-        setError(err.response?.data?.error || err.message || 'Payment failed. Please try again.')
+        setError(err.response?.data?.message || err.response?.data?.error || err.message || 'Payment failed. Please try again.')
       }
     } finally {
       setLoading(false)
@@ -183,16 +398,39 @@ export default function X402PaywallWrapper({
           </div>
         )}
 
-        <div className="p-4 bg-blue-500/10 backdrop-blur rounded-xl border border-blue-500/30 mb-6">
-          <p className="text-xs text-gray-600 dark:text-gray-400 mb-1 font-semibold">Transaction</p>
-          <p className="text-xs font-mono text-gray-800 dark:text-gray-200 break-all">{txSignature}</p>
-        </div>
+        {creditBalance !== null ? (
+          <div className="p-4 bg-blue-500/10 backdrop-blur rounded-xl border border-blue-500/30 mb-6">
+            <p className="text-xs text-gray-600 dark:text-gray-400 mb-1 font-semibold">Paid from credit</p>
+            <p className="text-sm text-gray-800 dark:text-gray-200">Remaining balance: {creditBalance} {CREDIT_ASSET}</p>
+          </div>
+        ) : (
+          <div className="p-4 bg-blue-500/10 backdrop-blur rounded-xl border border-blue-500/30 mb-6">
+            <p className="text-xs text-gray-600 dark:text-gray-400 mb-1 font-semibold">Transaction</p>
+            <p className="text-xs font-mono text-gray-800 dark:text-gray-200 break-all">{txSignature}</p>
+            {txSignature && (
+              <a
+                href={explorerUrl(txSignature)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-primary-600 hover:underline mt-1 inline-block"
+              >
+                View on Solana Explorer
+              </a>
+            )}
+          </div>
+        )}
 
+        {/* Bundles, subscriptions and APIs are shown on their own page */}
         <a
-          href={`${API_URL}/api/content/${contentId}/download?payment=${accessToken}`}
+          href={contentType === 'bundle' || contentType === 'subscription' || contentType === 'api'
+            ? `/${contentId}?payment=${accessToken}`
+            : `${API_URL}/api/content/${contentId}/download?payment=${accessToken}`}
           className="w-full px-6 py-4 bg-gradient-to-r from-primary-600 to-purple-600 hover:from-primary-700 hover:to-purple-700 text-white rounded-xl font-semibold transition-all shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 flex items-center justify-center"
         >
-          Download Content
+          {contentType === 'bundle' ? 'Open Bundle'
+            : contentType === 'subscription' ? 'View Subscription'
+            : contentType === 'api' ? 'Get API Access'
+            : 'Download Content'}
         </a>
       </div>
     )
@@ -214,14 +452,92 @@ export default function X402PaywallWrapper({
 
       <div className="p-6 bg-gradient-to-br from-primary-500/10 to-purple-500/10 backdrop-blur rounded-xl border border-white/10 dark:border-white/5 mb-6">
         <div className="text-center">
-          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">Price</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{payWhatYouWant ? 'Pay what you want' : 'Price'}</p>
           <p className="text-4xl font-bold text-gray-900 dark:text-white mb-1">
-            ${price}
+            {asset.asset === 'USDC' ? `$${chosenAmount}` : chosenAmount}
           </p>
-          <p className="text-sm text-gray-600 dark:text-gray-400">USDC on Solana</p>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {asset.asset} on Solana{cluster !== 'mainnet-beta' && ` ${clusterLabel(cluster)}`}
+          </p>
+          {priceSchedule?.nextChangeAt && (
+            <p className="text-sm text-gray-600 dark:text-gray-400 mt-2">
+              {priceSchedule.currentPrice < priceSchedule.listPrice && `Down from $${priceSchedule.listPrice}. `}
+              Price changes {new Date(priceSchedule.nextChangeAt).toLocaleString()}
+            </p>
+          )}
+          {discount && (
+            <p className="text-sm text-green-600 dark:text-green-400 mt-2">
+              Code {discount.code}: {discount.amountOff} {asset.asset} off
+            </p>
+          )}
         </div>
+
+        {assets.length > 1 && (
+          <div className="flex justify-center gap-2 mt-4">
+            {assets.map(a => (
+              <button
+                key={a.asset}
+                type="button"
+                onClick={() => {
+                  setSelectedAsset(a.asset)
+                  setAmountInput('')
+                }}
+                disabled={loading}
+                className={`px-3 py-1 rounded-lg text-sm font-semibold transition-all ${
+                  a.asset === asset.asset
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-white/30 dark:bg-black/30 text-gray-700 dark:text-gray-300 hover:bg-white/50'
+                }`}
+              >
+                {a.asset}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
+      {payWhatYouWant ? (
+        <div className="mb-6">
+          <label htmlFor="amount" className="block text-sm text-gray-700 dark:text-gray-300 mb-2">
+            Your amount ({asset.asset}, at least {asset.price})
+          </label>
+          <input
+            id="amount"
+            type="number"
+            value={chosenAmount}
+            onChange={(e) => setAmountInput(e.target.value)}
+            disabled={loading}
+            min={asset.price}
+            step="any"
+            className="w-full px-4 py-2 bg-white/30 dark:bg-black/30 backdrop-blur rounded-lg border border-white/20 dark:border-white/10 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          {amountTooLow && (
+            <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+              Pay at least {asset.price} {asset.asset}
+            </p>
+          )}
+        </div>
+      ) : (
+        <div className="mb-6">
+          <label htmlFor="discountCode" className="block text-sm text-gray-700 dark:text-gray-300 mb-2">
+            Discount code (optional)
+          </label>
+          <input
+            id="discountCode"
+            type="text"
+            value={discountCode}
+            onChange={(e) => {
+              setDiscountCode(e.target.value.toUpperCase())
+              setDiscount(null)
+            }}
+            disabled={loading}
+            maxLength={32}
+            placeholder="e.g. LAUNCH20"
+            className="w-full px-4 py-2 bg-white/30 dark:bg-black/30 backdrop-blur rounded-lg border border-white/20 dark:border-white/10 text-gray-900 dark:text-white font-mono uppercase focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </div>
+      )}
+
       {filename && (
         <div className="p-4 bg-white/30 dark:bg-black/30 backdrop-blur rounded-xl border border-white/20 dark:border-white/10 mb-6">
           <p className="text-sm text-gray-600 dark:text-gray-400 mb-1">Content</p>
@@ -239,6 +555,30 @@ export default function X402PaywallWrapper({
         </div>
       </div>
 
+      {sandbox && (
+        <div className="mb-6 p-4 bg-amber-500/10 backdrop-blur border border-amber-500/30 rounded-xl">
+          <p className="text-sm text-amber-700 dark:text-amber-400 mb-3">
+            Test mode: this is sandbox content. You can unlock it with a simulated payment.
+          </p>
+          <button
+            type="button"
+            onClick={handleSimulatedPayment}
+            disabled={loading || amountTooLow}
+            className="w-full px-4 py-2 bg-amber-500 hover:bg-amber-600 disabled:bg-gray-400 text-black rounded-lg font-semibold transition-all"
+          >
+            Simulate payment
+          </button>
+        </div>
+      )}
+
+      {wrongCluster && (
+        <div className="mb-6 p-4 bg-red-500/10 backdrop-blur border border-red-500/30 rounded-xl">
+          <p className="text-sm text-red-600 dark:text-red-400">
+            This content is sold on Solana {clusterLabel(cluster)}, but this site is connected to Solana {clusterLabel()}.
+          </p>
+        </div>
+      )}
+
       {error && (
         <div className="mb-6 p-4 bg-red-500/10 backdrop-blur border border-red-500/30 rounded-xl">
           <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
@@ -247,7 +587,7 @@ export default function X402PaywallWrapper({
 
       <button
         onClick={handlePayment}
-        disabled={!publicKey || loading}
+        disabled={!publicKey || loading || wrongCluster || amountTooLow}
         className="w-full px-6 py-3 bg-gradient-to-r from-primary-600 to-purple-600 hover:from-primary-700 hover:to-purple-700 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed text-white rounded-xl font-semibold transition-all shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 flex items-center justify-center"
       >
         {loading ? (
@@ -257,14 +597,26 @@ export default function X402PaywallWrapper({
           </>
         ) : (
           <>
-            Pay ${price} USDC
+            Pay {chosenAmount} {asset.asset}
           </>
         )}
       </button>
 
+      {asset.asset === CREDIT_ASSET && (
+        <button
+          type="button"
+          onClick={handleCreditPayment}
+          disabled={!publicKey || loading || wrongCluster || amountTooLow}
+          className="w-full mt-3 px-6 py-3 bg-white/30 dark:bg-black/30 hover:bg-white/50 disabled:cursor-not-allowed disabled:opacity-50 text-gray-900 dark:text-white rounded-xl font-semibold border border-white/20 dark:border-white/10 transition-all flex items-center justify-center"
+        >
+          <Wallet className="w-5 h-5 mr-2" />
+          Pay from credit balance
+        </button>
+      )}
+
       <div className="mt-6 p-4 bg-white/20 dark:bg-black/20 backdrop-blur rounded-xl border border-white/10 dark:border-white/5">
         <p className="text-xs text-gray-600 dark:text-gray-400 text-center">
-          Secure payment powered by x402 protocol on Solana Mainnet
+          Secure payment powered by x402 protocol on Solana {clusterLabel()}
         </p>
       </div>
     </div>
@@ -0,0 +1,52 @@
+import type { SolanaCluster } from '@/types'
+
+/**
+ * Solana cluster configuration
+ * NEXT_PUBLIC_SOLANA_CLUSTER must match the backend's SOLANA_CLUSTER.
+ */
+
+const CLUSTERS: Record<SolanaCluster, { label: string; rpc: string; usdcMint: string | null }> = {
+  'mainnet-beta': {
+    label: 'Mainnet',
+    rpc: 'https://api.mainnet-beta.solana.com',
+    usdcMint: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v',
+  },
+  devnet: {
+    label: 'Devnet',
+    rpc: 'https://api.devnet.solana.com',
+    usdcMint: '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU',
+  },
+  localnet: {
+    label: 'Localnet',
+    rpc: 'http://127.0.0.1:8899',
+    usdcMint: null,
+  },
+}
+
+const configured = process.env.NEXT_PUBLIC_SOLANA_CLUSTER === 'mainnet'
+  ? 'mainnet-beta'
+  : process.env.NEXT_PUBLIC_SOLANA_CLUSTER
+
+export const SOLANA_CLUSTER: SolanaCluster =
+  configured && configured in CLUSTERS ? (configured as SolanaCluster) : 'mainnet-beta'
+
+// IMPORTANT: Set NEXT_PUBLIC_SOLANA_RPC_HOST in your .env.local file; public endpoints are rate limited
+export const SOLANA_RPC = process.env.NEXT_PUBLIC_SOLANA_RPC_HOST || CLUSTERS[SOLANA_CLUSTER].rpc
+
+// USDC mint, used when the backend doesn't list accepted assets (NEXT_PUBLIC_USDC_MINT overrides, e.g. on localnet)
+export const USDC_MINT = process.env.NEXT_PUBLIC_USDC_MINT || CLUSTERS[SOLANA_CLUSTER].usdcMint
+
+export function clusterLabel(cluster: SolanaCluster = SOLANA_CLUSTER) {
+  return CLUSTERS[cluster]?.label ?? cluster
+}
+
+/**
+ * Solana Explorer link for a transaction or address on the configured cluster
+ */
+export function explorerUrl(value: string, type: 'tx' | 'address' = 'tx') {
+  const url = `https://explorer.solana.com/${type}/${value}`
+
+  if (SOLANA_CLUSTER === 'mainnet-beta') return url
+  if (SOLANA_CLUSTER === 'localnet') return `${url}?cluster=custom&customUrl=${encodeURIComponent(SOLANA_RPC)}`
+  return `${url}?cluster=${SOLANA_CLUSTER}`
+}
@@ -9,13 +9,108 @@
 /**
  * Content types supported by the platform
  */
-export type ContentType = 'file' | 'text' | 'link';
+export type ContentType = 'file' | 'text' | 'link' | 'api';
 
 /**
  * Payment status types
  */
 export type PaymentStatus = 'pending' | 'completed' | 'failed';
 
+/**
+ * On-chain finality of a payment's transaction (null for credit and simulated payments)
+ */
+export type PaymentFinality = 'confirmed' | 'finalized' | 'dropped';
+
+/**
+ * Solana clusters the platform can run on
+ */
+export type SolanaCluster = 'mainnet-beta' | 'devnet' | 'localnet';
+
+/**
+ * Assets a buyer can pay with
+ */
+export type PaymentAsset = 'USDC' | 'USDT' | 'PYUSD' | 'SOL';
+
+/**
+ * Who absorbs Token-2022 transfer fees
+ */
+export type TransferFeePayer = 'buyer' | 'creator';
+
+/**
+ * A co-author's share of a content item's sales, in basis points (10000 = 100%)
+ */
+export interface Collaborator {
+  wallet: string;
+  bps: number;
+}
+
+/**
+ * An asset a content item accepts, with its price (mint is null for native SOL)
+ */
+export interface AcceptedAsset {
+  asset: PaymentAsset;
+  mint: string | null;
+  decimals: number;
+  tokenProgram: string | null;
+  price: number;
+  priceUnits: string;
+  // Pay-what-you-want content only: price is then the minimum
+  suggestedPrice?: number;
+  suggestedPriceUnits?: string;
+}
+
+/**
+ * How a content item is priced
+ */
+export type PricingMode = 'fixed' | 'pay_what_you_want';
+
+/**
+ * A content item's pricing; minimum and suggested are USDC amounts, set for pay-what-you-want only
+ */
+export interface ContentPricing {
+  mode: PricingMode;
+  minimum?: number;
+  suggested?: number;
+}
+
+/**
+ * A time range with its own USDC price; either end may be open
+ */
+export interface PriceRange {
+  from: string | null;
+  until: string | null;
+  price: number;
+}
+
+/**
+ * Time-based price changes, as sent at upload
+ * ranges: the first range containing the moment of quoting sets the price.
+ * decay: the price drops by `drop` every `everyHours` from `startsAt` (default: upload), down to `floor`.
+ */
+export type PriceScheduleInput =
+  | { type: 'ranges'; ranges: { from?: string; until?: string; price: number }[] }
+  | { type: 'decay'; everyHours: number; drop: number; floor: number; startsAt?: string };
+
+/**
+ * A content item's price schedule as returned by the API
+ */
+export interface PriceSchedule {
+  type: 'ranges' | 'decay';
+  ranges?: PriceRange[];
+  startsAt?: string;
+  everyHours?: number;
+  drop?: number;
+  floor?: number;
+  listPrice: number;
+  currentPrice: number;
+  nextChangeAt: string | null;
+}
+
+/**
+ * Payment session lifecycle states
+ */
+export type PaymentSessionStatus = 'pending' | 'submitted' | 'confirmed' | 'finalized' | 'expired' | 'failed';
+
 /**
  * Expiration options for content
  */
@@ -46,6 +141,10 @@ export interface Content {
   fileMimetype?: string;
   priceUsdc: number;
   creatorWallet: string;
+  transferFeePayer?: TransferFeePayer;
+  collaborators?: Collaborator[];
+  cluster: SolanaCluster;
+  sandbox?: boolean;
   views: number;
   payments: number;
   expiresAt?: Date | null;
@@ -65,6 +164,8 @@ export interface PaymentLog {
   amountUsdc: number;
   transactionSignature: string;
   paymentStatus: PaymentStatus;
+  finalityStatus: PaymentFinality | null;
+  finalizedAt: Date | null;
   paidAt: Date;
 }
 
@@ -77,6 +178,15 @@ export interface CreatorStats {
   totalPayments: number;
   totalRevenue: number;
   topContent?: ContentSummary[];
+  subscribers?: SubscriberCounts;
+}
+
+/**
+ * Subscribers of a creator's subscription plan
+ */
+export interface SubscriberCounts {
+  active: number;
+  inGrace: number;
 }
 
 /**
@@ -103,6 +213,9 @@ export interface ContentSummary {
  */
 export interface UploadRequest {
   price: number;
+  pricingMode?: PricingMode;
+  suggestedPrice?: number;
+  priceSchedule?: PriceScheduleInput;
   creatorWallet: string;
   expiresIn?: ExpirationOption;
   title?: string;
@@ -132,6 +245,23 @@ export interface LinkUploadRequest extends UploadRequest {
   linkUrl: string;
 }
 
+/**
+ * Proxied API upload request: buyers call the API through PayWall402 and never see apiUrl
+ */
+export interface ApiUploadRequest extends UploadRequest {
+  contentType: 'api';
+  apiUrl: string;
+  callsPerPayment?: number;
+}
+
+/**
+ * Proxy endpoint of a proxied API
+ */
+export interface ProxiedApi {
+  endpoint: string;
+  callsPerPayment: number;
+}
+
 /**
  * Upload response
  */
@@ -143,12 +273,48 @@ export interface UploadResponse {
   expiresAt?: Date;
 }
 
+/**
+ * Content item sold as part of a bundle
+ */
+export interface BundleItem {
+  id: string;
+  type: ContentType;
+  filename?: string;
+  mimetype?: string;
+  price: number;
+  isExpired: boolean;
+}
+
+/**
+ * Subscription to a creator's plan, unlocking all of the creator's content
+ */
+export interface Subscription {
+  creatorWallet: string;
+  subscriberWallet: string;
+  planId: string;
+  status: 'active' | 'grace' | 'expired';
+  currentPeriodEnd: string;
+  graceEndsAt: string;
+  renewals: number;
+}
+
 /**
  * Payment initiation request
  */
 export interface PaymentInitiationRequest {
   contentId: string;
   payerWallet?: string;
+  discountCode?: string;
+}
+
+/**
+ * Discount code applied to a payment session
+ */
+export interface PaymentDiscount {
+  code: string;
+  amountOff: number;
+  amountOffUnits: string;
+  listAmount: number;
 }
 
 /**
@@ -162,11 +328,78 @@ export interface PaymentInitiationResponse {
   memo?: string;
 }
 
+/**
+ * Signed price quote locking the terms of a payment until it expires
+ */
+export interface PriceQuote {
+  id: string;
+  contentId: string;
+  asset: string;
+  mint: string | null;
+  decimals: number;
+  amount: number;
+  amountUnits: string;
+  minAmount: number | null;
+  recipient: string;
+  recipients: { recipient: string; role: string; amountUnits: string }[];
+  cluster: string;
+  expiresAt: string;
+  expired: boolean;
+  signature: string;
+}
+
+/**
+ * Prepaid credit balance (GET /api/credits/balance)
+ */
+export interface CreditBalance {
+  wallet: string;
+  asset: 'USDC';
+  balance: number;
+  balanceUnits: string;
+  cluster: SolanaCluster;
+  sandbox: boolean;
+}
+
+/**
+ * Credit ledger entry (GET /api/credits/statement)
+ */
+export interface CreditLedgerEntry {
+  id: string;
+  type: 'deposit' | 'purchase' | 'refund' | 'withdrawal' | 'withdrawal_refund' | 'reversal';
+  amount: number; // Negative for purchases, withdrawals and reversals of dropped deposits
+  amountUnits: string;
+  balance: number; // Balance after the entry; negative if a reversed deposit had been spent
+  contentId: string | null;
+  paymentId: string | null;
+  withdrawalId: string | null;
+  transactionSignature: string | null;
+  finality?: 'confirmed' | 'finalized' | 'dropped' | null; // Deposits only (null if simulated)
+  createdAt: Date;
+}
+
+/**
+ * Credit withdrawal request
+ */
+export interface CreditWithdrawal {
+  id: string;
+  wallet: string;
+  amount: number;
+  amountUnits: string;
+  destination: string;
+  status: 'requested' | 'completed' | 'cancelled' | 'rejected';
+  transactionSignature: string | null;
+  note: string | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 /**
  * Payment verification request
  */
 export interface PaymentVerificationRequest {
   contentId: string;
+  sessionId?: string;
+  quoteId?: string;
   transactionSignature: string;
   payerWallet?: string;
   amount?: number;
@@ -181,6 +414,53 @@ export interface PaymentVerificationResponse {
   accessToken?: string;
   expiresIn?: number;
   message?: string;
+  subscription?: Subscription;
+}
+
+/**
+ * Payment session state transition
+ */
+export interface PaymentSessionTransition {
+  from: PaymentSessionStatus | null;
+  to: PaymentSessionStatus;
+  reason: string | null;
+  transactionSignature: string | null;
+  at: Date;
+}
+
+/**
+ * Payment session with its lifecycle
+ */
+export interface PaymentSessionLifecycle {
+  sessionId: string;
+  source: 'solana_pay' | 'direct' | 'x402';
+  status: PaymentSessionStatus;
+  statusReason: string | null;
+  asset: PaymentAsset;
+  amount: number;
+  cluster: SolanaCluster;
+  payerWallet: string | null;
+  transactionSignature: string | null;
+  expiresAt: Date;
+  createdAt: Date;
+  updatedAt: Date;
+  transitions: PaymentSessionTransition[];
+}
+
+/**
+ * Payment status response (GET /api/payment/status/:contentId)
+ */
+export interface PaymentStatusResponse {
+  paid: boolean;
+  status?: PaymentStatus | PaymentSessionStatus;
+  asset?: PaymentAsset;
+  amount?: number;
+  cluster?: SolanaCluster;
+  paidAt?: Date | null;
+  finality?: PaymentFinality | null;
+  finalizedAt?: Date | null;
+  message?: string;
+  sessions: PaymentSessionLifecycle[];
 }
 
 /**
@@ -190,12 +470,21 @@ export interface ContentInfoResponse {
   id: string;
   contentType: ContentType;
   priceUsdc: number;
+  pricing?: ContentPricing;
+  priceSchedule?: PriceSchedule | null;
   creatorWallet: string;
+  transferFeePayer?: TransferFeePayer;
+  collaborators?: Collaborator[];
+  api?: ProxiedApi | null;
+  cluster: SolanaCluster;
+  sandbox?: boolean;
   views: number;
   payments: number;
   expiresAt?: Date;
   createdAt: Date;
   title?: string;
+  // Bundles only: the content the bundle unlocks
+  items?: BundleItem[];
   description?: string;
   preview?: string;
   expired?: boolean;
@@ -209,6 +498,8 @@ export interface ContentDownloadResponse {
   contentType: ContentType;
   content?: string; // For text content
   url?: string; // For link content
+  endpoint?: string; // For proxied APIs
+  callsRemaining?: number; // For proxied APIs
   fileData?: ArrayBuffer; // For file content
   filename?: string;
   mimetype?: string;
@@ -286,7 +577,7 @@ export interface WalletState {
   connected: boolean;
   publicKey?: string;
   balance?: number;
-  network?: 'mainnet-beta' | 'testnet' | 'devnet';
+  network?: SolanaCluster;
 }
 
 /**
@@ -575,6 +866,7 @@ export const CONTENT_TYPES: Record<ContentType, string> = {
   file: 'File',
   text: 'Text',
   link: 'Link',
+  api: 'API',
 };
 
 export const PAYMENT_STATUSES: Record<PaymentStatus, string> = {